@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+'use strict';
+
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+  DEFAULT_MARKETPLACE_API,
+  readProjectMetadata,
+  validatePayload,
+  submitPackage,
+} = require('./index');
+const { loadListingConfig } = require('./config');
+const { PAYLOAD_INPUTS, buildPayload } = require('./payload');
+const { localContext } = require('./git');
+const { registerSecret, redact } = require('./redact');
+
+// ---------------------------------------------------------------------------
+// Command-line interface
+//
+//   near-marketplace validate [options]   check the listing, exit 1 on errors
+//   near-marketplace preview  [options]   validate and print the payload
+//   near-marketplace submit   [options]   validate and create/update the listing
+// ---------------------------------------------------------------------------
+
+/** Process exit codes. */
+const EXIT = {
+  OK: 0,
+  INVALID: 1, // validation errors (or warnings with --fail-on-warning)
+  USAGE: 2,   // bad arguments or missing API key
+  FAILED: 3,  // unreadable project or marketplace API error
+};
+
+const COMMANDS = ['validate', 'preview', 'submit'];
+
+/** Flags taking a value; each may also be set as NEAR_MARKETPLACE_<FLAG> in the environment. */
+const STRING_OPTIONS = [
+  ...PAYLOAD_INPUTS,
+  'project-path', 'manifest', 'config-file', 'changelog-source', 'api-key', 'marketplace-url', 'listing-id', 'owner',
+  'update-existing', 'update-strategy',
+];
+
+/** Boolean flags; NEAR_MARKETPLACE_<FLAG>=true in the environment also sets them. */
+const BOOLEAN_OPTIONS = ['fail-on-warning', 'allow-downgrade'];
+
+/** Allowed values of the flags restricted to a fixed set. */
+const CHOICES = {
+  'update-existing': ['true', 'false'],
+  'update-strategy': ['full', 'changed', 'always'],
+};
+
+const USAGE = `Usage: near-marketplace <validate|preview|submit> [options]
+
+Options:
+  -C, --project-path <dir>      Project root (default: .)
+      --manifest <file>         Manifest to read, e.g. pom.xml (default: auto)
+      --config-file <file>      Listing config file (default: auto)
+      --api-key <key>           Marketplace API key (submit only)
+      --marketplace-url <url>   API base URL (default: ${DEFAULT_MARKETPLACE_API})
+      --listing-id <id>         Listing to update; skips the name lookup
+      --owner <account>         Marketplace account that owns the listing
+      --update-existing <bool>  Look up and update an existing listing (default: true)
+      --update-strategy <mode>  full, changed (PATCH changed fields) or always (default: full)
+      --allow-downgrade         Allow submitting a version below the live one
+      --fail-on-warning         Exit 1 when warnings are raised
+      --json                    Print machine-readable JSON
+  -h, --help                    Show this help
+
+Listing fields (same names as the action inputs):
+  ${PAYLOAD_INPUTS.map(n => `--${n}`).join(', ')}
+
+Every value option can also be given as an environment variable, e.g.
+NEAR_MARKETPLACE_API_KEY or NEAR_MARKETPLACE_CATEGORY.
+
+Exit codes: 0 ok, 1 validation failed, 2 usage error, 3 project or API error.`;
+
+/** `api-key` → `NEAR_MARKETPLACE_API_KEY` */
+const envName = (flag) => `NEAR_MARKETPLACE_${flag.toUpperCase().replace(/-/g, '_')}`;
+
+/**
+ * Parse argv into a command and option values (flags override environment).
+ * @param {string[]} argv - Arguments after the executable and script.
+ * @param {object} env
+ * @returns {{ command: string, values: Object<string, any> }}
+ * @throws {Error} On unknown flags or a missing/unknown command.
+ */
+function parseCli(argv, env) {
+  const options = {
+    help: { type: 'boolean', short: 'h' },
+    json: { type: 'boolean' },
+  };
+  for (const name of BOOLEAN_OPTIONS) options[name] = { type: 'boolean' };
+  for (const name of STRING_OPTIONS) options[name] = { type: 'string' };
+  options['project-path'].short = 'C';
+
+  const { values, positionals } = parseArgs({ args: argv, options, allowPositionals: true });
+  for (const name of STRING_OPTIONS) {
+    if (values[name] === undefined && env[envName(name)]) values[name] = env[envName(name)];
+  }
+  for (const name of BOOLEAN_OPTIONS) {
+    if (values[name] === undefined) values[name] = env[envName(name)] === 'true';
+  }
+  for (const [name, allowed] of Object.entries(CHOICES)) {
+    if (values[name] !== undefined && !allowed.includes(values[name])) {
+      throw new Error(`Invalid --${name} "${values[name]}". Expected one of: ${allowed.join(', ')}.`);
+    }
+  }
+
+  const [command, ...extra] = positionals;
+  if (values.help) return { command: 'help', values };
+  if (!command) throw new Error('Missing command.');
+  if (!COMMANDS.includes(command)) throw new Error(`Unknown command "${command}". Expected one of: ${COMMANDS.join(', ')}.`);
+  if (extra.length > 0) throw new Error(`Unexpected argument "${extra[0]}".`);
+  return { command, values };
+}
+
+/**
+ * Run the CLI.
+ * @param {string[]} argv - Arguments after the executable and script.
+ * @param {{ env?: object, cwd?: string, out?: (line: string) => void, err?: (line: string) => void }} [io]
+ * @returns {Promise<number>} Exit code (see EXIT).
+ */
+async function main(argv, io = {}) {
+  const env = io.env || process.env;
+  const cwd = io.cwd || process.cwd();
+  const out = io.out || ((line) => process.stdout.write(`${line}\n`));
+  const err = io.err || ((line) => process.stderr.write(`${line}\n`));
+
+  let command;
+  let values;
+  try {
+    ({ command, values } = parseCli(argv, env));
+  } catch (e) {
+    err(`near-marketplace: ${e.message}`);
+    err(USAGE);
+    return EXIT.USAGE;
+  }
+  if (command === 'help') {
+    out(USAGE);
+    return EXIT.OK;
+  }
+
+  const projectPath = path.resolve(cwd, values['project-path'] || '.');
+  const apiKey = values['api-key'] || '';
+  // Kept out of error messages; there is no runner log to mask it in.
+  registerSecret(apiKey, { mask: false });
+  const marketplaceApi = values['marketplace-url'] || DEFAULT_MARKETPLACE_API;
+  if (command === 'submit' && !apiKey) {
+    err(`near-marketplace: submit needs an API key (--api-key or ${envName('api-key')}).`);
+    return EXIT.USAGE;
+  }
+
+  // --- Build and validate ---
+  let payload;
+  let config;
+  let release;
+  let skip;
+  let built;
+  try {
+    config = loadListingConfig(projectPath, values['config-file']);
+    const metadata = readProjectMetadata(projectPath, values.manifest || config.values.manifest);
+    const context = localContext(projectPath);
+    built = buildPayload({
+      metadata,
+      conf:            config.values,
+      inputs:          Object.fromEntries(PAYLOAD_INPUTS.map(name => [name, values[name] || ''])),
+      context,
+      projectPath,
+      workspaceRoot:   context.root,
+      changelogSource: values['changelog-source'] || 'none',
+    });
+    ({ payload, release } = built);
+    skip = built.prerelease && built.policy === 'skip';
+    built.messages.filter(m => m.level === 'warning').forEach(m => err(`⚠ ${m.text}`));
+  } catch (e) {
+    err(`✗ ${e.message}`);
+    return EXIT.FAILED;
+  }
+
+  const { errors, warnings } = validatePayload(payload, config, release);
+  const invalid = errors.length > 0 || (values['fail-on-warning'] && warnings.length > 0);
+
+  if (values.json && command !== 'submit') {
+    out(JSON.stringify({ valid: !invalid, errors, warnings, ...(command === 'preview' ? { payload } : {}) }, null, 2));
+  } else {
+    errors.forEach(e => err(`✗ ${e}`));
+    warnings.forEach(w => err(`⚠ ${w}`));
+    if (command === 'preview') out(JSON.stringify(payload, null, 2));
+  }
+  if (invalid) {
+    if (!values.json || command === 'submit') err(`✗ ${payload.name || projectPath}: validation failed`);
+    return EXIT.INVALID;
+  }
+  if (command !== 'submit') {
+    if (!values.json) err(`✓ ${payload.name} ${payload.version} is valid`);
+    return EXIT.OK;
+  }
+
+  // --- Submit ---
+  if (skip) {
+    err(`⏭ ${payload.version} is a prerelease and --prerelease is "skip" — not submitting`);
+    if (values.json) out(JSON.stringify({ status: 'skipped', warnings }, null, 2));
+    return EXIT.OK;
+  }
+  try {
+    const listingId = values['listing-id'] || config.values['listing-id'] || null;
+    const result = await submitPackage(projectPath, built, {
+      apiKey,
+      marketplaceApi,
+      http:           {},
+      owner:          values.owner,
+      updateExisting: values['update-existing'] !== 'false',
+      updateStrategy: values['update-strategy'] || 'full',
+      allowDowngrade: values['allow-downgrade'],
+      listingUrlTemplate: '',
+    }, {
+      explicit: { id: listingId, source: values['listing-id'] ? '--listing-id' : config.file },
+    });
+    const { status, listingId: finalId, latestVersion } = result;
+    if (values.json) {
+      out(JSON.stringify({ status, listingId: finalId, latestVersion, warnings }, null, 2));
+    } else {
+      out(`✓ ${payload.name} ${payload.version}: ${status} (listing ${finalId}, latest ${latestVersion || 'none'})`);
+    }
+    return EXIT.OK;
+  } catch (e) {
+    err(`✗ ${redact(e.message)}`);
+    return EXIT.FAILED;
+  }
+}
+
+module.exports = { EXIT, parseCli, main };
+
+if (require.main === module) {
+  // @actions/core logs to stdout; keep stdout for command output (e.g. --json) only.
+  const stdout = process.stdout.write.bind(process.stdout);
+  process.stdout.write = process.stderr.write.bind(process.stderr);
+  main(process.argv.slice(2), { out: (line) => stdout(`${line}\n`) }).then((code) => { process.exitCode = code; });
+}
@@ -0,0 +1,151 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { validate } = require('./schema');
+
+// ---------------------------------------------------------------------------
+// Listing config file (.near-marketplace.yml / .json / package.json key)
+// ---------------------------------------------------------------------------
+
+/** Config file names looked up in the project root, in priority order. */
+const CONFIG_FILES = ['.near-marketplace.yml', '.near-marketplace.yaml', '.near-marketplace.json'];
+
+/** Key holding the listing config inside package.json. */
+const PACKAGE_JSON_KEY = 'nearMarketplace';
+
+const SCHEMA_PATH = path.join(__dirname, '..', 'schema', 'near-marketplace.schema.json');
+
+let cachedSchema = null;
+
+/** Load the published JSON Schema for the config file. */
+function loadSchema() {
+  if (!cachedSchema) cachedSchema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+  return cachedSchema;
+}
+
+/**
+ * Parse a YAML/JSON file keeping source positions.
+ * @param {string} filePath
+ * @returns {{ doc: YAML.Document, lineCounter: YAML.LineCounter }}
+ * @throws {Error} On syntax errors, with file:line:column.
+ */
+function parseWithPositions(filePath) {
+  const lineCounter = new YAML.LineCounter();
+  const doc = YAML.parseDocument(fs.readFileSync(filePath, 'utf8'), { lineCounter, prettyErrors: false });
+  if (doc.errors.length > 0) {
+    const err = doc.errors[0];
+    const { line, col } = lineCounter.linePos(err.pos[0]);
+    throw new Error(`Failed to parse ${path.basename(filePath)}:${line}:${col}: ${err.message.split('\n')[0]}`);
+  }
+  return { doc, lineCounter };
+}
+
+/**
+ * Resolve the source position of a value inside a parsed document.
+ * Falls back to the nearest existing ancestor when the path is missing.
+ * @returns {{ line: number, column: number }}
+ */
+function locate(doc, lineCounter, segments) {
+  for (let n = segments.length; n >= 0; n--) {
+    const node = n === 0 ? doc.contents : doc.getIn(segments.slice(0, n), true);
+    if (node && node.range) {
+      const { line, col } = lineCounter.linePos(node.range[0]);
+      return { line, column: col };
+    }
+  }
+  return { line: 1, column: 1 };
+}
+
+/**
+ * Find the config source for a project: an explicit path, a dedicated
+ * config file, or the `nearMarketplace` key in package.json.
+ * @param {string} projectPath
+ * @param {string} [explicitPath] - Value of the `config-file` input.
+ * @returns {{ filePath: string, keyPath: string[] }|null}
+ */
+function findConfigSource(projectPath, explicitPath) {
+  if (explicitPath) {
+    const filePath = path.resolve(projectPath, explicitPath);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Config file not found: "${filePath}". Check the "config-file" input.`);
+    }
+    return { filePath, keyPath: [] };
+  }
+
+  for (const name of CONFIG_FILES) {
+    const filePath = path.join(projectPath, name);
+    if (fs.existsSync(filePath)) return { filePath, keyPath: [] };
+  }
+
+  const pkgPath = path.join(projectPath, 'package.json');
+  if (fs.existsSync(pkgPath)) {
+    try {
+      const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
+      if (pkg && typeof pkg === 'object' && PACKAGE_JSON_KEY in pkg) {
+        return { filePath: pkgPath, keyPath: [PACKAGE_JSON_KEY] };
+      }
+    } catch {
+      // readFromPackageJson reports malformed package.json.
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Load and schema-validate the listing config for a project.
+ *
+ * Values failing validation are dropped from `values` and reported in
+ * `problems`, each with the file, line and column it came from. `positions`
+ * gives the line and column of each top-level key that was kept.
+ *
+ * @param {string} projectPath - Absolute project root.
+ * @param {string} [explicitPath] - Value of the `config-file` input.
+ * @returns {{ file: string|null, values: object, problems: { message: string, file: string, line: number, column: number }[],
+ *   positions: Object<string, { line: number, column: number }> }}
+ * @throws {Error} If the file cannot be parsed.
+ */
+function loadListingConfig(projectPath, explicitPath) {
+  const source = findConfigSource(projectPath, explicitPath);
+  if (!source) return { file: null, values: {}, problems: [], positions: {} };
+
+  const file = path.relative(process.cwd(), source.filePath) || path.basename(source.filePath);
+  const { doc, lineCounter } = parseWithPositions(source.filePath);
+  const root = doc.toJS() || {};
+  const data = source.keyPath.length ? root[source.keyPath[0]] : root;
+
+  const problems = validate(loadSchema(), data === null ? {} : data).map(p => ({
+    message: p.message,
+    file,
+    ...locate(doc, lineCounter, [...source.keyPath, ...p.path]),
+    path: p.path,
+  }));
+
+  const values = data && typeof data === 'object' && !Array.isArray(data) ? { ...data } : {};
+  for (const p of problems) {
+    if (p.path.length > 0) delete values[p.path[0]];
+  }
+  delete values.$schema;
+
+  const positions = Object.fromEntries(Object.keys(values).map(key => [key, locate(doc, lineCounter, [...source.keyPath, key])]));
+  return { file, values, problems, positions };
+}
+
+/**
+ * Format a config problem as `file:line:column: message`.
+ * @param {{ message: string, file: string, line: number, column: number }} problem
+ * @returns {string}
+ */
+function formatProblem(problem) {
+  return `${problem.file}:${problem.line}:${problem.column}: ${problem.message}`;
+}
+
+module.exports = {
+  CONFIG_FILES,
+  PACKAGE_JSON_KEY,
+  SCHEMA_PATH,
+  loadListingConfig,
+  formatProblem,
+};
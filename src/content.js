@@ -0,0 +1,172 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// ---------------------------------------------------------------------------
+// Long description (README) and changelog sources
+// ---------------------------------------------------------------------------
+
+/** Default README names tried for `long-description-file: auto`. */
+const README_FILES = ['README.md', 'readme.md', 'Readme.md', 'README.markdown', 'README'];
+
+/**
+ * Cut a document down to the text between `<!-- <marker>:start -->` and
+ * `<!-- <marker>:end -->`.
+ * @param {string} text
+ * @param {string} marker
+ * @returns {string|null} The section, or null when the start marker is missing.
+ */
+function extractMarkerSection(text, marker) {
+  const escaped = marker.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const start = new RegExp(`<!--\\s*${escaped}:start\\s*-->`).exec(text);
+  if (!start) return null;
+  const rest = text.slice(start.index + start[0].length);
+  const end = new RegExp(`<!--\\s*${escaped}:end\\s*-->`).exec(rest);
+  return (end ? rest.slice(0, end.index) : rest).trim();
+}
+
+/** True for URLs that must be left alone (absolute, anchors, mail, data). */
+function isAbsoluteUrl(url) {
+  return /^(?:[a-z][a-z0-9+.-]*:|\/\/|#)/i.test(url);
+}
+
+/**
+ * Rewrite relative markdown / HTML links and images to absolute GitHub URLs.
+ * Links point at the blob view; images at raw.githubusercontent.com.
+ * @param {string} markdown
+ * @param {{ owner: string, repo: string, ref: string, baseDir: string }} location -
+ *   `baseDir` is the document's directory relative to the repository root.
+ * @returns {string}
+ */
+function rewriteRelativeLinks(markdown, location) {
+  const { owner, repo, ref, baseDir } = location;
+
+  const resolve = (url, image) => {
+    if (!url || isAbsoluteUrl(url)) return url;
+    const [, pathPart, suffix] = /^([^?#]*)(.*)$/.exec(url);
+    const repoPath = pathPart.startsWith('/')
+      ? path.posix.normalize(pathPart.slice(1))
+      : path.posix.normalize(path.posix.join(baseDir || '.', pathPart));
+    // Links escaping the repository cannot be resolved; leave them untouched.
+    if (repoPath.startsWith('..')) return url;
+    return image
+      ? `https://raw.githubusercontent.com/${owner}/${repo}/${ref}/${repoPath}${suffix}`
+      : `https://github.com/${owner}/${repo}/blob/${ref}/${repoPath}${suffix}`;
+  };
+
+  return markdown
+    // ![alt](url "title") and [text](url "title")
+    .replace(/(!?)\[((?:[^\]\\]|\\.)*)\]\(\s*<?([^)\s>]+)>?((?:\s+"[^"]*")?)\s*\)/g,
+      (_, bang, text, url, title) => `${bang}[${text}](${resolve(url, bang === '!')}${title})`)
+    // [id]: url "title"
+    .replace(/^(\s{0,3}\[[^\]]+\]:\s*)(\S+)/gm,
+      (_, prefix, url) => `${prefix}${resolve(url, /\.(png|jpe?g|gif|svg|webp)$/i.test(url))}`)
+    // <img src="..."> and <a href="...">
+    .replace(/(<img\b[^>]*?\bsrc=)(["'])([^"']+)\2/gi, (_, prefix, q, url) => `${prefix}${q}${resolve(url, true)}${q}`)
+    .replace(/(<a\b[^>]*?\bhref=)(["'])([^"']+)\2/gi, (_, prefix, q, url) => `${prefix}${q}${resolve(url, false)}${q}`);
+}
+
+/**
+ * Load a long description from a markdown file.
+ * @param {string} projectPath - Absolute project root.
+ * @param {string} file - Path relative to the project, or `auto` to use the
+ *   manifest `readme` field / a README file.
+ * @param {{ marker?: string, readme?: string, workspaceRoot: string, owner: string, repo: string, ref: string }} options
+ * @returns {{ text: string, file: string, warning?: string }}
+ * @throws {Error} If the file does not exist.
+ */
+function loadLongDescription(projectPath, file, options) {
+  let filePath;
+  if (file === 'auto') {
+    const candidates = [options.readme, ...README_FILES].filter(Boolean);
+    const found = candidates.find(c => fs.existsSync(path.join(projectPath, c)));
+    if (!found) {
+      throw new Error(`long-description-file is "auto" but no README was found in "${projectPath}".`);
+    }
+    filePath = path.join(projectPath, found);
+  } else {
+    filePath = path.resolve(projectPath, file);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Long description file not found: "${filePath}". Check the "long-description-file" input.`);
+    }
+  }
+
+  let text = fs.readFileSync(filePath, 'utf8');
+  let warning;
+  if (options.marker) {
+    const section = extractMarkerSection(text, options.marker);
+    if (section === null) {
+      warning = `Marker "<!-- ${options.marker}:start -->" not found in ${path.basename(filePath)}; using the whole file.`;
+    } else {
+      text = section;
+    }
+  }
+
+  const baseDir = path.relative(options.workspaceRoot, path.dirname(filePath)).split(path.sep).join('/');
+  text = rewriteRelativeLinks(text.trim(), { owner: options.owner, repo: options.repo, ref: options.ref, baseDir });
+
+  return { text, file: path.relative(options.workspaceRoot, filePath), warning };
+}
+
+/**
+ * Extract the section for `version` from a Keep a Changelog document.
+ * Matches `## [1.2.3]`, `## [v1.2.3] - 2024-01-01` and `## 1.2.3`.
+ * @param {string} text
+ * @param {string} version
+ * @returns {string|null}
+ */
+function extractChangelogSection(text, version) {
+  const bare = String(version).replace(/^v/, '');
+  const escaped = bare.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const heading = new RegExp(`^##\\s+\\[?v?${escaped}\\]?(?=[\\s(]|$).*$`, 'm');
+  const match = heading.exec(text);
+  if (!match) return null;
+
+  const rest = text.slice(match.index + match[0].length);
+  const next = /^##?\s/m.exec(rest);
+  const body = next ? rest.slice(0, next.index) : rest;
+
+  // Drop trailing link reference definitions ("[1.2.3]: https://…compare…").
+  const lines = body.split('\n');
+  while (lines.length && (lines[lines.length - 1].trim() === '' || /^\[[^\]]+\]:\s*\S+/.test(lines[lines.length - 1]))) {
+    lines.pop();
+  }
+  return lines.join('\n').trim();
+}
+
+/**
+ * Resolve changelog text from the configured sources.
+ * @param {string} source - `release`, `file`, or `auto` (release, then file).
+ * @param {{ projectPath: string, file: string, version: string, release?: { body?: string } }} options
+ * @returns {{ text: string, origin: string }|null}
+ */
+function resolveChangelog(source, options) {
+  const fromRelease = () => {
+    const body = options.release && typeof options.release.body === 'string' ? options.release.body.trim() : '';
+    return body ? { text: body, origin: 'GitHub release body' } : null;
+  };
+  const fromFile = () => {
+    const filePath = path.resolve(options.projectPath, options.file);
+    if (!fs.existsSync(filePath)) return null;
+    const section = extractChangelogSection(fs.readFileSync(filePath, 'utf8'), options.version);
+    return section ? { text: section, origin: `${path.basename(filePath)} [${options.version}]` } : null;
+  };
+
+  switch (source) {
+    case 'release': return fromRelease();
+    case 'file': return fromFile();
+    case 'auto': return fromRelease() || fromFile();
+    default:
+      throw new Error(`Invalid changelog-source "${source}". Expected one of: none, release, file, auto.`);
+  }
+}
+
+module.exports = {
+  README_FILES,
+  extractMarkerSection,
+  rewriteRelativeLinks,
+  loadLongDescription,
+  extractChangelogSection,
+  resolveChangelog,
+};
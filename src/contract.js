@@ -0,0 +1,248 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { expandGlobs } = require('./glob');
+
+// ---------------------------------------------------------------------------
+// NEAR contract details for the listing
+//
+// For smart-contract projects the listing carries the built wasm's hashes,
+// the contract methods (from the near-sdk ABI, or the wasm exports) and the
+// accounts the contract is deployed to, so users can check that the code
+// on chain is the code that was released. `code_hash` is the base58 SHA-256
+// that `near state <account>` reports for a deployed contract.
+// ---------------------------------------------------------------------------
+
+/** Where contract builds end up, in the order they are searched. */
+const WASM_LOCATIONS = [
+  'target/near/*.wasm',                          // cargo near build
+  'target/near/*/*.wasm',                        // cargo near build, workspace
+  'target/wasm32-unknown-unknown/release/*.wasm', // cargo build --target wasm32-unknown-unknown
+  'build/*.wasm',                                // near-sdk-js
+  'res/*.wasm',
+  'out/*.wasm',
+];
+
+/** ABI files searched when there is none next to the wasm. */
+const ABI_LOCATIONS = ['target/near/*_abi.json', 'target/near/*/*_abi.json', 'abi.json', '*_abi.json', 'build/*.abi.json'];
+
+/** Valid NEAR account ID: named (`app.near`) or implicit (64 hex characters). */
+const ACCOUNT_ID = /^(?=.{2,64}$)(([a-z\d]+[-_])*[a-z\d]+\.)*([a-z\d]+[-_])*[a-z\d]+$/;
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Encode bytes as base58 (Bitcoin alphabet), as NEAR does for hashes.
+ * @param {Buffer} bytes
+ * @returns {string}
+ */
+function base58(bytes) {
+  let n = BigInt(`0x${bytes.toString('hex') || '0'}`);
+  let out = '';
+  while (n > 0n) {
+    out = BASE58_ALPHABET[Number(n % 58n)] + out;
+    n /= 58n;
+  }
+  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) out = `1${out}`;
+  return out;
+}
+
+/**
+ * Names of the functions a WebAssembly module exports (its contract methods).
+ * @param {Buffer} buf
+ * @returns {string[]|null} Null when `buf` is not a WebAssembly module.
+ */
+function wasmExports(buf) {
+  if (buf.length < 8 || buf.readUInt32BE(0) !== 0x0061736D) return null;
+  let pos = 8;
+  const leb = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = buf[pos++];
+      result += (byte & 0x7F) * 2 ** shift;
+      shift += 7;
+    } while (byte & 0x80 && pos < buf.length);
+    return result;
+  };
+
+  while (pos < buf.length) {
+    const id = buf[pos++];
+    const size = leb();
+    const end = pos + size;
+    if (id === 7) {
+      const names = [];
+      for (let count = leb(); count > 0 && pos < end; count--) {
+        const length = leb();
+        const name = buf.toString('utf8', pos, pos + length);
+        pos += length;
+        const kind = buf[pos++];
+        leb();
+        if (kind === 0) names.push(name);
+      }
+      return names;
+    }
+    pos = end;
+  }
+  return [];
+}
+
+/**
+ * Methods described by a near-sdk ABI file (schema 0.x).
+ * @param {object} abi
+ * @returns {{ name: string, kind: 'view'|'call', modifiers: string[], args: string[] }[]}
+ * @throws {Error} When the file is not a near-sdk ABI.
+ */
+function abiMethods(abi) {
+  const functions = abi && abi.body && abi.body.functions;
+  if (!Array.isArray(functions)) throw new Error('expected a near-sdk ABI with body.functions');
+  return functions.map(f => ({
+    name:      f.name,
+    kind:      f.kind === 'view' ? 'view' : 'call',
+    modifiers: Array.isArray(f.modifiers) ? f.modifiers : [],
+    args:      ((f.params && f.params.args) || []).map(a => a.name),
+  }));
+}
+
+/**
+ * Parse the contract accounts: `network=account` entries from the input, or
+ * a `{ network: account }` map from the config.
+ * @param {string|object|undefined} value
+ * @returns {Object<string, string>}
+ * @throws {Error} On malformed entries.
+ */
+function parseAccounts(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return { ...value };
+  const accounts = {};
+  for (const entry of String(value).split(/[,\n]/).map(s => s.trim()).filter(Boolean)) {
+    const match = /^([\w-]+)\s*[=:]\s*(\S+)$/.exec(entry);
+    if (!match) {
+      throw new Error(`Invalid "contract-accounts" entry "${entry}". Expected network=account, e.g. mainnet=app.near, testnet=app.testnet.`);
+    }
+    accounts[match[1]] = match[2];
+  }
+  return accounts;
+}
+
+/** The one wasm in the first build location that has any, or null. */
+function findWasm(projectPath, name) {
+  for (const pattern of WASM_LOCATIONS) {
+    const files = expandGlobs(projectPath, [pattern]);
+    if (files.length === 0) continue;
+    if (files.length === 1) return { file: files[0] };
+    // Several contracts: prefer the one named after the package.
+    const stem = String(name || '').replace(/-/g, '_');
+    const named = files.filter(f => path.basename(f, '.wasm').replace(/-/g, '_') === stem);
+    return named.length === 1 ? { file: named[0] } : { ambiguous: files };
+  }
+  return null;
+}
+
+/** The ABI next to the wasm (cargo near writes `<name>_abi.json`), else in a known location. */
+function findAbi(projectPath, wasmFile) {
+  if (wasmFile) {
+    const stem = wasmFile.replace(/\.wasm$/, '');
+    const sibling = [`${stem}_abi.json`, `${stem}.abi.json`].find(f => fs.existsSync(path.join(projectPath, f)));
+    if (sibling) return sibling;
+  }
+  for (const pattern of ABI_LOCATIONS) {
+    const [file] = expandGlobs(projectPath, [pattern]);
+    if (file) return file;
+  }
+  return null;
+}
+
+/**
+ * Find the contract build and ABI of a project and describe them for the
+ * listing.
+ * @param {string} projectPath - Absolute project root.
+ * @param {{ name?: string, wasm?: string, abi?: string, accounts?: string|object, detect?: boolean }} sources - Package
+ *   name, the `contract-wasm` / `contract-abi` paths (relative to the project; "none"
+ *   turns the search off) and `contract-accounts`. The build locations are only searched
+ *   with `detect`, i.e. for NEAR contract projects; other projects may have an unrelated
+ *   abi.json or build/*.wasm.
+ * @returns {{ contract: { wasm: object|null, abi: object|null, methods: object[], accounts: object }|null,
+ *   messages: { level: string, text: string }[] }} `contract` is null when the project has none.
+ * @throws {Error} When an explicit file is missing or unreadable, or the accounts are malformed.
+ */
+function collectContract(projectPath, sources) {
+  const messages = [];
+  const accounts = parseAccounts(sources.accounts);
+  const off = sources.wasm === 'none';
+  const search = !off && Boolean(sources.detect);
+
+  let wasmFile = null;
+  if (sources.wasm && !off) {
+    if (!fs.existsSync(path.join(projectPath, sources.wasm))) {
+      throw new Error(`Contract wasm not found: "${sources.wasm}" (relative to project-path). Build the contract before this step, or check the "contract-wasm" input.`);
+    }
+    wasmFile = sources.wasm;
+  } else if (search) {
+    const found = findWasm(projectPath, sources.name);
+    if (found && found.ambiguous) {
+      messages.push({ level: 'warning', text: `Found several contract builds (${found.ambiguous.join(', ')}); set "contract-wasm" to choose one` });
+    } else if (found) {
+      wasmFile = found.file;
+    }
+  }
+
+  let abiFile = null;
+  if (sources.abi) {
+    if (!fs.existsSync(path.join(projectPath, sources.abi))) {
+      throw new Error(`Contract ABI not found: "${sources.abi}" (relative to project-path). Check the "contract-abi" input.`);
+    }
+    abiFile = sources.abi;
+  } else if (search || wasmFile) {
+    abiFile = findAbi(projectPath, wasmFile);
+  }
+
+  let abi = null;
+  let abiMethodList = [];
+  if (abiFile) {
+    try {
+      abi = JSON.parse(fs.readFileSync(path.join(projectPath, abiFile), 'utf8'));
+      abiMethodList = abiMethods(abi);
+    } catch (err) {
+      if (sources.abi) throw new Error(`Failed to read contract ABI ${abiFile}: ${err.message}. Check the "contract-abi" input.`);
+      // A found file may be some other ABI (e.g. an EVM one); leave it out.
+      messages.push({ level: 'warning', text: `Skipped ${abiFile}: ${err.message}; set "contract-abi" to choose the ABI` });
+      abiFile = null;
+    }
+  }
+
+  if (!wasmFile && !abiFile && Object.keys(accounts).length === 0) return { contract: null, messages };
+
+  const contract = { wasm: null, abi: null, methods: [], accounts };
+  let exported = null;
+  if (wasmFile) {
+    const bytes = fs.readFileSync(path.join(projectPath, wasmFile));
+    exported = wasmExports(bytes);
+    if (exported === null) throw new Error(`"${wasmFile}" is not a WebAssembly module. Check the "contract-wasm" input.`);
+    const digest = crypto.createHash('sha256').update(bytes).digest();
+    contract.wasm = { file: wasmFile.split(path.sep).join('/'), size: bytes.length, sha256: digest.toString('hex'), code_hash: base58(digest) };
+    contract.methods = exported.map(name => ({ name, kind: null, modifiers: [], args: [] }));
+  }
+
+  if (abiFile) {
+    contract.methods = abiMethodList;
+    contract.abi = { file: abiFile.split(path.sep).join('/'), schema_version: abi.schema_version || null };
+    const missing = exported ? contract.methods.filter(m => !exported.includes(m.name)).map(m => m.name) : [];
+    if (missing.length > 0) {
+      messages.push({ level: 'warning', text: `${abiFile} lists methods the wasm does not export (${missing.join(', ')}); is it from another build?` });
+    }
+  }
+
+  const parts = [];
+  if (contract.wasm) parts.push(`${contract.wasm.file} (code hash ${contract.wasm.code_hash})`);
+  parts.push(`${contract.methods.length} method${contract.methods.length === 1 ? '' : 's'}${contract.abi ? ` from ${contract.abi.file}` : ''}`);
+  const networks = Object.entries(accounts).map(([network, account]) => `${network}: ${account}`);
+  if (networks.length > 0) parts.push(networks.join(', '));
+  messages.push({ level: 'info', text: `✓ Found contract ${parts.join(' · ')}` });
+  return { contract, messages };
+}
+
+module.exports = { WASM_LOCATIONS, ACCOUNT_ID, base58, wasmExports, abiMethods, parseAccounts, collectContract };
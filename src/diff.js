@@ -0,0 +1,116 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Field-level listing diff
+// ---------------------------------------------------------------------------
+
+/**
+ * Payload paths that change on every run and never make a listing "changed"
+ * on their own.
+ */
+const VOLATILE_PATHS = new Set([
+  'metadata.submitted_at',
+  'metadata.github_run_id',
+  'metadata.github_sha',
+]);
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+/** Treat '', null, undefined and empty arrays as the same "unset" value. */
+function isUnset(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Structural equality of JSON values. Object key order does not matter
+ * (the API may echo keys in any order); array order does.
+ */
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((v, i) => deepEqual(v, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    // Keys holding undefined are absent once serialised.
+    const keys = (o) => Object.keys(o).filter(k => o[k] !== undefined);
+    const keysA = keys(a);
+    return keysA.length === keys(b).length && keysA.every(k => b[k] !== undefined && deepEqual(a[k], b[k]));
+  }
+  return false;
+}
+
+function sameValue(a, b) {
+  if (isUnset(a) && isUnset(b)) return true;
+  return deepEqual(a, b);
+}
+
+/**
+ * Compute the field-level differences between the live listing and the new
+ * payload. Only keys present in the payload are compared, so server-managed
+ * fields (id, owner, created_at…) never show up.
+ *
+ * @param {object} current - Listing as returned by the API.
+ * @param {object} next - Payload about to be sent.
+ * @param {{ ignore?: Set<string> }} [options] - Dotted paths to skip.
+ * @returns {{ path: string, kind: 'added'|'removed'|'changed', before: any, after: any }[]}
+ */
+function diffListing(current, next, options = {}) {
+  const ignore = options.ignore || VOLATILE_PATHS;
+  const changes = [];
+
+  const walk = (before, after, prefix) => {
+    for (const key of Object.keys(after)) {
+      const at = prefix ? `${prefix}.${key}` : key;
+      if (ignore.has(at)) continue;
+      const a = before ? before[key] : undefined;
+      const b = after[key];
+      if (isPlainObject(b) && (isPlainObject(a) || isUnset(a))) {
+        walk(isPlainObject(a) ? a : {}, b, at);
+      } else if (!sameValue(a, b)) {
+        const kind = isUnset(a) ? 'added' : (isUnset(b) ? 'removed' : 'changed');
+        changes.push({ path: at, kind, before: a, after: b });
+      }
+    }
+  };
+
+  walk(isPlainObject(current) ? current : {}, next, '');
+  return changes;
+}
+
+/**
+ * Build a partial payload containing only the top-level fields that changed.
+ * Nested objects are sent whole.
+ * @param {object} payload
+ * @param {{ path: string }[]} changes
+ * @returns {object}
+ */
+function changedFields(payload, changes) {
+  const out = {};
+  for (const { path } of changes) {
+    const top = path.split('.')[0];
+    out[top] = payload[top];
+  }
+  return out;
+}
+
+/** Render a value for a one-line diff entry. */
+function preview(value, max = 80) {
+  if (isUnset(value)) return '(empty)';
+  const text = JSON.stringify(value);
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+/**
+ * Format a diff as human-readable lines (`~ field: old → new`).
+ * @param {{ path: string, kind: string, before: any, after: any }[]} changes
+ * @returns {string[]}
+ */
+function formatDiff(changes) {
+  return changes.map(({ path, kind, before, after }) => {
+    if (kind === 'added') return `+ ${path}: ${preview(after)}`;
+    if (kind === 'removed') return `- ${path}: ${preview(before)}`;
+    return `~ ${path}: ${preview(before)} → ${preview(after)}`;
+  });
+}
+
+module.exports = { VOLATILE_PATHS, diffListing, changedFields, formatDiff };
@@ -0,0 +1,55 @@
+'use strict';
+
+const { execFileSync } = require('child_process');
+
+// ---------------------------------------------------------------------------
+// Local git checkout inspection (used outside GitHub Actions)
+// ---------------------------------------------------------------------------
+
+/**
+ * Run a git command and return its trimmed output.
+ * @param {string[]} args
+ * @param {string} cwd
+ * @returns {string|null} Null when git fails or is not installed.
+ */
+function git(args, cwd) {
+  try {
+    return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Extract owner and repository from a GitHub remote URL
+ * (`https://github.com/o/r.git`, `git@github.com:o/r.git`, `ssh://git@github.com/o/r`).
+ * @param {string} url
+ * @returns {{ owner: string, repo: string }|null}
+ */
+function parseGitHubRemote(url) {
+  const match = /github\.com[:/]([^/\s]+)\/([^/\s]+?)(?:\.git)?\/?$/.exec(url || '');
+  return match ? { owner: match[1], repo: match[2] } : null;
+}
+
+/**
+ * Describe the checkout containing `cwd` in the shape buildPayload expects.
+ * The ref is the tag pointing at HEAD when there is one, else the branch.
+ * @param {string} cwd
+ * @returns {{ owner: string, repo: string, ref: string, sha: string, actor: string, runId: null,
+ *   viaAction: false, root: string }}
+ */
+function localContext(cwd) {
+  const remote = parseGitHubRemote(git(['remote', 'get-url', 'origin'], cwd)) || { owner: '', repo: '' };
+  const tag = git(['describe', '--tags', '--exact-match', 'HEAD'], cwd);
+  return {
+    ...remote,
+    ref:       tag ? `refs/tags/${tag}` : (git(['symbolic-ref', '-q', 'HEAD'], cwd) || ''),
+    sha:       git(['rev-parse', 'HEAD'], cwd) || '',
+    actor:     git(['config', 'user.name'], cwd) || '',
+    runId:     null,
+    viaAction: false,
+    root:      git(['rev-parse', '--show-toplevel'], cwd) || cwd,
+  };
+}
+
+module.exports = { git, parseGitHubRemote, localContext };
@@ -0,0 +1,147 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// ---------------------------------------------------------------------------
+// Minimal glob matcher
+//
+// Supports `*`, `?`, `**`, `{a,b}` alternation and `!` negation, which is all
+// that workspace globs (npm, pnpm, Cargo) and action inputs need in practice.
+// ---------------------------------------------------------------------------
+
+/** Directories never descended into while walking. */
+const IGNORED_DIRS = new Set(['node_modules', '.git', 'target', 'dist', '.venv', '__pycache__']);
+
+/**
+ * Compile a glob pattern to a RegExp matching POSIX-style relative paths.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  const glob = normalisePattern(pattern);
+  let re = '';
+  let inGroup = false;
+
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*') {
+      if (glob[i + 1] === '*') {
+        const atStart = i === 0 || glob[i - 1] === '/';
+        const atEnd = i + 2 === glob.length || glob[i + 2] === '/';
+        if (atStart && atEnd) {
+          // `**/` matches zero or more whole directories.
+          if (glob[i + 2] === '/') { re += '(?:[^/]+/)*'; i += 2; }
+          else { re += '.*'; i += 1; }
+          continue;
+        }
+        re += '[^/]*';
+        i += 1;
+        continue;
+      }
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '{') {
+      inGroup = true;
+      re += '(?:';
+    } else if (c === '}' && inGroup) {
+      inGroup = false;
+      re += ')';
+    } else if (c === ',' && inGroup) {
+      re += '|';
+    } else {
+      re += c.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${re}$`);
+}
+
+/** Strip `./` prefixes and trailing slashes; use forward slashes. */
+function normalisePattern(pattern) {
+  return pattern.trim().replace(/\\/g, '/').replace(/^(\.\/)+/, '').replace(/\/+$/, '').replace(/^\.$/, '');
+}
+
+/** Leading path segments that contain no glob syntax. */
+function staticPrefix(pattern) {
+  const parts = normalisePattern(pattern).split('/');
+  const fixed = [];
+  for (const part of parts.slice(0, -1)) {
+    if (/[*?{}]/.test(part)) break;
+    fixed.push(part);
+  }
+  return fixed.join('/');
+}
+
+/**
+ * Recursively list entries below `dir`, as POSIX paths relative to `root`.
+ * @param {string} root
+ * @param {string} dir - Relative start directory ('' for root).
+ * @param {boolean} directories - List directories instead of files.
+ * @param {string[]} out
+ */
+function walk(root, dir, directories, out) {
+  let entries;
+  try {
+    entries = fs.readdirSync(path.join(root, dir), { withFileTypes: true });
+  } catch {
+    return;
+  }
+  for (const entry of entries) {
+    const rel = dir ? `${dir}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      if (IGNORED_DIRS.has(entry.name)) continue;
+      if (directories) out.push(rel);
+      walk(root, rel, directories, out);
+    } else if (!directories && entry.isFile()) {
+      out.push(rel);
+    }
+  }
+}
+
+/**
+ * Expand glob patterns relative to `root`.
+ * Patterns starting with `!` remove earlier matches.
+ * @param {string} root - Absolute base directory.
+ * @param {string[]} patterns
+ * @param {{ directories?: boolean }} [options] - Match directories rather than files.
+ * @returns {string[]} Sorted POSIX paths relative to `root`.
+ */
+function expandGlobs(root, patterns, options = {}) {
+  const directories = Boolean(options.directories);
+  const include = patterns.filter(p => p.trim() && !p.trim().startsWith('!'));
+  const exclude = patterns.filter(p => p.trim().startsWith('!')).map(p => globToRegExp(p.trim().slice(1)));
+
+  const matches = new Set();
+  const walked = new Map();
+  for (const pattern of include) {
+    const re = globToRegExp(pattern);
+    const base = staticPrefix(pattern);
+    if (!walked.has(base)) {
+      const entries = [];
+      if (directories && base && fs.existsSync(path.join(root, base))) entries.push(base);
+      walk(root, base, directories, entries);
+      walked.set(base, entries);
+    }
+    for (const entry of walked.get(base)) {
+      if (re.test(entry)) matches.add(entry);
+    }
+    // A pattern without wildcards may name the root itself.
+    if (directories && normalisePattern(pattern) === '') matches.add('');
+  }
+
+  return [...matches].filter(m => !exclude.some(re => re.test(m))).sort();
+}
+
+/**
+ * Split a comma- or newline-separated list input into trimmed entries.
+ * Commas inside `{a,b}` alternations are kept.
+ * @param {string} value
+ * @returns {string[]}
+ */
+function splitList(value) {
+  return String(value || '').split(/\n|,(?![^{]*\})/).map(s => s.trim()).filter(Boolean);
+}
+
+module.exports = { globToRegExp, expandGlobs, splitList };
@@ -0,0 +1,282 @@
+'use strict';
+
+const core = require('@actions/core');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { redact, redactValue } = require('./redact');
+
+// ---------------------------------------------------------------------------
+// HTTP helper
+// ---------------------------------------------------------------------------
+
+/** Defaults for timeouts and retries; overridable per request. */
+const HTTP_DEFAULTS = {
+  timeout: 30000,     // per attempt, in ms
+  retries: 3,         // additional attempts after the first
+  retryDelay: 1000,   // base backoff delay, in ms
+  maxDelay: 30000,    // cap for a single backoff delay, in ms
+  maxRetryAfter: 300000, // longest Retry-After we are willing to wait, in ms
+  trace: false,       // log each request and response (redacted)
+};
+
+/** Longest body shown by the HTTP trace, in characters. */
+const TRACE_BODY_LIMIT = 2000;
+
+/** HTTP status codes worth retrying. */
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+/** Network error codes worth retrying. */
+const RETRYABLE_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ETIMEDOUT', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH',
+]);
+
+/** Error raised for non-2xx responses. Carries the status and parsed body. */
+class HttpError extends Error {
+  constructor(message, statusCode, body, headers = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.body = body;
+    this.headers = headers;
+  }
+}
+
+/** Error raised for connection failures and timeouts. */
+class NetworkError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'NetworkError';
+    this.code = code;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds.
+ * @param {string|undefined} value
+ * @param {number} [now] - Current time, for testing.
+ * @returns {number|null}
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Exponential backoff with jitter: a random delay between half and the full
+ * value of `retryDelay * 2^(attempt - 1)`, capped at `maxDelay`.
+ * @param {number} attempt - 1-based number of the attempt that just failed.
+ * @param {{ retryDelay: number, maxDelay: number }} opts
+ * @param {() => number} [random]
+ * @returns {number} Milliseconds.
+ */
+function backoffDelay(attempt, opts, random = Math.random) {
+  const ceiling = Math.min(opts.maxDelay, opts.retryDelay * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + random() * (ceiling / 2));
+}
+
+/** True when a failed attempt may be retried for this method. */
+function isRetryable(err, method, idempotent) {
+  if (method === 'POST' && !idempotent) return false;
+  if (err instanceof HttpError) return RETRYABLE_STATUS.has(err.statusCode);
+  return err instanceof NetworkError && (err.code === 'TIMEOUT' || RETRYABLE_CODES.has(err.code));
+}
+
+/**
+ * Encode a multipart/form-data body. Parts with `data` are sent as files.
+ * @param {{ name: string, value?: string, filename?: string, contentType?: string, data?: Buffer }[]} parts
+ * @param {string} [boundary]
+ * @returns {{ body: Buffer, contentType: string }}
+ */
+function encodeMultipart(parts, boundary = `----near-marketplace-${crypto.randomBytes(12).toString('hex')}`) {
+  const chunks = [];
+  for (const part of parts) {
+    const name = part.name.replace(/"/g, '%22');
+    if (part.data !== undefined) {
+      const filename = (part.filename || part.name).replace(/"/g, '%22');
+      chunks.push(Buffer.from(
+        `--${boundary}\r\nContent-Disposition: form-data; name="${name}"; filename="${filename}"\r\n` +
+        `Content-Type: ${part.contentType || 'application/octet-stream'}\r\n\r\n`
+      ), part.data, Buffer.from('\r\n'));
+    } else {
+      chunks.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${part.value}\r\n`));
+    }
+  }
+  chunks.push(Buffer.from(`--${boundary}--\r\n`));
+  return { body: Buffer.concat(chunks), contentType: `multipart/form-data; boundary=${boundary}` };
+}
+
+/**
+ * Perform a single request attempt.
+ * @returns {Promise<{ statusCode: number, headers: object, body: any }>}
+ */
+function requestOnce(url, options, serialised, timeout) {
+  return new Promise((resolve, reject) => {
+    const urlObj = new URL(url);
+    const secure = urlObj.protocol === 'https:';
+    const reqOptions = {
+      hostname: urlObj.hostname,
+      port: urlObj.port || (secure ? 443 : 80),
+      path: urlObj.pathname + urlObj.search,
+      method: options.method || 'GET',
+      headers: options.headers || {},
+    };
+
+    const transport = secure ? https : http;
+    const req = transport.request(reqOptions, (res) => {
+      let body = '';
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => {
+        let parsed;
+        try { parsed = JSON.parse(body); } catch { parsed = body; }
+
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve({ statusCode: res.statusCode, headers: res.headers || {}, body: parsed });
+        } else {
+          const detail = typeof parsed === 'object'
+            ? (parsed.message || parsed.error || JSON.stringify(parsed))
+            : body.slice(0, 200);
+          reject(new HttpError(
+            redact(`Marketplace API returned HTTP ${res.statusCode}: ${detail}. URL: ${url}`, { headers: true }),
+            res.statusCode,
+            parsed,
+            res.headers || {}
+          ));
+        }
+      });
+    });
+
+    req.setTimeout(timeout, () => {
+      req.destroy(Object.assign(new Error(`request timed out after ${timeout}ms`), { code: 'TIMEOUT' }));
+    });
+
+    req.on('error', (err) => reject(new NetworkError(redact(`Network error calling marketplace API: ${err.message}`), err.code)));
+
+    if (serialised !== null) {
+      req.setHeader('Content-Length', Buffer.byteLength(serialised));
+      req.write(serialised);
+    }
+
+    req.end();
+  });
+}
+
+/**
+ * Short, redacted description of a request or response body for the trace.
+ * @param {any} body
+ * @returns {string}
+ */
+function traceBody(body) {
+  if (body === null || body === undefined || body === '') return '(empty)';
+  if (Buffer.isBuffer(body)) return `<${body.length} bytes>`;
+  const text = typeof body === 'string' ? redact(body, { headers: true }) : JSON.stringify(redactValue(body));
+  return text.length > TRACE_BODY_LIMIT ? `${text.slice(0, TRACE_BODY_LIMIT)}… (${text.length} chars)` : text;
+}
+
+/**
+ * Log a request or response in the HTTP trace. Headers and bodies are
+ * redacted, so the trace is safe in public logs.
+ * @param {string} line - Request or status line.
+ * @param {object} headers
+ * @param {any} body
+ */
+function trace(line, headers, body) {
+  core.info(`   ⇄ ${redact(line)}`);
+  for (const [name, value] of Object.entries(redactValue(headers || {}))) core.info(`     ${name}: ${value}`);
+  core.info(`     body: ${traceBody(body)}`);
+}
+
+/**
+ * Make an HTTP(S) request and return the parsed response.
+ *
+ * `https://` is the norm; plain `http://` is accepted so a local stand-in
+ * (see mock-server.js) can be targeted through `marketplace-url`.
+ *
+ * Network errors, timeouts, 429 and 5xx responses are retried with
+ * exponential backoff and jitter; a 429/503 `Retry-After` header is honoured.
+ * POST requests are only retried when an idempotency key is supplied, which
+ * is sent as the `Idempotency-Key` header.
+ *
+ * With `multipart`, the parts are sent as multipart/form-data and `data` is
+ * ignored.
+ *
+ * With `trace`, every attempt and its response are logged with credentials
+ * redacted (see redact.js). Error messages are always redacted.
+ *
+ * @param {string} url
+ * @param {{ method?: string, headers?: object, timeout?: number, retries?: number,
+ *   retryDelay?: number, maxDelay?: number, maxRetryAfter?: number, idempotencyKey?: string,
+ *   multipart?: object[], trace?: boolean }} options - `multipart` takes the parts accepted by encodeMultipart.
+ * @param {object|string|Buffer|null} data - JSON body (for POST/PUT).
+ * @returns {Promise<{ statusCode: number, headers: object, body: any }>}
+ * @throws {HttpError|NetworkError} After the last failed attempt.
+ */
+async function httpsRequest(url, options, data = null) {
+  const opts = { ...HTTP_DEFAULTS, ...options };
+  const { protocol } = new URL(url);
+  if (protocol !== 'https:' && protocol !== 'http:') {
+    throw new Error(`Unsupported marketplace URL protocol "${protocol}" in ${url}. Use https:// (or http:// for local testing).`);
+  }
+  const method = (opts.method || 'GET').toUpperCase();
+  const headers = { ...(opts.headers || {}) };
+  if (opts.idempotencyKey) headers['Idempotency-Key'] = opts.idempotencyKey;
+
+  let serialised = data === null || data === undefined
+    ? null
+    : (typeof data === 'string' || Buffer.isBuffer(data) ? data : JSON.stringify(data));
+  if (opts.multipart) {
+    const encoded = encodeMultipart(opts.multipart);
+    headers['Content-Type'] = encoded.contentType;
+    serialised = encoded.body;
+  }
+  const attempts = Math.max(0, opts.retries) + 1;
+
+  for (let attempt = 1; ; attempt++) {
+    core.debug(redact(`${method} ${url} (attempt ${attempt}/${attempts})`));
+    if (opts.trace) {
+      trace(`${method} ${url} (attempt ${attempt}/${attempts})`, headers,
+        opts.multipart ? `<multipart: ${opts.multipart.map(p => p.name).join(', ')}; ${serialised.length} bytes>` : serialised);
+    }
+    const started = Date.now();
+    try {
+      const response = await requestOnce(url, { method, headers }, serialised, opts.timeout);
+      if (opts.trace) trace(`HTTP ${response.statusCode} in ${Date.now() - started}ms`, response.headers, response.body);
+      return response;
+    } catch (err) {
+      if (opts.trace) {
+        if (err instanceof HttpError) trace(`HTTP ${err.statusCode} in ${Date.now() - started}ms`, err.headers, err.body);
+        else core.info(`   ⇄ ${err.message}`);
+      }
+      if (attempt >= attempts || !isRetryable(err, method, Boolean(opts.idempotencyKey))) throw err;
+
+      let delay = backoffDelay(attempt, opts);
+      const retryAfter = err instanceof HttpError ? parseRetryAfter(err.headers['retry-after']) : null;
+      if (retryAfter !== null) {
+        if (retryAfter > opts.maxRetryAfter) {
+          throw new HttpError(`${err.message} (Retry-After of ${Math.round(retryAfter / 1000)}s exceeds the retry budget)`,
+            err.statusCode, err.body, err.headers);
+        }
+        delay = Math.max(delay, retryAfter);
+      }
+
+      const reason = err instanceof HttpError ? `HTTP ${err.statusCode}` : err.message;
+      core.info(`   ↻ ${method} attempt ${attempt}/${attempts} failed (${reason}); retrying in ${(delay / 1000).toFixed(1)}s`);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  HTTP_DEFAULTS,
+  HttpError,
+  NetworkError,
+  httpsRequest,
+  encodeMultipart,
+  parseRetryAfter,
+  backoffDelay,
+};
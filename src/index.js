@@ -4,7 +4,22 @@ const core = require('@actions/core');
 const github = require('@actions/github');
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
+const crypto = require('crypto');
+const toml = require('./toml');
+const { splitList } = require('./glob');
+const { discoverPackages } = require('./workspace');
+const manifests = require('./manifests');
+const { str, strList, authorName, pickUrl, normaliseRepoUrl } = manifests;
+const { loadListingConfig, formatProblem } = require('./config');
+const { PAYLOAD_INPUTS, buildPayload } = require('./payload');
+const { runRules } = require('./rules');
+const { compareSemver } = require('./semver');
+const { httpsRequest, HttpError } = require('./http');
+const { diffListing, changedFields, formatDiff } = require('./diff');
+const { createReport, publishReport, writeReportFiles } = require('./report');
+const { parseTargets } = require('./targets');
+const { CONFIG_RULE, workflowPath, locateFindings } = require('./sarif');
+const { registerSecret, redact } = require('./redact');
 
 // ---------------------------------------------------------------------------
 // Constants
@@ -12,11 +27,22 @@ const https = require('https');
 
 const DEFAULT_MARKETPLACE_API = 'https://market.near.ai/v1';
 
-/** Required fields that must be non-empty in the final payload. */
-const REQUIRED_FIELDS = ['name', 'version', 'description', 'category', 'repository'];
+/** Values of the `operation` input. */
+const OPERATIONS = ['submit', 'publish', 'deprecate', 'unpublish', 'archive', 'restore', 'yank', 'unyank', 'mark-latest'];
 
-/** Optional fields that produce warnings when absent. */
-const OPTIONAL_FIELDS = ['homepage', 'long_description', 'changelog', 'license'];
+/** Operations that act on one version of the listing rather than the listing itself. */
+const VERSION_OPERATIONS = ['yank', 'unyank', 'mark-latest'];
+
+/** Step status reported after each lifecycle operation. */
+const OPERATION_STATUS = {
+  deprecate:     'deprecated',
+  unpublish:     'unpublished',
+  archive:       'archived',
+  restore:       'restored',
+  yank:          'yanked',
+  unyank:        'unyanked',
+  'mark-latest': 'latest',
+};
 
 // ---------------------------------------------------------------------------
 // Metadata parsers
@@ -48,11 +74,26 @@ function readFromPackageJson(projectPath) {
     keywords: Array.isArray(pkg.keywords) ? pkg.keywords : [],
     author: typeof pkg.author === 'object' ? pkg.author.name : pkg.author,
     license: pkg.license,
+    private: pkg.private === true,
   };
 }
 
 /**
- * Read project metadata from pyproject.toml (Python / PEP 518).
+ * Parse a TOML manifest, turning syntax errors into a readable message.
+ * @param {string} filePath
+ * @returns {object}
+ */
+function readTomlFile(filePath) {
+  try {
+    return toml.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Failed to parse ${path.basename(filePath)}: ${err.message}`);
+  }
+}
+
+/**
+ * Read project metadata from pyproject.toml (Python / PEP 621, Poetry).
+ * Values from `[project]` win over `[tool.poetry]`.
  * @param {string} projectPath
  * @returns {object|null}
  */
@@ -60,28 +101,82 @@ function readFromPyproject(projectPath) {
   const filePath = path.join(projectPath, 'pyproject.toml');
   if (!fs.existsSync(filePath)) return null;
 
-  const toml = fs.readFileSync(filePath, 'utf8');
-  const extract = (key) => { const m = toml.match(new RegExp(`${key}\\s*=\\s*"([^"]+)"`)); return m ? m[1] : undefined; };
-  const extractList = (key) => {
-    const m = toml.match(new RegExp(`${key}\\s*=\\s*\\[([^\\]]+)\\]`));
-    if (!m) return [];
-    return m[1].split(',').map(k => k.trim().replace(/^"|"$/g, '')).filter(Boolean);
-  };
+  const doc = readTomlFile(filePath);
+  const project = doc.project || {};
+  const poetry = (doc.tool && doc.tool.poetry) || {};
+
+  // PEP 621 allows `license = "MIT"`, `{ text = "..." }` or `{ file = "..." }`.
+  const license = str(project.license)
+    || (project.license && str(project.license.text))
+    || str(poetry.license);
+
+  // `readme` may be a path, `{ file = "..." }`, or (Poetry) a list of paths.
+  const readme = str(project.readme)
+    || (project.readme && str(project.readme.file))
+    || str(poetry.readme)
+    || strList(poetry.readme)[0];
+
+  const authors = (Array.isArray(project.authors) ? project.authors : strList(poetry.authors))
+    .map(authorName)
+    .filter(Boolean);
+
+  const keywords = strList(project.keywords);
 
   core.info('✓ Found pyproject.toml');
   return {
-    name: extract('name'),
-    version: extract('version'),
-    description: extract('description'),
-    homepage: extract('homepage') || extract('"Homepage"'),
-    repository: extract('repository') || extract('"Repository"'),
-    keywords: extractList('keywords'),
-    license: extract('license'),
+    name: str(project.name) || str(poetry.name),
+    version: str(project.version) || str(poetry.version),
+    description: str(project.description) || str(poetry.description),
+    homepage: pickUrl(project.urls, ['Homepage', 'Home-page', 'Home']) || str(poetry.homepage),
+    repository: pickUrl(project.urls, ['Repository', 'Source', 'Source Code', 'Code']) || str(poetry.repository),
+    keywords: keywords.length ? keywords : strList(poetry.keywords),
+    author: authors[0],
+    authors,
+    license,
+    readme,
+    private: strList(project.classifiers).includes('Private :: Do Not Upload'),
   };
 }
 
 /**
- * Read project metadata from Cargo.toml (Rust).
+ * Locate the Cargo workspace root for a crate.
+ * Honours an explicit `package.workspace` path, otherwise walks up from the
+ * crate directory (inclusive) to the first Cargo.toml with a `[workspace]` table.
+ * @param {string} projectPath - Crate directory.
+ * @param {string} [explicitRoot] - Value of `package.workspace`, relative to the crate.
+ * @returns {{ dir: string, doc: object }|null}
+ */
+function findCargoWorkspaceRoot(projectPath, explicitRoot) {
+  if (explicitRoot) {
+    const dir = path.resolve(projectPath, explicitRoot);
+    const filePath = path.join(dir, 'Cargo.toml');
+    if (!fs.existsSync(filePath)) return null;
+    const doc = readTomlFile(filePath);
+    return doc.workspace ? { dir, doc } : null;
+  }
+
+  let dir = path.resolve(projectPath);
+  for (;;) {
+    const filePath = path.join(dir, 'Cargo.toml');
+    if (fs.existsSync(filePath)) {
+      const doc = readTomlFile(filePath);
+      if (doc.workspace) return { dir, doc };
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/** True for a `key.workspace = true` / `key = { workspace = true }` entry. */
+function isWorkspaceInherited(value) {
+  return Boolean(value) && typeof value === 'object' && value.workspace === true;
+}
+
+/**
+ * Read project metadata from Cargo.toml (Rust). Only `[package]` is consulted.
+ * Fields marked `workspace = true` are resolved from `[workspace.package]`
+ * of the enclosing workspace root.
  * @param {string} projectPath
  * @returns {object|null}
  */
@@ -89,137 +184,168 @@ function readFromCargo(projectPath) {
   const filePath = path.join(projectPath, 'Cargo.toml');
   if (!fs.existsSync(filePath)) return null;
 
-  const toml = fs.readFileSync(filePath, 'utf8');
-  const extract = (key) => { const m = toml.match(new RegExp(`${key}\\s*=\\s*"([^"]+)"`)); return m ? m[1] : undefined; };
-  const kw = toml.match(/keywords\s*=\s*\[(.*?)\]/s);
+  const doc = readTomlFile(filePath);
+  const pkg = doc.package || {};
+
+  const inherited = Object.keys(pkg).filter(key => isWorkspaceInherited(pkg[key]));
+  let workspacePackage = {};
+  if (inherited.length > 0) {
+    const root = findCargoWorkspaceRoot(projectPath, str(pkg.workspace));
+    if (!root) {
+      core.warning(
+        `Cargo.toml inherits ${inherited.join(', ')} from the workspace, ` +
+        'but no workspace root Cargo.toml was found above the crate.'
+      );
+    } else {
+      workspacePackage = { ...(root.doc.workspace.package || {}) };
+      // Inherited paths are relative to the workspace root, not the crate.
+      if (str(workspacePackage.readme)) {
+        workspacePackage.readme = path.relative(projectPath, path.join(root.dir, workspacePackage.readme));
+      }
+      const missing = inherited.filter(key => !(key in workspacePackage));
+      if (missing.length > 0) {
+        core.warning(`[workspace.package] in ${path.join(root.dir, 'Cargo.toml')} does not define: ${missing.join(', ')}`);
+      }
+      core.info(`✓ Resolved ${inherited.join(', ')} from workspace root ${root.dir}`);
+    }
+  }
+
+  const field = (key) => (isWorkspaceInherited(pkg[key]) ? workspacePackage[key] : pkg[key]);
+  const authors = strList(field('authors')).map(authorName).filter(Boolean);
 
   core.info('✓ Found Cargo.toml');
   return {
-    name: extract('name'),
-    version: extract('version'),
-    description: extract('description'),
-    homepage: extract('homepage'),
-    repository: extract('repository'),
-    keywords: kw ? kw[1].split(',').map(k => k.trim().replace(/"/g, '')).filter(Boolean) : [],
-    license: extract('license'),
+    name: str(pkg.name),
+    version: str(field('version')),
+    description: str(field('description')),
+    homepage: str(field('homepage')),
+    repository: str(field('repository')),
+    keywords: strList(field('keywords')),
+    author: authors[0],
+    authors,
+    license: str(field('license')),
+    readme: str(field('readme')),
+    private: pkg.publish === false || (Array.isArray(pkg.publish) && pkg.publish.length === 0),
   };
 }
 
 /**
- * Read project metadata from supported manifest files.
- * @param {string} projectPath - Absolute path to project root.
- * @returns {object} Metadata object.
- * @throws {Error} If no supported manifest is found.
+ * Manifest readers in priority order. `files` are the file names (or `*.ext`
+ * patterns) each reader handles; readers that accept a file name get the one
+ * forced by the `manifest` input.
  */
-function readProjectMetadata(projectPath) {
-  const metadata =
-    readFromPackageJson(projectPath) ||
-    readFromPyproject(projectPath) ||
-    readFromCargo(projectPath);
+const MANIFEST_READERS = [
+  { files: ['package.json'], read: readFromPackageJson },
+  { files: ['pyproject.toml'], read: readFromPyproject },
+  { files: ['Cargo.toml'], read: readFromCargo },
+  { files: ['deno.json', 'deno.jsonc', 'jsr.json'], read: manifests.readFromDeno },
+  { files: ['setup.cfg'], read: manifests.readFromSetupCfg },
+  { files: ['PKG-INFO'], read: manifests.readFromPkgInfo },
+  { files: ['go.mod'], read: manifests.readFromGoMod },
+  { files: ['pom.xml'], read: manifests.readFromPom },
+  { files: ['*.csproj', '*.nuspec'], read: manifests.readFromDotnet },
+];
 
-  if (!metadata) {
-    throw new Error(
-      `No supported manifest found in "${projectPath}". ` +
-      'Expected one of: package.json, pyproject.toml, Cargo.toml. ' +
-      'Check that "project-path" points to the correct directory.'
-    );
-  }
+/** Manifest files recognised by readProjectMetadata, in priority order. */
+const MANIFEST_FILES = MANIFEST_READERS.flatMap(r => r.files);
 
-  return metadata;
+/** True when `file` is `pattern` or matches a `*.ext` pattern. */
+function matchesManifest(file, pattern) {
+  return pattern.startsWith('*') ? file.endsWith(pattern.slice(1)) : file === pattern;
 }
 
-// ---------------------------------------------------------------------------
-// Payload validation
-// ---------------------------------------------------------------------------
-
 /**
- * Validate the submission payload and collect warnings.
- * @param {object} payload - Payload to validate.
- * @returns {{ errors: string[], warnings: string[] }}
+ * Name of the first manifest file of a reader present in a project; `*.ext`
+ * patterns take the first match in sorted order.
+ * @returns {string|null}
  */
-function validatePayload(payload) {
-  const errors = [];
-  const warnings = [];
-
-  for (const field of REQUIRED_FIELDS) {
-    if (!payload[field] || String(payload[field]).trim() === '') {
-      errors.push(
-        `Required field "${field}" is missing or empty. ` +
-        `Provide it via the "${field}" action input or add it to your package manifest.`
-      );
+function manifestFileFor(projectPath, reader) {
+  let entries = null;
+  for (const pattern of reader.files) {
+    if (!pattern.startsWith('*')) {
+      if (fs.existsSync(path.join(projectPath, pattern))) return pattern;
+      continue;
     }
+    entries = entries || fs.readdirSync(projectPath).sort();
+    const match = entries.find(f => matchesManifest(f, pattern));
+    if (match) return match;
   }
+  return null;
+}
 
-  for (const field of OPTIONAL_FIELDS) {
-    if (!payload[field] || String(payload[field]).trim() === '') {
-      warnings.push(`Optional field "${field}" is not set — consider adding it for a better listing.`);
+/**
+ * Read project metadata from supported manifest files.
+ * @param {string} projectPath - Absolute path to project root.
+ * @param {string} [manifest] - Manifest file to read (e.g. "pom.xml", "Lib.csproj"),
+ *   bypassing the priority order.
+ * @returns {object} Metadata object; `manifest` names the file it was read from.
+ * @throws {Error} If no supported manifest is found, or the forced one is missing or unsupported.
+ */
+function readProjectMetadata(projectPath, manifest = '') {
+  if (manifest) {
+    const reader = MANIFEST_READERS.find(r => r.files.some(f => matchesManifest(manifest, f)));
+    if (!reader) {
+      throw new Error(`Unsupported manifest "${manifest}". Expected one of: ${MANIFEST_FILES.join(', ')}.`);
+    }
+    if (!fs.existsSync(path.join(projectPath, manifest))) {
+      throw new Error(`Manifest "${manifest}" not found in "${projectPath}". Check the "manifest" input.`);
     }
+    return { ...reader.read(projectPath, manifest), manifest };
   }
 
-  // Version format warning
-  if (payload.version && !/^\d+\.\d+/.test(payload.version)) {
-    warnings.push(
-      `Version "${payload.version}" doesn't look like semver (x.y.z). ` +
-      'The marketplace prefers semantic versioning.'
-    );
+  for (const reader of MANIFEST_READERS) {
+    const metadata = reader.read(projectPath);
+    if (metadata) return { ...metadata, manifest: manifestFileFor(projectPath, reader) };
   }
 
-  return { errors, warnings };
+  throw new Error(
+    `No supported manifest found in "${projectPath}". ` +
+    `Expected one of: ${MANIFEST_FILES.join(', ')}. ` +
+    'Check that "project-path" points to the correct directory.'
+  );
 }
 
 // ---------------------------------------------------------------------------
-// HTTP helper
+// Payload validation
 // ---------------------------------------------------------------------------
 
 /**
- * Make an HTTPS request and return parsed response.
- * @param {string} url
- * @param {{ method?: string, headers?: object }} options
- * @param {object|null} data - JSON body (for POST/PUT).
- * @returns {Promise<{ statusCode: number, body: any }>}
- */
-function httpsRequest(url, options, data = null) {
-  return new Promise((resolve, reject) => {
-    const urlObj = new URL(url);
-    const reqOptions = {
-      hostname: urlObj.hostname,
-      port: urlObj.port || 443,
-      path: urlObj.pathname + urlObj.search,
-      method: options.method || 'GET',
-      headers: options.headers || {},
-    };
-
-    const req = https.request(reqOptions, (res) => {
-      let body = '';
-      res.on('data', (chunk) => { body += chunk; });
-      res.on('end', () => {
-        let parsed;
-        try { parsed = JSON.parse(body); } catch { parsed = body; }
-
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          resolve({ statusCode: res.statusCode, body: parsed });
-        } else {
-          const detail = typeof parsed === 'object'
-            ? (parsed.message || parsed.error || JSON.stringify(parsed))
-            : body.slice(0, 200);
-          reject(new Error(
-            `Marketplace API returned HTTP ${res.statusCode}: ${detail}. ` +
-            `URL: ${url}`
-          ));
-        }
-      });
-    });
+ * Validate the submission payload against the rules in rules.js.
+ * Messages are prefixed with the rule ID, e.g. `[license-spdx] …`.
+ * @param {object} payload - Payload to validate.
+ * @param {{ file: string|null, values?: object, problems: object[] }} [config] - Loaded
+ *   listing config; its schema problems are reported as errors with file
+ *   locations and its `rules` map overrides rule severities.
+ * @param {{ tag: string, tagVersion: string|null, prefixes: string[] }|null} [release] - Tag
+ *   being released (from buildPayload), checked against the version.
+ * @returns {{ errors: string[], warnings: string[],
+ *   findings: { rule: string, severity: string, message: string, field: string|null, location?: object }[] }}
+ *   Config problems are findings of the `config-schema` rule with their
+ *   location; rule findings name the payload field they concern.
+ */
+function validatePayload(payload, config = null, release = null) {
+  const errors = [];
+  const warnings = [];
+  const findings = [];
 
-    req.on('error', (err) => reject(new Error(`Network error calling marketplace API: ${err.message}`)));
+  if (config && config.problems) {
+    errors.push(...config.problems.map(formatProblem));
+    findings.push(...config.problems.map(p => ({
+      rule: CONFIG_RULE.id,
+      severity: 'error',
+      message: p.message,
+      field: null,
+      location: { file: path.resolve(p.file), line: p.line, column: p.column },
+    })));
+  }
 
-    if (data) {
-      const serialised = typeof data === 'string' ? data : JSON.stringify(data);
-      req.setHeader('Content-Length', Buffer.byteLength(serialised));
-      req.write(serialised);
-    }
+  const overrides = (config && config.values && config.values.rules) || {};
+  for (const finding of runRules(payload, overrides, release)) {
+    (finding.severity === 'error' ? errors : warnings).push(`[${finding.rule}] ${finding.message}`);
+    findings.push(finding);
+  }
 
-    req.end();
-  });
+  return { errors, warnings, findings };
 }
 
 // ---------------------------------------------------------------------------
@@ -227,33 +353,157 @@ function httpsRequest(url, options, data = null) {
 // ---------------------------------------------------------------------------
 
 /**
- * Find an existing listing by name.
+ * Send an authenticated JSON request to the marketplace API.
  * @param {string} apiKey
- * @param {string} name
- * @param {string} marketplaceApi
- * @returns {Promise<string|null>} Listing ID or null.
+ * @param {string} method
+ * @param {string} url
+ * @param {object|null} [body] - Request body, sent as JSON.
+ * @param {object} [options]
+ * @param {object} [options.http] - httpsRequest options: timeout / retry overrides,
+ *   `idempotencyKey`, `multipart`.
+ * @param {Object<number, function(HttpError): Error>} [options.errors] - Per status code,
+ *   the error to throw instead of the HttpError.
+ * @returns {Promise<any>} The response body.
+ * @throws {HttpError|Error} On API errors.
  */
-async function findExistingListing(apiKey, name, marketplaceApi) {
+async function apiRequest(apiKey, method, url, body = null, { http = {}, errors = {} } = {}) {
   try {
     const response = await httpsRequest(
-      `${marketplaceApi}/listings?name=${encodeURIComponent(name)}`,
+      url,
       {
-        method: 'GET',
+        ...http,
+        method,
         headers: {
           'Authorization': `Bearer ${apiKey}`,
           'Content-Type': 'application/json',
           'User-Agent': 'github-action-near-marketplace/2.0',
         },
-      }
+      },
+      body
     );
+    return response.body;
+  } catch (err) {
+    const mapped = err instanceof HttpError && errors[err.statusCode];
+    throw mapped ? mapped(err) : err;
+  }
+}
 
-    if (response.body && response.body.data && response.body.data.length > 0) {
-      return response.body.data[0].id;
-    }
+/**
+ * The `error` or `message` of an API error response, for a 409 explanation.
+ * @param {HttpError} err
+ * @returns {string}
+ */
+function apiErrorDetail(err) {
+  return err.body && typeof err.body === 'object' ? (err.body.error || err.body.message || '') : '';
+}
+
+/**
+ * The `data` object of a response body, or the body itself.
+ * @param {any} body
+ * @returns {object}
+ */
+function responseData(body) {
+  const data = body || {};
+  return data.data && typeof data.data === 'object' && !Array.isArray(data.data) ? data.data : data;
+}
+
+/**
+ * Find the existing listing for this project.
+ *
+ * The name search is only a pre-filter: a candidate must match the name
+ * exactly and either the repository URL or the marketplace owner. Listings
+ * with the same name that belong to someone else are never adopted.
+ *
+ * @param {string} apiKey
+ * @param {{ name: string, repository?: string, owner?: string }} identity
+ * @param {string} marketplaceApi
+ * @param {object} [httpOptions] - Timeout / retry overrides for httpsRequest.
+ * @returns {Promise<string|null>} Listing ID, or null when none exists.
+ * @throws {Error} On API errors (other than 404), on same-name listings owned
+ *   by another project, and when several listings match.
+ */
+async function findExistingListing(apiKey, identity, marketplaceApi, httpOptions = {}) {
+  const { name, repository, owner } = identity;
+  let body;
+  try {
+    body = await apiRequest(apiKey, 'GET', `${marketplaceApi}/listings?name=${encodeURIComponent(name)}`, null, { http: httpOptions });
   } catch (err) {
-    core.debug(`Listing lookup failed (may not exist yet): ${err.message}`);
+    if (err instanceof HttpError && err.statusCode === 404) return null;
+    throw new Error(
+      `Listing lookup failed: ${err.message}. ` +
+      'Refusing to continue, since a failed lookup could create a duplicate listing. ' +
+      'Set "listing-id" to skip the lookup.'
+    );
   }
-  return null;
+
+  const candidates = (body && Array.isArray(body.data) ? body.data : [])
+    .filter(l => l && l.name === name);
+  if (candidates.length === 0) return null;
+
+  const repo = normaliseRepoUrl(repository);
+  const matches = candidates.filter(l =>
+    (repo && normaliseRepoUrl(l.repository) === repo) ||
+    (owner && l.owner === owner)
+  );
+
+  if (matches.length === 1) return matches[0].id;
+
+  if (matches.length > 1) {
+    throw new Error(
+      `Found ${matches.length} listings named "${name}" for this project ` +
+      `(${matches.map(l => l.id).join(', ')}). Set "listing-id" to choose one.`
+    );
+  }
+
+  throw new Error(
+    `A listing named "${name}" already exists (${candidates.map(l => l.id).join(', ')}) ` +
+    'but its repository and owner do not match this project. ' +
+    'Set "listing-id" if it is yours, or choose a different name.'
+  );
+}
+
+/**
+ * Fetch a listing by ID.
+ * @param {string} apiKey
+ * @param {string} listingId
+ * @param {string} marketplaceApi
+ * @param {object} [httpOptions] - Timeout / retry overrides for httpsRequest.
+ * @returns {Promise<object>} The listing.
+ * @throws {Error} If the listing does not exist or the request fails.
+ */
+async function fetchListing(apiKey, listingId, marketplaceApi, httpOptions = {}) {
+  const body = await apiRequest(apiKey, 'GET', `${marketplaceApi}/listings/${encodeURIComponent(listingId)}`, null, {
+    http: httpOptions,
+    errors: { 404: () => new Error(`Listing ${listingId} was not found. Check "listing-id".`) },
+  });
+  return responseData(body);
+}
+
+/**
+ * Update only the given fields of a listing (PATCH).
+ * @param {string} apiKey
+ * @param {string} listingId
+ * @param {object} fields - Partial payload.
+ * @param {string} marketplaceApi
+ * @param {object} [httpOptions] - Timeout / retry overrides for httpsRequest.
+ * @returns {Promise<object>} API response body.
+ */
+async function patchListing(apiKey, listingId, fields, marketplaceApi, httpOptions = {}) {
+  const url = `${marketplaceApi}/listings/${listingId}`;
+  core.info(`→ PATCH ${url} (${Object.keys(fields).join(', ')})`);
+  return apiRequest(apiKey, 'PATCH', url, fields, { http: httpOptions });
+}
+
+/**
+ * Derive a stable idempotency key for creating a listing, so that a retried
+ * POST — or a re-run of the same workflow for the same commit — cannot
+ * create a second listing.
+ * @param {object} payload
+ * @returns {string}
+ */
+function idempotencyKeyFor(payload) {
+  const parts = [payload.repository, payload.name, payload.version, payload.metadata && payload.metadata.github_sha];
+  return crypto.createHash('sha256').update(parts.join('\n')).digest('hex');
 }
 
 /**
@@ -262,31 +512,323 @@ async function findExistingListing(apiKey, name, marketplaceApi) {
  * @param {object} payload
  * @param {string|null} listingId
  * @param {string} marketplaceApi
+ * @param {object} [httpOptions] - Timeout / retry overrides for httpsRequest.
  * @returns {Promise<object>} API response body.
  */
-async function submitToMarketplace(apiKey, payload, listingId, marketplaceApi) {
+async function submitToMarketplace(apiKey, payload, listingId, marketplaceApi, httpOptions = {}) {
   const method = listingId ? 'PUT' : 'POST';
   const url = listingId
     ? `${marketplaceApi}/listings/${listingId}`
     : `${marketplaceApi}/listings`;
 
   core.info(`→ ${method} ${url}`);
-  core.debug(`Payload: ${JSON.stringify(payload, null, 2)}`);
-
-  const response = await httpsRequest(
-    url,
-    {
-      method,
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-        'User-Agent': 'github-action-near-marketplace/2.0',
+  core.debug(`Payload: ${redact(JSON.stringify(payload, null, 2))}`);
+
+  return apiRequest(apiKey, method, url, payload, {
+    http: {
+      ...httpOptions,
+      // PUT is idempotent by definition; POST needs a key to be retried safely.
+      idempotencyKey: method === 'POST' ? idempotencyKeyFor(payload) : undefined,
+    },
+  });
+}
+
+/**
+ * Public page of a listing: the `listing-url` template with `{id}` and
+ * `{name}` filled in, or `/listing/<id>` on the API host once a trailing
+ * version segment (`/v1`) is dropped from the API path.
+ * @param {string} marketplaceApi
+ * @param {string} listingId
+ * @param {{ template?: string, name?: string }} [options]
+ * @returns {string}
+ */
+function listingUrl(marketplaceApi, listingId, { template = '', name = '' } = {}) {
+  if (template) {
+    return template.replace(/\{id\}/g, encodeURIComponent(listingId)).replace(/\{name\}/g, encodeURIComponent(name));
+  }
+  const url = new URL(marketplaceApi);
+  const base = url.pathname.replace(/\/+$/, '').replace(/\/v\d+$/, '');
+  return `${url.origin}${base}/listing/${encodeURIComponent(listingId)}`;
+}
+
+/**
+ * Deprecate, unpublish, archive or restore a listing
+ * (`POST /listings/:id/<operation>`).
+ * @param {string} apiKey
+ * @param {string} listingId
+ * @param {'deprecate'|'unpublish'|'archive'|'restore'} operation
+ * @param {{ message?: string, replacement?: string, audit: object }} body - `audit` is stored in the listing history.
+ * @param {string} marketplaceApi
+ * @param {object} [httpOptions] - Timeout / retry overrides for httpsRequest.
+ * @returns {Promise<object>} The listing after the change.
+ * @throws {Error} When the listing does not exist, the change is not allowed
+ *   from its current state, or the request fails.
+ */
+async function changeListingState(apiKey, listingId, operation, body, marketplaceApi, httpOptions = {}) {
+  const url = `${marketplaceApi}/listings/${encodeURIComponent(listingId)}/${operation}`;
+  core.info(`→ POST ${url}`);
+  const data = await apiRequest(apiKey, 'POST', url, body, {
+    http: {
+      ...httpOptions,
+      // One key per listing, operation and workflow run: a retry after a lost
+      // response replays the first result instead of failing on the new state.
+      idempotencyKey: crypto.createHash('sha256')
+        .update([listingId, operation, body.audit.run_id, body.audit.sha].join('\n'))
+        .digest('hex'),
+    },
+    errors: {
+      404: () => new Error(`Listing ${listingId} was not found. Check "listing-id".`),
+      409: (err) => {
+        const detail = apiErrorDetail(err);
+        return new Error(`Cannot ${operation} listing ${listingId}${detail ? `: ${detail}` : ''}.`);
+      },
+    },
+  });
+  return responseData(data);
+}
+
+/**
+ * Add or replace the version history entry for a release
+ * (`PUT /listings/:id/versions/:version`). With `latest: true` the version
+ * becomes the one the listing points at.
+ * @param {string} apiKey
+ * @param {string} listingId
+ * @param {object} entry - From buildPayload().versionEntry.
+ * @param {string} marketplaceApi
+ * @param {object} [httpOptions] - Timeout / retry overrides for httpsRequest.
+ * @returns {Promise<{ entry: object, latestVersion: string|null }>}
+ * @throws {Error} When the version is yanked and cannot become latest, or the request fails.
+ */
+async function publishVersion(apiKey, listingId, entry, marketplaceApi, httpOptions = {}) {
+  const url = `${marketplaceApi}/listings/${encodeURIComponent(listingId)}/versions/${encodeURIComponent(entry.version)}`;
+  core.info(`→ PUT ${url}`);
+  const body = await apiRequest(apiKey, 'PUT', url, entry, {
+    http: httpOptions,
+    errors: {
+      409: (err) => {
+        const detail = apiErrorDetail(err);
+        return new Error(
+          `Cannot publish version ${entry.version} of listing ${listingId}${detail ? `: ${detail}` : ''}. ` +
+          'Run "operation: unyank" first to publish it again.'
+        );
+      },
+    },
+  }) || {};
+  return { entry: body.data || entry, latestVersion: body.latest_version || null };
+}
+
+/**
+ * Yank, unyank or mark as latest one version of a listing
+ * (`POST /listings/:id/versions/:version/<operation>`).
+ * @param {string} apiKey
+ * @param {string} listingId
+ * @param {string} version
+ * @param {'yank'|'unyank'|'mark-latest'} operation
+ * @param {{ message?: string, audit: object }} body - `audit` is stored in the listing history.
+ * @param {string} marketplaceApi
+ * @param {object} [httpOptions] - Timeout / retry overrides for httpsRequest.
+ * @returns {Promise<{ entry: object, latestVersion: string|null }>}
+ * @throws {Error} When the version does not exist, the change is not allowed
+ *   from its current state, or the request fails.
+ */
+async function changeVersionState(apiKey, listingId, version, operation, body, marketplaceApi, httpOptions = {}) {
+  const url = `${marketplaceApi}/listings/${encodeURIComponent(listingId)}/versions/${encodeURIComponent(version)}/${operation}`;
+  core.info(`→ POST ${url}`);
+  const data = await apiRequest(apiKey, 'POST', url, body, {
+    http: {
+      ...httpOptions,
+      idempotencyKey: crypto.createHash('sha256')
+        .update([listingId, version, operation, body.audit.run_id, body.audit.sha].join('\n'))
+        .digest('hex'),
+    },
+    errors: {
+      404: () => new Error(`Version ${version} of listing ${listingId} was not found. Check the "version" input or the release tag.`),
+      409: (err) => {
+        const detail = apiErrorDetail(err);
+        return new Error(`Cannot ${operation} version ${version} of listing ${listingId}${detail ? `: ${detail}` : ''}.`);
+      },
+    },
+  }) || {};
+  return { entry: data.data || {}, latestVersion: data.latest_version || null };
+}
+
+/**
+ * Stage a release as a draft for approval (`POST /drafts`). Nothing changes
+ * on the listing until the draft is published; a newer draft for the same
+ * listing supersedes this one.
+ * @param {string} apiKey
+ * @param {{ listing_id: string|null, payload: object|null, version: object, audit: object }} draft - `payload`
+ *   is null when only the version is recorded (a prerelease of an existing listing).
+ * @param {string} marketplaceApi
+ * @param {object} [httpOptions] - Timeout / retry overrides for httpsRequest.
+ * @returns {Promise<{ id: string, preview_url?: string, supersedes?: string|null }>} The stored draft.
+ */
+async function createDraft(apiKey, draft, marketplaceApi, httpOptions = {}) {
+  const url = `${marketplaceApi}/drafts`;
+  core.info(`→ POST ${url}`);
+  const data = await apiRequest(apiKey, 'POST', url, draft, {
+    http: {
+      ...httpOptions,
+      // A retried POST from the same run replays the draft instead of superseding it.
+      idempotencyKey: crypto.createHash('sha256')
+        .update(['draft', draft.listing_id || draft.payload.name, draft.version.version, draft.audit.run_id, draft.audit.sha].join('\n'))
+        .digest('hex'),
+    },
+  });
+  return responseData(data);
+}
+
+/**
+ * Fetch a draft (`GET /drafts/:id`).
+ * @param {string} apiKey
+ * @param {string} draftId
+ * @param {string} marketplaceApi
+ * @param {object} [httpOptions] - Timeout / retry overrides for httpsRequest.
+ * @returns {Promise<object>}
+ * @throws {Error} When the draft does not exist or the request fails.
+ */
+async function fetchDraft(apiKey, draftId, marketplaceApi, httpOptions = {}) {
+  const body = await apiRequest(apiKey, 'GET', `${marketplaceApi}/drafts/${encodeURIComponent(draftId)}`, null, {
+    http: httpOptions,
+    errors: { 404: () => new Error(`Draft ${draftId} was not found. Check "draft-id".`) },
+  });
+  return responseData(body);
+}
+
+/** Error for a draft that was replaced by a newer one. */
+function supersededError(draftId, newer) {
+  return new Error(
+    `Draft ${draftId} was replaced by a newer draft${newer ? ` (${newer})` : ''} and cannot be published. ` +
+    'Review and publish the newer draft instead.'
+  );
+}
+
+/**
+ * Publish a draft: apply its payload to the listing (creating the listing
+ * if needed) and record its version (`POST /drafts/:id/publish`).
+ * @param {string} apiKey
+ * @param {string} draftId
+ * @param {{ audit: object }} body - `audit` records who approved the draft.
+ * @param {string} marketplaceApi
+ * @param {object} [httpOptions] - Timeout / retry overrides for httpsRequest.
+ * @returns {Promise<{ draft: object, listing: object, version: object|null, latestVersion: string|null }>}
+ * @throws {Error} When the draft was superseded or already published, or the request fails.
+ */
+async function publishDraft(apiKey, draftId, body, marketplaceApi, httpOptions = {}) {
+  const url = `${marketplaceApi}/drafts/${encodeURIComponent(draftId)}/publish`;
+  core.info(`→ POST ${url}`);
+  const data = await apiRequest(apiKey, 'POST', url, body, {
+    http: {
+      ...httpOptions,
+      idempotencyKey: crypto.createHash('sha256')
+        .update([draftId, 'publish', body.audit.run_id, body.audit.sha].join('\n'))
+        .digest('hex'),
+    },
+    errors: {
+      404: () => new Error(`Draft ${draftId} was not found. Check "draft-id".`),
+      409: (err) => {
+        if (err.body && err.body.superseded_by) return supersededError(draftId, err.body.superseded_by);
+        const detail = apiErrorDetail(err);
+        return new Error(`Cannot publish draft ${draftId}${detail ? `: ${detail}` : ''}.`);
       },
     },
-    payload
+  }) || {};
+  const result = data.data || {};
+  return { draft: result.draft || {}, listing: result.listing || {}, version: result.version || null, latestVersion: data.latest_version || null };
+}
+
+/**
+ * Preview page of a draft, when the API does not return one: `/drafts/<id>`
+ * next to the listing pages.
+ * @param {string} marketplaceApi
+ * @param {string} draftId
+ * @returns {string}
+ */
+function draftUrl(marketplaceApi, draftId) {
+  const url = new URL(marketplaceApi);
+  const base = url.pathname.replace(/\/+$/, '').replace(/\/v\d+$/, '');
+  return `${url.origin}${base}/drafts/${encodeURIComponent(draftId)}`;
+}
+
+/**
+ * Upload one image to the marketplace asset endpoint (multipart).
+ * @param {string} apiKey
+ * @param {string} projectPath - Absolute project root the image path is relative to.
+ * @param {{ file: string, mime: string, sha256: string }} image - From media.readImage().
+ * @param {'icon'|'screenshot'} kind
+ * @param {string} marketplaceApi
+ * @param {object} [httpOptions] - Timeout / retry overrides for httpsRequest.
+ * @returns {Promise<string>} Public URL of the asset.
+ * @throws {Error} On API errors or a response without a URL.
+ */
+async function uploadAsset(apiKey, projectPath, image, kind, marketplaceApi, httpOptions = {}) {
+  const body = await apiRequest(apiKey, 'POST', `${marketplaceApi}/assets`, null, {
+    http: {
+      ...httpOptions,
+      // Assets are addressed by content, so a retried upload cannot duplicate one.
+      idempotencyKey: `${kind}-${image.sha256}`,
+      // The multipart encoding sets its own Content-Type.
+      multipart: [
+        { name: 'kind', value: kind },
+        { name: 'sha256', value: image.sha256 },
+        {
+          name: 'file',
+          filename: path.basename(image.file),
+          contentType: image.mime,
+          data: fs.readFileSync(path.join(projectPath, image.file)),
+        },
+      ],
+    },
+  });
+
+  const asset = responseData(body);
+  if (!asset.url) throw new Error(`Uploading "${image.file}" returned no asset URL.`);
+  return asset.url;
+}
+
+/**
+ * Upload the local images in `media` and return the media to send in the
+ * payload. Images whose SHA-256 matches one on the live listing keep its URL
+ * and are not uploaded again.
+ * @param {string} apiKey
+ * @param {{ icon?: object, screenshots: object[] }} media - Local images (payload.media from buildPayload).
+ * @param {object|null} current - Live listing, or null for a new one.
+ * @param {string} projectPath
+ * @param {string} marketplaceApi
+ * @param {object} [httpOptions] - Timeout / retry overrides for httpsRequest.
+ * @returns {Promise<{ media: object, uploaded: number, reused: number }>}
+ */
+async function uploadMedia(apiKey, media, current, projectPath, marketplaceApi, httpOptions = {}) {
+  const live = (current && current.media) || {};
+  const known = new Map(
+    [live.icon, ...(live.screenshots || [])]
+      .filter(asset => asset && asset.sha256 && asset.url)
+      .map(asset => [asset.sha256, asset.url])
   );
+  let uploaded = 0;
+  let reused = 0;
+
+  const resolve = async (image, kind) => {
+    let url = known.get(image.sha256);
+    if (url) {
+      reused += 1;
+      core.info(`   = ${image.file} (unchanged)`);
+    } else {
+      url = await uploadAsset(apiKey, projectPath, image, kind, marketplaceApi, httpOptions);
+      known.set(image.sha256, url);
+      uploaded += 1;
+      core.info(`   ↑ ${image.file} → ${url}`);
+    }
+    return { url, sha256: image.sha256, mime: image.mime, width: image.width, height: image.height };
+  };
 
-  return response.body;
+  const result = {};
+  if (media.icon) result.icon = await resolve(media.icon, 'icon');
+  result.screenshots = [];
+  for (const screenshot of media.screenshots) {
+    result.screenshots.push(await resolve(screenshot, 'screenshot'));
+  }
+  return { media: result, uploaded, reused };
 }
 
 // ---------------------------------------------------------------------------
@@ -294,150 +836,882 @@ async function submitToMarketplace(apiKey, payload, listingId, marketplaceApi) {
 // ---------------------------------------------------------------------------
 
 /**
- * Main action entry point.
+ * Read the timeout / retry / trace inputs as httpsRequest options.
+ * @returns {{ timeout?: number, retries?: number, trace?: boolean }}
+ * @throws {Error} On non-numeric values.
  */
-async function run() {
-  try {
-    const marketplaceApi = core.getInput('marketplace-url') || DEFAULT_MARKETPLACE_API;
-    const apiKey = core.getInput('api-key', { required: true });
-    const projectPath = path.resolve(core.getInput('project-path') || '.');
-    const dryRun = core.getInput('dry-run') === 'true';
-    const validateOnly = core.getInput('validate-only') === 'true';
-    const updateExisting = core.getInput('update-existing') !== 'false';
-    const failOnWarning = core.getInput('fail-on-warning') === 'true';
-
-    // --- Read metadata ---
-    core.info('📦 Reading project metadata…');
-    if (!fs.existsSync(projectPath)) {
+function readHttpOptions() {
+  const http = {};
+  const timeout = core.getInput('http-timeout');
+  const retries = core.getInput('http-retries');
+  if (timeout) {
+    const seconds = Number(timeout);
+    if (!Number.isFinite(seconds) || seconds <= 0) throw new Error(`Invalid "http-timeout": "${timeout}". Expected a positive number of seconds.`);
+    http.timeout = seconds * 1000;
+  }
+  if (retries) {
+    const count = Number(retries);
+    if (!Number.isInteger(count) || count < 0) throw new Error(`Invalid "http-retries": "${retries}". Expected a non-negative integer.`);
+    http.retries = count;
+  }
+  if (core.getInput('http-trace') === 'true') http.trace = true;
+  return http;
+}
+
+/**
+ * Read an input restricted to a fixed set of values.
+ * @param {string} name
+ * @param {string[]} allowed
+ * @param {string} fallback - Used when the input is empty.
+ * @returns {string}
+ * @throws {Error} On any other value.
+ */
+function readChoice(name, allowed, fallback) {
+  const value = core.getInput(name) || fallback;
+  if (!allowed.includes(value)) {
+    throw new Error(`Invalid "${name}": "${value}". Expected one of: ${allowed.join(', ')}.`);
+  }
+  return value;
+}
+
+/**
+ * Read the action inputs that control how packages are processed.
+ * @returns {object}
+ */
+function readActionInputs() {
+  // Credentials are registered first, so no later log line or error shows them.
+  registerSecret(core.getInput('api-key'));
+  registerSecret(core.getInput('github-token'));
+  const targets = core.getInput('targets') ? parseTargets(core.getInput('targets'), { apiKey: core.getInput('api-key') }) : null;
+  (targets || []).forEach(t => registerSecret(t.apiKey));
+
+  return {
+    marketplaceApi: core.getInput('marketplace-url') || DEFAULT_MARKETPLACE_API,
+    // With `targets`, each target may bring its own key instead.
+    apiKey:         core.getInput('api-key', { required: !targets }),
+    listingUrlTemplate: core.getInput('listing-url'),
+    targets,
+    projectPath:    path.resolve(core.getInput('project-path') || '.'),
+    dryRun:         core.getInput('dry-run') === 'true',
+    validateOnly:   core.getInput('validate-only') === 'true',
+    updateExisting: core.getInput('update-existing') !== 'false',
+    failOnWarning:  core.getInput('fail-on-warning') === 'true',
+    monorepo:       core.getInput('monorepo') === 'true' || Boolean(core.getInput('packages')),
+    packages:       splitList(core.getInput('packages')),
+    configFile:     core.getInput('config-file'),
+    changelogSource: core.getInput('changelog-source') || 'none',
+    http:           readHttpOptions(),
+    owner:          core.getInput('owner'),
+    updateStrategy: readChoice('update-strategy', ['full', 'changed', 'always'], 'full'),
+    operation:      readChoice('operation', OPERATIONS, 'submit'),
+    operationMessage:   core.getInput('operation-message'),
+    draft:          core.getInput('draft') === 'true',
+    draftId:        core.getInput('draft-id'),
+    replacementListing: core.getInput('replacement-listing'),
+    allowDowngrade: core.getInput('allow-downgrade') === 'true',
+    jobSummary:     core.getInput('job-summary') !== 'false',
+    prComment:      core.getInput('pr-comment') === 'true',
+    githubToken:    core.getInput('github-token'),
+    reportFile:     core.getInput('report-file'),
+    sarifFile:      core.getInput('sarif-file'),
+    // Lets several steps in one workflow keep separate sticky comments.
+    commentKey:     ['', '.', './'].includes(core.getInput('project-path')) ? '' : core.getInput('project-path'),
+  };
+}
+
+/** Inputs that describe a single package and are ignored in monorepo mode. */
+const PACKAGE_INPUTS = ['name', 'version', 'description', 'manifest', 'listing-id', 'contract-wasm', 'contract-abi', 'contract-accounts', 'registries', 'locales'];
+
+/**
+ * The release context buildPayload needs, taken from the workflow run.
+ * @returns {object}
+ */
+function actionContext() {
+  const { context } = github;
+  return {
+    owner:     context.repo.owner,
+    repo:      context.repo.repo,
+    ref:       context.ref,
+    sha:       context.sha,
+    actor:     context.actor,
+    runId:     context.runId,
+    release:   context.payload && context.payload.release,
+    viaAction: true,
+  };
+}
+
+/**
+ * Audit details sent with lifecycle operations and kept in the listing history.
+ * @param {string} operation
+ * @param {string} reason
+ * @returns {object}
+ */
+function auditTrail(operation, reason) {
+  const { context } = github;
+  const { owner, repo } = context.repo;
+  const server = process.env.GITHUB_SERVER_URL || 'https://github.com';
+  return {
+    operation,
+    reason:     reason || null,
+    actor:      context.actor,
+    repository: `${owner}/${repo}`,
+    ref:        context.ref,
+    sha:        context.sha,
+    run_id:     context.runId,
+    run_url:    `${server}/${owner}/${repo}/actions/runs/${context.runId}`,
+  };
+}
+
+/**
+ * Find the listing a package maps to: the `listing-id` input or config entry,
+ * otherwise a lookup by name, repository and owner.
+ * @param {object} payload
+ * @param {object} options - Result of readActionInputs().
+ * @param {{ id: string|null, source: string }} explicit - Configured listing ID and where it came from.
+ * @param {boolean} lookup - Whether to search when no ID is configured.
+ * @returns {Promise<string|null>}
+ */
+async function locateListing(payload, options, explicit, lookup) {
+  if (explicit.id) {
+    core.info('');
+    core.info(`🔗 Using listing ID ${explicit.id} (${explicit.source})`);
+    return explicit.id;
+  }
+  if (!lookup) return null;
+  core.info('');
+  core.info('🔍 Checking for existing listing…');
+  const listingId = await findExistingListing(
+    options.apiKey,
+    { name: payload.name, repository: payload.repository, owner: options.owner },
+    options.marketplaceApi,
+    options.http
+  );
+  core.info(listingId ? `   Found: ${listingId}` : '   No existing listing found');
+  return listingId;
+}
+
+/**
+ * Apply a lifecycle operation to the package's existing listing: deprecate,
+ * unpublish, archive or restore the listing, or yank, unyank or mark as
+ * latest the package version. The payload is only used to find the listing
+ * (and version), so it is not validated.
+ * @param {object} payload
+ * @param {object} result - Partial processPackage result.
+ * @param {object} options - Result of readActionInputs().
+ * @param {{ id: string|null, source: string }} explicit - Configured listing ID.
+ * @returns {Promise<object>} processPackage result with `state` (the listing status)
+ *   or, for version operations, `latestVersion`; `response` is the changed listing or version.
+ * @throws {Error} On a missing message / listing / version, a disallowed transition or API error.
+ */
+async function runOperation(payload, result, options, explicit) {
+  const { operation, operationMessage, replacementListing, apiKey, marketplaceApi } = options;
+  const onVersion = VERSION_OPERATIONS.includes(operation);
+  if (operation === 'deprecate' && !operationMessage) {
+    throw new Error('"operation: deprecate" needs an "operation-message" explaining why (shown on the listing).');
+  }
+  if (onVersion && !payload.version) {
+    throw new Error(`"operation: ${operation}" needs a version. Set the "version" input or run it from a release tag.`);
+  }
+  if (replacementListing && operation !== 'deprecate') {
+    core.warning(`"replacement-listing" only applies to "operation: deprecate" and is ignored for "${operation}".`);
+  }
+  if (options.draft) {
+    core.warning(`"draft" only applies to "operation: submit" and is ignored for "${operation}".`);
+  }
+
+  const target = `${onVersion ? `version ${payload.version} of ` : ''}listing ${explicit.id || `"${payload.name}"`}`;
+  if (options.dryRun || options.validateOnly) {
+    core.warning(`🧪 ${options.dryRun ? 'DRY RUN' : 'VALIDATE ONLY'} — would ${operation} ${target}`);
+    return { ...result, status: options.dryRun ? 'dry-run' : 'validated', listingId: explicit.id || '' };
+  }
+
+  const listingId = await locateListing(payload, options, explicit, true);
+  if (!listingId) {
+    throw new Error(`No listing found for "${payload.name}" to ${operation}. Set "listing-id" to choose it explicitly.`);
+  }
+
+  const body = { audit: auditTrail(operation, operationMessage) };
+  if (operationMessage) body.message = operationMessage;
+  if (operation === 'deprecate' && replacementListing) {
+    // Fail before deprecating if the replacement does not exist.
+    await fetchListing(apiKey, replacementListing, marketplaceApi, options.http);
+    body.replacement = replacementListing;
+  }
+
+  const status = OPERATION_STATUS[operation];
+  const publicUrl = listingUrl(marketplaceApi, listingId, { template: options.listingUrlTemplate, name: payload.name });
+  core.info('');
+  if (onVersion) {
+    core.info(`🏷  ${operation === 'mark-latest' ? 'Mark as latest' : `${operation[0].toUpperCase()}${operation.slice(1)}`} version ${payload.version} of listing ${listingId}…`);
+    const { entry, latestVersion } = await changeVersionState(apiKey, listingId, payload.version, operation, body, marketplaceApi, options.http);
+    core.info('');
+    core.info('✅ Success!');
+    core.info(`   Status:     ${status}`);
+    core.info(`   Listing ID: ${listingId}`);
+    core.info(`   Latest:     ${latestVersion || '(none)'}`);
+    core.info(`   URL:        ${publicUrl}`);
+    return { ...result, status, listingId, listingUrl: publicUrl, latestVersion: latestVersion || '', response: entry };
+  }
+
+  core.info(`🗄  ${operation[0].toUpperCase()}${operation.slice(1)} listing ${listingId}…`);
+  const listing = await changeListingState(apiKey, listingId, operation, body, marketplaceApi, options.http);
+
+  core.info('');
+  core.info('✅ Success!');
+  core.info(`   Status:     ${status}`);
+  core.info(`   Listing ID: ${listingId}`);
+  if (listing.status) core.info(`   State:      ${listing.status}`);
+  if (body.replacement) core.info(`   Replaced by: ${body.replacement}`);
+  core.info(`   URL:        ${publicUrl}`);
+
+  return { ...result, status, listingId, listingUrl: publicUrl, state: listing.status || '', response: listing };
+}
+
+/**
+ * Submit a validated package: find its listing, compare it with the live
+ * listing, upload media, create or update the listing (or stage a draft) and
+ * record the version. Used by the action and by the CLI `submit` command, so
+ * both refuse downgrades, honour `update-existing` and skip unchanged listings.
+ * @param {string} projectPath - Absolute path to the package root (media paths are relative to it).
+ * @param {{ payload: object, versionEntry: object, prerelease: boolean }} built - From buildPayload().
+ * @param {object} options - Result of readActionInputs(); uses apiKey, marketplaceApi, http, owner,
+ *   updateExisting, allowDowngrade, updateStrategy, draft, operationMessage and listingUrlTemplate.
+ * @param {object} [state]
+ * @param {{ id: string|null, source: string }} [state.explicit] - Configured listing ID and where it came from.
+ * @param {object} [state.result] - Partial result to extend.
+ * @param {(phase: string) => void} [state.lap] - Records the time spent in a phase.
+ * @param {object} [state.report] - Receives the diff.
+ * @returns {Promise<object>} processPackage result with status `created`, `updated`, `unchanged` or `drafted`.
+ * @throws {Error} On a downgrade without `allowDowngrade`, or an API error.
+ */
+async function submitPackage(projectPath, built, options, state = {}) {
+  const { payload, versionEntry, prerelease } = built;
+  const { marketplaceApi, apiKey } = options;
+  const {
+    explicit = { id: null, source: '' },
+    result = { name: payload.name, version: payload.version, status: '', listingId: '', listingUrl: '', warnings: [] },
+    lap = () => {},
+    report,
+  } = state;
+  const urlFor = (id) => listingUrl(marketplaceApi, id, { template: options.listingUrlTemplate, name: payload.name });
+
+  const listingId = await locateListing(payload, options, explicit, options.updateExisting);
+
+  // --- Diff against the live listing ---
+  let changes = null;
+  let current = null;
+  if (listingId) {
+    core.info('');
+    core.info('🔎 Comparing with the live listing…');
+    current = await fetchListing(apiKey, listingId, marketplaceApi, options.http);
+    if (!options.allowDowngrade && compareSemver(payload.version, current.version) < 0) {
       throw new Error(
-        `Project path does not exist: "${projectPath}". ` +
-        'Make sure "project-path" is correct and the repository was checked out.'
+        `Refusing to downgrade listing ${listingId} from ${current.version} to ${payload.version}. ` +
+        'Check the tag being released, or set "allow-downgrade: true" (--allow-downgrade on the command line) ' +
+        'to publish an older version on purpose.'
       );
     }
-    const metadata = readProjectMetadata(projectPath);
-    core.info(`   Name:    ${metadata.name}`);
-    core.info(`   Version: ${metadata.version}`);
-
-    // --- Build payload ---
-    const repoUrl = `https://github.com/${github.context.repo.owner}/${github.context.repo.repo}`;
-    const payload = {
-      name:             core.getInput('name')        || metadata.name        || '',
-      version:          core.getInput('version')     || metadata.version     || github.context.ref.replace('refs/tags/', ''),
-      description:      core.getInput('description') || metadata.description || '',
-      long_description: core.getInput('long-description') || '',
-      category:         core.getInput('category')    || 'development',
-      homepage:         core.getInput('homepage')    || metadata.homepage    || '',
-      repository:       core.getInput('repository')  || metadata.repository  || repoUrl,
-      license:          core.getInput('license')     || metadata.license     || 'MIT',
-      changelog:        core.getInput('changelog')   || '',
-      pricing:          core.getInput('pricing')     || 'free',
-      min_near_version: core.getInput('min-near-version') || '',
-      tags:             [],
-      metadata: {
-        author:       metadata.author || github.context.actor,
-        release_tag:  github.context.ref,
-        submitted_at: new Date().toISOString(),
-        github_action: true,
-        github_run_id: github.context.runId,
-        github_sha:    github.context.sha,
-      },
+  }
+  lap('lookup');
+
+  // Every release is recorded in the listing's version history. Stable
+  // releases become "latest"; prereleases are added next to it.
+  const recordVersion = async (id) => {
+    core.info('');
+    core.info(`🏷  Recording version ${versionEntry.version}${versionEntry.latest ? ' as latest' : ' (prerelease)'}…`);
+    const { latestVersion } = await publishVersion(apiKey, id, versionEntry, marketplaceApi, options.http);
+    lap('version');
+    core.info(`   Latest version: ${latestVersion || '(none)'}`);
+    return latestVersion || '';
+  };
+
+  // Draft mode stages the release for approval; "operation: publish" applies it later.
+  const stageDraft = async (withListing) => {
+    core.info('');
+    core.info(`📝 Staging a draft of ${listingId ? `listing ${listingId}` : `new listing "${payload.name}"`}…`);
+    const draft = await createDraft(apiKey, {
+      listing_id: listingId || null,
+      payload:    withListing ? payload : null,
+      version:    versionEntry,
+      audit:      auditTrail('draft', options.operationMessage),
+    }, marketplaceApi, options.http);
+    lap('submit');
+    const previewUrl = draft.preview_url || draftUrl(marketplaceApi, draft.id);
+    core.info('');
+    core.info('✅ Draft ready for review — the listing is unchanged until it is published');
+    core.info(`   Draft ID:   ${draft.id}`);
+    if (draft.supersedes) core.info(`   Replaces:   ${draft.supersedes}`);
+    core.info(`   Preview:    ${previewUrl}`);
+    core.info(`   Publish it with "operation: publish" and "draft-id: ${draft.id}".`);
+    return {
+      ...result, status: 'drafted', listingId: listingId || '', listingUrl: listingId ? urlFor(listingId) : '',
+      draftId: draft.id, draftUrl: previewUrl, diff: changes || [], response: draft,
     };
+  };
 
-    // Tags
-    const customTags = core.getInput('tags');
-    payload.tags = customTags
-      ? customTags.split(',').map(t => t.trim()).filter(Boolean)
-      : (metadata.keywords || []);
+  // A prerelease of an existing listing only adds a version: the listing
+  // details keep describing the latest stable release.
+  if (prerelease && listingId) {
+    if (options.draft) return stageDraft(false);
+    const latestVersion = await recordVersion(listingId);
+    const publicUrl = urlFor(listingId);
+    core.info('');
+    core.info('✅ Prerelease added to the version history — listing details unchanged');
+    return { ...result, status: 'updated', listingId, listingUrl: publicUrl, latestVersion, diff: [] };
+  }
 
-    // --- Validate ---
+  // --- Upload media ---
+  if (payload.media) {
     core.info('');
-    core.info('🔍 Validating payload…');
-    const { errors, warnings } = validatePayload(payload);
+    core.info('🖼  Uploading listing media…');
+    const uploads = await uploadMedia(apiKey, payload.media, current, projectPath, marketplaceApi, options.http);
+    payload.media = uploads.media;
+    core.info(`   ${uploads.uploaded} uploaded, ${uploads.reused} unchanged`);
+    lap('media');
+  }
 
-    if (warnings.length > 0) {
-      warnings.forEach(w => core.warning(w));
-      core.setOutput('warnings', JSON.stringify(warnings));
+  if (listingId) {
+    changes = diffListing(current, payload);
+    if (report) report.diff = changes;
+    if (changes.length === 0) {
+      core.info('   No changes');
+    } else {
+      formatDiff(changes).forEach(line => core.info(`   ${line}`));
+    }
+
+    if (changes.length === 0 && options.updateStrategy !== 'always' && !options.draft) {
+      const publicUrl = urlFor(listingId);
+      core.info('');
+      core.info('✅ Listing is already up to date — skipping update');
+      const latestVersion = await recordVersion(listingId);
+      return { ...result, status: 'unchanged', listingId, listingUrl: publicUrl, latestVersion, diff: [] };
     }
+  }
+
+  if (options.draft) return stageDraft(true);
+
+  core.info('');
+  core.info(`🚀 ${listingId ? 'Updating' : 'Creating'} listing…`);
+  const response = listingId && options.updateStrategy === 'changed'
+    ? await patchListing(apiKey, listingId, changedFields(payload, changes), marketplaceApi, options.http)
+    : await submitToMarketplace(apiKey, payload, listingId, marketplaceApi, options.http);
+  lap('submit');
+
+  const finalId   = response.id || response.data?.id || listingId || 'unknown';
+  const publicUrl = urlFor(finalId);
+  const status    = listingId ? 'updated' : 'created';
+  const latestVersion = await recordVersion(finalId);
+
+  core.info('');
+  core.info('✅ Success!');
+  core.info(`   Status:     ${status}`);
+  core.info(`   Listing ID: ${finalId}`);
+  core.info(`   URL:        ${publicUrl}`);
+  if (status === 'created') {
+    core.info(`   Tip: add "listing-id: ${finalId}" to your listing config to skip the name lookup next time.`);
+  }
+
+  return { ...result, status, listingId: finalId, listingUrl: publicUrl, latestVersion, diff: changes || [], response };
+}
+
+/**
+ * Read, validate and (unless in dry-run / validate-only mode) submit one package.
+ * @param {string} projectPath - Absolute path to the package root.
+ * @param {object} options - Result of readActionInputs().
+ * @param {{ monorepo?: boolean, report?: object }} [flags] - In monorepo mode the name,
+ *   version and description inputs are ignored and no step outputs are set here.
+ *   `report` (from createReport) receives the payload, validation results with
+ *   located findings, diff and phase timings.
+ * @returns {Promise<{ name: string, version: string, status: string, listingId: string, listingUrl: string,
+ *   warnings: string[], latestVersion?: string, draftId?: string, draftUrl?: string, response?: object }>}
+ *   `latestVersion` is the listing's latest version after the run; `draftId` / `draftUrl` identify the
+ *   draft staged in draft mode; `response` is the marketplace's answer to the submission or operation.
+ * @throws {Error} On missing manifest, validation failure or API error.
+ */
+async function processPackage(projectPath, options, flags = {}) {
+  const { dryRun, validateOnly, failOnWarning } = options;
+  const input = (name) => (flags.monorepo ? '' : core.getInput(name));
+
+  // Milliseconds spent in each phase, for the report file
+  const timings = {};
+  let mark = Date.now();
+  const lap = (phase) => {
+    const now = Date.now();
+    timings[phase] = (timings[phase] || 0) + now - mark;
+    mark = now;
+  };
+  if (flags.report) flags.report.timings = timings;
+
+  // --- Read metadata ---
+  core.info('📦 Reading project metadata…');
+  if (!fs.existsSync(projectPath)) {
+    throw new Error(
+      `Project path does not exist: "${projectPath}". ` +
+      'Make sure "project-path" is correct and the repository was checked out.'
+    );
+  }
+  const config = loadListingConfig(projectPath, options.configFile);
+  if (config.file) core.info(`✓ Found listing config ${config.file}`);
+  const conf = config.values;
+
+  const metadata = readProjectMetadata(projectPath, input('manifest') || conf.manifest);
+  core.info(`   Name:    ${metadata.name}`);
+  core.info(`   Version: ${metadata.version}`);
+
+  // --- Build payload ---
+  const { payload, messages, release, prerelease, policy, versionEntry, sources } = buildPayload({
+    metadata,
+    conf,
+    inputs:        Object.fromEntries(PAYLOAD_INPUTS.map(name => [name, PACKAGE_INPUTS.includes(name) ? input(name) : core.getInput(name)])),
+    context:       actionContext(),
+    projectPath,
+    workspaceRoot: process.env.GITHUB_WORKSPACE || process.cwd(),
+    changelogSource: options.changelogSource,
+  });
+  messages.forEach(m => (m.level === 'warning' ? core.warning(m.text) : core.info(m.text)));
+  const result = { name: payload.name, version: payload.version, status: '', listingId: '', listingUrl: '', warnings: [] };
+
+  // In a monorepo a repository-wide tag only identifies a package through its
+  // tag-prefix; tags for other packages skip this one.
+  if (flags.monorepo && release && release.prefixes.length > 0 && release.tagVersion === null) {
+    core.info(`⏭️  Tag "${release.tag}" is not for this package (tag-prefix: ${release.prefixes.join(', ')}) — skipping`);
+    return { ...result, status: 'skipped' };
+  }
+  const tagCheck = flags.monorepo && release && release.prefixes.length === 0 ? null : release;
+  let explicit = {
+    id:     input('listing-id') || conf['listing-id'] || null,
+    source: input('listing-id') ? 'listing-id input' : config.file,
+  };
 
-    if (errors.length > 0) {
-      const msg = errors.map((e, i) => `  ${i + 1}. ${e}`).join('\n');
-      throw new Error(`Payload validation failed:\n${msg}`);
+  // --- Target overrides: the package config's `targets.<name>`, then the target itself ---
+  const { target } = options;
+  if (target) {
+    const targetConf = (conf.targets && conf.targets[target.name]) || {};
+    const category = targetConf.category || target.category;
+    if (category) payload.category = category;
+    if (explicit.id) {
+      core.warning(`"listing-id" is ignored with "targets": listing IDs differ per marketplace. Set "listing-id" on the target, or under targets.${target.name} in the listing config.`);
     }
+    explicit = targetConf['listing-id']
+      ? { id: targetConf['listing-id'], source: `${config.file}, targets.${target.name}` }
+      : { id: (!flags.monorepo && target.listingId) || null, source: `target "${target.name}"` };
+  }
+
+  // --- Lifecycle operations act on the existing listing ---
+  if (options.operation && options.operation !== 'submit') {
+    if (flags.report) flags.report.payload = payload;
+    return runOperation(payload, result, options, explicit);
+  }
+
+  // --- Validate ---
+  lap('read');
+  core.info('');
+  core.info('🔍 Validating payload…');
+  const { errors, warnings, findings } = validatePayload(payload, config, tagCheck);
+  result.warnings = warnings;
+  lap('validate');
+  if (flags.report) {
+    const workspace = process.env.GITHUB_WORKSPACE || process.cwd();
+    Object.assign(flags.report, {
+      payload,
+      errors,
+      warnings,
+      findings: locateFindings(findings, {
+        workspace,
+        manifestPath:    metadata.manifest ? path.join(projectPath, metadata.manifest) : null,
+        configPath:      config.file ? path.resolve(config.file) : null,
+        configPositions: config.positions,
+        sources,
+        workflowPath:    workflowPath(),
+      }),
+    });
+  }
+
+  if (warnings.length > 0) {
+    warnings.forEach(w => core.warning(w));
+    if (!flags.monorepo) core.setOutput('warnings', JSON.stringify(warnings));
+  }
+
+  if (errors.length > 0) {
+    const msg = errors.map((e, i) => `  ${i + 1}. ${e}`).join('\n');
+    throw new Error(`Payload validation failed:\n${msg}`);
+  }
+
+  if (failOnWarning && warnings.length > 0) {
+    throw new Error(`fail-on-warning is enabled and ${warnings.length} warning(s) were raised.`);
+  }
+
+  if (validateOnly) {
+    core.info('✅ Validation passed (validate-only mode — not submitting)');
+    return { ...result, status: 'validated' };
+  }
+
+  if (prerelease && policy === 'skip') {
+    core.info(`⏭️  ${payload.version} is a prerelease and "prerelease" is "skip" — not submitting`);
+    return { ...result, status: 'skipped' };
+  }
+
+  // --- Log summary ---
+  core.info('');
+  core.info('📋 Submission summary:');
+  core.info(`   Name:       ${payload.name}`);
+  core.info(`   Version:    ${payload.version}${payload.channel ? ` (${payload.channel} channel)` : ''}`);
+  core.info(`   Category:   ${payload.category}`);
+  core.info(`   License:    ${payload.license}`);
+  core.info(`   Pricing:    ${payload.pricing}`);
+  core.info(`   Tags:       ${payload.tags.join(', ') || '(none)'}`);
+  core.info(`   Repository: ${payload.repository}`);
+
+  if (dryRun) {
+    core.warning('🧪 DRY RUN — not submitting to marketplace');
+    return { ...result, status: 'dry-run', listingId: 'dry-run' };
+  }
+
+  return submitPackage(projectPath, { payload, versionEntry, prerelease }, options, {
+    explicit, result, lap, report: flags.report,
+  });
+}
+
+/**
+ * Publish a draft staged by an earlier `draft: true` run (`operation: publish`).
+ * The draft holds the payload and version entry, so this needs no checkout
+ * and reads no manifest.
+ * @param {object} options - Result of readActionInputs().
+ * @param {{ report?: object }} [flags] - `report` receives the published payload.
+ * @returns {Promise<object>} processPackage-style result with status `published`.
+ * @throws {Error} When "draft-id" is missing, or the draft was superseded, already
+ *   published or not found.
+ */
+async function promoteDraft(options, flags = {}) {
+  const { draftId, apiKey, marketplaceApi } = options;
+  if (!draftId) {
+    throw new Error('"operation: publish" needs "draft-id": the draft-id output of the run that staged the draft.');
+  }
+  const result = { name: '', version: '', status: '', listingId: '', listingUrl: '', warnings: [], draftId };
+
+  core.info(`🔍 Checking draft ${draftId}…`);
+  const draft = await fetchDraft(apiKey, draftId, marketplaceApi, options.http);
+  const payload = draft.payload || {};
+  Object.assign(result, { name: payload.name || '', version: (draft.version && draft.version.version) || '' });
+  if (flags.report) flags.report.payload = draft.payload || null;
+  core.info(`   ${draft.listing_id ? `Listing ${draft.listing_id}` : `New listing "${payload.name}"`}, version ${result.version} (${draft.status})`);
+
+  // The server refuses these too; checking first gives a clearer message and touches nothing.
+  if (draft.status === 'superseded') throw supersededError(draftId, draft.superseded_by);
+  if (draft.status === 'published') {
+    throw new Error(`Draft ${draftId} was already published${draft.listing_id ? ` to listing ${draft.listing_id}` : ''}.`);
+  }
+
+  if (options.dryRun || options.validateOnly) {
+    core.warning(`🧪 ${options.dryRun ? 'DRY RUN' : 'VALIDATE ONLY'} — would publish draft ${draftId}`);
+    return { ...result, status: options.dryRun ? 'dry-run' : 'validated', listingId: draft.listing_id || '' };
+  }
+
+  core.info('');
+  core.info(`🚀 Publishing draft ${draftId}…`);
+  const published = await publishDraft(apiKey, draftId, { audit: auditTrail('publish', options.operationMessage) }, marketplaceApi, options.http);
+  const listingId = published.listing.id || draft.listing_id || 'unknown';
+  const publicUrl = listingUrl(marketplaceApi, listingId, { template: options.listingUrlTemplate, name: result.name });
+
+  core.info('');
+  core.info('✅ Success!');
+  core.info('   Status:     published');
+  core.info(`   Listing ID: ${listingId}`);
+  core.info(`   Latest:     ${published.latestVersion || '(none)'}`);
+  core.info(`   URL:        ${publicUrl}`);
+  return {
+    ...result, status: 'published', listingId, listingUrl: publicUrl,
+    latestVersion: published.latestVersion || '', response: published.listing,
+  };
+}
+
+/**
+ * Report fields taken from a processPackage() result.
+ * @param {object} result
+ * @returns {object}
+ */
+function reportFields(result) {
+  return {
+    status:        result.status,
+    listingId:     result.listingId,
+    listingUrl:    result.listingUrl,
+    latestVersion: result.latestVersion || '',
+    draftId:       result.draftId || '',
+    draftUrl:      result.draftUrl || '',
+    response:      result.response || null,
+  };
+}
+
+/**
+ * Output entry for one processed package (monorepo `results`, `targets`).
+ * @param {object} result - From processPackage().
+ * @returns {object}
+ */
+function resultEntry(result) {
+  return {
+    name:          result.name,
+    version:       result.version,
+    status:        result.status,
+    'listing-id':  result.listingId,
+    'listing-url': result.listingUrl,
+    warnings:      result.warnings,
+    ...(result.state ? { state: result.state } : {}),
+    ...(result.latestVersion ? { 'latest-version': result.latestVersion } : {}),
+    ...(result.draftId ? { 'draft-id': result.draftId, 'draft-url': result.draftUrl } : {}),
+    ...(result.diff ? { diff: result.diff } : {}),
+  };
+}
 
-    if (failOnWarning && warnings.length > 0) {
-      throw new Error(`fail-on-warning is enabled and ${warnings.length} warning(s) were raised.`);
+/** Warn about single-package inputs that monorepo mode ignores. */
+function warnIgnoredPackageInputs() {
+  for (const name of PACKAGE_INPUTS) {
+    if (core.getInput(name)) {
+      core.warning(`The "${name}" input is ignored in monorepo mode; each package uses its own manifest and listing config.`);
     }
+  }
+}
 
-    if (validateOnly) {
-      core.info('✅ Validation passed (validate-only mode — not submitting)');
-      core.setOutput('status', 'validated');
-      core.setOutput('listing-id', '');
-      core.setOutput('listing-url', '');
-      return;
+/**
+ * Discover every package and process each one independently.
+ * A failing package is recorded and does not stop the others.
+ * @param {object} options - Result of readActionInputs() (with a target's URL and key in targets mode).
+ * @param {object[]} reports - Receives one report per package.
+ * @param {string} [labelPrefix] - Prepended to the package path in report headings.
+ * @returns {Promise<{ results: object, failed: string[], total: number, warnings: string[] }>}
+ */
+async function processMonorepo(options, reports, labelPrefix = '') {
+  core.info('🗂  Discovering packages…');
+  const packages = discoverPackages(options.projectPath, options.packages, MANIFEST_FILES);
+  packages.forEach(p => core.info(`   ${p.relativePath} (${p.source})`));
+
+  const results = {};
+  const failed = [];
+  const warnings = [];
+  for (const pkg of packages) {
+    core.startGroup(`📦 ${labelPrefix}${pkg.relativePath}`);
+    const report = createReport(`${labelPrefix}${pkg.relativePath}`);
+    reports.push(report);
+    try {
+      const result = await processPackage(pkg.path, options, { monorepo: true, report });
+      Object.assign(report, reportFields(result));
+      results[pkg.relativePath] = resultEntry(result);
+      warnings.push(...result.warnings.map(w => `${labelPrefix}${pkg.relativePath}: ${w}`));
+    } catch (err) {
+      const message = redact(err.message);
+      core.error(`${labelPrefix}${pkg.relativePath}: ${message}`);
+      Object.assign(report, { status: 'error', error: message });
+      results[pkg.relativePath] = { status: 'error', error: message };
+      failed.push(pkg.relativePath);
+    } finally {
+      core.endGroup();
     }
+  }
+
+  core.info('');
+  core.info('📋 Monorepo results:');
+  for (const [rel, r] of Object.entries(results)) {
+    core.info(`   ${r.status === 'error' ? '✗' : '✓'} ${rel}: ${r.status}${r['listing-id'] ? ` (${r['listing-id']})` : ''}`);
+  }
+  return { results, failed, total: packages.length, warnings };
+}
+
+/**
+ * Monorepo mode: process every package and set the combined outputs.
+ * @param {object} options - Result of readActionInputs().
+ * @param {object[]} reports - Receives one report per package.
+ * @returns {Promise<void>}
+ */
+async function runMonorepo(options, reports) {
+  warnIgnoredPackageInputs();
+  const { results, failed, total, warnings } = await processMonorepo(options, reports);
+
+  if (warnings.length > 0) core.setOutput('warnings', JSON.stringify(warnings));
+  core.setOutput('results', JSON.stringify(results));
+  core.setOutput('operation', options.operation);
+  core.setOutput('listing-id', '');
+  core.setOutput('listing-url', '');
 
-    // --- Log summary ---
+  if (failed.length === 0) {
+    core.setOutput('status', 'completed');
+  } else {
+    core.setOutput('status', failed.length === total ? 'error' : 'partial');
+    core.setFailed(`❌ ${failed.length} of ${total} package(s) failed: ${failed.join(', ')}`);
+  }
+}
+
+/**
+ * Targets mode: run the whole submission against each marketplace target in
+ * order. A failing gate target (the default) skips the targets after it, so
+ * production is only touched once staging succeeded.
+ * @param {object} options - Result of readActionInputs().
+ * @param {object[]} reports - Receives one report per target (and package).
+ * @returns {Promise<void>}
+ */
+async function runTargets(options, reports) {
+  if (options.monorepo) warnIgnoredPackageInputs();
+  const results = {};
+  const failed = [];
+  let blockedBy = null;
+  let last = null;
+
+  for (const target of options.targets) {
     core.info('');
-    core.info('📋 Submission summary:');
-    core.info(`   Name:       ${payload.name}`);
-    core.info(`   Version:    ${payload.version}`);
-    core.info(`   Category:   ${payload.category}`);
-    core.info(`   License:    ${payload.license}`);
-    core.info(`   Pricing:    ${payload.pricing}`);
-    core.info(`   Tags:       ${payload.tags.join(', ') || '(none)'}`);
-    core.info(`   Repository: ${payload.repository}`);
-
-    if (dryRun) {
-      core.warning('🧪 DRY RUN — not submitting to marketplace');
-      core.setOutput('status', 'dry-run');
-      core.setOutput('listing-id', 'dry-run');
-      core.setOutput('listing-url', '');
-      return;
+    core.info(`🎯 Target ${target.name} (${target.url})`);
+    if (blockedBy) {
+      core.info(`⏭️  Skipped — gate target "${blockedBy}" failed`);
+      results[target.name] = { status: 'skipped', error: `Target "${blockedBy}" failed` };
+      failed.push(target.name);
+      last = null;
+      continue;
     }
 
-    // --- Submit ---
-    let listingId = null;
-    if (updateExisting) {
-      core.info('');
-      core.info('🔍 Checking for existing listing…');
-      listingId = await findExistingListing(apiKey, payload.name, marketplaceApi);
-      core.info(listingId ? `   Found: ${listingId}` : '   No existing listing found');
+    const targetOptions = {
+      ...options,
+      target,
+      marketplaceApi:     target.url,
+      apiKey:             target.apiKey,
+      listingUrlTemplate: target.listingUrl || options.listingUrlTemplate,
+    };
+    let ok;
+    if (options.monorepo) {
+      const summary = await processMonorepo(targetOptions, reports, `${target.name}: `);
+      ok = summary.failed.length === 0;
+      results[target.name] = {
+        status:  ok ? 'completed' : (summary.failed.length === summary.total ? 'error' : 'partial'),
+        results: summary.results,
+      };
+      last = null;
+    } else {
+      const report = createReport(target.name);
+      reports.push(report);
+      try {
+        const result = await processPackage(options.projectPath, targetOptions, { report });
+        Object.assign(report, reportFields(result));
+        results[target.name] = resultEntry(result);
+        last = result;
+        ok = true;
+      } catch (err) {
+        const message = redact(err.message);
+        core.error(`${target.name}: ${message}`);
+        Object.assign(report, { status: 'error', error: message });
+        results[target.name] = { status: 'error', error: message };
+        last = null;
+        ok = false;
+      }
+    }
+    if (!ok) {
+      failed.push(target.name);
+      if (target.gate) blockedBy = target.name;
     }
+  }
 
-    core.info('');
-    core.info(`🚀 ${listingId ? 'Updating' : 'Creating'} listing…`);
-    const result = await submitToMarketplace(apiKey, payload, listingId, marketplaceApi);
+  core.info('');
+  core.info('📋 Target results:');
+  for (const [name, r] of Object.entries(results)) {
+    core.info(`   ${failed.includes(name) ? '✗' : '✓'} ${name}: ${r.status}${r['listing-id'] ? ` (${r['listing-id']})` : ''}`);
+  }
 
-    const finalId   = result.id || result.data?.id || listingId || 'unknown';
-    const publicUrl = `${marketplaceApi.replace('/v1', '')}/listing/${finalId}`;
-    const status    = listingId ? 'updated' : 'created';
+  // The single-value outputs describe the last target (usually production).
+  core.setOutput('targets', JSON.stringify(results));
+  core.setOutput('operation', options.operation);
+  core.setOutput('listing-id', last ? last.listingId : '');
+  core.setOutput('listing-url', last ? last.listingUrl : '');
+  if (last && last.latestVersion) core.setOutput('latest-version', last.latestVersion);
 
-    core.info('');
-    core.info('✅ Success!');
-    core.info(`   Status:     ${status}`);
-    core.info(`   Listing ID: ${finalId}`);
-    core.info(`   URL:        ${publicUrl}`);
+  const total = options.targets.length;
+  if (failed.length === 0) {
+    core.setOutput('status', 'completed');
+  } else {
+    core.setOutput('status', failed.length === total ? 'error' : 'partial');
+    core.setFailed(`❌ ${failed.length} of ${total} target(s) failed or were skipped: ${failed.join(', ')}`);
+  }
+}
+
+/**
+ * Main action entry point.
+ */
+async function run() {
+  const reports = [];
+  const startedAt = new Date();
+  let options = null;
+  try {
+    options = readActionInputs();
 
-    core.setOutput('listing-id',  finalId);
-    core.setOutput('listing-url', publicUrl);
-    core.setOutput('status',      status);
+    if (options.operation === 'publish' && (options.targets || options.monorepo)) {
+      throw new Error('"operation: publish" publishes a single draft and cannot be combined with "targets" or "monorepo". Use one step per draft.');
+    }
+
+    if (options.targets) {
+      await runTargets(options, reports);
+      return;
+    }
+
+    if (options.monorepo) {
+      await runMonorepo(options, reports);
+      return;
+    }
+
+    const report = createReport('.');
+    reports.push(report);
+    const result = options.operation === 'publish'
+      ? await promoteDraft(options, { report })
+      : await processPackage(options.projectPath, options, { report });
+    Object.assign(report, reportFields(result));
+
+    core.setOutput('listing-id',  result.listingId);
+    core.setOutput('listing-url', result.listingUrl);
+    core.setOutput('status',      result.status);
+    core.setOutput('operation',   options.operation);
+    if (result.state) core.setOutput('listing-state', result.state);
+    if (result.latestVersion) core.setOutput('latest-version', result.latestVersion);
+    if (result.draftId) core.setOutput('draft-id', result.draftId);
+    if (result.draftUrl) core.setOutput('draft-url', result.draftUrl);
+    if (result.diff) core.setOutput('diff', JSON.stringify(result.diff));
 
   } catch (err) {
-    core.setFailed(`❌ Action failed: ${err.message}`);
+    const message = redact(err.message);
+    core.setFailed(`❌ Action failed: ${message}`);
     core.setOutput('status', 'error');
+    reports.filter(r => !r.status).forEach(r => Object.assign(r, { status: 'error', error: message }));
+  } finally {
+    if (options && reports.length > 0) {
+      writeReportFiles(reports, { ...options, startedAt });
+      await publishReport(reports, options);
+    }
   }
 }
 
-run();
+if (require.main === module) {
+  run();
+}
 
 // Export internals for testing
 module.exports = {
+  DEFAULT_MARKETPLACE_API,
+  OPERATIONS,
+  VERSION_OPERATIONS,
   readProjectMetadata,
   readFromPackageJson,
   readFromPyproject,
   readFromCargo,
+  findCargoWorkspaceRoot,
   validatePayload,
+  buildPayload,
   httpsRequest,
+  normaliseRepoUrl,
   findExistingListing,
+  fetchListing,
   submitToMarketplace,
+  patchListing,
+  changeListingState,
+  publishVersion,
+  changeVersionState,
+  createDraft,
+  publishDraft,
+  promoteDraft,
+  uploadMedia,
+  listingUrl,
+  processPackage,
+  submitPackage,
+  run,
 };
@@ -0,0 +1,223 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const toml = require('./toml');
+const { README_FILES } = require('./content');
+const { LIMITS } = require('./rules');
+
+// ---------------------------------------------------------------------------
+// Tag and category inference
+//
+// Opt-in (`infer: true`). Looks at what the project is rather than what it
+// says about itself: NEAR dependencies, contract build targets, CLI entry
+// points and README headings. Each signal suggests tags and votes for a
+// category; manual tags always come first.
+// ---------------------------------------------------------------------------
+
+/** Dependencies that say what a project is. Matched against normalised package names. */
+const DEPENDENCY_HINTS = [
+  { match: /^(near-api-js|@near-js\/.+)$/, tags: ['near', 'near-api-js'], category: 'development' },
+  { match: /^near-sdk$/, tags: ['near', 'smart-contract', 'rust'], category: 'blockchain' },
+  { match: /^near-sdk-js$/, tags: ['near', 'smart-contract', 'javascript'], category: 'blockchain' },
+  { match: /^near-sdk-py$/, tags: ['near', 'smart-contract', 'python'], category: 'blockchain' },
+  { match: /^(near-workspaces|near-workspaces-js)$/, tags: ['near', 'testing'] },
+  { match: /^@near-wallet-selector\/.+$/, tags: ['near', 'wallet'], category: 'wallets' },
+  { match: /^(py-near|near-api-py|near-jsonrpc-client|near-api-rs)$/, tags: ['near'], category: 'development' },
+  { match: /^(openai|anthropic|@anthropic-ai\/sdk|langchain|@langchain\/.+|llama-index|transformers)$/, tags: ['ai'], category: 'ai' },
+];
+
+/** README heading topics. Matched against lowercased heading text. */
+const TOPIC_HINTS = [
+  { match: /\bwallets?\b/, tags: ['wallet'], category: 'wallets' },
+  { match: /\b(defi|swaps?|lending|liquidity|staking)\b/, tags: ['defi'], category: 'defi' },
+  { match: /\bnfts?\b/, tags: ['nft'], category: 'nft' },
+  { match: /\b(ai|agents?|llms?)\b/, tags: ['ai'], category: 'ai' },
+  { match: /\b(analytics|dashboards?|metrics)\b/, tags: ['analytics'], category: 'analytics' },
+  { match: /\b(indexers?|indexing)\b/, tags: ['indexer'], category: 'data' },
+  { match: /\b(games?|gaming)\b/, tags: ['gaming'], category: 'gaming' },
+  { match: /\bsmart contracts?\b/, tags: ['smart-contract'], category: 'blockchain' },
+  { match: /\b(cli|command[- ]line)\b/, tags: ['cli'], category: 'development' },
+  { match: /\bsdk\b/, tags: ['sdk'], category: 'development' },
+];
+
+/** Category votes per kind of signal: build facts outweigh README wording. */
+const WEIGHTS = { dependency: 2, contract: 2, bin: 1, readme: 1 };
+
+/**
+ * Normalise a tag to lowercase kebab-case, e.g. "NEAR Protocol" → "near-protocol".
+ * @param {string} tag
+ * @returns {string} Empty when nothing usable is left.
+ */
+function normaliseTag(tag) {
+  return String(tag)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, LIMITS.tagLength)
+    .replace(/-+$/, '');
+}
+
+/**
+ * Merge tag lists in order: normalise, drop duplicates and empty tags, and
+ * keep at most `limit`.
+ * @param {string[]} manual - Tags from the input, config or manifest.
+ * @param {string[]} inferred - Tags from inferListing().
+ * @param {number} [limit]
+ * @returns {string[]}
+ */
+function mergeTags(manual, inferred, limit = LIMITS.tags) {
+  const tags = [...new Set([...manual, ...inferred].map(normaliseTag).filter(Boolean))];
+  return tags.slice(0, limit);
+}
+
+/** Parse a TOML file, or null when it is absent or malformed (the manifest reader reports that). */
+function readToml(filePath) {
+  try {
+    return fs.existsSync(filePath) ? toml.parse(fs.readFileSync(filePath, 'utf8')) : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Parse a JSON file, or null when it is absent or malformed. */
+function readJson(filePath) {
+  try {
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Package name from a PEP 508 requirement, normalised as in PEP 503. */
+function pythonName(requirement) {
+  const match = /^\s*([A-Za-z0-9][A-Za-z0-9._-]*)/.exec(requirement);
+  return match ? match[1].toLowerCase().replace(/[-_.]+/g, '-') : '';
+}
+
+/**
+ * Collect the build facts of a project: dependency names, contract build
+ * targets and CLI entry points, from package.json, Cargo.toml,
+ * pyproject.toml and requirements.txt.
+ * @param {string} projectPath
+ * @returns {{ dependencies: string[], contract: string|null, bin: string|null }}
+ *   `contract` and `bin` name the file that declares them.
+ */
+function projectFacts(projectPath) {
+  const dependencies = new Set();
+  let contract = null;
+  let bin = null;
+
+  const pkg = readJson(path.join(projectPath, 'package.json'));
+  if (pkg) {
+    for (const field of ['dependencies', 'devDependencies', 'peerDependencies']) {
+      Object.keys(pkg[field] || {}).forEach(name => dependencies.add(name));
+    }
+    if (typeof pkg.bin === 'string' || (pkg.bin && Object.keys(pkg.bin).length > 0)) bin = 'package.json';
+    if (Object.values(pkg.scripts || {}).some(s => /near-sdk-js build|wasm32-unknown-unknown/.test(s))) contract = 'package.json';
+  }
+
+  const cargo = readToml(path.join(projectPath, 'Cargo.toml'));
+  if (cargo) {
+    for (const field of ['dependencies', 'dev-dependencies']) {
+      Object.keys(cargo[field] || {}).forEach(name => dependencies.add(name));
+    }
+    if (Array.isArray(cargo.bin) && cargo.bin.length > 0) bin = bin || 'Cargo.toml';
+    const crateTypes = (cargo.lib && cargo.lib['crate-type']) || [];
+    if (crateTypes.includes('cdylib')) contract = contract || 'Cargo.toml';
+  }
+
+  const pyproject = readToml(path.join(projectPath, 'pyproject.toml'));
+  if (pyproject) {
+    const project = pyproject.project || {};
+    const poetry = (pyproject.tool && pyproject.tool.poetry) || {};
+    (Array.isArray(project.dependencies) ? project.dependencies : []).forEach(r => dependencies.add(pythonName(r)));
+    Object.keys(poetry.dependencies || {}).forEach(name => dependencies.add(pythonName(name)));
+    if (Object.keys(project.scripts || poetry.scripts || {}).length > 0) bin = bin || 'pyproject.toml';
+  }
+
+  const requirements = path.join(projectPath, 'requirements.txt');
+  if (fs.existsSync(requirements)) {
+    fs.readFileSync(requirements, 'utf8').split('\n')
+      .filter(line => line.trim() && !/^\s*[#-]/.test(line))
+      .forEach(line => dependencies.add(pythonName(line)));
+  }
+
+  dependencies.delete('');
+  return { dependencies: [...dependencies], contract, bin };
+}
+
+/** Contract SDKs; a project depending on one is a NEAR contract. */
+const NEAR_SDKS = ['near-sdk', 'near-sdk-js', 'near-sdk-py'];
+
+/**
+ * Whether a project builds a NEAR contract: it depends on a near-sdk or has a
+ * `cargo near` target directory.
+ * @param {string} projectPath
+ * @returns {boolean}
+ */
+function isNearContract(projectPath) {
+  if (fs.existsSync(path.join(projectPath, 'target', 'near'))) return true;
+  return projectFacts(projectPath).dependencies.some(name => NEAR_SDKS.includes(name));
+}
+
+/**
+ * Markdown headings (levels 1–3) of the project README, outside code blocks.
+ * @param {string} projectPath
+ * @param {string} [readme] - README path from the manifest, tried first.
+ * @returns {string[]}
+ */
+function readmeHeadings(projectPath, readme) {
+  const file = [readme, ...README_FILES].filter(Boolean).find(f => fs.existsSync(path.join(projectPath, f)));
+  if (!file) return [];
+  const headings = [];
+  let fenced = false;
+  for (const line of fs.readFileSync(path.join(projectPath, file), 'utf8').split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) fenced = !fenced;
+    const match = !fenced && /^#{1,3}\s+(.+?)\s*#*\s*$/.exec(line);
+    if (match) headings.push(match[1]);
+  }
+  return headings;
+}
+
+/**
+ * Suggest tags and a category from the project contents.
+ * @param {string} projectPath
+ * @param {{ readme?: string }} [metadata] - Manifest metadata (for the README path).
+ * @returns {{ tags: string[], category: string|null, reasons: string[] }} `reasons`
+ *   describes each signal that contributed, for the log.
+ */
+function inferListing(projectPath, metadata = {}) {
+  const tags = [];
+  const votes = new Map();
+  const reasons = [];
+  const apply = (hint, kind, reason) => {
+    tags.push(...hint.tags);
+    if (hint.category) votes.set(hint.category, (votes.get(hint.category) || 0) + WEIGHTS[kind]);
+    if (!reasons.includes(reason)) reasons.push(reason);
+  };
+
+  const facts = projectFacts(projectPath);
+  for (const name of facts.dependencies) {
+    const hint = DEPENDENCY_HINTS.find(h => h.match.test(name));
+    if (hint) apply(hint, 'dependency', `${name} dependency`);
+  }
+  if (facts.contract) apply({ tags: ['smart-contract', 'wasm'], category: 'blockchain' }, 'contract', `wasm build target in ${facts.contract}`);
+  if (facts.bin) apply({ tags: ['cli'], category: 'development' }, 'bin', `bin entry in ${facts.bin}`);
+
+  for (const heading of readmeHeadings(projectPath, metadata.readme)) {
+    const text = heading.toLowerCase();
+    for (const hint of TOPIC_HINTS.filter(h => h.match.test(text))) {
+      apply(hint, 'readme', `README heading "${heading}"`);
+    }
+  }
+
+  // Highest vote wins; ties go to the category suggested first.
+  let category = null;
+  for (const [name, count] of votes) {
+    if (category === null || count > votes.get(category)) category = name;
+  }
+  return { tags: mergeTags([], tags, Infinity), category, reasons };
+}
+
+module.exports = { DEPENDENCY_HINTS, TOPIC_HINTS, NEAR_SDKS, normaliseTag, mergeTags, isNearContract, inferListing };
@@ -0,0 +1,149 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Install section of the listing
+//
+// Tells users how to get the release: an install command and registry page
+// per package registry, and the release assets with their checksums. The
+// registry comes from the manifest (package.json → npm, pyproject.toml →
+// PyPI, Cargo.toml → crates.io); `registries` adds others or renames the
+// package on one.
+// ---------------------------------------------------------------------------
+
+/** Registries with their package page and install command, for a name and an optional version. */
+const REGISTRIES = {
+  npm: {
+    url:     (name, version) => `https://www.npmjs.com/package/${name}${version ? `/v/${version}` : ''}`,
+    command: (name, version) => `npm i ${name}${version ? `@${version}` : ''}`,
+  },
+  pypi: {
+    url:     (name, version) => `https://pypi.org/project/${name}/${version ? `${version}/` : ''}`,
+    command: (name, version) => `pip install ${name}${version ? `==${version}` : ''}`,
+  },
+  crates: {
+    url:     (name, version) => `https://crates.io/crates/${name}${version ? `/${version}` : ''}`,
+    command: (name, version) => `cargo add ${name}${version ? `@${version}` : ''}`,
+  },
+  jsr: {
+    url:     (name, version) => `https://jsr.io/${name}${version ? `@${version}` : ''}`,
+    command: (name, version) => `deno add jsr:${name}${version ? `@${version}` : ''}`,
+  },
+  nuget: {
+    url:     (name, version) => `https://www.nuget.org/packages/${name}${version ? `/${version}` : ''}`,
+    command: (name, version) => `dotnet add package ${name}${version ? ` --version ${version}` : ''}`,
+  },
+  go: {
+    url:     (name, version) => `https://pkg.go.dev/${name}${version ? `@v${version}` : ''}`,
+    command: (name, version) => `go get ${name}${version ? `@v${version}` : '@latest'}`,
+  },
+};
+
+/** Manifests whose packages are published to a registry. */
+const MANIFEST_REGISTRIES = {
+  'package.json':   'npm',
+  'pyproject.toml': 'pypi',
+  'setup.cfg':      'pypi',
+  'PKG-INFO':       'pypi',
+  'Cargo.toml':     'crates',
+};
+
+/**
+ * Parse the extra registries: `registry=package` entries from the input, or a
+ * `{ registry: package }` map from the config. "none" leaves out the
+ * registry detected from the manifest.
+ * @param {string|object|undefined} value
+ * @returns {{ none: boolean, packages: Object<string, string> }}
+ * @throws {Error} On malformed entries or unknown registries.
+ */
+function parseRegistries(value) {
+  if (!value) return { none: false, packages: {} };
+  if (value === 'none') return { none: true, packages: {} };
+  let packages = {};
+  if (typeof value === 'object') {
+    packages = { ...value };
+  } else {
+    for (const entry of String(value).split(/[,\n]/).map(s => s.trim()).filter(Boolean)) {
+      const match = /^([\w-]+)\s*=\s*(\S+)$/.exec(entry);
+      if (!match) {
+        throw new Error(`Invalid "registries" entry "${entry}". Expected registry=package, e.g. npm=@acme/tool, jsr=@acme/tool.`);
+      }
+      packages[match[1]] = match[2];
+    }
+  }
+  const unknown = Object.keys(packages).filter(registry => !REGISTRIES[registry]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown registry "${unknown[0]}" in "registries". Expected one of: ${Object.keys(REGISTRIES).join(', ')}.`);
+  }
+  return { none: false, packages };
+}
+
+/**
+ * SHA-256 of a release asset, from the `sha256:<hex>` digest GitHub records
+ * for uploaded assets.
+ * @param {object} asset
+ * @returns {string|null} Null for assets without a digest.
+ */
+function assetSha256(asset) {
+  const match = /^sha256:([0-9a-f]{64})$/i.exec(asset.digest || '');
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Download links for the assets of a GitHub release.
+ * @param {object|null|undefined} release - `github.context.payload.release`.
+ * @returns {{ name: string, url: string, size: number|null, content_type: string|null, sha256: string|null }[]}
+ */
+function releaseDownloads(release) {
+  return ((release && release.assets) || [])
+    // Assets still being uploaded have state "open".
+    .filter(asset => asset.browser_download_url && (!asset.state || asset.state === 'uploaded'))
+    .map(asset => ({
+      name:         asset.name,
+      url:          asset.browser_download_url,
+      size:         typeof asset.size === 'number' ? asset.size : null,
+      content_type: asset.content_type || null,
+      sha256:       assetSha256(asset),
+    }));
+}
+
+/**
+ * Build the install section for a release.
+ * @param {{ name?: string, manifest?: string|null, private?: boolean }} metadata - Manifest
+ *   metadata; the package name on the registry is the manifest name, not a listing name override.
+ * @param {string} version
+ * @param {{ registries?: string|object, release?: object|null }} sources - The `registries`
+ *   input or config value, and the GitHub release.
+ * @returns {{ install: { registries: object[], downloads: object[] }|null,
+ *   messages: { level: string, text: string }[] }} `install` is null when there is nothing to install.
+ * @throws {Error} When `registries` is malformed.
+ */
+function collectInstall(metadata, version, sources) {
+  const { none, packages } = parseRegistries(sources.registries);
+  const detected = MANIFEST_REGISTRIES[metadata.manifest];
+  const wanted = {};
+  if (detected && metadata.name && !metadata.private && !none) wanted[detected] = metadata.name;
+  Object.assign(wanted, packages);
+
+  const registries = Object.entries(wanted).map(([registry, name]) => ({
+    registry,
+    package: name,
+    version: version || null,
+    url:     REGISTRIES[registry].url(name, version),
+    command: REGISTRIES[registry].command(name, version),
+  }));
+  const downloads = releaseDownloads(sources.release);
+  if (registries.length === 0 && downloads.length === 0) return { install: null, messages: [] };
+
+  const messages = registries.map(r => ({ level: 'info', text: `✓ Install from ${r.registry}: ${r.command}` }));
+  if (downloads.length > 0) {
+    const unchecked = downloads.filter(d => !d.sha256).length;
+    messages.push({
+      level: 'info',
+      text: `✓ Linked ${downloads.length} release download${downloads.length === 1 ? '' : 's'}` +
+        (unchecked > 0 ? ` (${unchecked} without a checksum)` : ''),
+    });
+  }
+  return { install: { registries, downloads }, messages };
+}
+
+module.exports = { REGISTRIES, MANIFEST_REGISTRIES, parseRegistries, releaseDownloads, collectInstall };
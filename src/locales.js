@@ -0,0 +1,259 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { loadLongDescription, extractChangelogSection } = require('./content');
+
+// ---------------------------------------------------------------------------
+// Localized listing content
+//
+// The top-level description, long description and changelog are the default
+// locale's text; translations travel in a `locales` map keyed by locale. They
+// come from the `locales` input (a YAML map), the `locales` key of the
+// listing config, and translated files: README.<locale>.md next to the long
+// description file, CHANGELOG.<locale>.md next to the changelog file, and
+// docs/i18n/<locale>.md or docs/i18n/<locale>/{README,CHANGELOG}.md.
+// ---------------------------------------------------------------------------
+
+const DEFAULT_LOCALE = 'en';
+
+/** Payload fields that can be translated, with their input / config key. */
+const LOCALIZED_FIELDS = {
+  description:      'description',
+  long_description: 'long-description',
+  changelog:        'changelog',
+};
+
+/** Keys of a locale entry in the `locales` input and config. */
+const ENTRY_KEYS = [...Object.values(LOCALIZED_FIELDS), 'long-description-file'];
+
+/** BCP 47 language[-Script][-REGION], also with underscores: de, pt-BR, zh_Hant_TW. */
+const LOCALE = /^([a-z]{2,3})(?:[-_]([a-z]{4}))?(?:[-_]([a-z]{2}|\d{3}))?$/i;
+
+/** ISO 639 languages ICU has a name for; `dev`, `api` or `md` have none. */
+const LANGUAGE_NAMES = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' });
+
+/**
+ * Language codes that, as a file name suffix, usually mean something else:
+ * README.new.md, CHANGELOG.bak.md, app.min.js.
+ */
+const FILE_SUFFIXES = ['alt', 'arm', 'bak', 'bin', 'ext', 'fin', 'mac', 'min', 'new', 'sh', 'src', 'ts'];
+
+/**
+ * Normalise a locale code to BCP 47 casing: `pt_br` → `pt-BR`, `ZH-HANT` → `zh-Hant`.
+ * @param {string} code
+ * @returns {string|null} Null when `code` is not a locale of a known language.
+ */
+function normaliseLocale(code) {
+  const match = LOCALE.exec(String(code || '').trim());
+  if (!match || !LANGUAGE_NAMES.of(match[1].toLowerCase())) return null;
+  const [, language, script, region] = match;
+  return [
+    language.toLowerCase(),
+    script && script[0].toUpperCase() + script.slice(1).toLowerCase(),
+    region && region.toUpperCase(),
+  ].filter(Boolean).join('-');
+}
+
+/**
+ * Locale named by a file or directory name suffix, leaving out the
+ * FILE_SUFFIXES.
+ * @param {string} name
+ * @returns {string|null}
+ */
+function fileLocale(name) {
+  const locale = normaliseLocale(name);
+  return locale && !FILE_SUFFIXES.includes(locale.split('-')[0]) ? locale : null;
+}
+
+/**
+ * Parse the `locales` input: a YAML map shaped like the `locales` key of the
+ * listing config.
+ *
+ *   de:
+ *     description: Ein Werkzeug für NEAR
+ *     long-description-file: docs/README.de.md
+ *
+ * @param {string|undefined} value
+ * @returns {Object<string, Object<string, string>>} Entries keyed by locale as written.
+ * @throws {Error} When the input is not such a map.
+ */
+function parseLocalesInput(value) {
+  if (!value) return {};
+  const isMap = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+  let parsed;
+  try {
+    parsed = YAML.parse(value);
+  } catch (err) {
+    throw new Error(`Invalid "locales" input: ${err.message.split('\n')[0]}`);
+  }
+  if (!isMap(parsed)) {
+    throw new Error('Invalid "locales" input: expected a YAML map of locales, e.g. "de: { description: Ein Werkzeug }".');
+  }
+  for (const [locale, entry] of Object.entries(parsed)) {
+    const bad = isMap(entry) ? Object.keys(entry).find(key => !ENTRY_KEYS.includes(key) || typeof entry[key] !== 'string') : locale;
+    if (bad !== undefined) {
+      throw new Error(`Invalid "locales" input at "${locale}${bad === locale ? '' : `.${bad}`}": each locale maps ${ENTRY_KEYS.join(', ')} to text.`);
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Translated copies of `file` next to it: `README.de.md`, `README.pt-BR.md`.
+ * @param {string} projectPath
+ * @param {string} file - Relative to the project.
+ * @returns {Object<string, string>} Project-relative files keyed by locale.
+ */
+function siblingTranslations(projectPath, file) {
+  const dir = path.dirname(file);
+  const ext = path.extname(file);
+  const stem = path.basename(file, ext);
+  const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`^${escape(stem)}\\.([^.]+)${escape(ext)}$`);
+  const found = {};
+  let entries = [];
+  try {
+    entries = fs.readdirSync(path.join(projectPath, dir));
+  } catch {
+    return found;
+  }
+  for (const entry of entries.sort()) {
+    const match = pattern.exec(entry);
+    const locale = match && fileLocale(match[1]);
+    if (locale) found[locale] = path.join(dir, entry);
+  }
+  return found;
+}
+
+/**
+ * Translations under docs/i18n: `<locale>.md` and `<locale>/README.md` for the
+ * long description, `<locale>/CHANGELOG.md` for the changelog.
+ * @param {string} projectPath
+ * @returns {{ long_description: Object<string, string>, changelog: Object<string, string> }}
+ */
+function i18nDirectory(projectPath) {
+  const found = { long_description: {}, changelog: {} };
+  const root = path.join('docs', 'i18n');
+  let entries = [];
+  try {
+    entries = fs.readdirSync(path.join(projectPath, root), { withFileTypes: true });
+  } catch {
+    return found;
+  }
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    if (entry.isFile() && entry.name.endsWith('.md')) {
+      const locale = fileLocale(entry.name.slice(0, -3));
+      if (locale) found.long_description[locale] = path.join(root, entry.name);
+    } else if (entry.isDirectory()) {
+      const locale = fileLocale(entry.name);
+      if (!locale) continue;
+      for (const [field, name] of [['long_description', 'README.md'], ['changelog', 'CHANGELOG.md']]) {
+        const file = path.join(root, entry.name, name);
+        if (fs.existsSync(path.join(projectPath, file))) found[field][locale] = file;
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Collect the translated listing text of a package.
+ * @param {string} projectPath - Absolute project root.
+ * @param {object} sources
+ * @param {string} sources.defaultLocale - Locale of the top-level text.
+ * @param {string} [sources.input] - The `locales` input (see parseLocalesInput()).
+ * @param {Object<string, object>} [sources.config] - The config `locales` map.
+ * @param {string|null} [sources.longDescriptionFile] - Project-relative file the default long
+ *   description was loaded from; its translations are picked up next to it.
+ * @param {string|null} [sources.changelogFile] - Project-relative changelog file, when the
+ *   changelog source reads files; `version` selects the section. Without it no translated
+ *   changelog files are read.
+ * @param {string} [sources.version]
+ * @param {object} sources.content - loadLongDescription() options (marker, workspaceRoot, owner, repo, ref).
+ * @returns {{ locales: Object<string, { description?: string, long_description?: string, changelog?: string }>|null,
+ *   messages: { level: string, text: string }[] }} `locales` is null when there are no translations.
+ * @throws {Error} On a malformed `locales` input, an invalid locale or a missing long-description-file.
+ */
+function collectLocales(projectPath, sources) {
+  const messages = [];
+  const texts = {};
+  const set = (locale, field, value) => {
+    if (!value || (texts[locale] && texts[locale][field])) return;
+    texts[locale] = { ...texts[locale], [field]: String(value).trim() };
+  };
+  const loadFile = (locale, file) => {
+    const loaded = loadLongDescription(projectPath, file, sources.content);
+    if (loaded.warning) messages.push({ level: 'warning', text: loaded.warning });
+    set(locale, 'long_description', loaded.text);
+  };
+
+  // The input, then the listing config; both name their locales explicitly.
+  const given = [[parseLocalesInput(sources.input), 'the "locales" input'], [sources.config, 'the listing config']]
+    .map(([entries, where]) => Object.fromEntries(Object.entries(entries || {}).map(([code, entry]) => {
+      const locale = normaliseLocale(code);
+      if (!locale) {
+        throw new Error(`Invalid locale "${code}" under "locales" in ${where}. Use a language code with an optional region, e.g. de or pt-BR.`);
+      }
+      return [locale, entry || {}];
+    })));
+  for (const entries of given) {
+    for (const [locale, entry] of Object.entries(entries)) {
+      if (locale === sources.defaultLocale) {
+        messages.push({
+          level: 'warning',
+          text: `Translations for "${locale}" are ignored: it is the default locale, so its text comes from description, long-description and changelog`,
+        });
+        continue;
+      }
+      for (const [field, key] of Object.entries(LOCALIZED_FIELDS)) set(locale, field, entry[key]);
+      if (entry['long-description-file'] && !(texts[locale] && texts[locale].long_description)) {
+        loadFile(locale, entry['long-description-file']);
+      }
+    }
+  }
+
+  // Translated files fill in what was not given.
+  const i18n = i18nDirectory(projectPath);
+  const files = {
+    long_description: {
+      ...i18n.long_description,
+      ...(sources.longDescriptionFile ? siblingTranslations(projectPath, sources.longDescriptionFile) : {}),
+    },
+    changelog: sources.changelogFile && sources.version
+      ? { ...i18n.changelog, ...siblingTranslations(projectPath, sources.changelogFile) }
+      : {},
+  };
+  const used = [];
+  for (const [locale, file] of Object.entries(files.long_description)) {
+    if (locale === sources.defaultLocale || (texts[locale] && texts[locale].long_description)) continue;
+    loadFile(locale, file);
+    used.push(file);
+  }
+  for (const [locale, file] of Object.entries(files.changelog)) {
+    if (locale === sources.defaultLocale || (texts[locale] && texts[locale].changelog)) continue;
+    const section = extractChangelogSection(fs.readFileSync(path.join(projectPath, file), 'utf8'), sources.version);
+    if (section) {
+      set(locale, 'changelog', section);
+      used.push(file);
+    }
+  }
+
+  const codes = Object.keys(texts).sort();
+  if (codes.length === 0) return { locales: null, messages };
+  const locales = Object.fromEntries(codes.map(locale => [locale, texts[locale]]));
+  messages.push({
+    level: 'info',
+    text: `✓ Localized listing in ${codes.join(', ')}${used.length > 0 ? ` (from ${used.map(f => f.split(path.sep).join('/')).join(', ')})` : ''}`,
+  });
+  return { locales, messages };
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALIZED_FIELDS,
+  normaliseLocale,
+  parseLocalesInput,
+  collectLocales,
+};
@@ -0,0 +1,538 @@
+'use strict';
+
+const core = require('@actions/core');
+const fs = require('fs');
+const path = require('path');
+const xml = require('./xml');
+const { git } = require('./git');
+
+// ---------------------------------------------------------------------------
+// Manifest readers for Deno / JSR, setup.cfg / PKG-INFO, Go, Maven and .NET
+//
+// Every reader takes the project directory (and optionally a specific file)
+// and returns the same shape as readFromPackageJson in index.js, or null when
+// its manifest is absent.
+// ---------------------------------------------------------------------------
+
+/** Return `value` when it is a non-empty string, otherwise undefined. */
+function str(value) {
+  return typeof value === 'string' && value.trim() !== '' ? value : undefined;
+}
+
+/** Return the string entries of `value` when it is an array. */
+function strList(value) {
+  return Array.isArray(value) ? value.filter(v => typeof v === 'string' && v.trim() !== '') : [];
+}
+
+/** Split a delimited list (commas, semicolons or newlines) into trimmed entries. */
+function splitWords(value, separator = /[,;\n]/) {
+  return (value || '').split(separator).map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Normalise an author entry to a display name.
+ * Accepts PEP 621 tables (`{ name, email }`) and "Name <email>" strings.
+ * @param {string|{ name?: string, email?: string }} author
+ * @returns {string|undefined}
+ */
+function authorName(author) {
+  if (author && typeof author === 'object') return str(author.name) || str(author.email);
+  const s = str(author);
+  if (!s) return undefined;
+  return s.replace(/\s*<[^>]*>\s*$/, '').trim() || s;
+}
+
+/**
+ * Look up a key in a `[project.urls]`-style table, case-insensitively.
+ * @param {object} urls
+ * @param {string[]} labels - Candidate labels in priority order.
+ * @returns {string|undefined}
+ */
+function pickUrl(urls, labels) {
+  if (!urls || typeof urls !== 'object') return undefined;
+  const normalise = (k) => k.toLowerCase().replace(/[\s_-]/g, '');
+  const byLabel = new Map(Object.entries(urls).map(([k, v]) => [normalise(k), v]));
+  for (const label of labels) {
+    const hit = str(byLabel.get(normalise(label)));
+    if (hit) return hit;
+  }
+  return undefined;
+}
+
+/** Hosts of npm's `host:owner/repo` repository shorthands; a bare `owner/repo` is GitHub. */
+const REPO_SHORTHAND_HOSTS = { github: 'github.com', gitlab: 'gitlab.com', bitbucket: 'bitbucket.org' };
+
+/**
+ * Host and path of a repository URL, in its original case: drops protocol,
+ * `git+`, `www.`, credentials, `.git` and trailing slashes, and maps
+ * `git@host:owner/repo` and the npm shorthands `owner/repo` and `github:owner/repo`.
+ * @param {string} url
+ * @returns {string}
+ */
+function repoLocation(url) {
+  if (!url || typeof url !== 'string') return '';
+  const value = url.trim();
+  const shorthand = /^(?:(github|gitlab|bitbucket):)?([\w.-]+\/[\w.-]+)$/i.exec(value);
+  if (shorthand) {
+    return `${REPO_SHORTHAND_HOSTS[(shorthand[1] || 'github').toLowerCase()]}/${shorthand[2].replace(/\.git$/i, '')}`;
+  }
+  return value
+    .replace(/^git\+/i, '')
+    .replace(/^git@([^:]+):/i, '$1/')
+    .replace(/^[a-z]+:\/\//i, '')
+    .replace(/^[^@/]+@/, '')
+    .replace(/^www\./i, '')
+    .replace(/\.git$/i, '')
+    .replace(/\/+$/, '');
+}
+
+/**
+ * Normalise a repository URL for comparison: repoLocation(), lowercased.
+ * @param {string} url
+ * @returns {string}
+ */
+function normaliseRepoUrl(url) {
+  return repoLocation(url).toLowerCase();
+}
+
+/**
+ * The https URL of a repository given as npm accepts it: `owner/repo`,
+ * `github:owner/repo`, `git+https://…`, `git+ssh://git@…`, `git://…` or
+ * `git@host:owner/repo`. http(s) URLs and values that are not a repository
+ * reference are returned as they are.
+ * @param {string} url
+ * @returns {string}
+ */
+function repositoryWebUrl(url) {
+  if (!url || typeof url !== 'string' || /^https?:\/\//i.test(url.trim())) return url;
+  const value = url.trim();
+  const isRepoRef = /^(?:(?:github|gitlab|bitbucket):)?[\w.-]+\/[\w.-]+$/i.test(value) ||
+    /^(?:git\+)?(?:https?|ssh|git):\/\/[^/\s]+\/\S+$/i.test(value) ||
+    /^git@[^:\s]+:\S+$/i.test(value);
+  return isRepoRef ? `https://${repoLocation(value)}` : url;
+}
+
+/** Assemble the common metadata shape, deriving `author` from `authors`. */
+function metadataOf(fields) {
+  const authors = (fields.authors || []).map(authorName).filter(Boolean);
+  return {
+    name: fields.name,
+    version: fields.version,
+    description: fields.description,
+    homepage: fields.homepage,
+    repository: fields.repository,
+    keywords: fields.keywords || [],
+    author: authors[0],
+    authors,
+    license: fields.license,
+    readme: fields.readme,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Deno / JSR
+// ---------------------------------------------------------------------------
+
+/** Strip `//` and `/* *\/` comments and trailing commas from JSONC; strings are left as they are. */
+function stripJsonComments(text) {
+  let out = '';
+  let comma = -1; // position in `out` of a comma that may turn out to be trailing
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (c === '"') {
+      const end = /"(?:[^"\\]|\\.)*"/y;
+      end.lastIndex = i;
+      const match = end.exec(text);
+      const literal = match ? match[0] : text.slice(i);
+      out += literal;
+      i += literal.length - 1;
+      comma = -1;
+    } else if (c === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      out += '\n';
+    } else if (c === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 1;
+    } else if ((c === '}' || c === ']') && comma !== -1) {
+      out = out.slice(0, comma) + out.slice(comma + 1) + c;
+      comma = -1;
+    } else {
+      if (c === ',') comma = out.length;
+      else if (!/\s/.test(c)) comma = -1;
+      out += c;
+    }
+  }
+  return out;
+}
+
+/**
+ * Read project metadata from deno.json / deno.jsonc / jsr.json.
+ * @param {string} projectPath
+ * @param {string} [file] - Specific file name.
+ * @returns {object|null}
+ */
+function readFromDeno(projectPath, file) {
+  const name = file || ['deno.json', 'deno.jsonc', 'jsr.json'].find(f => fs.existsSync(path.join(projectPath, f)));
+  if (!name || !fs.existsSync(path.join(projectPath, name))) return null;
+
+  let doc;
+  try {
+    doc = JSON.parse(stripJsonComments(fs.readFileSync(path.join(projectPath, name), 'utf8')));
+  } catch (err) {
+    throw new Error(`Failed to parse ${name}: ${err.message}`);
+  }
+
+  core.info(`✓ Found ${name}`);
+  return metadataOf({
+    name: str(doc.name),
+    version: str(doc.version),
+    description: str(doc.description),
+    license: str(doc.license),
+    keywords: strList(doc.keywords),
+  });
+}
+
+// ---------------------------------------------------------------------------
+// setup.cfg / PKG-INFO (legacy Python)
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse an INI file the way Python's configparser does for setup.cfg:
+ * `key = value` or `key: value`, indented continuation lines, `#`/`;` comments.
+ * @param {string} text
+ * @returns {Object<string, Object<string, string>>}
+ */
+function parseIni(text) {
+  const sections = {};
+  let section = null;
+  let key = null;
+  for (const raw of text.split(/\r?\n/)) {
+    if (/^\s*[#;]/.test(raw) || raw.trim() === '') {
+      key = raw.trim() === '' ? key : null;
+      continue;
+    }
+    const header = /^\[([^\]]+)\]\s*$/.exec(raw);
+    if (header) {
+      section = sections[header[1].trim()] = sections[header[1].trim()] || {};
+      key = null;
+    } else if (/^\s/.test(raw) && section && key) {
+      section[key] = section[key] ? `${section[key]}\n${raw.trim()}` : raw.trim();
+    } else if (section) {
+      const entry = /^([^=:]+?)\s*[=:]\s*(.*)$/.exec(raw);
+      if (entry) {
+        key = entry[1].trim().replace(/-/g, '_');
+        section[key] = entry[2].trim();
+      }
+    }
+  }
+  return sections;
+}
+
+/** Resolve a setup.cfg `file: path` directive relative to the project. */
+function readCfgFile(projectPath, value) {
+  const match = /^file:\s*(.+)$/.exec(value || '');
+  if (!match) return value;
+  const filePath = path.join(projectPath, match[1].split(',')[0].trim());
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8').trim() : undefined;
+}
+
+/** Parse `Label = url` / `Label, url` lines into a map. */
+function urlLines(lines, separator) {
+  const urls = {};
+  for (const line of lines) {
+    const i = line.indexOf(separator);
+    if (i > 0) urls[line.slice(0, i).trim()] = line.slice(i + 1).trim();
+  }
+  return urls;
+}
+
+/**
+ * Read project metadata from setup.cfg `[metadata]`.
+ * `version = attr: …` cannot be resolved statically and is left unset.
+ * @param {string} projectPath
+ * @returns {object|null}
+ */
+function readFromSetupCfg(projectPath) {
+  const filePath = path.join(projectPath, 'setup.cfg');
+  if (!fs.existsSync(filePath)) return null;
+
+  const meta = parseIni(fs.readFileSync(filePath, 'utf8')).metadata || {};
+  const version = /^attr:/.test(meta.version || '') ? undefined : readCfgFile(projectPath, meta.version);
+  const urls = urlLines(splitWords(meta.project_urls, '\n'), '=');
+  const readme = /^file:\s*(.+)$/.exec(meta.long_description || '');
+
+  core.info('✓ Found setup.cfg');
+  return metadataOf({
+    name: str(meta.name),
+    version: str(version),
+    description: str(meta.description),
+    homepage: str(meta.url) || str(meta.home_page) || pickUrl(urls, ['Homepage', 'Home', 'Documentation']),
+    repository: pickUrl(urls, ['Source', 'Repository', 'Source Code', 'Code']),
+    keywords: splitWords(meta.keywords),
+    authors: splitWords(meta.author),
+    license: str(meta.license),
+    readme: readme ? readme[1].split(',')[0].trim() : undefined,
+  });
+}
+
+/**
+ * Read project metadata from a PKG-INFO file (core metadata, RFC 822 headers).
+ * @param {string} projectPath
+ * @returns {object|null}
+ */
+function readFromPkgInfo(projectPath) {
+  const filePath = path.join(projectPath, 'PKG-INFO');
+  if (!fs.existsSync(filePath)) return null;
+
+  const headers = {};
+  const [head] = fs.readFileSync(filePath, 'utf8').split(/\r?\n\r?\n/);
+  let last = null;
+  for (const line of head.split(/\r?\n/)) {
+    if (/^\s/.test(line) && last) {
+      headers[last][headers[last].length - 1] += `\n${line.trim()}`;
+      continue;
+    }
+    const i = line.indexOf(':');
+    if (i <= 0) continue;
+    last = line.slice(0, i).trim().toLowerCase();
+    (headers[last] = headers[last] || []).push(line.slice(i + 1).trim());
+  }
+  const one = (name) => str((headers[name] || [])[0]);
+  const urls = urlLines(headers['project-url'] || [], ',');
+
+  core.info('✓ Found PKG-INFO');
+  return metadataOf({
+    name: one('name'),
+    version: one('version'),
+    description: one('summary'),
+    homepage: one('home-page') || pickUrl(urls, ['Homepage', 'Home', 'Documentation']),
+    repository: pickUrl(urls, ['Source', 'Repository', 'Source Code', 'Code']),
+    keywords: splitWords(one('keywords')),
+    authors: splitWords(one('author')),
+    license: one('license-expression') || one('license'),
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Go modules
+// ---------------------------------------------------------------------------
+
+/** Hosts whose module paths map directly to a browsable repository. */
+const GO_HOSTS = ['github.com', 'gitlab.com', 'bitbucket.org', 'codeberg.org'];
+
+/**
+ * Version of a Go module from its git tags. Modules in a subdirectory are
+ * tagged `<dir>/vX.Y.Z`, as the Go toolchain expects.
+ * @param {string} projectPath
+ * @returns {string|undefined}
+ */
+function goModuleVersion(projectPath) {
+  const root = git(['rev-parse', '--show-toplevel'], projectPath);
+  if (!root) return undefined;
+  const dir = path.relative(fs.realpathSync(root), fs.realpathSync(projectPath)).split(path.sep).join('/');
+  const prefix = dir ? `${dir}/` : '';
+  const tag = git(['describe', '--tags', '--abbrev=0', '--match', `${prefix}v[0-9]*`], projectPath);
+  return tag ? tag.slice(prefix.length).replace(/^v/, '') : undefined;
+}
+
+/**
+ * Read project metadata from go.mod. go.mod carries no version, so it comes
+ * from the latest matching git tag (or, in the action, the release tag).
+ * @param {string} projectPath
+ * @returns {object|null}
+ */
+function readFromGoMod(projectPath) {
+  const filePath = path.join(projectPath, 'go.mod');
+  if (!fs.existsSync(filePath)) return null;
+
+  const match = /^\s*module\s+"?([^\s"]+)"?/m.exec(fs.readFileSync(filePath, 'utf8'));
+  if (!match) throw new Error('Failed to parse go.mod: no "module" directive.');
+  const modulePath = match[1];
+
+  // github.com/acme/tool/v2/cmd → name "cmd", repository github.com/acme/tool
+  const segments = modulePath.split('/');
+  const nameSegments = segments.filter((s, i) => !(i === segments.length - 1 && /^v\d+$/.test(s)));
+  const repository = GO_HOSTS.includes(segments[0]) && segments.length >= 3
+    ? `https://${segments.slice(0, 3).join('/')}`
+    : undefined;
+
+  core.info('✓ Found go.mod');
+  return metadataOf({
+    name: nameSegments[nameSegments.length - 1],
+    version: goModuleVersion(projectPath),
+    homepage: `https://pkg.go.dev/${modulePath}`,
+    repository,
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Maven
+// ---------------------------------------------------------------------------
+
+/** Common Maven license names → SPDX identifiers. */
+const LICENSE_NAMES = {
+  'apache license, version 2.0': 'Apache-2.0',
+  'the apache software license, version 2.0': 'Apache-2.0',
+  'apache-2.0': 'Apache-2.0',
+  'apache 2.0': 'Apache-2.0',
+  'mit license': 'MIT',
+  'the mit license': 'MIT',
+  'mit': 'MIT',
+  'bsd 3-clause license': 'BSD-3-Clause',
+  'eclipse public license 2.0': 'EPL-2.0',
+  'eclipse public license - v 2.0': 'EPL-2.0',
+  'gnu general public license v3.0': 'GPL-3.0-only',
+  'mozilla public license 2.0': 'MPL-2.0',
+};
+
+/** Parse an XML manifest, turning syntax errors into a readable message. */
+function readXmlFile(filePath) {
+  try {
+    return xml.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Failed to parse ${path.basename(filePath)}: ${err.message}`);
+  }
+}
+
+/**
+ * Read project metadata from pom.xml. `${property}` references are resolved
+ * from `<properties>` and the project / parent coordinates.
+ * @param {string} projectPath
+ * @returns {object|null}
+ */
+function readFromPom(projectPath) {
+  const filePath = path.join(projectPath, 'pom.xml');
+  if (!fs.existsSync(filePath)) return null;
+
+  const project = readXmlFile(filePath);
+  const properties = {
+    'project.version': xml.textAt(project, 'version') || xml.textAt(project, 'parent', 'version'),
+    'project.artifactId': xml.textAt(project, 'artifactId'),
+    'project.groupId': xml.textAt(project, 'groupId') || xml.textAt(project, 'parent', 'groupId'),
+  };
+  for (const prop of (xml.children(project, 'properties')[0] || { children: [] }).children) {
+    properties[prop.name] = prop.text;
+  }
+  const resolve = (value, depth = 0) => {
+    if (!value || depth > 5) return value;
+    const next = value.replace(/\$\{([^}]+)\}/g, (m, key) => (properties[key] !== undefined ? properties[key] : m));
+    return next === value ? value : resolve(next, depth + 1);
+  };
+  const text = (...names) => str(resolve(xml.textAt(project, ...names)));
+
+  const licenses = xml.children(xml.children(project, 'licenses')[0], 'license')
+    .map(l => str(xml.textAt(l, 'name')))
+    .filter(Boolean)
+    .map(n => LICENSE_NAMES[n.toLowerCase()] || n);
+  // Several <license> entries are not an SPDX expression; the POM does not say
+  // whether they combine with OR or AND.
+  if (licenses.length > 1) {
+    core.warning(`pom.xml lists ${licenses.length} licenses (${licenses.join(', ')}); using "${licenses[0]}". Set the "license" input to an SPDX expression covering all of them.`);
+  }
+  const developers = xml.children(xml.children(project, 'developers')[0], 'developer')
+    .map(d => xml.textAt(d, 'name') || xml.textAt(d, 'id'));
+  const scm = (text('scm', 'url') || '').replace(/^scm:git:/, '');
+
+  core.info('✓ Found pom.xml');
+  return metadataOf({
+    name: text('name') || text('artifactId'),
+    version: text('version') || resolve(properties['project.version']),
+    description: text('description'),
+    homepage: text('url'),
+    repository: str(scm),
+    authors: developers,
+    license: licenses[0],
+  });
+}
+
+// ---------------------------------------------------------------------------
+// .NET
+// ---------------------------------------------------------------------------
+
+/**
+ * Find the single file in `projectPath` with the given extension.
+ * @returns {string|null} File name, or null when there is none.
+ * @throws {Error} When there are several.
+ */
+function singleFileWithExtension(projectPath, ext) {
+  if (!fs.existsSync(projectPath)) return null;
+  const files = fs.readdirSync(projectPath).filter(f => f.endsWith(ext)).sort();
+  if (files.length > 1) {
+    throw new Error(
+      `Found several ${ext} files in "${projectPath}" (${files.join(', ')}). ` +
+      `Set "manifest" to the one to read, e.g. "manifest: ${files[0]}".`
+    );
+  }
+  return files[0] || null;
+}
+
+/**
+ * Read project metadata from an SDK-style *.csproj (first `<PropertyGroup>`
+ * value wins) or a *.nuspec.
+ * @param {string} projectPath
+ * @param {string} [file] - Specific file name.
+ * @returns {object|null}
+ */
+function readFromDotnet(projectPath, file) {
+  const name = file || singleFileWithExtension(projectPath, '.csproj') || singleFileWithExtension(projectPath, '.nuspec');
+  if (!name || !fs.existsSync(path.join(projectPath, name))) return null;
+  const root = readXmlFile(path.join(projectPath, name));
+
+  let fields;
+  if (name.endsWith('.nuspec')) {
+    const meta = xml.children(root, 'metadata')[0];
+    const license = xml.children(meta, 'license')[0];
+    fields = {
+      name: xml.textAt(meta, 'id'),
+      version: xml.textAt(meta, 'version'),
+      description: xml.textAt(meta, 'description') || xml.textAt(meta, 'summary'),
+      homepage: xml.textAt(meta, 'projectUrl'),
+      repository: str((xml.children(meta, 'repository')[0] || { attributes: {} }).attributes.url),
+      keywords: splitWords(xml.textAt(meta, 'tags'), /[\s,;]+/),
+      authors: splitWords(xml.textAt(meta, 'authors'), /,/),
+      license: license && license.attributes.type === 'expression' ? str(license.text) : undefined,
+      readme: xml.textAt(meta, 'readme'),
+    };
+  } else {
+    const prop = (key) => {
+      for (const group of xml.children(root, 'PropertyGroup')) {
+        const value = xml.textAt(group, key);
+        if (value) return value;
+      }
+      return undefined;
+    };
+    const prefix = prop('VersionPrefix');
+    const suffix = prop('VersionSuffix');
+    fields = {
+      name: prop('PackageId') || prop('AssemblyName') || path.basename(name, '.csproj'),
+      version: prop('PackageVersion') || prop('Version') || (prefix && (suffix ? `${prefix}-${suffix}` : prefix)),
+      description: prop('Description'),
+      homepage: prop('PackageProjectUrl'),
+      repository: prop('RepositoryUrl'),
+      keywords: splitWords(prop('PackageTags'), /[\s,;]+/),
+      authors: splitWords(prop('Authors'), /[,;]/),
+      license: prop('PackageLicenseExpression'),
+      readme: prop('PackageReadmeFile'),
+    };
+  }
+
+  core.info(`✓ Found ${name}`);
+  return metadataOf(fields);
+}
+
+module.exports = {
+  str,
+  strList,
+  authorName,
+  pickUrl,
+  normaliseRepoUrl,
+  repositoryWebUrl,
+  parseIni,
+  stripJsonComments,
+  readFromDeno,
+  readFromSetupCfg,
+  readFromPkgInfo,
+  readFromGoMod,
+  readFromPom,
+  readFromDotnet,
+};
@@ -0,0 +1,182 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const xml = require('./xml');
+const { expandGlobs } = require('./glob');
+
+// ---------------------------------------------------------------------------
+// Listing media (icon and screenshots)
+//
+// Images are identified by their content, not their extension, and measured
+// without decoding: PNG, JPEG, GIF and WebP headers carry the dimensions, and
+// SVGs are read for width / height / viewBox.
+// ---------------------------------------------------------------------------
+
+const MIME_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+};
+
+/** Read JPEG dimensions from the first start-of-frame marker. */
+function jpegSize(buf) {
+  let i = 2;
+  while (i + 9 < buf.length) {
+    if (buf[i] !== 0xFF) return null;
+    const marker = buf[i + 1];
+    if (marker === 0xFF) { i += 1; continue; }
+    // Markers without a length field.
+    if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD9)) { i += 2; continue; }
+    // SOF0–SOF15, except DHT (C4), JPG (C8) and DAC (CC).
+    if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+      return { height: buf.readUInt16BE(i + 5), width: buf.readUInt16BE(i + 7) };
+    }
+    i += 2 + buf.readUInt16BE(i + 2);
+  }
+  return null;
+}
+
+/** Read WebP dimensions from a lossy, lossless or extended header. */
+function webpSize(buf) {
+  const chunk = buf.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ' && buf.length >= 30) {
+    return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L' && buf.length >= 25) {
+    const bits = buf.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X' && buf.length >= 30) {
+    return { width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+/** Read SVG dimensions from width / height, falling back to the viewBox. */
+function svgSize(buf) {
+  let root;
+  try {
+    root = xml.parse(buf.toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (root.name !== 'svg') return null;
+  const px = (value) => {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(px)?\s*$/.exec(value || '');
+    return match ? Math.round(Number(match[1])) : null;
+  };
+  let width = px(root.attributes.width);
+  let height = px(root.attributes.height);
+  const viewBox = (root.attributes.viewBox || '').trim().split(/[\s,]+/).map(Number);
+  if ((width === null || height === null) && viewBox.length === 4 && viewBox.every(Number.isFinite)) {
+    width = width === null ? Math.round(viewBox[2]) : width;
+    height = height === null ? Math.round(viewBox[3]) : height;
+  }
+  return { width, height };
+}
+
+/**
+ * Identify an image and read its dimensions.
+ * @param {Buffer} buf - File contents.
+ * @returns {{ format: string|null, width: number|null, height: number|null }}
+ *   `format` is null for unrecognised files; dimensions are null when the
+ *   header is truncated (or, for SVG, not given in pixels).
+ */
+function imageInfo(buf) {
+  let format = null;
+  let size = null;
+  if (buf.length >= 24 && buf.readUInt32BE(0) === 0x89504E47 && buf.readUInt32BE(4) === 0x0D0A1A0A) {
+    format = 'png';
+    size = { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  } else if (buf.length >= 3 && buf[0] === 0xFF && buf[1] === 0xD8 && buf[2] === 0xFF) {
+    format = 'jpeg';
+    size = jpegSize(buf);
+  } else if (buf.length >= 10 && /^GIF8[79]a$/.test(buf.toString('ascii', 0, 6))) {
+    format = 'gif';
+    size = { width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+  } else if (buf.length >= 16 && buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP') {
+    format = 'webp';
+    size = webpSize(buf);
+  } else if (/^\uFEFF?\s*(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*)*(?:<!DOCTYPE[^>]*>\s*)?<svg[\s>]/i.test(buf.toString('utf8', 0, 1024))) {
+    size = svgSize(buf);
+    format = size ? 'svg' : null;
+  }
+  return { format, width: size ? size.width : null, height: size ? size.height : null };
+}
+
+/**
+ * Read an image for upload.
+ * @param {string} projectPath - Absolute project root.
+ * @param {string} file - Path relative to the project.
+ * @returns {{ file: string, format: string|null, mime: string|null, width: number|null,
+ *   height: number|null, bytes: number, sha256: string }}
+ */
+function readImage(projectPath, file) {
+  const buf = fs.readFileSync(path.join(projectPath, file));
+  const info = imageInfo(buf);
+  return {
+    file,
+    format: info.format,
+    mime: MIME_TYPES[info.format] || null,
+    width: info.width,
+    height: info.height,
+    bytes: buf.length,
+    sha256: crypto.createHash('sha256').update(buf).digest('hex'),
+  };
+}
+
+/**
+ * Resolve the icon and screenshot inputs to image files.
+ *
+ * Screenshots keep the order of their patterns; files matched by several
+ * patterns are listed once. A plain path that does not exist is an error,
+ * a glob that matches nothing only a warning.
+ *
+ * @param {string} projectPath - Absolute project root.
+ * @param {{ icon?: string, screenshots?: string[] }} sources - Paths / globs relative to the project.
+ * @returns {{ media: { icon?: object, screenshots: object[] }|null, messages: { level: string, text: string }[] }}
+ *   `media` is null when neither is configured.
+ * @throws {Error} When the icon or a plain screenshot path is missing.
+ */
+function collectMedia(projectPath, sources) {
+  const messages = [];
+  const patterns = (sources.screenshots || []).filter(Boolean);
+  if (!sources.icon && patterns.length === 0) return { media: null, messages };
+
+  const media = {};
+  if (sources.icon) {
+    if (!fs.existsSync(path.join(projectPath, sources.icon))) {
+      throw new Error(`Icon not found: "${sources.icon}" (relative to project-path). Check the "icon" input.`);
+    }
+    media.icon = readImage(projectPath, sources.icon);
+  }
+
+  const excludes = patterns.filter(p => p.startsWith('!'));
+  const files = [];
+  for (const pattern of patterns.filter(p => !p.startsWith('!'))) {
+    if (!/[*?{]/.test(pattern)) {
+      if (!fs.existsSync(path.join(projectPath, pattern))) {
+        throw new Error(`Screenshot not found: "${pattern}" (relative to project-path). Check the "screenshots" input.`);
+      }
+      files.push(path.posix.normalize(pattern.replace(/\\/g, '/')));
+      continue;
+    }
+    const matched = expandGlobs(projectPath, [pattern, ...excludes]);
+    if (matched.length === 0) messages.push({ level: 'warning', text: `Screenshot pattern "${pattern}" matched no files` });
+    files.push(...matched);
+  }
+  media.screenshots = [...new Set(files)].map(file => readImage(projectPath, file));
+
+  const count = media.screenshots.length;
+  messages.push({
+    level: 'info',
+    text: `✓ Found ${media.icon ? 'an icon and ' : ''}${count} screenshot${count === 1 ? '' : 's'}`,
+  });
+  return { media, messages };
+}
+
+module.exports = { MIME_TYPES, imageInfo, readImage, collectMedia };
@@ -0,0 +1,514 @@
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const { compareSemver } = require('./semver');
+
+// ---------------------------------------------------------------------------
+// In-memory mock of the marketplace listings, versions, lifecycle, drafts and
+// assets API
+//
+// Used by the end-to-end tests and runnable on its own for testing workflows
+// offline:
+//
+//   node src/mock-server.js --port 8787 --api-key test-key
+//
+// then point the action at it with `marketplace-url: http://127.0.0.1:8787/v1`.
+// ---------------------------------------------------------------------------
+
+const BASE_PATH = '/v1';
+
+/** Lifecycle operations: listing states they may be applied in, and the resulting state. */
+const TRANSITIONS = {
+  deprecate: { from: ['active', 'deprecated'], to: 'deprecated' },
+  unpublish: { from: ['active', 'deprecated'], to: 'unpublished' },
+  archive:   { from: ['active', 'deprecated', 'unpublished'], to: 'archived' },
+  restore:   { from: ['deprecated', 'unpublished', 'archived'], to: 'active' },
+};
+
+/** Operations on a single version entry. */
+const VERSION_OPERATIONS = ['yank', 'unyank', 'mark-latest'];
+
+/**
+ * Split a multipart/form-data body into fields and files.
+ * @param {Buffer} raw
+ * @param {string} boundary
+ * @returns {Object<string, string|{ filename: string, contentType: string, data: Buffer }>}
+ */
+function parseMultipart(raw, boundary) {
+  const fields = {};
+  const delimiter = Buffer.from(`--${boundary}`);
+  let start = raw.indexOf(delimiter);
+  while (start !== -1) {
+    const next = raw.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) break;
+    const part = raw.subarray(start + delimiter.length + 2, next - 2); // drop CRLFs
+    const split = part.indexOf('\r\n\r\n');
+    const head = part.subarray(0, split).toString();
+    const data = part.subarray(split + 4);
+    const name = /name="([^"]*)"/.exec(head);
+    const filename = /filename="([^"]*)"/.exec(head);
+    if (name) {
+      fields[name[1]] = filename
+        ? { filename: filename[1], contentType: (/Content-Type:\s*(.+)/i.exec(head) || [])[1] || '', data }
+        : data.toString();
+    }
+    start = next;
+  }
+  return fields;
+}
+
+/**
+ * Create a mock marketplace server.
+ * @param {{ apiKey?: string, owner?: string, rateLimit?: { limit: number, windowMs: number } }} [options]
+ *   `apiKey` enables Bearer auth checks; `rateLimit` answers 429 with
+ *   Retry-After once `limit` requests arrive within `windowMs`.
+ * @returns {object} Server handle: start(), stop(), reset(), failNext(), seed(),
+ *   plus the `listings`, `versions`, `drafts` and `assets` maps and `requests` log for assertions.
+ */
+function createMockMarketplace(options = {}) {
+  const listings = new Map();
+  const versions = new Map(); // listing ID → Map(version → entry)
+  const drafts = new Map();
+  const assets = new Map();
+  const idempotency = new Map();
+  const requests = [];
+  const failures = [];
+  let rateWindow = { start: 0, count: 0 };
+  let nextId = 1;
+  let nextDraftId = 1;
+  let server = null;
+
+  const owner = options.owner || 'mock.near';
+
+  const send = (res, status, body, headers = {}) => {
+    const text = body === undefined ? '' : JSON.stringify(body);
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(text);
+  };
+
+  const now = () => new Date().toISOString();
+
+  /** Take the first injected failure that matches this request. */
+  function takeFailure(method, pathname) {
+    const index = failures.findIndex(f =>
+      (!f.method || f.method === method) &&
+      (!f.path || (f.path instanceof RegExp ? f.path.test(pathname) : pathname === f.path)));
+    if (index === -1) return null;
+    const failure = failures[index];
+    failure.times -= 1;
+    if (failure.times <= 0) failures.splice(index, 1);
+    return failure;
+  }
+
+  function rateLimited() {
+    if (!options.rateLimit) return null;
+    const { limit, windowMs } = options.rateLimit;
+    const t = Date.now();
+    if (t - rateWindow.start >= windowMs) rateWindow = { start: t, count: 0 };
+    rateWindow.count += 1;
+    if (rateWindow.count <= limit) return null;
+    return Math.ceil((rateWindow.start + windowMs - t) / 1000);
+  }
+
+  /** Versions of a listing, newest first, with `latest` filled in. */
+  function versionList(listing) {
+    return [...(versions.get(listing.id) || new Map()).values()]
+      .sort((a, b) => compareSemver(b.version, a.version) || 0)
+      .map(v => ({ ...v, latest: v.version === listing.latest_version }));
+  }
+
+  /** After yanking the latest version, fall back to the highest stable one left. */
+  function fallbackLatest(listing) {
+    const next = versionList(listing).find(v => !v.yanked && !v.prerelease);
+    return next ? next.version : null;
+  }
+
+  /** Answer with a version entry and the listing's latest version. */
+  function sendVersion(res, status, listing, version) {
+    const entry = versionList(listing).find(v => v.version === version);
+    return send(res, status, { data: entry, latest_version: listing.latest_version || null });
+  }
+
+  /** Store a new listing. */
+  function createListing(fields) {
+    const listing = { ...fields, id: `lst_${nextId++}`, owner, created_at: now(), updated_at: now() };
+    listings.set(listing.id, listing);
+    return listing;
+  }
+
+  /** Replace (PUT) or merge (PATCH) a listing's fields. */
+  function updateListing(existing, fields, replace) {
+    // Lifecycle state and the latest version are server-managed and survive a full replace.
+    const managed = Object.fromEntries(['status', 'deprecation', 'history', 'latest_version'].filter(k => k in existing).map(k => [k, existing[k]]));
+    const listing = { ...(replace ? managed : existing), ...fields, id: existing.id, owner: existing.owner, created_at: existing.created_at, updated_at: now() };
+    listings.set(existing.id, listing);
+    return listing;
+  }
+
+  /** Create or replace a version entry; `latest: true` makes it the listing's latest version. */
+  function storeVersion(listing, body) {
+    const entries = versions.get(listing.id) || new Map();
+    versions.set(listing.id, entries);
+    const existing = entries.get(body.version);
+    const { latest, ...fields } = body;
+    entries.set(body.version, {
+      ...fields,
+      yanked: existing ? existing.yanked : false,
+      yank_reason: existing ? existing.yank_reason : null,
+      created_at: existing ? existing.created_at : now(),
+      updated_at: now(),
+    });
+    if (latest) listings.set(listing.id, { ...listings.get(listing.id), latest_version: body.version, updated_at: now() });
+    return existing;
+  }
+
+  /** True when a version is yanked, so it cannot become latest. */
+  function isYanked(listingId, version) {
+    const entry = (versions.get(listingId) || new Map()).get(version);
+    return Boolean(entry && entry.yanked);
+  }
+
+  /**
+   * /listings/:id/versions[/:version[/:operation]]
+   * A PUT creates or replaces an entry; `latest: true` promotes it.
+   */
+  function handleVersions(req, res, method, listing, version, operation, body) {
+    const entries = versions.get(listing.id) || new Map();
+    versions.set(listing.id, entries);
+    const existing = version ? entries.get(version) : null;
+    const update = (fields) => listings.set(listing.id, { ...listings.get(listing.id), ...fields, updated_at: now() });
+
+    if (!version) {
+      if (method !== 'GET') return send(res, 405, { error: `Method ${method} not allowed` });
+      return send(res, 200, { data: versionList(listing), latest_version: listing.latest_version || null });
+    }
+
+    if (!operation && method === 'PUT') {
+      if (!body || body.version !== version) return send(res, 400, { error: 'Field "version" must match the URL' });
+      if (body.latest && existing && existing.yanked) return send(res, 409, { error: `version ${version} is yanked` });
+      storeVersion(listing, body);
+      return sendVersion(res, existing ? 200 : 201, listings.get(listing.id), version);
+    }
+
+    if (!existing) return send(res, 404, { error: `Version ${version} not found` });
+    if (!operation) {
+      return method === 'GET' ? sendVersion(res, 200, listing, version) : send(res, 405, { error: `Method ${method} not allowed` });
+    }
+    if (!VERSION_OPERATIONS.includes(operation)) return send(res, 404, { error: 'Not found' });
+    if (method !== 'POST') return send(res, 405, { error: `Method ${method} not allowed` });
+    const key = req.headers['idempotency-key'];
+    if (key && idempotency.has(key)) return sendVersion(res, 200, listing, version);
+
+    if (operation === 'yank') {
+      if (existing.yanked) return send(res, 409, { error: `version ${version} is already yanked` });
+      entries.set(version, { ...existing, yanked: true, yank_reason: (body && body.message) || null, updated_at: now() });
+      if (listing.latest_version === version) update({ latest_version: fallbackLatest(listing) });
+    } else if (operation === 'unyank') {
+      if (!existing.yanked) return send(res, 409, { error: `version ${version} is not yanked` });
+      entries.set(version, { ...existing, yanked: false, yank_reason: null, updated_at: now() });
+      if (!listing.latest_version) update({ latest_version: fallbackLatest(listing) });
+    } else {
+      if (existing.yanked) return send(res, 409, { error: `version ${version} is yanked` });
+      update({ latest_version: version });
+    }
+    if (key) idempotency.set(key, listing.id);
+    return sendVersion(res, 200, listings.get(listing.id), version);
+  }
+
+  /** Open drafts are replaced per listing, or per name for a listing that does not exist yet. */
+  const draftSubject = (draft) => draft.listing_id || `new:${draft.payload && draft.payload.name}`;
+
+  /** Answer a publish with the draft, the listing and the recorded version. */
+  function sendPublished(res, draft) {
+    const listing = listings.get(draft.listing_id);
+    const entry = versionList(listing).find(v => v.version === draft.version.version);
+    return send(res, 200, { data: { draft, listing, version: entry }, latest_version: listing.latest_version || null });
+  }
+
+  /**
+   * /drafts[/:id[/publish]] — releases staged for approval. A new draft for
+   * the same listing supersedes the open one, which can then no longer be
+   * published.
+   */
+  function handleDrafts(req, res, method, url, body) {
+    const [rawId, action] = url.pathname.slice(`${BASE_PATH}/drafts`.length).replace(/^\//, '').split('/');
+    const id = rawId ? decodeURIComponent(rawId) : null;
+    const key = req.headers['idempotency-key'];
+
+    if (!id) {
+      if (method !== 'POST') return send(res, 405, { error: `Method ${method} not allowed` });
+      if (key && idempotency.has(key)) return send(res, 201, { data: drafts.get(idempotency.get(key)) });
+      if (!body || !body.version || !body.version.version) return send(res, 400, { error: 'Field "version" is required' });
+      if (!body.listing_id && !(body.payload && body.payload.name)) {
+        return send(res, 400, { error: 'A draft needs "listing_id" or a payload with a name' });
+      }
+      if (body.listing_id && !listings.has(body.listing_id)) return send(res, 404, { error: `Listing ${body.listing_id} not found` });
+      const draft = {
+        id: `drf_${nextDraftId++}`,
+        status: 'open',
+        listing_id: body.listing_id || null,
+        payload: body.payload || null,
+        version: body.version,
+        audit: body.audit || null,
+        supersedes: null,
+        superseded_by: null,
+        created_at: now(),
+        updated_at: now(),
+      };
+      draft.preview_url = `http://${req.headers.host}/drafts/${draft.id}`;
+      const previous = [...drafts.values()].find(d => d.status === 'open' && draftSubject(d) === draftSubject(draft));
+      if (previous) {
+        drafts.set(previous.id, { ...previous, status: 'superseded', superseded_by: draft.id, updated_at: now() });
+        draft.supersedes = previous.id;
+      }
+      drafts.set(draft.id, draft);
+      if (key) idempotency.set(key, draft.id);
+      return send(res, 201, { data: draft });
+    }
+
+    const draft = drafts.get(id);
+    if (!draft) return send(res, 404, { error: `Draft ${id} not found` });
+    if (!action) return method === 'GET' ? send(res, 200, { data: draft }) : send(res, 405, { error: `Method ${method} not allowed` });
+    if (action !== 'publish') return send(res, 404, { error: 'Not found' });
+    if (method !== 'POST') return send(res, 405, { error: `Method ${method} not allowed` });
+    if (key && idempotency.has(key)) return sendPublished(res, drafts.get(id));
+
+    if (draft.status === 'superseded') {
+      return send(res, 409, { error: `draft ${id} was superseded by ${draft.superseded_by}`, superseded_by: draft.superseded_by });
+    }
+    if (draft.status === 'published') return send(res, 409, { error: `draft ${id} is already published` });
+    if (draft.listing_id && !listings.has(draft.listing_id)) return send(res, 404, { error: `Listing ${draft.listing_id} not found` });
+    if (draft.listing_id && draft.version.latest && isYanked(draft.listing_id, draft.version.version)) {
+      return send(res, 409, { error: `version ${draft.version.version} is yanked` });
+    }
+
+    let listing;
+    if (!draft.listing_id) listing = createListing(draft.payload);
+    else if (draft.payload) listing = updateListing(listings.get(draft.listing_id), draft.payload, true);
+    else listing = listings.get(draft.listing_id);
+    storeVersion(listing, draft.version);
+
+    const published = {
+      ...draft,
+      status: 'published',
+      listing_id: listing.id,
+      published_by: (body && body.audit) || null,
+      published_at: now(),
+      updated_at: now(),
+    };
+    drafts.set(id, published);
+    if (key) idempotency.set(key, id);
+    return sendPublished(res, published);
+  }
+
+  function handle(req, res, rawBody) {
+    const url = new URL(req.url, 'http://mock');
+    const method = req.method;
+    const boundary = /^multipart\/form-data;.*boundary=(.+)$/i.exec(req.headers['content-type'] || '');
+    let body = null;
+    if (boundary) {
+      body = parseMultipart(rawBody, boundary[1]);
+    } else if (rawBody.length > 0) {
+      try {
+        body = JSON.parse(rawBody.toString());
+      } catch {
+        return send(res, 400, { error: 'Request body is not valid JSON' });
+      }
+    }
+    requests.push({ method, path: url.pathname + url.search, headers: req.headers, body });
+
+    const failure = takeFailure(method, url.pathname);
+    if (failure && failure.drop) return req.socket.destroy();
+    if (failure && failure.lose) {
+      // Process the request as usual, but lose the response on the way back.
+      res = { writeHead() {}, end() { req.socket.destroy(); } };
+    } else if (failure) {
+      return send(res, failure.status, failure.body || { error: `Injected HTTP ${failure.status}` }, failure.headers);
+    }
+
+    const retryAfter = rateLimited();
+    if (retryAfter !== null) {
+      return send(res, 429, { error: 'Rate limit exceeded' }, { 'Retry-After': String(retryAfter) });
+    }
+
+    if (options.apiKey && req.headers.authorization !== `Bearer ${options.apiKey}`) {
+      return send(res, 401, { error: 'Unauthorized' });
+    }
+
+    // POST /assets — multipart image upload, stored by content hash
+    if (url.pathname === `${BASE_PATH}/assets` && method === 'POST') {
+      const file = body && body.file;
+      if (!file || !file.data) return send(res, 400, { error: 'Multipart field "file" is required' });
+      const sha256 = crypto.createHash('sha256').update(file.data).digest('hex');
+      if (body.sha256 && body.sha256 !== sha256) return send(res, 400, { error: 'sha256 does not match the uploaded file' });
+      const asset = {
+        url: `http://${req.headers.host}${BASE_PATH}/assets/${sha256}`,
+        sha256,
+        kind: body.kind,
+        mime: file.contentType,
+        bytes: file.data.length,
+      };
+      assets.set(sha256, { ...asset, data: file.data });
+      return send(res, 201, { data: asset });
+    }
+    if (url.pathname.startsWith(`${BASE_PATH}/assets/`) && method === 'GET') {
+      const asset = assets.get(url.pathname.slice(`${BASE_PATH}/assets/`.length));
+      if (!asset) return send(res, 404, { error: 'Asset not found' });
+      res.writeHead(200, { 'Content-Type': asset.mime });
+      return res.end(asset.data);
+    }
+
+    if (url.pathname === `${BASE_PATH}/drafts` || url.pathname.startsWith(`${BASE_PATH}/drafts/`)) {
+      return handleDrafts(req, res, method, url, body);
+    }
+
+    if (!url.pathname.startsWith(`${BASE_PATH}/listings`)) {
+      return send(res, 404, { error: 'Not found' });
+    }
+    const [rawId, operation, rawVersion, versionOperation] = url.pathname.slice(`${BASE_PATH}/listings`.length).replace(/^\//, '').split('/');
+    const id = rawId ? decodeURIComponent(rawId) : null;
+
+    // GET /listings?name= — fuzzy, like the real search endpoint
+    if (!id && method === 'GET') {
+      const q = (url.searchParams.get('name') || '').toLowerCase();
+      const data = [...listings.values()].filter(l => String(l.name || '').toLowerCase().includes(q));
+      return send(res, 200, { data });
+    }
+
+    // POST /listings — create, replaying on a repeated Idempotency-Key
+    if (!id && method === 'POST') {
+      const key = req.headers['idempotency-key'];
+      if (key && idempotency.has(key)) {
+        return send(res, 201, { data: listings.get(idempotency.get(key)) });
+      }
+      if (!body || !body.name) return send(res, 400, { error: 'Field "name" is required' });
+      const listing = createListing(body);
+      if (key) idempotency.set(key, listing.id);
+      return send(res, 201, { data: listing });
+    }
+
+    if (id && !listings.has(id)) return send(res, 404, { error: `Listing ${id} not found` });
+    const existing = listings.get(id);
+
+    if (id && operation === 'versions') {
+      return handleVersions(req, res, method, existing, rawVersion ? decodeURIComponent(rawVersion) : null, versionOperation, body);
+    }
+
+    // POST /listings/:id/{deprecate,unpublish,archive,restore}
+    if (id && operation) {
+      const transition = TRANSITIONS[operation];
+      if (!transition) return send(res, 404, { error: 'Not found' });
+      if (method !== 'POST') return send(res, 405, { error: `Method ${method} not allowed` });
+      const key = req.headers['idempotency-key'];
+      if (key && idempotency.has(key)) return send(res, 200, { data: existing });
+      const state = existing.status || 'active';
+      if (!transition.from.includes(state)) return send(res, 409, { error: `listing is ${state}` });
+      const listing = {
+        ...existing,
+        status: transition.to,
+        deprecation: operation === 'deprecate'
+          ? { message: body && body.message, replacement: (body && body.replacement) || null }
+          : (operation === 'restore' ? null : existing.deprecation || null),
+        history: [...(existing.history || []), { ...((body && body.audit) || {}), operation, at: now() }],
+        updated_at: now(),
+      };
+      listings.set(id, listing);
+      if (key) idempotency.set(key, id);
+      return send(res, 200, { data: listing });
+    }
+
+    if (id && method === 'GET') return send(res, 200, { data: existing });
+
+    if (id && (method === 'PUT' || method === 'PATCH')) {
+      return send(res, 200, { data: updateListing(existing, body, method === 'PUT') });
+    }
+
+    return send(res, 405, { error: `Method ${method} not allowed` });
+  }
+
+  return {
+    listings,
+    versions,
+    drafts,
+    assets,
+    requests,
+
+    /** Base API URL once started, e.g. http://127.0.0.1:54321/v1 */
+    url: null,
+
+    /**
+     * Start listening (port 0 picks a free port).
+     * @returns {Promise<string>} Base API URL.
+     */
+    start(port = 0, host = '127.0.0.1') {
+      server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', (chunk) => { chunks.push(chunk); });
+        req.on('end', () => handle(req, res, Buffer.concat(chunks)));
+      });
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          this.url = `http://${host}:${server.address().port}${BASE_PATH}`;
+          resolve(this.url);
+        });
+      });
+    },
+
+    /** Stop the server. */
+    stop() {
+      return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+    },
+
+    /** Clear listings, versions, drafts, assets, logs, failures and rate-limit state. */
+    reset() {
+      listings.clear();
+      versions.clear();
+      drafts.clear();
+      assets.clear();
+      idempotency.clear();
+      requests.length = 0;
+      failures.length = 0;
+      rateWindow = { start: 0, count: 0 };
+      nextId = 1;
+      nextDraftId = 1;
+    },
+
+    /**
+     * Answer the next matching request(s) with an error.
+     * @param {{ status?: number, times?: number, method?: string, path?: string|RegExp,
+     *   body?: object, headers?: object, drop?: boolean, lose?: boolean }} failure -
+     *   `drop` closes the socket without handling the request; `lose` handles it
+     *   and then closes the socket instead of responding.
+     */
+    failNext(failure = {}) {
+      failures.push({ status: 500, times: 1, ...failure });
+    },
+
+    /**
+     * Insert a listing directly.
+     * @param {object} listing
+     * @returns {object} The stored listing (with an ID).
+     */
+    seed(listing) {
+      const stored = { owner, created_at: now(), updated_at: now(), ...listing, id: listing.id || `lst_${nextId++}` };
+      listings.set(stored.id, stored);
+      return stored;
+    },
+  };
+}
+
+module.exports = { createMockMarketplace };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const flag = (name) => {
+    const i = args.indexOf(`--${name}`);
+    return i === -1 ? undefined : args[i + 1];
+  };
+  const mock = createMockMarketplace({ apiKey: flag('api-key') });
+  mock.start(Number(flag('port') || 8787), flag('host') || '127.0.0.1').then((url) => {
+    console.log(`Mock NEAR Marketplace listening on ${url}`);
+  });
+}
@@ -0,0 +1,322 @@
+'use strict';
+
+const path = require('path');
+const { loadLongDescription, resolveChangelog } = require('./content');
+const { splitList } = require('./glob');
+const { collectMedia } = require('./media');
+const { inferListing, mergeTags, isNearContract } = require('./infer');
+const { collectContract } = require('./contract');
+const { collectInstall } = require('./install');
+const { repositoryWebUrl } = require('./manifests');
+const { DEFAULT_LOCALE, normaliseLocale, collectLocales } = require('./locales');
+const { LIMITS } = require('./rules');
+const { isPrerelease, versionFromTag } = require('./semver');
+
+// ---------------------------------------------------------------------------
+// Listing payload construction
+//
+// Shared by the action (src/index.js) and the CLI (src/cli.js). Nothing here
+// reads action inputs, the GitHub context or logs; callers pass those in and
+// report the returned messages themselves.
+// ---------------------------------------------------------------------------
+
+/** Input names (action inputs / CLI flags) that feed the payload. */
+const PAYLOAD_INPUTS = [
+  'name', 'version', 'description', 'long-description', 'long-description-file', 'long-description-marker',
+  'category', 'homepage', 'repository', 'license', 'changelog', 'changelog-file', 'pricing',
+  'min-near-version', 'tags', 'tag-prefix', 'prerelease', 'icon', 'screenshots', 'infer',
+  'contract-wasm', 'contract-abi', 'contract-accounts', 'registries', 'default-locale', 'locales',
+];
+
+/** How prerelease versions are handled. */
+const PRERELEASE_POLICIES = ['skip', 'beta', 'publish'];
+
+/**
+ * Where each field may come from, in precedence order: the input / config key
+ * and the manifest metadata key. `input` also names the config key.
+ */
+const FIELD_ORIGINS = {
+  name:             { input: 'name', manifest: 'name' },
+  version:          { input: 'version', manifest: 'version', config: false, tag: true },
+  description:      { input: 'description', manifest: 'description' },
+  long_description: { input: 'long-description', also: 'long-description-file' },
+  category:         { input: 'category' },
+  homepage:         { input: 'homepage', manifest: 'homepage' },
+  repository:       { input: 'repository', manifest: 'repository' },
+  license:          { input: 'license', manifest: 'license' },
+  changelog:        { input: 'changelog', also: 'changelog-file' },
+  pricing:          { input: 'pricing' },
+  min_near_version: { input: 'min-near-version' },
+  tags:             { input: 'tags', manifest: 'keywords' },
+  icon:             { input: 'icon' },
+  screenshots:      { input: 'screenshots' },
+  contract_accounts: { input: 'contract-accounts' },
+  locales:          { input: 'locales' },
+};
+
+/**
+ * Work out where each payload field came from, following the same
+ * precedence as buildPayload.
+ * @returns {Object<string, { source: 'input'|'config'|'manifest'|'tag'|'inferred'|'default', key: string|null }>}
+ *   `key` is the input / config key or manifest field that set the value.
+ */
+function fieldSources(input, conf, metadata, tagVersion) {
+  const has = (value) => value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+  return Object.fromEntries(Object.entries(FIELD_ORIGINS).map(([field, origin]) => {
+    const keys = [origin.input, origin.also].filter(Boolean);
+    const inputKey = keys.find(k => has(input(k)));
+    const confKey = origin.config === false ? undefined : keys.find(k => has(conf[k]));
+    let found = { source: 'default', key: null };
+    if (inputKey) found = { source: 'input', key: inputKey };
+    else if (confKey) found = { source: 'config', key: confKey };
+    else if (origin.manifest && has(metadata[origin.manifest])) found = { source: 'manifest', key: origin.manifest };
+    else if (origin.tag && tagVersion) found = { source: 'tag', key: null };
+    return [field, found];
+  }));
+}
+
+/**
+ * Mark the fields that inference filled in as `inferred` in the sources.
+ * @returns {object} The updated sources.
+ */
+function inferredSources(sources, inferred, payload) {
+  if (!inferred) return sources;
+  if (sources.category.source === 'default' && payload.category === inferred.category) {
+    sources.category = { source: 'inferred', key: null };
+  }
+  if (sources.tags.source === 'default' && payload.tags.length > 0) sources.tags = { source: 'inferred', key: null };
+  return sources;
+}
+
+/**
+ * Build the listing payload for one package.
+ *
+ * Precedence: inputs > listing config file > package manifest > defaults.
+ * With `infer`, tags found in the project are added after the manual ones
+ * and the inferred category replaces the default. Contract projects get a
+ * `contract` section with the wasm hashes, methods and deployment accounts;
+ * published packages and release assets an `install` section. Translations
+ * go in a `locales` map next to `default_locale`, the locale of the
+ * top-level text.
+ *
+ * @param {object} source
+ * @param {object} source.metadata - Result of readProjectMetadata().
+ * @param {object} source.conf - Listing config values (loadListingConfig().values).
+ * @param {Object<string, string>} source.inputs - Values keyed by PAYLOAD_INPUTS name; empty means unset.
+ * @param {{ owner: string, repo: string, ref: string, sha: string, actor: string, runId: number|null,
+ *   release?: object, viaAction: boolean }} source.context - Where the release comes from.
+ * @param {string} source.projectPath - Absolute package root.
+ * @param {string} source.workspaceRoot - Repository root, for resolving README links.
+ * @param {string} [source.changelogSource] - none | release | file | auto.
+ * @param {Date} [source.now]
+ * @returns {{ payload: object, messages: { level: 'info'|'warning', text: string }[],
+ *   release: { tag: string, tagVersion: string|null, prefixes: string[] }|null, prerelease: boolean, policy: string,
+ *   versionEntry: object, sources: object }}
+ *   `release` describes the tag being built (null when the ref is not a tag);
+ *   `prerelease` is true for prerelease versions and GitHub prereleases;
+ *   `versionEntry` is the version history entry for this release (see versionEntry());
+ *   `sources` tells where each field came from (see fieldSources()).
+ * @throws {Error} When a long description file, image or contract file is missing, or changelogSource /
+ *   prerelease / contract-accounts / registries / a locale is invalid.
+ */
+function buildPayload(source) {
+  const { metadata, conf, context, projectPath } = source;
+  const input = (name) => source.inputs[name] || '';
+  const messages = [];
+  const changelogSource = source.changelogSource || 'none';
+
+  const policy = input('prerelease') || conf.prerelease || 'skip';
+  if (!PRERELEASE_POLICIES.includes(policy)) {
+    throw new Error(`Invalid "prerelease": "${policy}". Expected one of: ${PRERELEASE_POLICIES.join(', ')}.`);
+  }
+
+  // Tag → version: strip "refs/tags/" and the tag prefix (default: an optional "v")
+  const prefixes = input('tag-prefix') ? splitList(input('tag-prefix')) : [].concat(conf['tag-prefix'] || []);
+  const tagVersion = versionFromTag(context.ref, prefixes);
+  const release = context.ref && context.ref.startsWith('refs/tags/')
+    ? { tag: context.ref.slice('refs/tags/'.length), tagVersion, prefixes }
+    : null;
+
+  const repoUrl = context.owner && context.repo ? `https://github.com/${context.owner}/${context.repo}` : '';
+  const payload = {
+    name:             input('name')             || conf.name        || metadata.name        || '',
+    version:          input('version')          || metadata.version || tagVersion || '',
+    description:      input('description')      || conf.description || metadata.description || '',
+    long_description: input('long-description') || conf['long-description'] || '',
+    category:         input('category')         || conf.category    || 'development',
+    homepage:         input('homepage')         || conf.homepage    || metadata.homepage    || '',
+    // npm shorthands and git URLs (github:acme/tool, git+ssh://…) become https URLs.
+    repository:       repositoryWebUrl(input('repository') || conf.repository || metadata.repository || repoUrl),
+    license:          input('license')          || conf.license     || metadata.license     || 'MIT',
+    changelog:        input('changelog')        || conf.changelog   || '',
+    pricing:          input('pricing')          || conf.pricing     || 'free',
+    min_near_version: input('min-near-version') || conf['min-near-version'] || '',
+    tags:             [],
+    metadata: {
+      author:       metadata.author || context.actor,
+      release_tag:  context.ref,
+      submitted_at: (source.now || new Date()).toISOString(),
+      github_action: context.viaAction,
+      github_run_id: context.runId,
+      github_sha:    context.sha,
+    },
+  };
+
+  // Long description from a README, unless given explicitly
+  const longDescriptionFile = input('long-description-file') || conf['long-description-file'];
+  const contentOptions = {
+    marker:        input('long-description-marker') || conf['long-description-marker'],
+    workspaceRoot: source.workspaceRoot,
+    owner:         context.owner,
+    repo:          context.repo,
+    ref:           context.sha,
+  };
+  let loadedFrom = null;
+  if (!payload.long_description && longDescriptionFile) {
+    const loaded = loadLongDescription(projectPath, longDescriptionFile, { ...contentOptions, readme: metadata.readme });
+    if (loaded.warning) messages.push({ level: 'warning', text: loaded.warning });
+    payload.long_description = loaded.text;
+    loadedFrom = path.relative(projectPath, path.resolve(source.workspaceRoot, loaded.file));
+    messages.push({ level: 'info', text: `✓ Loaded long description from ${loaded.file}` });
+  }
+
+  // Changelog from the release body or CHANGELOG.md, unless given explicitly
+  if (!payload.changelog && changelogSource !== 'none') {
+    const changelog = resolveChangelog(changelogSource, {
+      projectPath,
+      file:    input('changelog-file') || conf['changelog-file'] || 'CHANGELOG.md',
+      version: payload.version,
+      release: context.release,
+    });
+    if (changelog) {
+      payload.changelog = changelog.text;
+      messages.push({ level: 'info', text: `✓ Loaded changelog from ${changelog.origin}` });
+    } else {
+      messages.push({ level: 'info', text: `   No changelog found for ${payload.version} (changelog-source: ${changelogSource})` });
+    }
+  }
+
+  // Translations of the description, long description and changelog
+  const defaultLocale = normaliseLocale(input('default-locale') || conf['default-locale'] || DEFAULT_LOCALE);
+  if (!defaultLocale) {
+    throw new Error(`Invalid "default-locale": "${input('default-locale') || conf['default-locale']}". Use a language code with an optional region, e.g. en or pt-BR.`);
+  }
+  const { locales, messages: localeMessages } = collectLocales(projectPath, {
+    defaultLocale,
+    input:               input('locales'),
+    config:              conf.locales,
+    longDescriptionFile: loadedFrom,
+    changelogFile:       ['file', 'auto'].includes(changelogSource)
+      ? input('changelog-file') || conf['changelog-file'] || 'CHANGELOG.md'
+      : null,
+    version:             payload.version,
+    content:             contentOptions,
+  });
+  messages.push(...localeMessages);
+  if (locales) {
+    payload.default_locale = defaultLocale;
+    payload.locales = locales;
+  }
+
+  // Tags
+  const customTags = input('tags');
+  payload.tags = customTags
+    ? customTags.split(',').map(t => t.trim()).filter(Boolean)
+    : (conf.tags || metadata.keywords || []);
+
+  // Tags and a category inferred from the project contents, on request
+  const infer = input('infer') ? input('infer') === 'true' : conf.infer === true;
+  let inferred = null;
+  if (infer) {
+    inferred = inferListing(projectPath, metadata);
+    const merged = mergeTags(payload.tags, inferred.tags, Infinity);
+    payload.tags = merged.slice(0, LIMITS.tags);
+    if (inferred.category && !input('category') && !conf.category) payload.category = inferred.category;
+    messages.push({
+      level: 'info',
+      text: inferred.reasons.length > 0
+        ? `✓ Inferred tags ${inferred.tags.join(', ') || '(none)'}${inferred.category ? ` and category ${inferred.category}` : ''} from ${inferred.reasons.join(', ')}`
+        : '   Nothing to infer tags or a category from',
+    });
+    if (merged.length > LIMITS.tags) {
+      messages.push({ level: 'info', text: `   Kept the first ${LIMITS.tags} of ${merged.length} tags` });
+    }
+  }
+
+  // Icon and screenshots, read from disk; uploaded later by the caller
+  const { media, messages: mediaMessages } = collectMedia(projectPath, {
+    icon:        input('icon') || conf.icon,
+    screenshots: input('screenshots') ? splitList(input('screenshots')) : [].concat(conf.screenshots || []),
+  });
+  messages.push(...mediaMessages);
+  if (media) payload.media = media;
+
+  // Contract build, ABI and deployment accounts
+  const { contract, messages: contractMessages } = collectContract(projectPath, {
+    name:     payload.name,
+    wasm:     input('contract-wasm') || conf['contract-wasm'],
+    abi:      input('contract-abi') || conf['contract-abi'],
+    accounts: input('contract-accounts') || conf['contract-accounts'],
+    detect:   isNearContract(projectPath),
+  });
+  messages.push(...contractMessages);
+  if (contract) payload.contract = contract;
+
+  // Install commands, registry pages and release downloads
+  const { install, messages: installMessages } = collectInstall(metadata, payload.version, {
+    registries: input('registries') || conf.registries,
+    release:    context.release,
+  });
+  messages.push(...installMessages);
+  if (install) payload.install = install;
+
+  // Prereleases go to the beta channel when the policy asks for it
+  const prerelease = isPrerelease(payload.version) || Boolean(context.release && context.release.prerelease);
+  if (policy === 'beta') payload.channel = prerelease ? 'beta' : 'stable';
+
+  const releasedAt = (context.release && context.release.published_at) || payload.metadata.submitted_at;
+  return {
+    payload,
+    messages,
+    release,
+    prerelease,
+    policy,
+    versionEntry: versionEntry(payload, prerelease, releasedAt),
+    sources: inferredSources(fieldSources(input, conf, metadata, tagVersion), inferred, payload),
+  };
+}
+
+/**
+ * Build the entry recorded in the listing's version history for a release.
+ * Stable releases become the listing's latest version; prereleases are added
+ * alongside it.
+ * @param {object} payload - From buildPayload().
+ * @param {boolean} prerelease
+ * @param {string} releasedAt - ISO date of the release.
+ * @returns {{ version: string, changelog: string, released_at: string, min_near_version: string,
+ *   prerelease: boolean, latest: boolean, channel?: string, contract?: object, locales?: object, metadata: object }}
+ *   `contract` holds the wasm hashes, so each version records the code it shipped; `locales` the
+ *   translated changelogs.
+ */
+function versionEntry(payload, prerelease, releasedAt) {
+  const { release_tag, github_sha, github_run_id } = payload.metadata;
+  const changelogs = Object.entries(payload.locales || {}).filter(([, text]) => text.changelog);
+  return {
+    version:          payload.version,
+    changelog:        payload.changelog,
+    released_at:      releasedAt,
+    min_near_version: payload.min_near_version,
+    prerelease,
+    latest:           !prerelease,
+    ...(payload.channel ? { channel: payload.channel } : {}),
+    ...(payload.contract && payload.contract.wasm
+      ? { contract: { sha256: payload.contract.wasm.sha256, code_hash: payload.contract.wasm.code_hash } }
+      : {}),
+    ...(changelogs.length > 0
+      ? { locales: Object.fromEntries(changelogs.map(([locale, text]) => [locale, { changelog: text.changelog }])) }
+      : {}),
+    metadata:         { release_tag, github_sha, github_run_id },
+  };
+}
+
+module.exports = { PAYLOAD_INPUTS, PRERELEASE_POLICIES, buildPayload, versionEntry, fieldSources };
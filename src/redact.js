@@ -0,0 +1,89 @@
+'use strict';
+
+const core = require('@actions/core');
+
+// ---------------------------------------------------------------------------
+// Secret redaction
+//
+// The runner masks registered secrets in the step log, but not in the files
+// and comments this action writes, and it cannot know about credentials that
+// only appear in a server's answer. Everything that leaves the action as
+// text — errors, debug and trace logs, the report file, the job summary and
+// the PR comment — goes through redact() first.
+// ---------------------------------------------------------------------------
+
+/** Replacement for redacted values. */
+const MASK = '***';
+
+/** Header names whose values are credentials. */
+const SENSITIVE_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key', 'api-key'];
+
+/** Object keys and query parameters whose values are treated as credentials. */
+const SENSITIVE_KEY = /^(?:api[-_]?key|apikey|access[-_]?token|refresh[-_]?token|id[-_]?token|token|auth|authorization|secret|client[-_]?secret|password|passwd|pwd|private[-_]?key|signature|sig|x-api-key|cookie|set-cookie|session)$/i;
+
+/** Values registered with registerSecret(), longest first. */
+let secrets = [];
+
+/**
+ * Register a credential: the runner masks it in the log (unless `mask` is
+ * false, e.g. in the CLI) and redact() removes it everywhere else, along
+ * with its URL-encoded form.
+ * @param {string} value
+ * @param {{ mask?: boolean }} [options]
+ */
+function registerSecret(value, options = {}) {
+  if (typeof value !== 'string' || value.trim().length < 4) return;
+  if (options.mask !== false) core.setSecret(value);
+  const forms = [value, encodeURIComponent(value)];
+  secrets = [...new Set([...secrets, ...forms])].sort((a, b) => b.length - a.length);
+}
+
+/** Forget every registered secret (for tests). */
+function clearSecrets() {
+  secrets = [];
+}
+
+/**
+ * Remove credentials from a piece of text: registered secrets, credentials
+ * in Authorization headers, user:password in URLs, sensitive query
+ * parameters and sensitive keys in echoed JSON or form bodies. Listing text
+ * passes through here too, so words like "Basic" or "token" are only
+ * touched in a header, and `Cookie:` lines are only masked with `headers`.
+ * @param {string} text
+ * @param {{ headers?: boolean }} [options] - `headers`: the text is HTTP traffic, so
+ *   every `Name: value` line with a SENSITIVE_HEADERS name is masked.
+ * @returns {string}
+ */
+function redact(text, options = {}) {
+  if (typeof text !== 'string' || text === '') return text;
+  let out = text;
+  for (const secret of secrets) out = out.split(secret).join(MASK);
+  out = out
+    .replace(/\b((?:[Pp]roxy-)?[Aa]uthorization:\s*(?:Bearer|Basic|Token) )[A-Za-z0-9._~+/=-]{4,}/g, `$1${MASK}`)
+    .replace(/\b([a-z][a-z0-9+.-]*:\/\/)[^/\s:@]+:[^/\s@]+@/gi, `$1${MASK}@`)
+    .replace(/([?&;])([^=&#\s]+)=([^&#\s"']*)/g, (all, sep, key, value) => (SENSITIVE_KEY.test(key) && value ? `${sep}${key}=${MASK}` : all))
+    .replace(/("([^"\\]+)"\s*:\s*)"(?:[^"\\]|\\.)*"/g, (all, prefix, key) => (SENSITIVE_KEY.test(key) ? `${prefix}"${MASK}"` : all));
+  if (!options.headers) return out;
+  return out.replace(/^(\s*([\w-]+)\s*:\s*)(\S.*)$/gm, (all, prefix, key) => (SENSITIVE_HEADERS.includes(key.toLowerCase()) ? `${prefix}${MASK}` : all));
+}
+
+/**
+ * Deep copy of a value with sensitive keys masked and every string passed
+ * through redact(). Buffers are replaced by a byte count.
+ * @param {any} value
+ * @returns {any}
+ */
+function redactValue(value) {
+  if (typeof value === 'string') return redact(value);
+  if (Buffer.isBuffer(value)) return `<${value.length} bytes>`;
+  if (Array.isArray(value)) return value.map(redactValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [
+      key,
+      (SENSITIVE_KEY.test(key) || SENSITIVE_HEADERS.includes(key.toLowerCase())) && v !== null && v !== '' ? MASK : redactValue(v),
+    ]));
+  }
+  return value;
+}
+
+module.exports = { MASK, SENSITIVE_HEADERS, registerSecret, clearSecrets, redact, redactValue };
@@ -0,0 +1,328 @@
+'use strict';
+
+const core = require('@actions/core');
+const github = require('@actions/github');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { toSarif } = require('./sarif');
+const { redact, redactValue } = require('./redact');
+const { version: toolVersion } = require('../package.json');
+
+// ---------------------------------------------------------------------------
+// Job summary, PR comment and report file reporting
+// ---------------------------------------------------------------------------
+
+/** Hidden marker identifying the sticky PR comment. */
+const COMMENT_MARKER = '<!-- near-marketplace-preview -->';
+
+/** Payload fields shown in the summary table, in order. */
+const SUMMARY_FIELDS = [
+  ['name', 'Name'],
+  ['version', 'Version'],
+  ['description', 'Description'],
+  ['category', 'Category'],
+  ['pricing', 'Pricing'],
+  ['license', 'License'],
+  ['tags', 'Tags'],
+  ['homepage', 'Homepage'],
+  ['repository', 'Repository'],
+  ['min_near_version', 'Min NEAR version'],
+  ['long_description', 'Long description'],
+  ['changelog', 'Changelog'],
+];
+
+const STATUS_ICONS = {
+  created: '🆕',
+  updated: '✅',
+  unchanged: '⏸️',
+  'dry-run': '🧪',
+  drafted: '📝',
+  published: '🚀',
+  validated: '🔍',
+  skipped: '⏭️',
+  deprecated: '⚠️',
+  unpublished: '🚫',
+  archived: '🗄️',
+  restored: '♻️',
+  yanked: '🪦',
+  unyanked: '↩️',
+  latest: '🏷️',
+  error: '❌',
+};
+
+/**
+ * Create an empty report for one package; processPackage fills it in.
+ * @param {string} label - Package path shown in headings.
+ * @returns {{ label: string, payload: object|null, errors: string[], warnings: string[], findings: object[],
+ *   diff: object[]|null, status: string, listingId: string, listingUrl: string, latestVersion: string,
+ *   draftId: string, draftUrl: string, response: object|null, timings: Object<string, number>, error: string }}
+ *   `findings` are the located validation findings; `draftUrl` previews a staged draft;
+ *   `timings` the milliseconds spent per phase.
+ */
+function createReport(label) {
+  return {
+    label, payload: null, errors: [], warnings: [], findings: [], diff: null, status: '',
+    listingId: '', listingUrl: '', latestVersion: '', draftId: '', draftUrl: '', response: null, timings: {}, error: '',
+  };
+}
+
+/** Make a value safe for a single markdown table cell. */
+function cell(value, max = 120) {
+  if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) return '_(empty)_';
+  let text = Array.isArray(value) ? value.join(', ') : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+  text = text.replace(/\s*\n\s*/g, ' ').trim();
+  if (text.length > max) text = `${text.slice(0, max - 1)}…`;
+  return text.replace(/\|/g, '\\|');
+}
+
+/**
+ * Render one package report as markdown.
+ * @param {ReturnType<typeof createReport>} report
+ * @returns {string}
+ */
+function renderPackage(report) {
+  const lines = [];
+  const p = report.payload || {};
+  const title = p.name ? `${p.name}${p.version ? ` ${p.version}` : ''}` : report.label;
+  const status = report.status || (report.error ? 'error' : 'pending');
+
+  lines.push(`### ${STATUS_ICONS[status] || '📦'} ${title}`);
+  lines.push('');
+  const facts = [`**Status:** \`${status}\``];
+  if (report.label && report.label !== '.') facts.push(`**Path:** \`${report.label}\``);
+  if (report.listingId && report.listingId !== 'dry-run') facts.push(`**Listing ID:** \`${report.listingId}\``);
+  if (report.listingUrl) facts.push(`[View listing](${report.listingUrl})`);
+  if (report.draftId) facts.push(`**Draft:** \`${report.draftId}\``);
+  if (report.draftUrl) facts.push(`[Preview draft](${report.draftUrl})`);
+  lines.push(facts.join(' · '));
+  lines.push('');
+
+  if (report.error && report.errors.length === 0) {
+    lines.push(`> ❌ ${report.error.split('\n')[0]}`);
+    lines.push('');
+  }
+
+  if (report.errors.length > 0) {
+    lines.push('**❌ Validation errors**');
+    lines.push('');
+    report.errors.forEach(e => lines.push(`- ${e}`));
+    lines.push('');
+  }
+
+  if (report.warnings.length > 0) {
+    lines.push('**⚠️ Warnings**');
+    lines.push('');
+    report.warnings.forEach(w => lines.push(`- ${w}`));
+    lines.push('');
+  }
+
+  if (report.diff) {
+    if (report.diff.length === 0) {
+      lines.push('**Changes vs live listing:** none');
+    } else {
+      lines.push('**Changes vs live listing**');
+      lines.push('');
+      lines.push('| Field | Before | After |');
+      lines.push('|-------|--------|-------|');
+      report.diff.forEach(d => lines.push(`| \`${d.path}\` | ${cell(d.before, 60)} | ${cell(d.after, 60)} |`));
+    }
+    lines.push('');
+  }
+
+  if (report.payload) {
+    lines.push('<details><summary>Submitted payload</summary>');
+    lines.push('');
+    lines.push('| Field | Value |');
+    lines.push('|-------|-------|');
+    for (const [key, label] of SUMMARY_FIELDS) {
+      lines.push(`| ${label} | ${cell(p[key])} |`);
+    }
+    lines.push('');
+    lines.push('</details>');
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render all package reports as one markdown document.
+ * @param {ReturnType<typeof createReport>[]} reports
+ * @param {{ dryRun?: boolean }} [options]
+ * @returns {string}
+ */
+function renderReport(reports, options = {}) {
+  const lines = ['## 📦 NEAR Marketplace', ''];
+  if (options.dryRun) {
+    lines.push('_Dry run — this is a preview of what will be published. Nothing was submitted._');
+    lines.push('');
+  }
+  if (reports.length > 1) {
+    lines.push('| Package | Status | Listing |');
+    lines.push('|---------|--------|---------|');
+    for (const r of reports) {
+      const status = r.status || (r.error ? 'error' : 'pending');
+      lines.push(`| \`${r.label}\` | ${STATUS_ICONS[status] || ''} \`${status}\` | ${r.listingUrl ? `[link](${r.listingUrl})` : '—'} |`);
+    }
+    lines.push('');
+  }
+  reports.forEach(r => lines.push(renderPackage(r)));
+  return lines.join('\n').trimEnd() + '\n';
+}
+
+/**
+ * Append markdown to the job summary ($GITHUB_STEP_SUMMARY).
+ * No-op outside GitHub Actions.
+ * @param {string} markdown
+ * @returns {Promise<void>}
+ */
+async function writeJobSummary(markdown) {
+  if (!process.env.GITHUB_STEP_SUMMARY) {
+    core.debug('GITHUB_STEP_SUMMARY is not set — skipping job summary');
+    return;
+  }
+  await core.summary.addRaw(markdown, true).write();
+}
+
+/**
+ * Create or update the single sticky preview comment on the current PR.
+ * @param {string} markdown
+ * @param {{ token: string, key?: string }} options - `key` distinguishes
+ *   several action steps in one workflow.
+ * @returns {Promise<string|null>} Comment URL, or null when not on a PR.
+ */
+async function upsertPrComment(markdown, options) {
+  const pr = github.context.payload && github.context.payload.pull_request;
+  if (!pr) {
+    core.info('   pr-comment is enabled but this is not a pull_request event — skipping comment');
+    return null;
+  }
+  if (!options.token) throw new Error('pr-comment requires "github-token".');
+
+  const marker = options.key ? `<!-- near-marketplace-preview:${options.key} -->` : COMMENT_MARKER;
+  const body = `${marker}\n${markdown}`;
+  const octokit = github.getOctokit(options.token);
+  const { owner, repo } = github.context.repo;
+
+  const comments = await octokit.paginate(octokit.rest.issues.listComments, {
+    owner, repo, issue_number: pr.number, per_page: 100,
+  });
+  const existing = comments.find(c => typeof c.body === 'string' && c.body.startsWith(marker));
+
+  if (existing) {
+    const { data } = await octokit.rest.issues.updateComment({ owner, repo, comment_id: existing.id, body });
+    return data.html_url;
+  }
+  const { data } = await octokit.rest.issues.createComment({ owner, repo, issue_number: pr.number, body });
+  return data.html_url;
+}
+
+/**
+ * Publish reports to the job summary and, optionally, a sticky PR comment.
+ * Both are redacted, as the runner only masks secrets in the log.
+ * Reporting failures are logged as warnings and never fail the action.
+ * @param {ReturnType<typeof createReport>[]} reports
+ * @param {{ jobSummary: boolean, prComment: boolean, githubToken: string, commentKey?: string, dryRun?: boolean }} options
+ * @returns {Promise<void>}
+ */
+async function publishReport(reports, options) {
+  const markdown = redact(renderReport(reports, { dryRun: options.dryRun }));
+
+  if (options.jobSummary) {
+    try {
+      await writeJobSummary(markdown);
+    } catch (err) {
+      core.warning(`Could not write job summary: ${err.message}`);
+    }
+  }
+
+  if (options.prComment) {
+    try {
+      const url = await upsertPrComment(markdown, { token: options.githubToken, key: options.commentKey });
+      if (url) core.info(`💬 PR comment: ${url}`);
+    } catch (err) {
+      core.warning(`Could not post PR comment: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Build the machine-readable report of a run.
+ * @param {ReturnType<typeof createReport>[]} reports
+ * @param {{ operation?: string, dryRun?: boolean, startedAt?: Date, now?: Date }} [options]
+ * @returns {object}
+ */
+function buildReportFile(reports, options = {}) {
+  const { context } = github;
+  const finished = options.now || new Date();
+  return {
+    version: 1,
+    tool: { name: 'near-marketplace', version: toolVersion },
+    run: {
+      repository: `${context.repo.owner}/${context.repo.repo}`,
+      ref:        context.ref,
+      sha:        context.sha,
+      run_id:     context.runId,
+      operation:  options.operation || 'submit',
+      dry_run:    Boolean(options.dryRun),
+      started_at:  (options.startedAt || finished).toISOString(),
+      finished_at: finished.toISOString(),
+    },
+    // The file may be uploaded as an artifact, so it gets the same redaction as the log.
+    packages: redactValue(reports.map(r => ({
+      label:          r.label,
+      status:         r.status || (r.error ? 'error' : 'pending'),
+      listing_id:     r.listingId || null,
+      listing_url:    r.listingUrl || null,
+      latest_version: r.latestVersion || null,
+      draft_id:       r.draftId || null,
+      draft_url:      r.draftUrl || null,
+      error:          r.error || null,
+      payload:        r.payload,
+      validation:     { errors: r.errors, warnings: r.warnings, findings: r.findings },
+      diff:           r.diff,
+      response:       r.response,
+      timings_ms:     { ...r.timings, total: Object.values(r.timings).reduce((sum, ms) => sum + ms, 0) },
+    }))),
+  };
+}
+
+/**
+ * Write the JSON report and the SARIF log of validation findings, and set
+ * the `report-path` and `sarif-path` outputs. Both files go to
+ * $RUNNER_TEMP/near-marketplace/ unless `reportFile` / `sarifFile` say
+ * otherwise. Failures are logged as warnings and never fail the action.
+ * @param {ReturnType<typeof createReport>[]} reports
+ * @param {{ reportFile?: string, sarifFile?: string, operation?: string, dryRun?: boolean, startedAt?: Date }} options
+ * @returns {{ reportPath: string, sarifPath: string }|null}
+ */
+function writeReportFiles(reports, options) {
+  const dir = path.join(process.env.RUNNER_TEMP || os.tmpdir(), 'near-marketplace');
+  const reportPath = path.resolve(options.reportFile || path.join(dir, 'report.json'));
+  const sarifPath = path.resolve(options.sarifFile || path.join(dir, 'report.sarif'));
+  try {
+    for (const [file, data] of [[reportPath, buildReportFile(reports, options)], [sarifPath, redactValue(toSarif(reports))]]) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`);
+    }
+  } catch (err) {
+    core.warning(`Could not write report file: ${err.message}`);
+    return null;
+  }
+  core.info(`🧾 Report: ${reportPath}`);
+  core.setOutput('report-path', reportPath);
+  core.setOutput('sarif-path', sarifPath);
+  return { reportPath, sarifPath };
+}
+
+module.exports = {
+  COMMENT_MARKER,
+  createReport,
+  renderReport,
+  writeJobSummary,
+  upsertPrComment,
+  publishReport,
+  buildReportFile,
+  writeReportFiles,
+};
@@ -0,0 +1,392 @@
+'use strict';
+
+const parseSpdx = require('spdx-expression-parse');
+const { parseSemver, compareSemver } = require('./semver');
+const { ACCOUNT_ID } = require('./contract');
+const { LOCALIZED_FIELDS } = require('./locales');
+
+// ---------------------------------------------------------------------------
+// Payload validation rules
+//
+// Every rule has a stable ID and a default severity. Repositories override
+// severities in the listing config:
+//
+//   rules:
+//     license-spdx: error
+//     tags-charset: off
+//
+// `required-fields` is fixed: the marketplace cannot take a listing without
+// those fields, so it stays an error whatever the config says.
+// ---------------------------------------------------------------------------
+
+const SEVERITIES = ['error', 'warn', 'off'];
+
+/** Categories accepted by the marketplace. */
+const CATEGORIES = [
+  'ai', 'analytics', 'blockchain', 'data', 'defi', 'development', 'gaming', 'infrastructure',
+  'nft', 'productivity', 'security', 'social', 'wallets',
+];
+
+/** Pricing models accepted by the marketplace. */
+const PRICING = ['free', 'freemium', 'paid'];
+
+/** Required fields that must be non-empty in the final payload. */
+const REQUIRED_FIELDS = ['name', 'version', 'description', 'category', 'repository'];
+
+/** Optional fields that produce warnings when absent. */
+const RECOMMENDED_FIELDS = ['homepage', 'long_description', 'changelog', 'license'];
+
+/** Image formats accepted for the icon and for screenshots. */
+const MEDIA_FORMATS = {
+  icon: ['png', 'jpeg', 'webp', 'svg'],
+  screenshot: ['png', 'jpeg', 'webp', 'gif'],
+};
+
+const LIMITS = {
+  tags: 10,
+  tagLength: 32,
+  descriptionMin: 10,
+  descriptionMax: 300,
+  longDescriptionMax: 20000,
+  iconMinPx: 128,
+  iconMaxPx: 1024,
+  iconMaxBytes: 1024 * 1024,
+  screenshots: 8,
+  screenshotMinWidth: 640,
+  screenshotMinHeight: 360,
+  screenshotMaxPx: 3840,
+  screenshotMaxBytes: 5 * 1024 * 1024,
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/** How translated fields are named in messages. */
+const FIELD_LABELS = { description: 'description', long_description: 'long description', changelog: 'changelog' };
+
+/**
+ * Local images in the payload (entries with a `file`, before upload), each
+ * with its role. Uploaded entries only carry URLs and are not re-checked.
+ */
+function localMedia(p) {
+  const media = p.media || {};
+  return [
+    ...(media.icon ? [{ role: 'icon', field: 'icon', label: 'Icon', image: media.icon }] : []),
+    ...(media.screenshots || []).map(image => ({ role: 'screenshot', field: 'screenshots', label: 'Screenshot', image })),
+  ].filter(m => m.image.file);
+}
+
+const formatBytes = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+/** True for absolute http(s) URLs; `git+https://` is accepted for repositories. */
+function isWebUrl(value, allowGit) {
+  try {
+    const url = new URL(allowGit ? value.replace(/^git\+/, '') : value);
+    return (url.protocol === 'https:' || url.protocol === 'http:') && Boolean(url.hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Rule definitions. `check(payload, release)` returns zero or more messages;
+ * `release` is the tag information from buildPayload (null when not a tag build).
+ * `field` names the payload field a rule inspects; rules covering several
+ * fields return `{ field, message }` objects instead of plain messages.
+ * `fixed` rules ignore severity overrides.
+ * @type {{ id: string, severity: 'error'|'warn', description: string, field?: string, fixed?: boolean,
+ *   check: (payload: object, release: object|null) => (string|{ field: string, message: string })[] }[]}
+ */
+const RULES = [
+  {
+    id: 'required-fields',
+    severity: 'error',
+    fixed: true,
+    description: 'name, version, description, category and repository are set',
+    check: (p) => REQUIRED_FIELDS.filter(f => isBlank(p[f])).map(f => ({
+      field: f,
+      message: `Required field "${f}" is missing or empty. ` +
+        `Provide it via the "${f}" action input, the listing config file, or your package manifest.`,
+    })),
+  },
+  {
+    id: 'recommended-fields',
+    severity: 'warn',
+    description: 'homepage, long description, changelog and license are set',
+    check: (p) => RECOMMENDED_FIELDS.filter(f => isBlank(p[f])).map(f => ({
+      field: f,
+      message: `Optional field "${f}" is not set — consider adding it for a better listing.`,
+    })),
+  },
+  {
+    id: 'version-semver',
+    field: 'version',
+    severity: 'warn',
+    description: 'version is a valid semver 2.0 version',
+    check: (p) => (isBlank(p.version) || parseSemver(p.version) ? [] : [
+      `Version "${p.version}" is not valid semver 2.0 (MAJOR.MINOR.PATCH[-prerelease][+build]). ` +
+      'The marketplace prefers semantic versioning.',
+    ]),
+  },
+  {
+    id: 'version-tag-match',
+    field: 'version',
+    severity: 'error',
+    description: 'version matches the release tag',
+    check: (p, release) => {
+      if (!release || isBlank(p.version)) return [];
+      if (release.tagVersion === null) {
+        return [`Release tag "${release.tag}" does not start with a tag-prefix (${release.prefixes.join(', ')}).`];
+      }
+      if (p.version === release.tagVersion || compareSemver(p.version, release.tagVersion) === 0) return [];
+      return [
+        `Version "${p.version}" does not match the release tag "${release.tag}" (${release.tagVersion}). ` +
+        'Bump the manifest version or fix the tag; set "tag-prefix" for tags like "cli-v1.2.3".',
+      ];
+    },
+  },
+  {
+    id: 'license-spdx',
+    field: 'license',
+    severity: 'warn',
+    description: 'license is an SPDX license expression',
+    check: (p) => {
+      if (isBlank(p.license) || p.license === 'UNLICENSED' || /^SEE LICENSE IN /.test(p.license)) return [];
+      try {
+        parseSpdx(p.license);
+        return [];
+      } catch {
+        return [`License "${p.license}" is not a valid SPDX expression (e.g. "MIT", "Apache-2.0 OR MIT"). See https://spdx.org/licenses/.`];
+      }
+    },
+  },
+  {
+    id: 'category-allowed',
+    field: 'category',
+    severity: 'error',
+    description: 'category is one of the marketplace categories',
+    check: (p) => (isBlank(p.category) || CATEGORIES.includes(p.category) ? [] : [
+      `Category "${p.category}" is not a marketplace category. Expected one of: ${CATEGORIES.join(', ')}.`,
+    ]),
+  },
+  {
+    id: 'pricing-allowed',
+    field: 'pricing',
+    severity: 'error',
+    description: 'pricing is free, freemium or paid',
+    check: (p) => (isBlank(p.pricing) || PRICING.includes(p.pricing) ? [] : [
+      `Pricing "${p.pricing}" is not supported. Expected one of: ${PRICING.join(', ')}.`,
+    ]),
+  },
+  {
+    id: 'url-format',
+    severity: 'error',
+    description: 'homepage and repository are absolute http(s) URLs',
+    check: (p) => [['homepage', false], ['repository', true]]
+      .filter(([f, allowGit]) => !isBlank(p[f]) && !isWebUrl(p[f], allowGit))
+      .map(([f]) => ({ field: f, message: `"${f}" must be an absolute http(s) URL, got "${p[f]}".` })),
+  },
+  {
+    id: 'tags-count',
+    field: 'tags',
+    severity: 'error',
+    description: `at most ${LIMITS.tags} tags`,
+    check: (p) => ((p.tags || []).length > LIMITS.tags
+      ? [`${p.tags.length} tags given; the marketplace allows at most ${LIMITS.tags}.`]
+      : []),
+  },
+  {
+    id: 'tags-length',
+    field: 'tags',
+    severity: 'error',
+    description: `tags are 1–${LIMITS.tagLength} characters`,
+    check: (p) => (p.tags || []).filter(t => t.length === 0 || t.length > LIMITS.tagLength)
+      .map(t => `Tag "${t}" must be 1–${LIMITS.tagLength} characters long.`),
+  },
+  {
+    id: 'tags-charset',
+    field: 'tags',
+    severity: 'warn',
+    description: 'tags are lowercase letters, digits and hyphens',
+    check: (p) => (p.tags || []).filter(t => t && !/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(t))
+      .map(t => `Tag "${t}" should be lowercase kebab-case (a-z, 0-9 and "-").`),
+  },
+  {
+    id: 'description-length',
+    field: 'description',
+    severity: 'warn',
+    description: `description is ${LIMITS.descriptionMin}–${LIMITS.descriptionMax} characters`,
+    check: (p) => {
+      if (isBlank(p.description)) return [];
+      const length = p.description.trim().length;
+      if (length < LIMITS.descriptionMin) return [`Description is only ${length} characters; aim for at least ${LIMITS.descriptionMin}.`];
+      if (length > LIMITS.descriptionMax) {
+        return [`Description is ${length} characters; the limit is ${LIMITS.descriptionMax}. Move details to the long description.`];
+      }
+      return [];
+    },
+  },
+  {
+    id: 'media-format',
+    severity: 'error',
+    description: `icon is ${MEDIA_FORMATS.icon.join('/')}; screenshots are ${MEDIA_FORMATS.screenshot.join('/')}`,
+    check: (p) => localMedia(p).filter(m => !MEDIA_FORMATS[m.role].includes(m.image.format)).map(m => ({
+      field: m.field,
+      message: `${m.label} "${m.image.file}" is ${m.image.format ? `a ${m.image.format} image` : 'not a recognised image'}; ` +
+        `expected ${MEDIA_FORMATS[m.role].join(', ')}.`,
+    })),
+  },
+  {
+    id: 'media-dimensions',
+    severity: 'error',
+    description: `icon is square, ${LIMITS.iconMinPx}–${LIMITS.iconMaxPx} px; screenshots are ` +
+      `${LIMITS.screenshotMinWidth}×${LIMITS.screenshotMinHeight} to ${LIMITS.screenshotMaxPx} px`,
+    check: (p) => localMedia(p).filter(m => m.image.width && m.image.height).flatMap(({ role, field, label, image }) => {
+      const { file, width, height, format } = image;
+      const size = `${width}×${height}`;
+      if (role === 'icon') {
+        if (width !== height) return [{ field, message: `Icon "${file}" is ${size}; it must be square.` }];
+        if (format !== 'svg' && (width < LIMITS.iconMinPx || width > LIMITS.iconMaxPx)) {
+          return [{ field, message: `Icon "${file}" is ${size}; use ${LIMITS.iconMinPx}–${LIMITS.iconMaxPx} px (512×512 recommended).` }];
+        }
+        return [];
+      }
+      if (width < LIMITS.screenshotMinWidth || height < LIMITS.screenshotMinHeight ||
+          width > LIMITS.screenshotMaxPx || height > LIMITS.screenshotMaxPx) {
+        return [{
+          field,
+          message: `${label} "${file}" is ${size}; screenshots must be at least ` +
+            `${LIMITS.screenshotMinWidth}×${LIMITS.screenshotMinHeight} and at most ${LIMITS.screenshotMaxPx} px per side.`,
+        }];
+      }
+      return [];
+    }),
+  },
+  {
+    id: 'media-size',
+    severity: 'error',
+    description: `icon ≤ ${formatBytes(LIMITS.iconMaxBytes)}, screenshots ≤ ${formatBytes(LIMITS.screenshotMaxBytes)}, ` +
+      `at most ${LIMITS.screenshots} screenshots`,
+    check: (p) => {
+      const problems = localMedia(p)
+        .filter(m => m.image.bytes > (m.role === 'icon' ? LIMITS.iconMaxBytes : LIMITS.screenshotMaxBytes))
+        .map(m => ({
+          field: m.field,
+          message: `${m.label} "${m.image.file}" is ${formatBytes(m.image.bytes)}; the limit is ` +
+            `${formatBytes(m.role === 'icon' ? LIMITS.iconMaxBytes : LIMITS.screenshotMaxBytes)}.`,
+        }));
+      const count = ((p.media && p.media.screenshots) || []).length;
+      if (count > LIMITS.screenshots) {
+        problems.push({ field: 'screenshots', message: `${count} screenshots given; the marketplace shows at most ${LIMITS.screenshots}.` });
+      }
+      return problems;
+    },
+  },
+  {
+    id: 'contract-accounts',
+    field: 'contract_accounts',
+    severity: 'error',
+    description: 'contract accounts are valid NEAR account IDs keyed by network name',
+    check: (p) => Object.entries((p.contract && p.contract.accounts) || {}).flatMap(([network, account]) => [
+      ...(/^[a-z][a-z0-9-]*$/.test(network) ? [] : [`Contract network "${network}" should be a lowercase name such as mainnet or testnet.`]),
+      ...(typeof account === 'string' && ACCOUNT_ID.test(account) ? [] : [`Contract account "${account}" (${network}) is not a valid NEAR account ID.`]),
+    ]),
+  },
+  {
+    id: 'locale-fields',
+    field: 'locales',
+    severity: 'warn',
+    description: 'every locale translates the description, long description and changelog the default locale has',
+    check: (p) => Object.entries(p.locales || {}).flatMap(([locale, text]) => Object.keys(LOCALIZED_FIELDS)
+      .filter(f => !isBlank(p[f]) && isBlank(text[f]))
+      .map(f => `Locale "${locale}" has no ${FIELD_LABELS[f]}; readers see the ${p.default_locale || 'default'} text instead.`)),
+  },
+  {
+    id: 'locale-length',
+    field: 'locales',
+    severity: 'warn',
+    description: `translated descriptions are ${LIMITS.descriptionMin}–${LIMITS.descriptionMax} characters, ` +
+      `long descriptions at most ${LIMITS.longDescriptionMax}`,
+    check: (p) => Object.entries(p.locales || {}).flatMap(([locale, text]) => {
+      const problems = [];
+      const length = isBlank(text.description) ? 0 : text.description.trim().length;
+      if (length > 0 && length < LIMITS.descriptionMin) {
+        problems.push(`Description (${locale}) is only ${length} characters; aim for at least ${LIMITS.descriptionMin}.`);
+      } else if (length > LIMITS.descriptionMax) {
+        problems.push(`Description (${locale}) is ${length} characters; the limit is ${LIMITS.descriptionMax}.`);
+      }
+      if (text.long_description && text.long_description.length > LIMITS.longDescriptionMax) {
+        problems.push(`Long description (${locale}) is ${text.long_description.length} characters; the limit is ${LIMITS.longDescriptionMax}.`);
+      }
+      return problems;
+    }),
+  },
+  {
+    id: 'long-description-markdown',
+    field: 'long_description',
+    severity: 'warn',
+    description: 'long description is well-formed markdown',
+    check: (p) => checkMarkdown(p.long_description || ''),
+  },
+];
+
+/**
+ * Sanity checks for the long description markdown.
+ * @param {string} markdown
+ * @returns {string[]}
+ */
+function checkMarkdown(markdown) {
+  const problems = [];
+  if (!markdown) return problems;
+
+  if (markdown.length > LIMITS.longDescriptionMax) {
+    problems.push(`Long description is ${markdown.length} characters; the limit is ${LIMITS.longDescriptionMax}.`);
+  }
+  const fences = markdown.split('\n').filter(line => /^\s{0,3}(```|~~~)/.test(line)).length;
+  if (fences % 2 !== 0) problems.push('Long description has an unclosed code fence (```).');
+
+  // Ignore code when looking at links and HTML.
+  const prose = markdown.replace(/^\s{0,3}(```|~~~)[\s\S]*?^\s{0,3}\1/gm, '').replace(/`[^`\n]*`/g, '');
+  if (/\[[^\]]*\]\(\s*\)/.test(prose)) problems.push('Long description contains a link with an empty target "[text]()".');
+  if (/<script\b/i.test(prose)) problems.push('Long description contains a <script> tag, which the marketplace strips.');
+  const relative = [...prose.matchAll(/!?\[[^\]]*\]\(\s*<?([^)\s>]+)/g)]
+    .map(m => m[1])
+    .filter(url => !/^(?:[a-z][a-z0-9+.-]*:|\/\/|#)/i.test(url));
+  if (relative.length > 0) {
+    problems.push(`Long description has relative links that will not resolve on the listing page: ${relative.slice(0, 3).join(', ')}.`);
+  }
+  return problems;
+}
+
+/**
+ * Run every rule against a payload.
+ * @param {object} payload
+ * @param {Object<string, string>} [overrides] - Rule ID → error | warn | off; ignored for fixed rules.
+ * @param {{ tag: string, tagVersion: string|null, prefixes: string[] }|null} [release] - Tag being released.
+ * @returns {{ rule: string, severity: 'error'|'warn', message: string, field: string|null }[]}
+ *   `field` is the payload field (or the icon / screenshots input) the finding is about.
+ */
+function runRules(payload, overrides = {}, release = null) {
+  const findings = [];
+  for (const rule of RULES) {
+    const severity = (!rule.fixed && overrides[rule.id]) || rule.severity;
+    if (severity === 'off') continue;
+    for (const result of rule.check(payload, release)) {
+      const { field, message } = typeof result === 'string' ? { field: rule.field, message: result } : result;
+      findings.push({ rule: rule.id, severity, message, field: field || null });
+    }
+  }
+  return findings;
+}
+
+module.exports = {
+  SEVERITIES,
+  CATEGORIES,
+  PRICING,
+  MEDIA_FORMATS,
+  REQUIRED_FIELDS,
+  RECOMMENDED_FIELDS,
+  LIMITS,
+  RULES,
+  checkMarkdown,
+  runRules,
+};
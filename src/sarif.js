@@ -0,0 +1,155 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { RULES } = require('./rules');
+const { version } = require('../package.json');
+
+// ---------------------------------------------------------------------------
+// Validation findings as SARIF
+//
+// Each finding is pinned to the line that set the offending field: the key
+// in the listing config, the `with:` entry in the workflow, or the field in
+// the manifest. GitHub code scanning shows the uploaded SARIF as annotations
+// on those lines.
+// ---------------------------------------------------------------------------
+
+/** Rule reported for listing config values that fail the schema. */
+const CONFIG_RULE = { id: 'config-schema', severity: 'error', description: 'listing config matches the schema' };
+
+/** Manifest keys that may hold each payload field, across the supported formats. */
+const MANIFEST_KEYS = {
+  name:        ['name', 'PackageId', 'artifactId', 'id', 'module'],
+  version:     ['version', 'VersionPrefix'],
+  description: ['description', 'summary', 'Summary', 'Description'],
+  homepage:    ['homepage', 'url', 'projectUrl', 'PackageProjectUrl', 'home-page', 'Home-page'],
+  repository:  ['repository', 'RepositoryUrl', 'scm', 'source'],
+  license:     ['license', 'License', 'PackageLicenseExpression', 'license-expression'],
+  tags:        ['keywords', 'Keywords', 'PackageTags', 'tags'],
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * 1-based number of the first line in a file declaring one of `keys`, as a
+ * JSON/TOML/YAML/cfg key, an XML element or a go.mod directive.
+ * @returns {number|null}
+ */
+function findKeyLine(filePath, keys) {
+  let lines;
+  try {
+    lines = fs.readFileSync(filePath, 'utf8').split('\n');
+  } catch {
+    return null;
+  }
+  for (const key of keys) {
+    const k = escapeRegExp(key);
+    const pattern = new RegExp(`^\\s*(?:-\\s+)?(?:"${k}"\\s*:|${k}\\s*[:=]|<${k}[\\s>]|${k}\\s+\\S)`);
+    const index = lines.findIndex(line => pattern.test(line));
+    if (index !== -1) return index + 1;
+  }
+  return null;
+}
+
+/**
+ * Path of the running workflow file, from GITHUB_WORKFLOW_REF
+ * (`owner/repo/.github/workflows/release.yml@refs/tags/v1.0.0`).
+ * @param {object} [env]
+ * @returns {string|null} Path relative to the workspace.
+ */
+function workflowPath(env = process.env) {
+  const match = /^[^/]+\/[^/]+\/(.+?)@/.exec(env.GITHUB_WORKFLOW_REF || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Attach a file location to each finding.
+ * @param {{ rule: string, severity: string, message: string, field?: string|null, location?: object }[]} findings
+ * @param {{ workspace: string, manifestPath?: string|null, configPath?: string|null,
+ *   configPositions?: object, sources?: object, workflowPath?: string|null }} ctx
+ *   Absolute manifest and config paths, the config key positions from
+ *   loadListingConfig(), and the field sources from buildPayload().
+ * @returns {object[]} Findings with `location: { file, line, column? }`, `file`
+ *   relative to the workspace with forward slashes; null when nothing is known.
+ */
+function locateFindings(findings, ctx) {
+  const relative = (file) => path.relative(ctx.workspace, path.resolve(ctx.workspace, file)).split(path.sep).join('/');
+  const workflow = ctx.workflowPath ? path.resolve(ctx.workspace, ctx.workflowPath) : null;
+  const fallback = ctx.manifestPath || ctx.configPath;
+
+  const locate = (field) => {
+    const from = (field && ctx.sources && ctx.sources[field]) || { source: 'default', key: null };
+    if (from.source === 'config' && ctx.configPath) {
+      const position = (ctx.configPositions || {})[from.key];
+      if (position) return { file: relative(ctx.configPath), line: position.line, column: position.column };
+    }
+    if (from.source === 'input' && workflow) {
+      const line = findKeyLine(workflow, [from.key]);
+      if (line) return { file: relative(workflow), line };
+    }
+    if (ctx.manifestPath && MANIFEST_KEYS[field]) {
+      const line = findKeyLine(ctx.manifestPath, MANIFEST_KEYS[field]);
+      if (line) return { file: relative(ctx.manifestPath), line };
+    }
+    return fallback ? { file: relative(fallback), line: 1 } : null;
+  };
+
+  return findings.map(f => ({
+    ...f,
+    location: f.location ? { ...f.location, file: relative(f.location.file) } : locate(f.field),
+  }));
+}
+
+/**
+ * Convert the findings of all package reports to a SARIF 2.1.0 log.
+ * Findings without a location are left out, as code scanning needs one;
+ * identical findings from several targets are reported once.
+ * @param {{ findings?: object[] }[]} reports - Reports with located findings.
+ * @returns {object}
+ */
+function toSarif(reports) {
+  const rules = [...RULES, CONFIG_RULE];
+  const seen = new Set();
+  const results = [];
+  for (const finding of reports.flatMap(r => r.findings || [])) {
+    if (!finding.location) continue;
+    const { file, line, column } = finding.location;
+    const key = [finding.rule, file, line, finding.message].join('\0');
+    if (seen.has(key)) continue;
+    seen.add(key);
+    results.push({
+      ruleId: finding.rule,
+      ruleIndex: rules.findIndex(r => r.id === finding.rule),
+      level: finding.severity === 'error' ? 'error' : 'warning',
+      message: { text: finding.message },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: file, uriBaseId: '%SRCROOT%' },
+          region: column ? { startLine: line, startColumn: column } : { startLine: line },
+        },
+      }],
+    });
+  }
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'near-marketplace',
+          version,
+          informationUri: 'https://github.com/bigguybobby/github-action-near-marketplace#validation-rules',
+          rules: rules.map(r => ({
+            id: r.id,
+            shortDescription: { text: r.description },
+            defaultConfiguration: { level: r.severity === 'error' ? 'error' : 'warning' },
+          })),
+        },
+      },
+      results,
+    }],
+  };
+}
+
+module.exports = { CONFIG_RULE, MANIFEST_KEYS, workflowPath, locateFindings, toSarif };
@@ -0,0 +1,155 @@
+'use strict';
+
+const Ajv = require('ajv');
+
+// ---------------------------------------------------------------------------
+// JSON Schema validation
+//
+// Validates with ajv (draft-07) and turns its errors into short messages
+// with the property path, e.g. `"tags[1]" must be of type string`. Problems
+// are listed in document order. The `uri` format means an absolute URL with
+// a host, as the marketplace requires.
+// ---------------------------------------------------------------------------
+
+/** JSON Schema type of a JS value. */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function isUri(value) {
+  try {
+    const url = new URL(value);
+    return Boolean(url.protocol && url.host);
+  } catch {
+    return false;
+  }
+}
+
+/** Format a property path as `tags[2]` / `urls.docs`. */
+function formatPath(segments) {
+  return segments.reduce((out, seg) => (
+    typeof seg === 'number' ? `${out}[${seg}]` : (out ? `${out}.${seg}` : seg)
+  ), '');
+}
+
+const ajv = new Ajv({ allErrors: true });
+ajv.addFormat('uri', isUri);
+
+/** Compiled validators by schema object. */
+const compiled = new WeakMap();
+
+/**
+ * Path segments of a JSON pointer into `data`; array indices become numbers.
+ * @param {any} data
+ * @param {string} pointer - e.g. `/tags/1`
+ * @returns {Array<string|number>}
+ */
+function pointerPath(data, pointer) {
+  const segments = [];
+  let value = data;
+  for (const raw of pointer.split('/').slice(1)) {
+    const key = raw.replace(/~1/g, '/').replace(/~0/g, '~');
+    const seg = Array.isArray(value) ? Number(key) : key;
+    segments.push(seg);
+    value = value == null ? undefined : value[seg];
+  }
+  return segments;
+}
+
+/**
+ * Message for one ajv error.
+ * @param {object} error - ajv ErrorObject.
+ * @param {Array<string|number>} at - Path of the value the error is about.
+ * @param {any} value
+ * @returns {string}
+ */
+function messageFor(error, at, value) {
+  const label = at.length ? `"${formatPath(at)}"` : 'Value';
+  const { params } = error;
+  switch (error.keyword) {
+    case 'type':
+      return `${label} must be of type ${[].concat(params.type).join(' or ')}, got ${typeOf(value)}`;
+    case 'enum':
+      return `${label} must be one of: ${params.allowedValues.join(', ')} (got "${value}")`;
+    case 'const':
+      return `${label} must equal ${JSON.stringify(params.allowedValue)}`;
+    case 'minLength':
+      return params.limit === 1 ? `${label} must not be empty` : `${label} must be at least ${params.limit} characters`;
+    case 'maxLength':
+      return `${label} must be at most ${params.limit} characters`;
+    case 'pattern':
+      return `${label} does not match pattern ${params.pattern}`;
+    case 'format':
+      return params.format === 'uri' ? `${label} must be an absolute URL` : `${label} must be a valid ${params.format}`;
+    case 'minimum':
+    case 'maximum':
+      return `${label} must be ${params.comparison} ${params.limit}`;
+    case 'minItems':
+      return `${label} must have at least ${params.limit} item(s)`;
+    case 'maxItems':
+      return `${label} must have at most ${params.limit} item(s)`;
+    case 'required':
+      return `Missing required property "${formatPath([...at, params.missingProperty])}"`;
+    case 'additionalProperties':
+      return `Unknown property "${formatPath([...at, params.additionalProperty])}"`;
+    case 'oneOf':
+      return `${label} must match exactly one allowed shape`;
+    default:
+      return `${label} ${error.message}`;
+  }
+}
+
+/**
+ * Position of `path` in document order: the index of each key among its
+ * parent's keys (or the array index).
+ */
+function documentOrder(data, path) {
+  const order = [];
+  let value = data;
+  for (const seg of path) {
+    order.push(typeof seg === 'number' ? seg : (value && typeof value === 'object' ? Object.keys(value).indexOf(seg) : 0));
+    value = value == null ? undefined : value[seg];
+  }
+  return order;
+}
+
+/** Compare two document orders; a parent comes before its children. */
+function compareOrder(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return a.length - b.length;
+}
+
+/**
+ * Validate `data` against `schema`.
+ * @param {object} schema - A draft-07 JSON Schema.
+ * @param {any} data
+ * @returns {{ path: Array<string|number>, message: string }[]} Empty when valid, in document order.
+ */
+function validate(schema, data) {
+  if (!compiled.has(schema)) compiled.set(schema, ajv.compile(schema));
+  const check = compiled.get(schema);
+  if (check(data)) return [];
+
+  // A failed oneOf is reported once, not with the errors of each branch.
+  const errors = check.errors.filter(e => !/\/oneOf\/\d+\//.test(e.schemaPath));
+  // A value of the wrong type gets no further complaints.
+  const mistyped = new Set(errors.filter(e => e.keyword === 'type').map(e => e.instancePath));
+
+  return errors
+    .filter(e => e.keyword === 'type' || !mistyped.has(e.instancePath))
+    .map((error) => {
+      const at = pointerPath(data, error.instancePath);
+      const value = at.reduce((v, seg) => (v == null ? undefined : v[seg]), data);
+      const path = error.keyword === 'additionalProperties' ? [...at, error.params.additionalProperty] : at;
+      return { path, message: messageFor(error, at, value), order: documentOrder(data, path) };
+    })
+    .sort((a, b) => compareOrder(a.order, b.order))
+    .map(({ path, message }) => ({ path, message }));
+}
+
+module.exports = { validate, formatPath };
@@ -0,0 +1,86 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Semantic Versioning 2.0.0
+// ---------------------------------------------------------------------------
+
+/** The regular expression suggested by semver.org (numbered groups). */
+const SEMVER_RE = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+([0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*))?$/;
+
+/**
+ * Parse a strict semver 2.0 version (no `v` prefix).
+ * @param {string} version
+ * @returns {{ major: number, minor: number, patch: number, prerelease: string[], build: string[] }|null}
+ */
+function parseSemver(version) {
+  const match = SEMVER_RE.exec(String(version || '').trim());
+  if (!match) return null;
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.') : [],
+    build: match[5] ? match[5].split('.') : [],
+  };
+}
+
+/**
+ * Compare two versions by semver precedence (build metadata is ignored).
+ * @param {string} a
+ * @param {string} b
+ * @returns {-1|0|1|null} Null when either version is not valid semver.
+ */
+function compareSemver(a, b) {
+  const x = parseSemver(a);
+  const y = parseSemver(b);
+  if (!x || !y) return null;
+
+  for (const key of ['major', 'minor', 'patch']) {
+    if (x[key] !== y[key]) return x[key] < y[key] ? -1 : 1;
+  }
+  // A version without a prerelease ranks above any prerelease of it.
+  if (x.prerelease.length === 0 || y.prerelease.length === 0) {
+    return Math.sign(y.prerelease.length - x.prerelease.length) || 0;
+  }
+  const length = Math.max(x.prerelease.length, y.prerelease.length);
+  for (let i = 0; i < length; i++) {
+    const p = x.prerelease[i];
+    const q = y.prerelease[i];
+    if (p === undefined) return -1;
+    if (q === undefined) return 1;
+    if (p === q) continue;
+    const pNum = /^\d+$/.test(p);
+    const qNum = /^\d+$/.test(q);
+    if (pNum && qNum) return Number(p) < Number(q) ? -1 : 1;
+    if (pNum !== qNum) return pNum ? -1 : 1;
+    return p < q ? -1 : 1;
+  }
+  return 0;
+}
+
+/** True for versions with a prerelease part, e.g. `2.0.0-rc.1`. */
+function isPrerelease(version) {
+  const parsed = parseSemver(version);
+  return Boolean(parsed && parsed.prerelease.length > 0);
+}
+
+/**
+ * The version named by a tag ref, e.g. `refs/tags/v1.2.3` → `1.2.3`.
+ *
+ * With no prefixes an optional leading `v` is stripped. With prefixes
+ * (e.g. `cli-v` for `cli-v1.2.3`) the tag must start with one of them;
+ * tags for other packages yield null.
+ *
+ * @param {string} ref - Git ref.
+ * @param {string[]} [prefixes]
+ * @returns {string|null} Null when the ref is not a tag or matches no prefix.
+ */
+function versionFromTag(ref, prefixes = []) {
+  if (!ref || !ref.startsWith('refs/tags/')) return null;
+  const tag = ref.slice('refs/tags/'.length);
+  if (prefixes.length === 0) return tag.replace(/^v(?=\d)/, '');
+  const prefix = [...prefixes].sort((a, b) => b.length - a.length).find(p => tag.startsWith(p));
+  return prefix === undefined ? null : tag.slice(prefix.length);
+}
+
+module.exports = { SEMVER_RE, parseSemver, compareSemver, isPrerelease, versionFromTag };
@@ -0,0 +1,87 @@
+'use strict';
+
+const YAML = require('yaml');
+
+// ---------------------------------------------------------------------------
+// Marketplace targets (e.g. staging, then production)
+//
+// The `targets` input lists the marketplaces to submit to, in order. API keys
+// are never written in the list itself: each target names the environment
+// variable its secret is mapped to in the workflow step.
+// ---------------------------------------------------------------------------
+
+/** Keys accepted for each entry of the `targets` input. */
+const TARGET_KEYS = ['name', 'url', 'api-key-env', 'listing-url', 'listing-id', 'category', 'gate'];
+
+/**
+ * Parse and check the `targets` input.
+ * @param {string} text - YAML (or JSON) list of targets.
+ * @param {{ env?: object, apiKey?: string }} [defaults] - Environment to read
+ *   keys from, and the `api-key` input used by targets without `api-key-env`.
+ * @returns {{ name: string, url: string, apiKey: string, apiKeyEnv: string|null, listingUrl: string,
+ *   listingId: string, category: string, gate: boolean }[]}
+ * @throws {Error} On malformed YAML, unknown keys, duplicate names, bad URLs or missing keys.
+ */
+function parseTargets(text, defaults = {}) {
+  const env = defaults.env || process.env;
+  let list;
+  try {
+    list = YAML.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid "targets" input: ${err.message.split('\n')[0]}`);
+  }
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error('Invalid "targets" input: expected a YAML list of targets, each with at least "name" and "url".');
+  }
+
+  const seen = new Set();
+  return list.map((entry, i) => {
+    const where = entry && typeof entry.name === 'string' && entry.name ? `"${entry.name}"` : `#${i + 1}`;
+    const fail = (message) => { throw new Error(`Invalid target ${where} in "targets": ${message}`); };
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) fail('expected a mapping.');
+
+    const unknown = Object.keys(entry).filter(k => !TARGET_KEYS.includes(k));
+    if (unknown.length > 0) fail(`unknown key${unknown.length === 1 ? '' : 's'} ${unknown.map(k => `"${k}"`).join(', ')}. Expected: ${TARGET_KEYS.join(', ')}.`);
+    for (const key of TARGET_KEYS.filter(k => k !== 'gate')) {
+      if (key in entry && typeof entry[key] !== 'string') fail(`"${key}" must be a string.`);
+    }
+    if ('gate' in entry && typeof entry.gate !== 'boolean') fail('"gate" must be true or false.');
+
+    if (!/^[A-Za-z0-9][\w.-]*$/.test(entry.name || '')) fail('"name" is required (letters, digits, ".", "-" and "_").');
+    if (seen.has(entry.name)) fail('names must be unique.');
+    seen.add(entry.name);
+
+    let url;
+    try {
+      url = new URL(entry.url || '');
+    } catch {
+      fail('"url" must be the API base URL, e.g. https://market.near.ai/v1.');
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') fail(`"url" must use https:// (or http:// for local testing), not ${url.protocol}`);
+
+    if (entry['listing-url'] && !entry['listing-url'].includes('{id}')) {
+      fail('"listing-url" must contain the {id} placeholder, e.g. https://staging.market.near.ai/listing/{id}.');
+    }
+
+    const apiKeyEnv = entry['api-key-env'] || null;
+    const apiKey = apiKeyEnv ? env[apiKeyEnv] || '' : defaults.apiKey || '';
+    if (!apiKey) {
+      fail(apiKeyEnv
+        ? `environment variable ${apiKeyEnv} is empty. Map the secret in the step, e.g. env: { ${apiKeyEnv}: \${{ secrets.${apiKeyEnv} }} }.`
+        : 'no API key. Set "api-key-env" for this target, or the "api-key" input.');
+    }
+
+    return {
+      name:       entry.name,
+      url:        entry.url.replace(/\/+$/, ''),
+      apiKey,
+      apiKeyEnv,
+      listingUrl: entry['listing-url'] || '',
+      listingId:  entry['listing-id'] || '',
+      category:   entry.category || '',
+      gate:       entry.gate !== false,
+    };
+  });
+}
+
+module.exports = { TARGET_KEYS, parseTargets };
@@ -0,0 +1,56 @@
+'use strict';
+
+const smolToml = require('smol-toml');
+
+// ---------------------------------------------------------------------------
+// TOML parsing for pyproject.toml / Cargo.toml
+//
+// A thin wrapper around smol-toml. Manifests can come from an untrusted pull
+// request: tables are built with a null prototype, so a `__proto__` or
+// `constructor` key stays an ordinary key. Date-times are returned as ISO
+// strings and integers too large for a number as (rounded) numbers, so the
+// result is plain JSON-like data.
+// ---------------------------------------------------------------------------
+
+class TomlError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} line - 1-based line number where parsing failed.
+   */
+  constructor(message, line) {
+    super(`${message} (line ${line})`);
+    this.name = 'TomlError';
+    this.line = line;
+  }
+}
+
+/** Replace TOML dates and big integers in a parsed tree, in place. */
+function plain(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'bigint') return Number(value);
+  if (Array.isArray(value)) return value.map(plain);
+  if (value && typeof value === 'object') {
+    for (const key of Object.keys(value)) value[key] = plain(value[key]);
+  }
+  return value;
+}
+
+/**
+ * Parse a TOML document.
+ * @param {string} source
+ * @returns {object} Object tree; tables have a null prototype.
+ * @throws {TomlError} On malformed input.
+ */
+function parse(source) {
+  let doc;
+  try {
+    doc = smolToml.parse(String(source).replace(/^\uFEFF/, ''), { integersAsBigInt: 'asNeeded' });
+  } catch (err) {
+    if (!(err instanceof smolToml.TomlError)) throw err;
+    // smol-toml appends a code frame; keep the first line of the message.
+    throw new TomlError(err.message.split('\n')[0].replace(/^Invalid TOML document: /, ''), err.line);
+  }
+  return plain(doc);
+}
+
+module.exports = { parse, TomlError };
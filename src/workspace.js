@@ -0,0 +1,159 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const toml = require('./toml');
+const { expandGlobs } = require('./glob');
+
+// ---------------------------------------------------------------------------
+// Monorepo package discovery
+// ---------------------------------------------------------------------------
+
+/**
+ * Read `workspaces` from a root package.json (npm / Yarn).
+ * @param {string} rootPath
+ * @returns {string[]|null} Glob patterns, or null when not a workspace root.
+ */
+function readNpmWorkspaces(rootPath) {
+  const filePath = path.join(rootPath, 'package.json');
+  if (!fs.existsSync(filePath)) return null;
+
+  let pkg;
+  try {
+    pkg = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Failed to parse package.json: ${err.message}`);
+  }
+
+  // Yarn classic also accepts `{ packages: [...], nohoist: [...] }`.
+  const workspaces = Array.isArray(pkg.workspaces)
+    ? pkg.workspaces
+    : (pkg.workspaces && Array.isArray(pkg.workspaces.packages) ? pkg.workspaces.packages : null);
+  return workspaces && workspaces.length ? workspaces.filter(w => typeof w === 'string') : null;
+}
+
+/**
+ * Read the `packages` list from pnpm-workspace.yaml.
+ * @param {string} rootPath
+ * @returns {string[]|null}
+ */
+function readPnpmWorkspaces(rootPath) {
+  const filePath = path.join(rootPath, 'pnpm-workspace.yaml');
+  if (!fs.existsSync(filePath)) return null;
+
+  let doc;
+  try {
+    doc = YAML.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Failed to parse pnpm-workspace.yaml: ${err.message.split('\n')[0]}`);
+  }
+  const packages = doc && Array.isArray(doc.packages) ? doc.packages.filter(p => typeof p === 'string') : [];
+  return packages.length ? packages : null;
+}
+
+/**
+ * Read `[workspace] members` / `exclude` from a root Cargo.toml.
+ * @param {string} rootPath
+ * @returns {{ members: string[], exclude: string[], rootIsPackage: boolean }|null}
+ */
+function readCargoWorkspace(rootPath) {
+  const filePath = path.join(rootPath, 'Cargo.toml');
+  if (!fs.existsSync(filePath)) return null;
+
+  let doc;
+  try {
+    doc = toml.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Failed to parse Cargo.toml: ${err.message}`);
+  }
+  if (!doc.workspace) return null;
+
+  const list = (v) => (Array.isArray(v) ? v.filter(s => typeof s === 'string') : []);
+  return {
+    members: list(doc.workspace.members),
+    exclude: list(doc.workspace.exclude),
+    rootIsPackage: Boolean(doc.package),
+  };
+}
+
+/**
+ * True when `dir` contains one of `manifests` (file names or `*.ext` patterns).
+ * @param {string} dir
+ * @param {string[]} manifests
+ * @returns {boolean}
+ */
+function hasManifest(dir, manifests) {
+  if (manifests.some(m => !m.startsWith('*') && fs.existsSync(path.join(dir, m)))) return true;
+  const extensions = manifests.filter(m => m.startsWith('*')).map(m => m.slice(1));
+  if (extensions.length === 0 || !fs.existsSync(dir)) return false;
+  return fs.readdirSync(dir).some(f => extensions.some(ext => f.endsWith(ext)));
+}
+
+/**
+ * Find every package in a monorepo.
+ *
+ * With explicit `patterns`, those globs are used as-is. Otherwise workspace
+ * definitions are collected from pnpm-workspace.yaml, package.json
+ * `workspaces` and Cargo `[workspace]`, in that order.
+ *
+ * @param {string} rootPath - Absolute repository / workspace root.
+ * @param {string[]} patterns - Optional glob patterns (from the `packages` input).
+ * @param {string[]} manifests - Manifest file names (or `*.ext` patterns) that mark a package directory.
+ * @returns {{ path: string, relativePath: string, source: string }[]}
+ * @throws {Error} If no workspace definition or no packages are found.
+ */
+function discoverPackages(rootPath, patterns, manifests) {
+  const sources = [];
+
+  if (patterns && patterns.length > 0) {
+    sources.push({ source: 'packages input', patterns });
+  } else {
+    const pnpm = readPnpmWorkspaces(rootPath);
+    if (pnpm) sources.push({ source: 'pnpm-workspace.yaml', patterns: pnpm });
+
+    const npm = readNpmWorkspaces(rootPath);
+    if (npm && !pnpm) sources.push({ source: 'package.json workspaces', patterns: npm });
+
+    const cargo = readCargoWorkspace(rootPath);
+    if (cargo) {
+      const cargoPatterns = [...cargo.members, ...cargo.exclude.map(e => `!${e}`)];
+      if (cargo.rootIsPackage) cargoPatterns.unshift('.');
+      sources.push({ source: 'Cargo workspace', patterns: cargoPatterns });
+    }
+  }
+
+  if (sources.length === 0) {
+    throw new Error(
+      `No workspace definition found in "${rootPath}". ` +
+      'Expected pnpm-workspace.yaml, "workspaces" in package.json, or [workspace] in Cargo.toml, ' +
+      'or set the "packages" input to a list of globs.'
+    );
+  }
+
+  const seen = new Set();
+  const packages = [];
+  for (const { source, patterns: globs } of sources) {
+    for (const rel of expandGlobs(rootPath, globs, { directories: true })) {
+      const abs = path.join(rootPath, rel);
+      if (seen.has(abs)) continue;
+      if (!hasManifest(abs, manifests)) continue;
+      seen.add(abs);
+      packages.push({ path: abs, relativePath: rel || '.', source });
+    }
+  }
+
+  if (packages.length === 0) {
+    const tried = sources.map(s => `${s.source}: ${s.patterns.join(', ')}`).join('; ');
+    throw new Error(`No packages matched the workspace patterns (${tried}).`);
+  }
+
+  return packages;
+}
+
+module.exports = {
+  discoverPackages,
+  readNpmWorkspaces,
+  readPnpmWorkspaces,
+  readCargoWorkspace,
+};
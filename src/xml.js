@@ -0,0 +1,113 @@
+'use strict';
+
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+
+// ---------------------------------------------------------------------------
+// XML parsing for build manifests (pom.xml, *.csproj, *.nuspec) and SVG
+//
+// A thin wrapper around fast-xml-parser that returns a small element tree:
+// each element has its name (namespace prefix included), attributes,
+// child elements and text. Comments, processing instructions and the
+// DOCTYPE are dropped; CDATA counts as text.
+// ---------------------------------------------------------------------------
+
+class XmlError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} line - 1-based line number where parsing failed.
+   */
+  constructor(message, line) {
+    super(`${message} (line ${line})`);
+    this.name = 'XmlError';
+    this.line = line;
+  }
+}
+
+const parser = new XMLParser({
+  preserveOrder:       true,
+  ignoreAttributes:    false,
+  attributeNamePrefix: '',
+  parseTagValue:       false,
+  parseAttributeValue: false,
+  trimValues:          false,
+  cdataPropName:       '#cdata',
+  commentPropName:     '#comment',
+  htmlEntities:        true,
+});
+
+/**
+ * @typedef {{ name: string, attributes: Object<string, string>, children: XmlElement[], text: string }} XmlElement
+ */
+
+/** Build an XmlElement from a fast-xml-parser `preserveOrder` node. */
+function toElement(name, node) {
+  const element = { name, attributes: { ...(node[':@'] || {}) }, children: [], text: '' };
+  let text = '';
+  for (const child of node[name]) {
+    if (child['#text'] !== undefined) {
+      text += child['#text'];
+    } else if (child['#cdata']) {
+      text += child['#cdata'].map(c => c['#text']).join('');
+    } else {
+      const childName = Object.keys(child).find(key => key !== ':@');
+      if (childName !== '#comment' && !childName.startsWith('?')) element.children.push(toElement(childName, child));
+    }
+  }
+  element.text = text.trim();
+  return element;
+}
+
+/**
+ * Parse an XML document.
+ * @param {string} source
+ * @returns {XmlElement} The root element. `text` is the concatenated,
+ *   trimmed character data directly inside each element.
+ * @throws {XmlError} On malformed input.
+ */
+function parse(source) {
+  const src = String(source).replace(/^\uFEFF/, '');
+  const valid = XMLValidator.validate(src);
+  if (valid !== true) {
+    const { msg, line = 1 } = valid.err;
+    // Tags still open at the end are reported as a JSON list of their names.
+    const open = /^Invalid '(\[[\s\S]*\])' found\.$/.exec(msg);
+    throw new XmlError(open ? `Unclosed element <${JSON.parse(open[1]).pop()}>` : msg.replace(/\.$/, ''), line);
+  }
+  let nodes;
+  try {
+    nodes = parser.parse(src);
+  } catch (err) {
+    throw new XmlError(err.message, 1);
+  }
+  const root = nodes.find(node => Object.keys(node).some(key => key !== ':@' && key !== '#text' && key !== '#comment' && !key.startsWith('?')));
+  if (!root) throw new XmlError('Document has no root element', 1);
+  return toElement(Object.keys(root).find(key => key !== ':@'), root);
+}
+
+/**
+ * Direct children of `element` named `name`.
+ * @param {XmlElement|undefined} element
+ * @param {string} name
+ * @returns {XmlElement[]}
+ */
+function children(element, name) {
+  return element ? element.children.filter(c => c.name === name) : [];
+}
+
+/**
+ * Text of the element reached by following `names` through first children,
+ * e.g. `textAt(project, 'scm', 'url')`.
+ * @param {XmlElement|undefined} element
+ * @param {...string} names
+ * @returns {string|undefined} Undefined when missing or empty.
+ */
+function textAt(element, ...names) {
+  let current = element;
+  for (const name of names) {
+    current = children(current, name)[0];
+    if (!current) return undefined;
+  }
+  return current.text || undefined;
+}
+
+module.exports = { parse, children, textAt, XmlError };
@@ -0,0 +1,131 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('@actions/core', () => ({
+  info: jest.fn(),
+  warning: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const { EXIT, parseCli, main } = require('../src/cli');
+const { createMockMarketplace } = require('../src/mock-server');
+
+describe('parseCli', () => {
+  test('flags override environment variables', () => {
+    const { command, values } = parseCli(['submit', '--category', 'ai'], {
+      NEAR_MARKETPLACE_CATEGORY: 'defi', NEAR_MARKETPLACE_API_KEY: 'k',
+    });
+    expect(command).toBe('submit');
+    expect(values).toMatchObject({ category: 'ai', 'api-key': 'k' });
+  });
+
+  test('rejects unknown commands and flags', () => {
+    expect(() => parseCli(['publish'], {})).toThrow(/Unknown command "publish"/);
+    expect(() => parseCli(['validate', '--nope'], {})).toThrow(/nope/);
+    expect(() => parseCli([], {})).toThrow(/Missing command/);
+  });
+});
+
+describe('main', () => {
+  let tmpDir;
+  let out;
+  let err;
+  const cli = (...argv) => main(argv, {
+    env: {}, cwd: tmpDir, out: line => out.push(line), err: line => err.push(line),
+  });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'near-cli-'));
+    fs.writeFileSync(path.join(tmpDir, 'package.json'), JSON.stringify({
+      name: 'cli-tool', version: '1.0.0', description: 'CLI', homepage: 'https://cli.dev',
+      repository: 'https://github.com/acme/cli-tool',
+    }));
+    out = [];
+    err = [];
+  });
+  afterEach(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+  test('validate exits 0 for a valid project', async () => {
+    expect(await cli('validate')).toBe(EXIT.OK);
+    expect(err).toContain('✓ cli-tool 1.0.0 is valid');
+  });
+
+  test('validate exits 1 on errors, and on warnings with --fail-on-warning', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'package.json'), JSON.stringify({ name: 'cli-tool', version: '1.0.0' }));
+    expect(await cli('validate')).toBe(EXIT.INVALID);
+    expect(err.join('\n')).toMatch(/description/);
+    expect(await cli('validate', '--description', 'CLI', '--fail-on-warning')).toBe(EXIT.INVALID);
+  });
+
+  test.each([
+    'acme/cli-tool', 'github:acme/cli-tool', 'git+ssh://git@github.com/acme/cli-tool.git', 'git://github.com/acme/cli-tool.git',
+  ])('validate accepts the npm repository form %s', async (repository) => {
+    fs.writeFileSync(path.join(tmpDir, 'package.json'), JSON.stringify({
+      name: 'cli-tool', version: '1.0.0', description: 'CLI', homepage: 'https://cli.dev', repository,
+    }));
+    expect(await cli('validate')).toBe(EXIT.OK);
+    expect(err.join('\n')).not.toMatch(/url-format/);
+  });
+
+  test('preview --json prints the payload', async () => {
+    expect(await cli('preview', '--json', '--category', 'ai')).toBe(EXIT.OK);
+    const result = JSON.parse(out.join('\n'));
+    expect(result).toMatchObject({ valid: true, payload: { name: 'cli-tool', category: 'ai' } });
+    expect(result.payload.metadata.github_action).toBe(false);
+  });
+
+  test('usage errors exit 2', async () => {
+    expect(await cli('frobnicate')).toBe(EXIT.USAGE);
+    expect(await cli('submit')).toBe(EXIT.USAGE);
+    expect(err.join('\n')).toMatch(/submit needs an API key/);
+  });
+
+  test('a missing manifest exits 3', async () => {
+    fs.rmSync(path.join(tmpDir, 'package.json'));
+    expect(await cli('validate')).toBe(EXIT.FAILED);
+  });
+
+  describe('submit', () => {
+    const mock = createMockMarketplace({ apiKey: 'k' });
+    beforeAll(() => mock.start());
+    afterAll(() => mock.stop());
+    beforeEach(() => mock.reset());
+
+    test('creates and then updates the listing', async () => {
+      expect(await cli('submit', '--api-key', 'k', '--marketplace-url', mock.url)).toBe(EXIT.OK);
+      expect(out).toEqual(['✓ cli-tool 1.0.0: created (listing lst_1, latest 1.0.0)']);
+      expect(await cli('submit', '--api-key', 'k', '--marketplace-url', mock.url, '--version', '1.0.1')).toBe(EXIT.OK);
+      expect(out[1]).toBe('✓ cli-tool 1.0.1: updated (listing lst_1, latest 1.0.1)');
+      expect(mock.listings.get('lst_1').version).toBe('1.0.1');
+      expect([...mock.versions.get('lst_1').keys()]).toEqual(['1.0.0', '1.0.1']);
+    });
+
+    test('skips unchanged listings and refuses downgrades like the action', async () => {
+      const submit = (...flags) => cli('submit', '--api-key', 'k', '--marketplace-url', mock.url, ...flags);
+      expect(await submit('--version', '1.1.0')).toBe(EXIT.OK);
+      expect(await submit('--version', '1.1.0')).toBe(EXIT.OK);
+      expect(out[1]).toBe('✓ cli-tool 1.1.0: unchanged (listing lst_1, latest 1.1.0)');
+
+      expect(await submit()).toBe(EXIT.FAILED);
+      expect(err.join('\n')).toMatch(/Refusing to downgrade listing lst_1 from 1\.1\.0 to 1\.0\.0/);
+      expect(await submit('--allow-downgrade')).toBe(EXIT.OK);
+      expect(mock.listings.get('lst_1').version).toBe('1.0.0');
+    });
+
+    test('--update-existing false always creates a listing', async () => {
+      expect(await cli('submit', '--api-key', 'k', '--marketplace-url', mock.url)).toBe(EXIT.OK);
+      expect(await cli('submit', '--api-key', 'k', '--marketplace-url', mock.url, '--update-existing', 'false', '--name', 'cli-tool-2')).toBe(EXIT.OK);
+      expect(out[1]).toBe('✓ cli-tool-2 1.0.0: created (listing lst_2, latest 1.0.0)');
+      expect(await cli('submit', '--api-key', 'k', '--update-strategy', 'sometimes')).toBe(EXIT.USAGE);
+      expect(err.join('\n')).toMatch(/Invalid --update-strategy "sometimes"/);
+    });
+
+    test('API errors exit 3', async () => {
+      expect(await cli('submit', '--api-key', 'wrong', '--marketplace-url', mock.url)).toBe(EXIT.FAILED);
+      expect(err.join('\n')).toMatch(/HTTP 401/);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadListingConfig, formatProblem } = require('../src/config');
+
+describe('loadListingConfig', () => {
+  let tmpDir;
+  beforeEach(() => { tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'near-action-config-')); });
+  afterEach(() => { fs.rmSync(tmpDir, { recursive: true, force: true }); });
+
+  test('returns empty values when no config exists', () => {
+    expect(loadListingConfig(tmpDir)).toEqual({ file: null, values: {}, problems: [], positions: {} });
+  });
+
+  test('reads .near-marketplace.yml', () => {
+    fs.writeFileSync(path.join(tmpDir, '.near-marketplace.yml'), [
+      'category: blockchain',
+      'pricing: freemium',
+      'tags: [near, wallet]',
+      'long-description: |',
+      '  # Wallet',
+      '  Does wallet things.',
+    ].join('\n'));
+    const config = loadListingConfig(tmpDir);
+    expect(config.problems).toEqual([]);
+    expect(config.values).toEqual({
+      category: 'blockchain',
+      pricing: 'freemium',
+      tags: ['near', 'wallet'],
+      'long-description': '# Wallet\nDoes wallet things.\n',
+    });
+    expect(config.positions).toMatchObject({ category: { line: 1 }, tags: { line: 3 }, 'long-description': { line: 4 } });
+  });
+
+  test('reads .near-marketplace.json', () => {
+    fs.writeFileSync(path.join(tmpDir, '.near-marketplace.json'), JSON.stringify({ category: 'ai' }));
+    expect(loadListingConfig(tmpDir).values).toEqual({ category: 'ai' });
+  });
+
+  test('reads the nearMarketplace key from package.json', () => {
+    fs.writeFileSync(path.join(tmpDir, 'package.json'), JSON.stringify({
+      name: 'x', nearMarketplace: { category: 'tools', tags: ['cli'] },
+    }, null, 2));
+    const config = loadListingConfig(tmpDir);
+    expect(config.file).toMatch(/package\.json$/);
+    expect(config.values).toEqual({ category: 'tools', tags: ['cli'] });
+  });
+
+  test('reports schema problems with file, line and column', () => {
+    fs.writeFileSync(path.join(tmpDir, '.near-marketplace.yml'), [
+      'category: blockchain',
+      'pricing: cheap',
+      'tags:',
+      '  - near',
+      '  - 42',
+      'colour: blue',
+    ].join('\n'));
+    const config = loadListingConfig(tmpDir);
+    const formatted = config.problems.map(formatProblem);
+    expect(formatted).toEqual([
+      expect.stringMatching(/\.near-marketplace\.yml:2:10: "pricing" must be one of/),
+      expect.stringMatching(/\.near-marketplace\.yml:5:5: "tags\[1\]" must be of type string/),
+      expect.stringMatching(/\.near-marketplace\.yml:6:9: Unknown property "colour"/),
+    ]);
+    // Invalid entries are dropped so they never reach the payload.
+    expect(config.values).toEqual({ category: 'blockchain' });
+  });
+
+  test('rejects turning off required-fields', () => {
+    fs.writeFileSync(path.join(tmpDir, '.near-marketplace.yml'), 'rules:\n  required-fields: off\n  tags-charset: off\n');
+    const config = loadListingConfig(tmpDir);
+    expect(config.problems.map(formatProblem)).toEqual([expect.stringMatching(/yml:2:20: "rules\.required-fields" must equal "error"$/)]);
+  });
+
+  test('locates problems inside package.json', () => {
+    fs.writeFileSync(path.join(tmpDir, 'package.json'),
+      '{\n  "name": "x",\n  "nearMarketplace": {\n    "homepage": "not a url"\n  }\n}\n');
+    const [problem] = loadListingConfig(tmpDir).problems;
+    expect(problem.line).toBe(4);
+    expect(problem.message).toMatch(/"homepage" must be an absolute URL/);
+  });
+
+  test('throws on YAML syntax errors with a location', () => {
+    fs.writeFileSync(path.join(tmpDir, '.near-marketplace.yml'), 'tags: [near\ncategory: x\n');
+    expect(() => loadListingConfig(tmpDir)).toThrow(/Failed to parse \.near-marketplace\.yml:\d+:\d+/);
+  });
+
+  test('honours an explicit config path', () => {
+    fs.mkdirSync(path.join(tmpDir, 'conf'));
+    fs.writeFileSync(path.join(tmpDir, 'conf', 'listing.yml'), 'category: ai\n');
+    expect(loadListingConfig(tmpDir, 'conf/listing.yml').values).toEqual({ category: 'ai' });
+    expect(() => loadListingConfig(tmpDir, 'missing.yml')).toThrow(/Config file not found/);
+  });
+});
@@ -0,0 +1,139 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  extractMarkerSection,
+  rewriteRelativeLinks,
+  loadLongDescription,
+  extractChangelogSection,
+  resolveChangelog,
+} = require('../src/content');
+
+const LOCATION = { owner: 'org', repo: 'tool', ref: 'abc123', baseDir: 'packages/cli' };
+
+describe('extractMarkerSection', () => {
+  test('returns the text between markers', () => {
+    const text = '# Title\n<!-- listing:start -->\nKeep me\n<!-- listing:end -->\nDrop me';
+    expect(extractMarkerSection(text, 'listing')).toBe('Keep me');
+  });
+
+  test('returns null when the start marker is missing', () => {
+    expect(extractMarkerSection('# Title', 'listing')).toBeNull();
+  });
+});
+
+describe('rewriteRelativeLinks', () => {
+  test('rewrites relative links and images', () => {
+    const md = [
+      '![logo](./docs/logo.png "Logo")',
+      '[guide](docs/GUIDE.md#install)',
+      '[root](/LICENSE)',
+      '<img src="img/shot.png" width="200">',
+      '[ref]: ../../CONTRIBUTING.md',
+    ].join('\n');
+    expect(rewriteRelativeLinks(md, LOCATION).split('\n')).toEqual([
+      '![logo](https://raw.githubusercontent.com/org/tool/abc123/packages/cli/docs/logo.png "Logo")',
+      '[guide](https://github.com/org/tool/blob/abc123/packages/cli/docs/GUIDE.md#install)',
+      '[root](https://github.com/org/tool/blob/abc123/LICENSE)',
+      '<img src="https://raw.githubusercontent.com/org/tool/abc123/packages/cli/img/shot.png" width="200">',
+      '[ref]: https://github.com/org/tool/blob/abc123/CONTRIBUTING.md',
+    ]);
+  });
+
+  test('leaves absolute URLs, anchors and mail links alone', () => {
+    const md = '[a](https://x.dev) [b](#usage) [c](mailto:a@b.c) ![d](data:image/png;base64,xx)';
+    expect(rewriteRelativeLinks(md, LOCATION)).toBe(md);
+  });
+});
+
+describe('loadLongDescription', () => {
+  let tmpDir;
+  beforeEach(() => { tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'near-action-content-')); });
+  afterEach(() => { fs.rmSync(tmpDir, { recursive: true, force: true }); });
+
+  const options = (extra = {}) => ({ workspaceRoot: tmpDir, owner: 'org', repo: 'tool', ref: 'sha', ...extra });
+
+  test('loads a README, cuts to the marker and rewrites links', () => {
+    fs.writeFileSync(path.join(tmpDir, 'README.md'),
+      '# Tool\n<!-- near:start -->\nSee ![shot](shot.png)\n<!-- near:end -->\n## Dev notes');
+    const result = loadLongDescription(tmpDir, 'auto', options({ marker: 'near' }));
+    expect(result.text).toBe('See ![shot](https://raw.githubusercontent.com/org/tool/sha/shot.png)');
+    expect(result.file).toBe('README.md');
+    expect(result.warning).toBeUndefined();
+  });
+
+  test('prefers the manifest readme for auto and warns on a missing marker', () => {
+    fs.writeFileSync(path.join(tmpDir, 'README.md'), 'default');
+    fs.writeFileSync(path.join(tmpDir, 'PYPI.md'), 'from manifest');
+    const result = loadLongDescription(tmpDir, 'auto', options({ readme: 'PYPI.md', marker: 'near' }));
+    expect(result.text).toBe('from manifest');
+    expect(result.warning).toMatch(/not found/);
+  });
+
+  test('throws for a missing file', () => {
+    expect(() => loadLongDescription(tmpDir, 'NOPE.md', options())).toThrow(/Long description file not found/);
+    expect(() => loadLongDescription(tmpDir, 'auto', options())).toThrow(/no README was found/);
+  });
+});
+
+describe('extractChangelogSection', () => {
+  const changelog = `# Changelog
+
+## [Unreleased]
+- Work in progress
+
+## [1.2.0] - 2024-03-01
+### Added
+- Shiny thing
+
+## [1.1.0] - 2024-01-01
+- Old thing
+
+[1.2.0]: https://github.com/org/tool/compare/v1.1.0...v1.2.0
+[1.1.0]: https://github.com/org/tool/releases/tag/v1.1.0
+`;
+
+  test('extracts the matching version section', () => {
+    expect(extractChangelogSection(changelog, '1.2.0')).toBe('### Added\n- Shiny thing');
+  });
+
+  test('accepts a v-prefixed version and drops link references', () => {
+    expect(extractChangelogSection(changelog, 'v1.1.0')).toBe('- Old thing');
+  });
+
+  test('does not match a version prefix', () => {
+    expect(extractChangelogSection(changelog, '1.2')).toBeNull();
+  });
+});
+
+describe('resolveChangelog', () => {
+  let tmpDir;
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'near-action-changelog-'));
+    fs.writeFileSync(path.join(tmpDir, 'CHANGELOG.md'), '## [2.0.0]\n- From file\n');
+  });
+  afterEach(() => { fs.rmSync(tmpDir, { recursive: true, force: true }); });
+
+  const base = () => ({ projectPath: tmpDir, file: 'CHANGELOG.md', version: '2.0.0' });
+
+  test('auto prefers the release body', () => {
+    expect(resolveChangelog('auto', { ...base(), release: { body: 'From release' } }))
+      .toEqual({ text: 'From release', origin: 'GitHub release body' });
+  });
+
+  test('auto falls back to the changelog file', () => {
+    expect(resolveChangelog('auto', { ...base(), release: { body: '' } }).text).toBe('- From file');
+  });
+
+  test('returns null when nothing matches', () => {
+    expect(resolveChangelog('file', { ...base(), version: '3.0.0' })).toBeNull();
+    expect(resolveChangelog('release', base())).toBeNull();
+  });
+
+  test('rejects unknown sources', () => {
+    expect(() => resolveChangelog('git', base())).toThrow(/Invalid changelog-source/);
+  });
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { base58, wasmExports, abiMethods, parseAccounts, collectContract } = require('../src/contract');
+const { wasm } = require('./helpers/wasm');
+
+const abi = {
+  schema_version: '0.4.0',
+  body: {
+    functions: [
+      { name: 'get_num', kind: 'view' },
+      { name: 'increment', kind: 'call', modifiers: ['payable'], params: { serialization_type: 'json', args: [{ name: 'by' }] } },
+    ],
+  },
+};
+
+describe('base58 / wasmExports / abiMethods', () => {
+  test('encodes like NEAR, keeping leading zero bytes', () => {
+    expect(base58(Buffer.from('hello world'))).toBe('StV1DL6CwTryKyV');
+    expect(base58(Buffer.from([0, 0, 1]))).toBe('112');
+  });
+
+  test('lists exported functions and rejects non-wasm files', () => {
+    expect(wasmExports(wasm(['get_num', 'increment']))).toEqual(['get_num', 'increment']);
+    expect(wasmExports(Buffer.from('not wasm at all'))).toBeNull();
+  });
+
+  test('reads methods from a near-sdk ABI', () => {
+    expect(abiMethods(abi)).toEqual([
+      { name: 'get_num', kind: 'view', modifiers: [], args: [] },
+      { name: 'increment', kind: 'call', modifiers: ['payable'], args: ['by'] },
+    ]);
+    expect(() => abiMethods({ functions: [] })).toThrow('body.functions');
+  });
+});
+
+describe('parseAccounts', () => {
+  test('parses network=account entries or keeps a config map', () => {
+    expect(parseAccounts('mainnet=counter.near, testnet = counter.testnet\n')).toEqual({ mainnet: 'counter.near', testnet: 'counter.testnet' });
+    expect(parseAccounts({ mainnet: 'counter.near' })).toEqual({ mainnet: 'counter.near' });
+    expect(parseAccounts('')).toEqual({});
+    expect(() => parseAccounts('counter.near')).toThrow('Invalid "contract-accounts" entry "counter.near"');
+  });
+});
+
+describe('collectContract', () => {
+  let tmpDir;
+  const write = (file, data) => {
+    fs.mkdirSync(path.dirname(path.join(tmpDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, file), data);
+  };
+  beforeEach(() => { tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'near-action-contract-')); });
+  afterEach(() => { fs.rmSync(tmpDir, { recursive: true, force: true }); });
+
+  test('a cargo near build with its ABI and accounts', () => {
+    const bytes = wasm(['get_num', 'increment']);
+    write('target/near/counter.wasm', bytes);
+    write('target/near/counter_abi.json', JSON.stringify(abi));
+    const digest = crypto.createHash('sha256').update(bytes).digest();
+
+    const { contract, messages } = collectContract(tmpDir, { name: 'counter', accounts: 'mainnet=counter.near', detect: true });
+    expect(contract).toEqual({
+      wasm: { file: 'target/near/counter.wasm', size: bytes.length, sha256: digest.toString('hex'), code_hash: base58(digest) },
+      abi: { file: 'target/near/counter_abi.json', schema_version: '0.4.0' },
+      methods: abiMethods(abi),
+      accounts: { mainnet: 'counter.near' },
+    });
+    expect(messages).toEqual([{ level: 'info', text: expect.stringMatching(/^✓ Found contract target\/near\/counter\.wasm .* 2 methods from .* mainnet: counter\.near$/) }]);
+  });
+
+  test('falls back to the wasm exports and warns about ABI methods the wasm lacks', () => {
+    write('build/counter.wasm', wasm(['get_num']));
+    expect(collectContract(tmpDir, { detect: true }).contract.methods).toEqual([{ name: 'get_num', kind: null, modifiers: [], args: [] }]);
+
+    write('abi.json', JSON.stringify(abi));
+    const { messages } = collectContract(tmpDir, { detect: true });
+    expect(messages[0]).toEqual({ level: 'warning', text: expect.stringContaining('does not export (increment)') });
+  });
+
+  test('picks the wasm named after the package, or asks when it cannot tell', () => {
+    write('target/near/counter.wasm', wasm([]));
+    write('target/near/other.wasm', wasm([]));
+    expect(collectContract(tmpDir, { name: 'counter', detect: true }).contract.wasm.file).toBe('target/near/counter.wasm');
+
+    const { contract, messages } = collectContract(tmpDir, { name: 'tool', detect: true });
+    expect(contract).toBeNull();
+    expect(messages[0].text).toMatch(/several contract builds .* set "contract-wasm"/);
+  });
+
+  test('only searches NEAR contract projects, and skips ABIs that are not from near-sdk', () => {
+    write('build/app.wasm', wasm(['main']));
+    write('abi.json', JSON.stringify([{ type: 'function', name: 'transfer' }]));
+    expect(collectContract(tmpDir, {})).toEqual({ contract: null, messages: [] });
+
+    expect(collectContract(tmpDir, { detect: true }).messages).toContainEqual({
+      level: 'warning',
+      text: 'Skipped abi.json: expected a near-sdk ABI with body.functions; set "contract-abi" to choose the ABI',
+    });
+    expect(collectContract(tmpDir, { wasm: 'build/app.wasm' }).contract.methods.map(m => m.name)).toEqual(['main']);
+    expect(() => collectContract(tmpDir, { abi: 'abi.json' })).toThrow('Failed to read contract ABI abi.json: expected a near-sdk ABI');
+  });
+
+  test('explicit paths, "none" and projects without a contract', () => {
+    expect(collectContract(tmpDir, {})).toEqual({ contract: null, messages: [] });
+    expect(() => collectContract(tmpDir, { wasm: 'out/app.wasm' })).toThrow('Contract wasm not found: "out/app.wasm"');
+
+    write('out/app.wasm', 'plain text');
+    expect(() => collectContract(tmpDir, { wasm: 'out/app.wasm' })).toThrow('"out/app.wasm" is not a WebAssembly module');
+    expect(collectContract(tmpDir, { wasm: 'none' }).contract).toBeNull();
+  });
+});
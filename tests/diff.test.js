@@ -0,0 +1,84 @@
+'use strict';
+
+const { diffListing, changedFields, formatDiff } = require('../src/diff');
+
+describe('diffListing', () => {
+  const live = {
+    id: 'L1',
+    owner: 'alice.near',
+    created_at: '2024-01-01',
+    name: 'tool',
+    version: '1.0.0',
+    description: 'Old',
+    homepage: null,
+    tags: ['a', 'b'],
+    metadata: { author: 'alice', submitted_at: 'yesterday', github_sha: 'old' },
+  };
+  const next = {
+    name: 'tool',
+    version: '1.1.0',
+    description: 'Old',
+    homepage: '',
+    changelog: 'New stuff',
+    tags: ['a', 'b'],
+    metadata: { author: 'alice', submitted_at: 'now', github_sha: 'new' },
+  };
+
+  test('reports only meaningful payload fields', () => {
+    expect(diffListing(live, next)).toEqual([
+      { path: 'version', kind: 'changed', before: '1.0.0', after: '1.1.0' },
+      { path: 'changelog', kind: 'added', before: undefined, after: 'New stuff' },
+    ]);
+  });
+
+  test('returns no changes when only volatile metadata differs', () => {
+    expect(diffListing(live, { ...next, version: '1.0.0', changelog: '' })).toEqual([]);
+  });
+
+  test('ignores key order inside objects and arrays of objects', () => {
+    const downloads = [{ name: 'a.zip', url: 'https://x/a.zip', sha256: null }];
+    const echoed = {
+      ...live,
+      version: '1.1.0',
+      changelog: 'New stuff',
+      install: { downloads: [{ sha256: null, url: 'https://x/a.zip', name: 'a.zip' }], registries: [] },
+    };
+    expect(diffListing(echoed, { ...next, install: { registries: [], downloads } })).toEqual([]);
+    expect(diffListing(echoed, { ...next, install: { registries: [], downloads: [...downloads, downloads[0]] } }))
+      .toEqual([expect.objectContaining({ path: 'install.downloads', kind: 'changed' })]);
+  });
+
+  test('detects removed values and nested changes', () => {
+    const changes = diffListing(live, { description: '', metadata: { author: 'bob' } });
+    expect(changes).toEqual([
+      { path: 'description', kind: 'removed', before: 'Old', after: '' },
+      { path: 'metadata.author', kind: 'changed', before: 'alice', after: 'bob' },
+    ]);
+  });
+});
+
+describe('changedFields', () => {
+  test('sends whole top-level fields', () => {
+    const payload = { version: '2', metadata: { author: 'x', sha: 'y' }, name: 'n' };
+    expect(changedFields(payload, [{ path: 'version' }, { path: 'metadata.author' }]))
+      .toEqual({ version: '2', metadata: { author: 'x', sha: 'y' } });
+  });
+});
+
+describe('formatDiff', () => {
+  test('renders one line per change and truncates long values', () => {
+    const lines = formatDiff([
+      { path: 'version', kind: 'changed', before: '1.0.0', after: '1.1.0' },
+      { path: 'homepage', kind: 'added', before: undefined, after: 'https://x.dev' },
+      { path: 'tags', kind: 'removed', before: ['a'], after: [] },
+      { path: 'long_description', kind: 'added', before: '', after: 'x'.repeat(200) },
+    ]);
+    expect(lines.slice(0, 3)).toEqual([
+      '~ version: "1.0.0" → "1.1.0"',
+      '+ homepage: "https://x.dev"',
+      '- tags: ["a"]',
+    ]);
+    expect(lines[3].length).toBeLessThanOrEqual(100);
+    expect(lines[3].endsWith('…')).toBe(true);
+  });
+});
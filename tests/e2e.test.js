@@ -0,0 +1,416 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// End-to-end: run() against the bundled mock marketplace over real HTTP.
+
+jest.mock('@actions/core', () => ({
+  getInput: jest.fn(),
+  setSecret: jest.fn(),
+  info: jest.fn(),
+  warning: jest.fn(),
+  debug: jest.fn(),
+  setOutput: jest.fn(),
+  setFailed: jest.fn(),
+  error: jest.fn(),
+  startGroup: jest.fn(),
+  endGroup: jest.fn(),
+}));
+
+jest.mock('@actions/github', () => ({
+  context: {
+    repo: { owner: 'testowner', repo: 'testrepo' },
+    ref: 'refs/tags/v1.2.3',
+    actor: 'testactor',
+    runId: 42,
+    sha: 'abc123',
+  },
+}));
+
+const { run } = require('../src/index');
+const { createMockMarketplace } = require('../src/mock-server');
+const { png } = require('./helpers/images');
+
+const core = require('@actions/core');
+const github = require('@actions/github');
+
+const API_KEY = 'e2e-key';
+
+describe('e2e against the mock marketplace', () => {
+  const mock = createMockMarketplace({ apiKey: API_KEY });
+  let tmpDir;
+  let inputs;
+
+  beforeAll(() => mock.start());
+  afterAll(() => mock.stop());
+
+  beforeEach(() => {
+    mock.reset();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'near-action-e2e-'));
+    fs.writeFileSync(path.join(tmpDir, 'package.json'), JSON.stringify({
+      name: 'e2e-tool', version: '1.0.0', description: 'End to end', license: 'MIT',
+    }));
+    inputs = { 'api-key': API_KEY, 'project-path': tmpDir, 'marketplace-url': mock.url, 'http-retries': '2' };
+    core.getInput.mockImplementation(name => inputs[name] || '');
+    core.setOutput.mockClear();
+    core.setFailed.mockClear();
+    github.context.ref = 'refs/tags/v1.0.0';
+    github.context.runId = 42;
+    // Keep backoff delays at their minimum (half the base delay).
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+  });
+  afterEach(() => {
+    core.getInput.mockReset();
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const outputs = () => Object.fromEntries(core.setOutput.mock.calls);
+  const calls = () => mock.requests.map(r => `${r.method} ${r.path.replace(/\?.*$/, '')}`);
+
+  test('creates, then updates, then skips an unchanged listing', async () => {
+    await run();
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(outputs()).toMatchObject({ status: 'created', 'listing-id': 'lst_1' });
+    expect(mock.listings.get('lst_1')).toMatchObject({ name: 'e2e-tool', version: '1.0.0' });
+
+    fs.writeFileSync(path.join(tmpDir, 'package.json'), JSON.stringify({
+      name: 'e2e-tool', version: '1.1.0', description: 'End to end', license: 'MIT',
+    }));
+    github.context.ref = 'refs/tags/v1.1.0';
+    core.setOutput.mockClear();
+    await run();
+    expect(outputs()).toMatchObject({ status: 'updated', 'listing-id': 'lst_1' });
+    expect(mock.listings.get('lst_1').version).toBe('1.1.0');
+
+    core.setOutput.mockClear();
+    await run();
+    expect(outputs().status).toBe('unchanged');
+    expect(mock.listings.size).toBe(1);
+    expect(calls()).toEqual([
+      'GET /v1/listings', 'POST /v1/listings', 'PUT /v1/listings/lst_1/versions/1.0.0',
+      'GET /v1/listings', 'GET /v1/listings/lst_1', 'PUT /v1/listings/lst_1', 'PUT /v1/listings/lst_1/versions/1.1.0',
+      'GET /v1/listings', 'GET /v1/listings/lst_1', 'PUT /v1/listings/lst_1/versions/1.1.0',
+    ]);
+  });
+
+  test('keeps a version history; prereleases do not move latest', async () => {
+    const release = (version, extra = {}) => {
+      fs.writeFileSync(path.join(tmpDir, 'package.json'), JSON.stringify({
+        name: 'e2e-tool', version, description: 'End to end', license: 'MIT',
+      }));
+      github.context.ref = `refs/tags/v${version}`;
+      Object.assign(inputs, { changelog: `Changes in ${version}`, ...extra });
+      core.setOutput.mockClear();
+      return run();
+    };
+
+    await release('1.0.0', { 'min-near-version': '2.0.0' });
+    await release('1.1.0');
+    await release('2.0.0-rc.1', { prerelease: 'beta' });
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(outputs()).toMatchObject({ status: 'updated', 'latest-version': '1.1.0' });
+
+    // The prerelease is recorded, but the listing still describes 1.1.0.
+    expect(mock.listings.get('lst_1')).toMatchObject({ version: '1.1.0', latest_version: '1.1.0' });
+    const history = mock.versions.get('lst_1');
+    expect([...history.keys()]).toEqual(['1.0.0', '1.1.0', '2.0.0-rc.1']);
+    expect(history.get('1.0.0')).toMatchObject({
+      changelog: 'Changes in 1.0.0',
+      min_near_version: '2.0.0',
+      prerelease: false,
+      metadata: { release_tag: 'refs/tags/v1.0.0', github_sha: 'abc123' },
+    });
+    expect(history.get('2.0.0-rc.1')).toMatchObject({ prerelease: true, channel: 'beta' });
+
+    await release('2.0.0', { prerelease: '' });
+    expect(outputs()['latest-version']).toBe('2.0.0');
+  });
+
+  test('stages drafts and publishes the approved one; a superseded draft is rejected', async () => {
+    inputs.draft = 'true';
+    await run();
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(outputs()).toMatchObject({ status: 'drafted', 'draft-id': 'drf_1', 'draft-url': expect.stringMatching(/\/drafts\/drf_1$/) });
+    expect(mock.listings.size).toBe(0);
+
+    fs.writeFileSync(path.join(tmpDir, 'package.json'), JSON.stringify({
+      name: 'e2e-tool', version: '1.0.1', description: 'End to end', license: 'MIT',
+    }));
+    github.context.ref = 'refs/tags/v1.0.1';
+    core.setOutput.mockClear();
+    await run();
+    expect(outputs()['draft-id']).toBe('drf_2');
+
+    // The approval job: no checkout, only the draft ID.
+    inputs = { 'api-key': API_KEY, 'marketplace-url': mock.url, 'project-path': path.join(tmpDir, 'missing'), operation: 'publish', 'draft-id': 'drf_1' };
+    github.context.runId = 43;
+    await run();
+    expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('Draft drf_1 was replaced by a newer draft (drf_2)'));
+    expect(mock.listings.size).toBe(0);
+
+    core.setFailed.mockClear();
+    core.setOutput.mockClear();
+    inputs['draft-id'] = 'drf_2';
+    await run();
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(outputs()).toMatchObject({ status: 'published', 'listing-id': 'lst_1', 'latest-version': '1.0.1' });
+    expect(mock.listings.get('lst_1')).toMatchObject({ name: 'e2e-tool', version: '1.0.1' });
+    expect(mock.drafts.get('drf_2').published_by).toMatchObject({ operation: 'publish', run_id: 43 });
+  });
+
+  test('yanks a version and marks another as latest', async () => {
+    const listing = mock.seed({ name: 'e2e-tool', repository: 'https://github.com/testowner/testrepo', version: '1.0.0' });
+    await run();
+    inputs.version = '1.0.1';
+    github.context.ref = 'refs/tags/v1.0.1';
+    await run();
+    expect(mock.listings.get(listing.id).latest_version).toBe('1.0.1');
+
+    Object.assign(inputs, { operation: 'yank', 'operation-message': 'Broken migration' });
+    core.setOutput.mockClear();
+    await run();
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(outputs()).toMatchObject({ status: 'yanked', 'latest-version': '1.0.0' });
+    expect(mock.versions.get(listing.id).get('1.0.1')).toMatchObject({ yanked: true, yank_reason: 'Broken migration' });
+
+    inputs.operation = 'mark-latest';
+    await run();
+    expect(core.setFailed).toHaveBeenCalledWith(expect.stringMatching(/Cannot mark-latest version 1\.0\.1 of listing lst_1: version 1\.0\.1 is yanked/));
+
+    core.setFailed.mockClear();
+    inputs.version = '9.9.9';
+    await run();
+    expect(core.setFailed).toHaveBeenCalledWith(expect.stringMatching(/Version 9\.9\.9 of listing lst_1 was not found/));
+  });
+
+  test('uploads media once and reuses unchanged images', async () => {
+    fs.mkdirSync(path.join(tmpDir, 'shots'));
+    fs.writeFileSync(path.join(tmpDir, 'icon.png'), png(512, 512));
+    fs.writeFileSync(path.join(tmpDir, 'shots', '1.png'), png(1280, 720));
+    inputs.icon = 'icon.png';
+    inputs.screenshots = 'shots/*.png';
+    await run();
+    expect(core.setFailed).not.toHaveBeenCalled();
+    const { media } = mock.listings.get('lst_1');
+    expect(media.icon).toMatchObject({ mime: 'image/png', width: 512, height: 512 });
+    expect(media.icon.url).toBe(`${mock.url}/assets/${media.icon.sha256}`);
+    expect(mock.assets.get(media.screenshots[0].sha256)).toMatchObject({ kind: 'screenshot', bytes: 33 });
+
+    // Unchanged images are not uploaded again; a new one is.
+    core.setOutput.mockClear();
+    await run();
+    expect(outputs().status).toBe('unchanged');
+    fs.writeFileSync(path.join(tmpDir, 'shots', '2.png'), png(1920, 1080));
+    core.setOutput.mockClear();
+    await run();
+    expect(outputs().status).toBe('updated');
+    expect(mock.listings.get('lst_1').media.screenshots).toHaveLength(2);
+    expect(calls().filter(c => c === 'POST /v1/assets')).toHaveLength(3);
+  });
+
+  test('deprecates with a replacement, archives and restores a listing', async () => {
+    const old = mock.seed({ name: 'e2e-tool', repository: 'https://github.com/testowner/testrepo', version: '1.0.0' });
+    const next = mock.seed({ name: 'e2e-tool-2', version: '2.0.0' });
+    github.context.runId = 7;
+
+    Object.assign(inputs, { operation: 'deprecate', 'operation-message': 'Moved to e2e-tool-2', 'replacement-listing': next.id });
+    await run();
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(outputs()).toMatchObject({ status: 'deprecated', operation: 'deprecate', 'listing-state': 'deprecated', 'listing-id': old.id });
+    expect(mock.listings.get(old.id)).toMatchObject({
+      deprecation: { message: 'Moved to e2e-tool-2', replacement: next.id },
+      history: [expect.objectContaining({
+        operation: 'deprecate', reason: 'Moved to e2e-tool-2', actor: 'testactor', repository: 'testowner/testrepo',
+        run_url: 'https://github.com/testowner/testrepo/actions/runs/7',
+      })],
+    });
+
+    Object.assign(inputs, { operation: 'archive', 'operation-message': 'End of life', 'replacement-listing': '' });
+    await run();
+    expect(outputs()).toMatchObject({ status: 'archived', 'listing-state': 'archived' });
+
+    inputs.operation = 'restore';
+    await run();
+    expect(outputs()).toMatchObject({ status: 'restored', 'listing-state': 'active' });
+
+    // A re-run of the same workflow run replays; a new run is refused.
+    core.setOutput.mockClear();
+    await run();
+    expect(outputs()).toMatchObject({ status: 'restored' });
+    github.context.runId = 8;
+    await run();
+    expect(core.setFailed).toHaveBeenCalledWith(expect.stringMatching(/Cannot restore listing lst_1: listing is active/));
+    expect(calls().filter(c => c.startsWith('POST'))).toEqual([
+      'POST /v1/listings/lst_1/deprecate', 'POST /v1/listings/lst_1/archive',
+      'POST /v1/listings/lst_1/restore', 'POST /v1/listings/lst_1/restore', 'POST /v1/listings/lst_1/restore',
+    ]);
+  });
+
+  test('deprecate checks the message and the replacement before changing anything', async () => {
+    mock.seed({ name: 'e2e-tool', repository: 'https://github.com/testowner/testrepo', version: '1.0.0' });
+    inputs.operation = 'deprecate';
+    await run();
+    expect(core.setFailed).toHaveBeenCalledWith(expect.stringMatching(/needs an "operation-message"/));
+    expect(mock.requests).toHaveLength(0);
+
+    Object.assign(inputs, { 'operation-message': 'Old', 'replacement-listing': 'lst_missing' });
+    await run();
+    expect(core.setFailed).toHaveBeenCalledWith(expect.stringMatching(/Listing lst_missing was not found/));
+    expect(mock.listings.get('lst_1').status).toBeUndefined();
+  });
+
+  test('writes a JSON report and SARIF findings located in the listing config', async () => {
+    fs.writeFileSync(path.join(tmpDir, '.near-marketplace.yml'), 'pricing: free\ntags: [NEAR Tools]\n');
+    Object.assign(inputs, { 'report-file': path.join(tmpDir, 'out/report.json'), 'sarif-file': path.join(tmpDir, 'out/report.sarif') });
+    await run();
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(outputs()).toMatchObject({ 'report-path': inputs['report-file'], 'sarif-path': inputs['sarif-file'] });
+
+    const report = JSON.parse(fs.readFileSync(inputs['report-file'], 'utf8'));
+    expect(report.run).toMatchObject({ repository: 'testowner/testrepo', operation: 'submit', dry_run: false });
+    const [pkg] = report.packages;
+    expect(pkg).toMatchObject({ status: 'created', listing_id: 'lst_1', latest_version: '1.0.0', payload: { name: 'e2e-tool' } });
+    expect(pkg.response.data).toMatchObject({ id: 'lst_1' });
+    expect(Object.keys(pkg.timings_ms)).toEqual(expect.arrayContaining(['read', 'validate', 'lookup', 'submit', 'version', 'total']));
+
+    const { results } = JSON.parse(fs.readFileSync(inputs['sarif-file'], 'utf8')).runs[0];
+    const tags = results.find(r => r.ruleId === 'tags-charset');
+    expect(tags.locations[0].physicalLocation.region).toEqual({ startLine: 2, startColumn: 7 });
+    expect(tags.locations[0].physicalLocation.artifactLocation.uri).toMatch(/\.near-marketplace\.yml$/);
+  });
+
+  test('retries server errors and rate limits', async () => {
+    mock.failNext({ status: 503, method: 'GET' });
+    mock.failNext({ status: 429, method: 'POST', headers: { 'Retry-After': '0' } });
+    await run();
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(outputs().status).toBe('created');
+    expect(calls()).toEqual([
+      'GET /v1/listings', 'GET /v1/listings', 'POST /v1/listings', 'POST /v1/listings', 'PUT /v1/listings/lst_1/versions/1.0.0',
+    ]);
+  });
+
+  test('a POST retried after a dropped connection does not create a duplicate', async () => {
+    // The first POST reaches the server and is stored, but the response is lost.
+    mock.failNext({ method: 'POST', lose: true });
+    await run();
+    expect(core.setFailed).not.toHaveBeenCalled();
+    const posts = mock.requests.filter(r => r.method === 'POST');
+    expect(posts).toHaveLength(2);
+    expect(posts[0].headers['idempotency-key']).toBe(posts[1].headers['idempotency-key']);
+    expect([...mock.listings.values()].filter(l => l.name === 'e2e-tool')).toHaveLength(1);
+  });
+
+  test('a wrong API key fails the run without retrying', async () => {
+    inputs['api-key'] = 'wrong';
+    await run();
+    expect(core.setFailed).toHaveBeenCalledWith(expect.stringMatching(/HTTP 401/));
+    expect(mock.requests).toHaveLength(1);
+  });
+
+  test('a sustained rate limit gives up after the retry budget', async () => {
+    inputs['http-retries'] = '1';
+    mock.failNext({ status: 429, times: 5, headers: { 'Retry-After': '0' } });
+    await run();
+    expect(core.setFailed).toHaveBeenCalledWith(expect.stringMatching(/HTTP 429/));
+    expect(mock.requests).toHaveLength(2);
+  });
+});
+
+describe('e2e across several marketplace targets', () => {
+  const staging = createMockMarketplace({ apiKey: 'stg-key' });
+  const production = createMockMarketplace({ apiKey: 'prd-key' });
+  let tmpDir;
+  let inputs;
+
+  beforeAll(() => Promise.all([staging.start(), production.start()]));
+  afterAll(() => Promise.all([staging.stop(), production.stop()]));
+
+  beforeEach(() => {
+    staging.reset();
+    production.reset();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'near-action-targets-'));
+    fs.writeFileSync(path.join(tmpDir, 'package.json'), JSON.stringify({
+      name: 'e2e-tool', version: '1.0.0', description: 'End to end', license: 'MIT',
+    }));
+    process.env.NEAR_STAGING_KEY = 'stg-key';
+    process.env.NEAR_PROD_KEY = 'prd-key';
+    inputs = {
+      'project-path': tmpDir,
+      'http-retries': '0',
+      targets: [
+        `- name: staging\n  url: ${staging.url}\n  api-key-env: NEAR_STAGING_KEY\n  category: infrastructure\n` +
+          '  listing-url: https://staging.example/l/{id}',
+        `- name: production\n  url: ${production.url}\n  api-key-env: NEAR_PROD_KEY`,
+      ].join('\n'),
+    };
+    core.getInput.mockImplementation(name => inputs[name] || '');
+    core.setOutput.mockClear();
+    core.setFailed.mockClear();
+    github.context.ref = 'refs/tags/v1.0.0';
+  });
+  afterEach(() => {
+    delete process.env.NEAR_STAGING_KEY;
+    delete process.env.NEAR_PROD_KEY;
+    core.getInput.mockReset();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const outputs = () => Object.fromEntries(core.setOutput.mock.calls);
+
+  test('submits to staging, then production, with per-target overrides', async () => {
+    fs.writeFileSync(path.join(tmpDir, '.near-marketplace.yml'), 'targets:\n  production:\n    category: ai\n');
+    await run();
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(core.setSecret).toHaveBeenCalledWith('stg-key');
+    expect(core.setSecret).toHaveBeenCalledWith('prd-key');
+    expect(staging.listings.get('lst_1')).toMatchObject({ name: 'e2e-tool', category: 'infrastructure' });
+    expect(production.listings.get('lst_1')).toMatchObject({ name: 'e2e-tool', category: 'ai' });
+
+    const port = new URL(production.url).port;
+    expect(outputs()).toMatchObject({
+      status: 'completed',
+      'listing-id': 'lst_1',
+      'listing-url': `http://127.0.0.1:${port}/listing/lst_1`,
+      'latest-version': '1.0.0',
+    });
+    expect(JSON.parse(outputs().targets)).toMatchObject({
+      staging: { status: 'created', 'listing-url': 'https://staging.example/l/lst_1' },
+      production: { status: 'created', 'listing-id': 'lst_1' },
+    });
+  });
+
+  test('a target without its own listing-url uses the listing-url input', async () => {
+    inputs['listing-url'] = 'https://market.example/{name}/{id}';
+    await run();
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(outputs()['listing-url']).toBe('https://market.example/e2e-tool/lst_1');
+    expect(JSON.parse(outputs().targets)).toMatchObject({
+      staging: { 'listing-url': 'https://staging.example/l/lst_1' },
+      production: { 'listing-url': 'https://market.example/e2e-tool/lst_1' },
+    });
+  });
+
+  test('a failing staging target keeps production untouched', async () => {
+    staging.failNext({ status: 500, times: 5 });
+    await run();
+    expect(core.setFailed).toHaveBeenCalledWith(expect.stringMatching(/2 of 2 target\(s\) failed or were skipped: staging, production/));
+    expect(production.requests).toHaveLength(0);
+    expect(outputs()).toMatchObject({ status: 'error', 'listing-id': '' });
+    expect(JSON.parse(outputs().targets)).toMatchObject({
+      staging: { status: 'error' },
+      production: { status: 'skipped', error: 'Target "staging" failed' },
+    });
+  });
+
+  test('a target with gate: false does not block the next one', async () => {
+    inputs.targets = inputs.targets.replace('category: infrastructure', 'category: infrastructure\n  gate: false');
+    staging.failNext({ status: 500, times: 5 });
+    await run();
+    expect(outputs().status).toBe('partial');
+    expect(production.listings.size).toBe(1);
+  });
+});
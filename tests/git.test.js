@@ -0,0 +1,57 @@
+'use strict';
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseGitHubRemote, localContext } = require('../src/git');
+
+describe('parseGitHubRemote', () => {
+  test.each([
+    ['https://github.com/acme/tool.git', { owner: 'acme', repo: 'tool' }],
+    ['https://github.com/acme/tool', { owner: 'acme', repo: 'tool' }],
+    ['git@github.com:acme/tool.git', { owner: 'acme', repo: 'tool' }],
+    ['ssh://git@github.com/acme/tool', { owner: 'acme', repo: 'tool' }],
+    ['https://gitlab.com/acme/tool.git', null],
+    [null, null],
+  ])('%s', (url, expected) => {
+    expect(parseGitHubRemote(url)).toEqual(expected);
+  });
+});
+
+describe('localContext', () => {
+  let dir;
+  const git = (...args) => execFileSync('git', args, { cwd: dir, stdio: 'ignore' });
+  beforeEach(() => {
+    dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'near-git-')));
+    git('init', '-q');
+    git('config', 'user.name', 'Dev');
+    git('config', 'user.email', 'dev@example.com');
+    git('remote', 'add', 'origin', 'git@github.com:acme/tool.git');
+    fs.writeFileSync(path.join(dir, 'file'), 'x');
+    git('add', '.');
+    git('commit', '-qm', 'init');
+  });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('uses the tag at HEAD as the ref', () => {
+    git('tag', 'v1.0.0');
+    expect(localContext(dir)).toMatchObject({
+      owner: 'acme', repo: 'tool', ref: 'refs/tags/v1.0.0', actor: 'Dev', runId: null, viaAction: false, root: dir,
+    });
+    expect(localContext(dir).sha).toMatch(/^[0-9a-f]{40}$/);
+  });
+
+  test('falls back to the branch without a tag', () => {
+    expect(localContext(dir).ref).toMatch(/^refs\/heads\//);
+  });
+
+  test('returns empty values outside a repository', () => {
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'near-nogit-'));
+    try {
+      expect(localContext(outside)).toMatchObject({ owner: '', repo: '', ref: '', sha: '', root: outside });
+    } finally {
+      fs.rmSync(outside, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { globToRegExp, expandGlobs, splitList } = require('../src/glob');
+
+describe('globToRegExp', () => {
+  test.each([
+    ['packages/*', 'packages/cli', true],
+    ['packages/*', 'packages/cli/src', false],
+    ['**/contract', 'contract', true],
+    ['**/contract', 'a/b/contract', true],
+    ['crates/{core,cli}', 'crates/cli', true],
+    ['crates/{core,cli}', 'crates/web', false],
+    ['./tools/', 'tools', true],
+    ['img/shot-?.png', 'img/shot-1.png', true],
+  ])('%s matches %s → %s', (pattern, candidate, expected) => {
+    expect(globToRegExp(pattern).test(candidate)).toBe(expected);
+  });
+});
+
+describe('expandGlobs', () => {
+  let tmpDir;
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'near-action-glob-'));
+    for (const dir of ['packages/a', 'packages/b', 'packages/internal', 'packages/a/node_modules/x', 'tools']) {
+      fs.mkdirSync(path.join(tmpDir, dir), { recursive: true });
+    }
+    fs.writeFileSync(path.join(tmpDir, 'packages/a/logo.png'), '');
+  });
+  afterEach(() => { fs.rmSync(tmpDir, { recursive: true, force: true }); });
+
+  test('matches directories and applies negations', () => {
+    expect(expandGlobs(tmpDir, ['packages/*', '!packages/internal'], { directories: true }))
+      .toEqual(['packages/a', 'packages/b']);
+  });
+
+  test('matches literal paths and the root', () => {
+    expect(expandGlobs(tmpDir, ['tools', '.'], { directories: true })).toEqual(['', 'tools']);
+  });
+
+  test('skips node_modules', () => {
+    expect(expandGlobs(tmpDir, ['**/x'], { directories: true })).toEqual([]);
+  });
+
+  test('matches files by default', () => {
+    expect(expandGlobs(tmpDir, ['**/*.png'])).toEqual(['packages/a/logo.png']);
+  });
+});
+
+describe('splitList', () => {
+  test('splits on commas and newlines but not inside braces', () => {
+    expect(splitList('a, b\n{c,d}/*\n\n')).toEqual(['a', 'b', '{c,d}/*']);
+  });
+});
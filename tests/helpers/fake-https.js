@@ -0,0 +1,39 @@
+'use strict';
+
+const https = require('https');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+
+/**
+ * Replace https.request with a fake that plays back `script`, one entry per
+ * attempt: `{ status, body, headers }`, `{ error: code }` or `{ hang: true }`.
+ */
+function fakeHttps(script) {
+  const requests = [];
+  jest.spyOn(https, 'request').mockImplementation((options, onResponse) => {
+    const req = new EventEmitter();
+    const record = { options, headers: { ...options.headers }, body: '' };
+    requests.push(record);
+    let onTimeout = null;
+    req.setHeader = (name, value) => { record.headers[name] = value; };
+    req.write = (chunk) => { record.body += chunk; };
+    req.setTimeout = (ms, cb) => { onTimeout = cb; };
+    req.destroy = (err) => req.emit('error', err);
+    req.end = () => {
+      const step = script.shift();
+      setImmediate(() => {
+        if (step.hang) return onTimeout();
+        if (step.error) return req.emit('error', Object.assign(new Error(step.error), { code: step.error }));
+        const res = new PassThrough();
+        res.statusCode = step.status;
+        res.headers = step.headers || {};
+        onResponse(res);
+        res.end(typeof step.body === 'string' ? step.body : JSON.stringify(step.body || {}));
+      });
+    };
+    return req;
+  });
+  return requests;
+}
+
+module.exports = { fakeHttps };
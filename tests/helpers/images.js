@@ -0,0 +1,45 @@
+'use strict';
+
+// Smallest headers that identify an image and carry its dimensions — enough
+// for format and size detection, not for decoding.
+
+function png(width, height, padding = 0) {
+  const buf = Buffer.alloc(33 + padding);
+  Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]).copy(buf, 0);
+  buf.writeUInt32BE(13, 8);
+  buf.write('IHDR', 12, 'ascii');
+  buf.writeUInt32BE(width, 16);
+  buf.writeUInt32BE(height, 20);
+  return buf;
+}
+
+function gif(width, height) {
+  const buf = Buffer.alloc(13);
+  buf.write('GIF89a', 0, 'ascii');
+  buf.writeUInt16LE(width, 6);
+  buf.writeUInt16LE(height, 8);
+  return buf;
+}
+
+function jpeg(width, height) {
+  // SOI, an APP0 segment to skip, then SOF0 with the dimensions.
+  return Buffer.from([
+    0xFF, 0xD8,
+    0xFF, 0xE0, 0x00, 0x04, 0x00, 0x00,
+    0xFF, 0xC0, 0x00, 0x11, 0x08, height >> 8, height & 0xFF, width >> 8, width & 0xFF, 0x03,
+    0, 0, 0, 0, 0, 0, 0, 0, 0,
+  ]);
+}
+
+function webp(width, height) {
+  // Extended (VP8X) header: 24-bit width-1 / height-1.
+  const buf = Buffer.alloc(30);
+  buf.write('RIFF', 0, 'ascii');
+  buf.writeUInt32LE(22, 4);
+  buf.write('WEBPVP8X', 8, 'ascii');
+  buf.writeUIntLE(width - 1, 24, 3);
+  buf.writeUIntLE(height - 1, 27, 3);
+  return buf;
+}
+
+module.exports = { png, gif, jpeg, webp };
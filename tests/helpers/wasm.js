@@ -0,0 +1,19 @@
+'use strict';
+
+// Smallest WebAssembly module that carries an export section — enough for
+// reading the exported names, not for instantiating.
+
+function wasm(functions, { memory = true } = {}) {
+  const entries = [];
+  functions.forEach((name, index) => entries.push(Buffer.from([name.length]), Buffer.from(name), Buffer.from([0x00, index])));
+  if (memory) entries.push(Buffer.from([6]), Buffer.from('memory'), Buffer.from([0x02, 0x00]));
+  const body = Buffer.concat([Buffer.from([entries.length / 3]), ...entries]);
+  return Buffer.concat([
+    Buffer.from([0x00, 0x61, 0x73, 0x6D, 0x01, 0x00, 0x00, 0x00]),
+    Buffer.from([0x01, 0x04, 0x01, 0x60, 0x00, 0x00]), // type section: one () -> () signature
+    Buffer.from([0x07, body.length]),
+    body,
+  ]);
+}
+
+module.exports = { wasm };
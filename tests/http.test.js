@@ -0,0 +1,179 @@
+'use strict';
+
+jest.mock('@actions/core', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const core = require('@actions/core');
+const {
+  httpsRequest,
+  encodeMultipart,
+  parseRetryAfter,
+  backoffDelay,
+  HttpError,
+  NetworkError,
+} = require('../src/http');
+const { fakeHttps } = require('./helpers/fake-https');
+
+const FAST = { retryDelay: 1, maxDelay: 2 };
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  core.info.mockClear();
+});
+
+// ---------------------------------------------------------------------------
+// httpsRequest
+// ---------------------------------------------------------------------------
+
+describe('httpsRequest', () => {
+  test('returns the parsed body on success', async () => {
+    const requests = fakeHttps([{ status: 200, body: { ok: true } }]);
+    const res = await httpsRequest('https://api.test/v1/listings?name=x', { method: 'GET', ...FAST });
+    expect(res).toMatchObject({ statusCode: 200, body: { ok: true } });
+    expect(requests[0].options).toMatchObject({ hostname: 'api.test', port: 443, path: '/v1/listings?name=x' });
+  });
+
+  test('retries 5xx and network errors, logging each retry', async () => {
+    const requests = fakeHttps([
+      { status: 502, body: 'bad gateway' },
+      { error: 'ECONNRESET' },
+      { status: 200, body: { id: 'L1' } },
+    ]);
+    const res = await httpsRequest('https://api.test/x', { method: 'GET', ...FAST });
+    expect(res.body).toEqual({ id: 'L1' });
+    expect(requests).toHaveLength(3);
+    expect(core.info).toHaveBeenCalledTimes(2);
+    expect(core.info.mock.calls[0][0]).toMatch(/attempt 1\/4 failed \(HTTP 502\)/);
+  });
+
+  test('retries timeouts', async () => {
+    fakeHttps([{ hang: true }, { status: 200, body: {} }]);
+    await expect(httpsRequest('https://api.test/x', { ...FAST, timeout: 5 })).resolves.toMatchObject({ statusCode: 200 });
+  });
+
+  test('gives up after the configured retries', async () => {
+    const requests = fakeHttps([{ status: 503 }, { status: 503 }]);
+    await expect(httpsRequest('https://api.test/x', { ...FAST, retries: 1 })).rejects.toThrow(HttpError);
+    expect(requests).toHaveLength(2);
+  });
+
+  test('does not retry client errors', async () => {
+    const requests = fakeHttps([{ status: 401, body: { message: 'bad key' } }]);
+    const err = await httpsRequest('https://api.test/x', { ...FAST }).catch(e => e);
+    expect(err).toBeInstanceOf(HttpError);
+    expect(err.statusCode).toBe(401);
+    expect(err.message).toMatch(/HTTP 401: bad key/);
+    expect(requests).toHaveLength(1);
+  });
+
+  test('redacts tokens in the URL and echoed body of error messages', async () => {
+    fakeHttps([{ status: 400, body: '{"error":"bad request","api_key":"sk-123456"}' }]);
+    const err = await httpsRequest('https://api.test/x?token=sk-123456', { ...FAST }).catch(e => e);
+    expect(err.message).not.toContain('sk-123456');
+    expect(err.message).toMatch(/HTTP 400: bad request\. URL: https:\/\/api\.test\/x\?token=\*\*\*/);
+  });
+
+  test('masks header lines a proxy echoes in an error body', async () => {
+    fakeHttps([{ status: 400, body: 'Bad request\nCookie: sid=abc\nHost: api.test' }]);
+    const err = await httpsRequest('https://api.test/x', { ...FAST }).catch(e => e);
+    expect(err.message).toMatch(/HTTP 400: Bad request\nCookie: \*\*\*\nHost: api\.test/);
+  });
+
+  test('traces requests and responses with credentials redacted', async () => {
+    fakeHttps([{ status: 201, body: { id: 'L1', session: 'abc' }, headers: { 'set-cookie': 'sid=abc' } }]);
+    await httpsRequest('https://api.test/x', {
+      method: 'POST', headers: { Authorization: 'Bearer sk-123456' }, idempotencyKey: 'k1', trace: true, ...FAST,
+    }, { name: 'tool', password: 'hunter2' });
+    const log = core.info.mock.calls.map(c => c[0]).join('\n');
+    expect(log).toContain('⇄ POST https://api.test/x (attempt 1/4)');
+    expect(log).toContain('Authorization: ***');
+    expect(log).toContain('Idempotency-Key: k1');
+    expect(log).toContain('body: {"name":"tool","password":"***"}');
+    expect(log).toContain('⇄ HTTP 201 in ');
+    expect(log).toContain('set-cookie: ***');
+    expect(log).toContain('body: {"id":"L1","session":"***"}');
+    expect(log).not.toMatch(/sk-123456|hunter2|sid=abc/);
+  });
+
+  test('does not retry POST without an idempotency key', async () => {
+    const requests = fakeHttps([{ error: 'ECONNRESET' }]);
+    await expect(httpsRequest('https://api.test/x', { method: 'POST', ...FAST }, { a: 1 })).rejects.toThrow(NetworkError);
+    expect(requests).toHaveLength(1);
+  });
+
+  test('retries POST with the same idempotency key', async () => {
+    const requests = fakeHttps([{ status: 500 }, { status: 201, body: { id: 'new' } }]);
+    await httpsRequest('https://api.test/x', { method: 'POST', idempotencyKey: 'k1', ...FAST }, { a: 1 });
+    expect(requests.map(r => r.headers['Idempotency-Key'])).toEqual(['k1', 'k1']);
+    expect(requests[1].body).toBe('{"a":1}');
+  });
+
+  test('fails fast when Retry-After exceeds the budget', async () => {
+    fakeHttps([{ status: 429, headers: { 'retry-after': '600' } }]);
+    await expect(httpsRequest('https://api.test/x', { ...FAST, maxRetryAfter: 1000 }))
+      .rejects.toThrow(/Retry-After of 600s exceeds the retry budget/);
+  });
+
+  test('sends multipart bodies', async () => {
+    const requests = fakeHttps([{ status: 201, body: { data: { url: 'https://cdn.test/a' } } }]);
+    await httpsRequest('https://api.test/v1/assets', {
+      method: 'POST',
+      ...FAST,
+      multipart: [{ name: 'kind', value: 'icon' }, { name: 'file', filename: 'icon.png', contentType: 'image/png', data: Buffer.from('PNG') }],
+    });
+    const boundary = /^multipart\/form-data; boundary=(.+)$/.exec(requests[0].headers['Content-Type'])[1];
+    expect(requests[0].body).toBe(encodeMultipart([
+      { name: 'kind', value: 'icon' }, { name: 'file', filename: 'icon.png', contentType: 'image/png', data: Buffer.from('PNG') },
+    ], boundary).body.toString());
+    expect(requests[0].headers['Content-Length']).toBe(Buffer.byteLength(requests[0].body));
+  });
+
+  test('rejects protocols other than http and https', async () => {
+    await expect(httpsRequest('ftp://api.test/x', FAST)).rejects.toThrow(/Unsupported marketplace URL protocol "ftp:"/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Backoff helpers
+// ---------------------------------------------------------------------------
+
+describe('parseRetryAfter', () => {
+  test('parses seconds and HTTP dates', () => {
+    expect(parseRetryAfter('5')).toBe(5000);
+    const now = Date.parse('2024-01-01T00:00:00Z');
+    expect(parseRetryAfter('Mon, 01 Jan 2024 00:00:10 GMT', now)).toBe(10000);
+    expect(parseRetryAfter(undefined)).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
+
+describe('backoffDelay', () => {
+  const opts = { retryDelay: 1000, maxDelay: 5000 };
+  test('grows exponentially within the jitter window', () => {
+    expect(backoffDelay(1, opts, () => 0)).toBe(500);
+    expect(backoffDelay(1, opts, () => 1)).toBe(1000);
+    expect(backoffDelay(3, opts, () => 1)).toBe(4000);
+  });
+  test('is capped at maxDelay', () => {
+    expect(backoffDelay(10, opts, () => 1)).toBe(5000);
+  });
+});
+
+describe('encodeMultipart', () => {
+  test('encodes fields and files between boundaries', () => {
+    const { body, contentType } = encodeMultipart(
+      [{ name: 'kind', value: 'icon' }, { name: 'file', filename: 'a "b".png', data: Buffer.from([1, 2]) }],
+      'XYZ'
+    );
+    expect(contentType).toBe('multipart/form-data; boundary=XYZ');
+    expect(body).toEqual(Buffer.concat([
+      Buffer.from('--XYZ\r\nContent-Disposition: form-data; name="kind"\r\n\r\nicon\r\n'),
+      Buffer.from('--XYZ\r\nContent-Disposition: form-data; name="file"; filename="a %22b%22.png"\r\n'),
+      Buffer.from('Content-Type: application/octet-stream\r\n\r\n'),
+      Buffer.from([1, 2]),
+      Buffer.from('\r\n--XYZ--\r\n'),
+    ]));
+  });
+});
@@ -7,11 +7,15 @@ const path = require('path');
 // Mock @actions/core before requiring the module under test
 jest.mock('@actions/core', () => ({
   getInput: jest.fn(),
+  setSecret: jest.fn(),
   info: jest.fn(),
   warning: jest.fn(),
   debug: jest.fn(),
   setOutput: jest.fn(),
   setFailed: jest.fn(),
+  error: jest.fn(),
+  startGroup: jest.fn(),
+  endGroup: jest.fn(),
 }));
 
 jest.mock('@actions/github', () => ({
@@ -29,8 +33,17 @@ const {
   readFromPackageJson,
   readFromPyproject,
   readFromCargo,
+  findCargoWorkspaceRoot,
   validatePayload,
+  normaliseRepoUrl,
+  findExistingListing,
+  listingUrl,
+  run,
 } = require('../src/index');
+const { fakeHttps } = require('./helpers/fake-https');
+
+const core = require('@actions/core');
+const github = require('@actions/github');
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -71,6 +84,12 @@ describe('readFromPackageJson', () => {
     expect(meta.keywords).toEqual(['near', 'tool']);
     expect(meta.repository).toBe('https://github.com/a/b.git');
     expect(meta.author).toBe('Alice');
+    expect(meta.private).toBe(false);
+  });
+
+  test('marks private packages, which get no npm install command', () => {
+    fs.writeFileSync(path.join(tmpDir, 'package.json'), JSON.stringify({ name: 'app', private: true }));
+    expect(readFromPackageJson(tmpDir).private).toBe(true);
   });
 
   test('throws on invalid JSON', () => {
@@ -107,6 +126,64 @@ keywords = ["near", "python"]
     expect(meta.description).toBe('Does things');
     expect(meta.keywords).toContain('near');
   });
+
+  test('prefers [project] over [tool.poetry] and ignores other tables', () => {
+    const toml = `
+[tool.poetry]
+name = "poetry-name"
+version = "9.9.9"
+description = "Poetry description"
+
+[project]
+name = 'pep621-name'
+version = "1.0.0"
+description = """Multi-line
+description"""
+license = { text = "Apache-2.0" }
+authors = [{ name = "Ada", email = "ada@example.com" }]
+readme = "README.md"
+
+[project.urls]
+Homepage = "https://example.com"
+"Source Code" = "https://github.com/a/b"
+
+[project.optional-dependencies]
+dev = ["pytest"]
+`;
+    fs.writeFileSync(path.join(tmpDir, 'pyproject.toml'), toml);
+    const meta = readFromPyproject(tmpDir);
+    expect(meta.name).toBe('pep621-name');
+    expect(meta.version).toBe('1.0.0');
+    expect(meta.description).toBe('Multi-line\ndescription');
+    expect(meta.license).toBe('Apache-2.0');
+    expect(meta.author).toBe('Ada');
+    expect(meta.readme).toBe('README.md');
+    expect(meta.homepage).toBe('https://example.com');
+    expect(meta.repository).toBe('https://github.com/a/b');
+  });
+
+  test('falls back to [tool.poetry]', () => {
+    const toml = `
+[tool.poetry]
+name = "poetry-tool"
+version = "0.1.0"
+description = "From poetry"
+license = "MIT"
+authors = ["Grace Hopper <grace@example.com>"]
+repository = "https://github.com/c/d"
+`;
+    fs.writeFileSync(path.join(tmpDir, 'pyproject.toml'), toml);
+    const meta = readFromPyproject(tmpDir);
+    expect(meta.name).toBe('poetry-tool');
+    expect(meta.license).toBe('MIT');
+    expect(meta.authors).toEqual(['Grace Hopper']);
+    expect(meta.repository).toBe('https://github.com/c/d');
+  });
+
+  test('throws a readable error on malformed TOML', () => {
+    fs.writeFileSync(path.join(tmpDir, 'pyproject.toml'), '[project\nname = "x"\n');
+    expect(() => readFromPyproject(tmpDir)).toThrow(/Failed to parse pyproject.toml/);
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -137,6 +214,128 @@ keywords = ["near", "rust", "wasm"]
     expect(meta.version).toBe('2.0.0');
     expect(meta.license).toBe('Apache-2.0');
     expect(meta.keywords).toContain('rust');
+    expect(meta.private).toBe(false);
+  });
+
+  test('publish = false marks the crate private', () => {
+    fs.writeFileSync(path.join(tmpDir, 'Cargo.toml'), '[package]\nname = "app"\npublish = false\n');
+    expect(readFromCargo(tmpDir).private).toBe(true);
+  });
+
+  test('reads only [package], not dependency tables', () => {
+    const toml = `
+[dependencies]
+name = "serde"
+
+[package]
+name = "real-crate"
+version = "0.4.0"
+authors = ["Ferris <ferris@example.com>"]
+readme = "README.md"
+
+[dependencies.other]
+version = "1.0"
+`;
+    fs.writeFileSync(path.join(tmpDir, 'Cargo.toml'), toml);
+    const meta = readFromCargo(tmpDir);
+    expect(meta.name).toBe('real-crate');
+    expect(meta.version).toBe('0.4.0');
+    expect(meta.author).toBe('Ferris');
+    expect(meta.readme).toBe('README.md');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Cargo workspace inheritance
+// ---------------------------------------------------------------------------
+
+describe('Cargo workspace inheritance', () => {
+  let tmpDir;
+  let crateDir;
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    crateDir = path.join(tmpDir, 'contracts', 'token');
+    fs.mkdirSync(crateDir, { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, 'Cargo.toml'), `
+[workspace]
+members = ["contracts/*"]
+
+[workspace.package]
+version = "3.1.0"
+license = "MIT OR Apache-2.0"
+authors = ["Core Team <team@example.com>"]
+repository = "https://github.com/org/contracts"
+readme = "README.md"
+`);
+  });
+  afterEach(() => { fs.rmSync(tmpDir, { recursive: true, force: true }); });
+
+  test('resolves inherited fields from [workspace.package]', () => {
+    fs.writeFileSync(path.join(crateDir, 'Cargo.toml'), `
+[package]
+name = "token"
+version.workspace = true
+license = { workspace = true }
+authors.workspace = true
+repository.workspace = true
+readme.workspace = true
+description = "Fungible token"
+`);
+    const meta = readFromCargo(crateDir);
+    expect(meta.name).toBe('token');
+    expect(meta.version).toBe('3.1.0');
+    expect(meta.license).toBe('MIT OR Apache-2.0');
+    expect(meta.author).toBe('Core Team');
+    expect(meta.repository).toBe('https://github.com/org/contracts');
+    expect(meta.readme).toBe(path.join('..', '..', 'README.md'));
+    expect(meta.description).toBe('Fungible token');
+  });
+
+  test('local values are not overridden by the workspace', () => {
+    fs.writeFileSync(path.join(crateDir, 'Cargo.toml'), `
+[package]
+name = "token"
+version = "0.0.1"
+license.workspace = true
+`);
+    const meta = readFromCargo(crateDir);
+    expect(meta.version).toBe('0.0.1');
+    expect(meta.license).toBe('MIT OR Apache-2.0');
+  });
+
+  test('honours an explicit package.workspace path', () => {
+    const other = path.join(tmpDir, 'other-root');
+    fs.mkdirSync(other);
+    fs.writeFileSync(path.join(other, 'Cargo.toml'), '[workspace]\n[workspace.package]\nversion = "7.0.0"\n');
+    fs.writeFileSync(path.join(crateDir, 'Cargo.toml'), `
+[package]
+name = "token"
+workspace = "../../other-root"
+version.workspace = true
+`);
+    expect(readFromCargo(crateDir).version).toBe('7.0.0');
+  });
+
+  test('warns and leaves fields empty when no workspace root exists', () => {
+    const lonely = makeTmpDir();
+    try {
+      fs.writeFileSync(path.join(lonely, 'Cargo.toml'), '[package]\nname = "x"\nversion.workspace = true\n');
+      core.warning.mockClear();
+      const meta = readFromCargo(lonely);
+      expect(meta.version).toBeUndefined();
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('no workspace root'));
+    } finally {
+      fs.rmSync(lonely, { recursive: true, force: true });
+    }
+  });
+
+  test('findCargoWorkspaceRoot returns null outside a workspace', () => {
+    const lonely = makeTmpDir();
+    try {
+      expect(findCargoWorkspaceRoot(lonely)).toBeNull();
+    } finally {
+      fs.rmSync(lonely, { recursive: true, force: true });
+    }
   });
 });
 
@@ -153,7 +352,18 @@ describe('readProjectMetadata', () => {
     fs.writeFileSync(path.join(tmpDir, 'package.json'), JSON.stringify({ name: 'js-pkg', version: '1.0.0' }));
     fs.writeFileSync(path.join(tmpDir, 'pyproject.toml'), '[project]\nname = "py-pkg"\n');
     const meta = readProjectMetadata(tmpDir);
-    expect(meta.name).toBe('js-pkg');
+    expect(meta).toMatchObject({ name: 'js-pkg', manifest: 'package.json' });
+  });
+
+  test('manifest forces a reader', () => {
+    fs.writeFileSync(path.join(tmpDir, 'package.json'), JSON.stringify({ name: 'tooling', version: '0.0.0' }));
+    fs.writeFileSync(path.join(tmpDir, 'pom.xml'), '<project><artifactId>plugin</artifactId><version>2.1.0</version></project>');
+    expect(readProjectMetadata(tmpDir, 'pom.xml')).toMatchObject({ name: 'plugin', version: '2.1.0', manifest: 'pom.xml' });
+  });
+
+  test('manifest must exist and be supported', () => {
+    expect(() => readProjectMetadata(tmpDir, 'go.mod')).toThrow(/Manifest "go.mod" not found/);
+    expect(() => readProjectMetadata(tmpDir, 'build.gradle')).toThrow(/Unsupported manifest "build.gradle"/);
   });
 
   test('throws when no manifest found', () => {
@@ -225,4 +435,541 @@ describe('validatePayload', () => {
     const { errors } = validatePayload({ name: 'x' });
     expect(errors.length).toBeGreaterThan(1);
   });
+
+  test('messages carry the rule ID and config overrides severities', () => {
+    const payload = { ...validPayload, license: 'Proprietary', pricing: 'cheap' };
+    expect(validatePayload(payload)).toMatchObject({
+      errors: [expect.stringMatching(/^\[pricing-allowed\] /)],
+      warnings: [expect.stringMatching(/^\[license-spdx\] /)],
+    });
+    const config = { problems: [], values: { rules: { 'license-spdx': 'error', 'pricing-allowed': 'off' } } };
+    const { errors, warnings, findings } = validatePayload(payload, config);
+    expect(errors).toEqual([expect.stringMatching(/^\[license-spdx\] /)]);
+    expect(warnings).toEqual([]);
+    expect(findings).toEqual([expect.objectContaining({ rule: 'license-spdx', severity: 'error' })]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// run() — listing config file
+// ---------------------------------------------------------------------------
+
+describe('run (listing config)', () => {
+  let tmpDir;
+  let inputs;
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    inputs = { 'api-key': 'test-key', 'project-path': tmpDir, 'validate-only': 'true' };
+    core.getInput.mockImplementation(name => inputs[name] || '');
+    core.setOutput.mockClear();
+    core.setFailed.mockClear();
+    fs.writeFileSync(path.join(tmpDir, 'package.json'), JSON.stringify({
+      name: 'cfg-tool', version: '1.2.3', description: 'From manifest', keywords: ['manifest'],
+    }));
+  });
+  afterEach(() => {
+    core.getInput.mockReset();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('config file fills fields and inputs override it', async () => {
+    fs.writeFileSync(path.join(tmpDir, '.near-marketplace.yml'),
+      'description: From config\ncategory: ai\ntags: [config]\npricing: paid\n');
+    inputs = { ...inputs, 'validate-only': '', 'dry-run': 'true', pricing: 'freemium' };
+    core.info.mockClear();
+    await run();
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(core.setOutput).toHaveBeenCalledWith('status', 'dry-run');
+
+    const summary = core.info.mock.calls.map(c => c[0]).join('\n');
+    expect(summary).toMatch(/Found listing config/);
+    expect(summary).toMatch(/Category: +ai/);
+    expect(summary).toMatch(/Pricing: +freemium/);
+    expect(summary).toMatch(/Tags: +config/);
+  });
+
+  test('long description and changelog come from opt-in files', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'README.md'), '# Tool\n\n![logo](logo.png)\n');
+    fs.writeFileSync(path.join(tmpDir, 'CHANGELOG.md'), '## [1.2.3]\n- First release\n');
+    inputs = { ...inputs, 'long-description-file': 'README.md', 'changelog-source': 'auto' };
+    core.warning.mockClear();
+    await run();
+    expect(core.setFailed).not.toHaveBeenCalled();
+    const warned = core.warning.mock.calls.map(c => c[0]).join('\n');
+    expect(warned).not.toMatch(/"long_description"/);
+    expect(warned).not.toMatch(/"changelog"/);
+  });
+
+  test('translations from the locales input are checked against the default', async () => {
+    inputs = { ...inputs, changelog: 'Fixed bugs', locales: 'de:\n  description: Ein Werkzeug aus dem Workflow\n' };
+    core.info.mockClear();
+    core.warning.mockClear();
+    await run();
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(core.info).toHaveBeenCalledWith('✓ Localized listing in de');
+    expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('[locale-fields] Locale "de" has no changelog; readers see the en text instead.'));
+  });
+
+  test('schema errors fail validation with the file location', async () => {
+    fs.writeFileSync(path.join(tmpDir, '.near-marketplace.yml'), 'category: ai\npricing: cheap\n');
+    await run();
+    expect(core.setFailed).toHaveBeenCalledWith(expect.stringMatching(/\.near-marketplace\.yml:2:10: "pricing" must be one of/));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// run() — monorepo mode
+// ---------------------------------------------------------------------------
+
+describe('run (monorepo mode)', () => {
+  let tmpDir;
+  let inputs;
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    inputs = { 'api-key': 'test-key', 'project-path': tmpDir, 'monorepo': 'true', 'dry-run': 'true' };
+    core.getInput.mockImplementation(name => inputs[name] || '');
+    core.setOutput.mockClear();
+    core.setFailed.mockClear();
+    core.error.mockClear();
+
+    const write = (rel, obj) => {
+      fs.mkdirSync(path.join(tmpDir, path.dirname(rel)), { recursive: true });
+      fs.writeFileSync(path.join(tmpDir, rel), JSON.stringify(obj));
+    };
+    write('package.json', { private: true, workspaces: ['packages/*'] });
+    write('packages/cli/package.json', { name: 'near-cli-tool', version: '1.0.0', description: 'CLI' });
+    write('packages/sdk/package.json', { name: 'near-sdk-tool', version: '2.0.0', description: 'SDK' });
+  });
+  afterEach(() => {
+    core.getInput.mockReset();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const outputs = () => Object.fromEntries(core.setOutput.mock.calls);
+
+  test('processes every package and reports a JSON map', async () => {
+    await run();
+    const out = outputs();
+    expect(out.status).toBe('completed');
+    const results = JSON.parse(out.results);
+    expect(Object.keys(results)).toEqual(['packages/cli', 'packages/sdk']);
+    expect(results['packages/cli']).toMatchObject({ name: 'near-cli-tool', version: '1.0.0', status: 'dry-run' });
+    expect(results['packages/sdk']).toMatchObject({ name: 'near-sdk-tool', status: 'dry-run' });
+    expect(core.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('a failing package does not stop the others', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'packages/cli/package.json'), JSON.stringify({ name: 'broken', version: '1.0.0' }));
+    await run();
+    const out = outputs();
+    const results = JSON.parse(out.results);
+    expect(results['packages/cli'].status).toBe('error');
+    expect(results['packages/cli'].error).toMatch(/"description"/);
+    expect(results['packages/sdk'].status).toBe('dry-run');
+    expect(out.status).toBe('partial');
+    expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('packages/cli'));
+  });
+
+  test('the locales input is ignored with a warning', async () => {
+    inputs = { ...inputs, locales: 'de: { description: Werkzeug }' };
+    core.warning.mockClear();
+    await run();
+    expect(core.warning).toHaveBeenCalledWith(expect.stringMatching(/^The "locales" input is ignored in monorepo mode/));
+    expect(core.warning).not.toHaveBeenCalledWith(expect.stringContaining('[locale-fields]'));
+  });
+
+  test('the manifest input is ignored with a warning', async () => {
+    inputs = { ...inputs, manifest: 'pom.xml' };
+    core.warning.mockClear();
+    await run();
+    expect(core.warning).toHaveBeenCalledWith(expect.stringMatching(/^The "manifest" input is ignored in monorepo mode/));
+    expect(JSON.parse(outputs().results)['packages/cli'].status).toBe('dry-run');
+  });
+
+  test('packages input selects directories by glob', async () => {
+    inputs = { ...inputs, monorepo: '', packages: 'packages/sdk' };
+    await run();
+    expect(Object.keys(JSON.parse(outputs().results))).toEqual(['packages/sdk']);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// findExistingListing
+// ---------------------------------------------------------------------------
+
+describe('normaliseRepoUrl', () => {
+  test.each([
+    'https://github.com/Org/Tool',
+    'https://github.com/org/tool.git',
+    'git+https://github.com/org/tool.git',
+    'git@github.com:org/tool.git',
+    'https://www.github.com/org/tool/',
+  ])('%s', (url) => {
+    expect(normaliseRepoUrl(url)).toBe('github.com/org/tool');
+  });
+});
+
+describe('listingUrl', () => {
+  test('drops only a trailing version segment from the API URL', () => {
+    expect(listingUrl('https://market.near.ai/v1', 'L1')).toBe('https://market.near.ai/listing/L1');
+    expect(listingUrl('https://api.acme.dev/market/v2/', 'L1')).toBe('https://api.acme.dev/market/listing/L1');
+    expect(listingUrl('https://v1.acme.dev/v1beta', 'L1')).toBe('https://v1.acme.dev/v1beta/listing/L1');
+    expect(listingUrl('http://127.0.0.1:8787/v1', 'a b')).toBe('http://127.0.0.1:8787/listing/a%20b');
+  });
+
+  test('fills in a listing-url template', () => {
+    expect(listingUrl('https://api.acme.dev/v1', 'L1', { template: 'https://acme.dev/{name}/{id}', name: 'my tool' }))
+      .toBe('https://acme.dev/my%20tool/L1');
+  });
+});
+
+describe('findExistingListing', () => {
+  const API = 'https://api.test/v1';
+  const FAST = { retryDelay: 1, maxDelay: 2 };
+  const identity = { name: 'my-tool', repository: 'https://github.com/org/my-tool' };
+  afterEach(() => { jest.restoreAllMocks(); });
+
+  test('matches exact name and repository', async () => {
+    fakeHttps([{ status: 200, body: { data: [
+      { id: 'fuzzy', name: 'my-tool-pro', repository: 'https://github.com/org/my-tool' },
+      { id: 'mine', name: 'my-tool', repository: 'git+https://github.com/org/my-tool.git' },
+    ] } }]);
+    await expect(findExistingListing('key', identity, API, FAST)).resolves.toBe('mine');
+  });
+
+  test('matches exact name and owner', async () => {
+    fakeHttps([{ status: 200, body: { data: [{ id: 'L9', name: 'my-tool', owner: 'alice.near' }] } }]);
+    await expect(findExistingListing('key', { ...identity, owner: 'alice.near' }, API, FAST)).resolves.toBe('L9');
+  });
+
+  test('returns null when nothing matches by name, or on 404', async () => {
+    fakeHttps([{ status: 200, body: { data: [{ id: 'x', name: 'other' }] } }, { status: 404 }]);
+    await expect(findExistingListing('key', identity, API, FAST)).resolves.toBeNull();
+    await expect(findExistingListing('key', identity, API, FAST)).resolves.toBeNull();
+  });
+
+  test('refuses to adopt a same-name listing from another project', async () => {
+    fakeHttps([{ status: 200, body: { data: [{ id: 'theirs', name: 'my-tool', repository: 'https://github.com/else/my-tool' }] } }]);
+    await expect(findExistingListing('key', identity, API, FAST)).rejects.toThrow(/do not match this project/);
+  });
+
+  test('fails on ambiguous matches', async () => {
+    const listing = { name: 'my-tool', repository: 'https://github.com/org/my-tool' };
+    fakeHttps([{ status: 200, body: { data: [{ id: 'a', ...listing }, { id: 'b', ...listing }] } }]);
+    await expect(findExistingListing('key', identity, API, FAST)).rejects.toThrow(/Found 2 listings/);
+  });
+
+  test('fails loudly on auth errors instead of creating a duplicate', async () => {
+    fakeHttps([{ status: 401, body: { message: 'invalid token' } }]);
+    await expect(findExistingListing('key', identity, API, FAST)).rejects.toThrow(/Listing lookup failed: .*HTTP 401/);
+  });
+});
+
+describe('run (listing-id)', () => {
+  let tmpDir;
+  let inputs;
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    fs.writeFileSync(path.join(tmpDir, 'package.json'), JSON.stringify({
+      name: 'pinned-tool', version: '1.2.3', description: 'Pinned',
+    }));
+    inputs = { 'api-key': 'k', 'project-path': tmpDir, 'marketplace-url': 'https://api.test/v1', 'http-retries': '0' };
+    core.getInput.mockImplementation(name => inputs[name] || '');
+    core.setOutput.mockClear();
+    core.setFailed.mockClear();
+  });
+  afterEach(() => {
+    core.getInput.mockReset();
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('listing-id from the config file skips the lookup', async () => {
+    fs.writeFileSync(path.join(tmpDir, '.near-marketplace.yml'), 'listing-id: L-42\n');
+    const requests = fakeHttps([
+      { status: 200, body: { id: 'L-42', name: 'pinned-tool', version: '0.9.0' } },
+      { status: 200, body: { id: 'L-42' } },
+      { status: 200, body: { data: {}, latest_version: '1.2.3' } },
+    ]);
+    await run();
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(requests.map(r => `${r.options.method} ${r.options.path}`)).toEqual([
+      'GET /v1/listings/L-42',
+      'PUT /v1/listings/L-42',
+      'PUT /v1/listings/L-42/versions/1.2.3',
+    ]);
+    expect(core.setOutput).toHaveBeenCalledWith('status', 'updated');
+  });
+
+  test('registers the API key as a secret and keeps it out of errors', async () => {
+    inputs['api-key'] = 'sk-live-0123456789';
+    fakeHttps([{ status: 401, body: { message: 'Invalid key sk-live-0123456789' } }]);
+    await run();
+    expect(core.setSecret).toHaveBeenCalledWith('sk-live-0123456789');
+    const [message] = core.setFailed.mock.calls[0];
+    expect(message).toMatch(/Invalid key \*\*\*/);
+    expect(message).not.toContain('sk-live-0123456789');
+  });
+
+  test('a failed lookup fails the run', async () => {
+    const requests = fakeHttps([{ status: 401, body: { message: 'nope' } }]);
+    await run();
+    expect(requests).toHaveLength(1);
+    expect(core.setFailed).toHaveBeenCalledWith(expect.stringMatching(/Listing lookup failed/));
+    expect(core.setOutput).toHaveBeenCalledWith('status', 'error');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// run() — diff-aware updates
+// ---------------------------------------------------------------------------
+
+describe('run (diff-aware updates)', () => {
+  let tmpDir;
+  let inputs;
+  const pkg = { name: 'diff-tool', version: '1.2.3', description: 'Diffs', homepage: 'https://diff.dev', license: 'MIT' };
+  const live = () => ({
+    id: 'L-7',
+    name: pkg.name,
+    version: pkg.version,
+    description: pkg.description,
+    long_description: '',
+    category: 'development',
+    homepage: pkg.homepage,
+    repository: 'https://github.com/testowner/testrepo',
+    license: 'MIT',
+    changelog: '',
+    pricing: 'free',
+    min_near_version: '',
+    tags: [],
+    install: {
+      registries: [{
+        registry: 'npm', package: 'diff-tool', version: '1.2.3',
+        url: 'https://www.npmjs.com/package/diff-tool/v/1.2.3', command: 'npm i diff-tool@1.2.3',
+      }],
+      downloads: [],
+    },
+    metadata: { author: 'testactor', release_tag: 'refs/tags/v1.2.3', github_action: true, submitted_at: 'earlier' },
+  });
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    fs.writeFileSync(path.join(tmpDir, 'package.json'), JSON.stringify(pkg));
+    inputs = {
+      'api-key': 'k', 'project-path': tmpDir, 'marketplace-url': 'https://api.test/v1',
+      'http-retries': '0', 'listing-id': 'L-7',
+    };
+    core.getInput.mockImplementation(name => inputs[name] || '');
+    core.setOutput.mockClear();
+    core.setFailed.mockClear();
+  });
+  afterEach(() => {
+    core.getInput.mockReset();
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const outputs = () => Object.fromEntries(core.setOutput.mock.calls);
+
+  test('skips the update when nothing meaningful changed', async () => {
+    const requests = fakeHttps([{ status: 200, body: live() }, { status: 200, body: { data: {}, latest_version: '1.2.3' } }]);
+    await run();
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(requests.map(r => r.options.method)).toEqual(['GET', 'PUT']);
+    expect(requests[1].options.path).toBe('/v1/listings/L-7/versions/1.2.3');
+    expect(outputs().status).toBe('unchanged');
+    expect(JSON.parse(outputs().diff)).toEqual([]);
+  });
+
+  test('PUTs the full payload and reports the diff when fields changed', async () => {
+    const requests = fakeHttps([{ status: 200, body: { data: { ...live(), version: '0.9.0' } } }, { status: 200, body: {} }, { status: 200, body: { data: {}, latest_version: '1.2.3' } }]);
+    await run();
+    expect(requests[1].options.method).toBe('PUT');
+    expect(JSON.parse(requests[1].body)).toMatchObject({ name: 'diff-tool', description: 'Diffs' });
+    expect(outputs()).toMatchObject({ status: 'updated', 'latest-version': '1.2.3' });
+    expect(JSON.parse(outputs().diff)).toEqual([{ path: 'version', kind: 'changed', before: '0.9.0', after: '1.2.3' }]);
+  });
+
+  test('update-strategy changed PATCHes only the changed fields', async () => {
+    inputs['update-strategy'] = 'changed';
+    const requests = fakeHttps([{ status: 200, body: { ...live(), version: '0.9.0' } }, { status: 200, body: {} }, { status: 200, body: { data: {}, latest_version: '1.2.3' } }]);
+    await run();
+    expect(requests[1].options.method).toBe('PATCH');
+    expect(JSON.parse(requests[1].body)).toEqual({ version: '1.2.3' });
+  });
+
+  test('update-strategy always PUTs even without changes', async () => {
+    inputs['update-strategy'] = 'always';
+    const requests = fakeHttps([{ status: 200, body: live() }, { status: 200, body: {} }, { status: 200, body: { data: {}, latest_version: '1.2.3' } }]);
+    await run();
+    expect(requests[1].options.method).toBe('PUT');
+    expect(outputs().status).toBe('updated');
+  });
+
+  test('a missing pinned listing fails loudly', async () => {
+    fakeHttps([{ status: 404, body: { error: 'not found' } }]);
+    await run();
+    expect(core.setFailed).toHaveBeenCalledWith(expect.stringMatching(/Listing L-7 was not found/));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// run() — version / tag consistency
+// ---------------------------------------------------------------------------
+
+describe('run (version consistency)', () => {
+  let tmpDir;
+  let inputs;
+  const writePkg = (dir, version, name = 'ver-tool') => {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ name, version, description: 'Version checks' }));
+  };
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    inputs = { 'api-key': 'k', 'project-path': tmpDir, 'marketplace-url': 'https://api.test/v1', 'http-retries': '0' };
+    core.getInput.mockImplementation(name => inputs[name] || '');
+    core.setOutput.mockClear();
+    core.setFailed.mockClear();
+  });
+  afterEach(() => {
+    github.context.ref = 'refs/tags/v1.2.3';
+    core.getInput.mockReset();
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const outputs = () => Object.fromEntries(core.setOutput.mock.calls);
+
+  test('fails when the manifest version does not match the tag', async () => {
+    writePkg(tmpDir, '1.2.0');
+    inputs['validate-only'] = 'true';
+    await run();
+    expect(core.setFailed).toHaveBeenCalledWith(expect.stringMatching(/\[version-tag-match\] Version "1\.2\.0" does not match the release tag "v1\.2\.3"/));
+  });
+
+  test('strips a configured tag prefix', async () => {
+    writePkg(tmpDir, '2.0.0');
+    github.context.ref = 'refs/tags/cli-v2.0.0';
+    inputs = { ...inputs, 'validate-only': 'true', 'tag-prefix': 'cli-v' };
+    await run();
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(outputs().status).toBe('validated');
+  });
+
+  test('refuses to downgrade the live listing unless allowed', async () => {
+    writePkg(tmpDir, '1.2.3');
+    inputs['listing-id'] = 'L-1';
+    fakeHttps([{ status: 200, body: { id: 'L-1', name: 'ver-tool', version: '1.10.0' } }]);
+    await run();
+    expect(core.setFailed).toHaveBeenCalledWith(expect.stringMatching(/Refusing to downgrade listing L-1 from 1\.10\.0 to 1\.2\.3/));
+
+    jest.restoreAllMocks();
+    core.setFailed.mockClear();
+    inputs['allow-downgrade'] = 'true';
+    const requests = fakeHttps([
+      { status: 200, body: { id: 'L-1', name: 'ver-tool', version: '1.10.0' } }, { status: 200, body: {} }, { status: 200, body: { data: {}, latest_version: '1.2.3' } },
+    ]);
+    await run();
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(requests[1].options.method).toBe('PUT');
+  });
+
+  test('skips prereleases by default and routes them to beta on request', async () => {
+    writePkg(tmpDir, '1.3.0-rc.1');
+    github.context.ref = 'refs/tags/v1.3.0-rc.1';
+    const requests = fakeHttps([]);
+    await run();
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(outputs().status).toBe('skipped');
+    expect(requests).toHaveLength(0);
+
+    inputs = { ...inputs, prerelease: 'beta', 'dry-run': 'true' };
+    core.info.mockClear();
+    await run();
+    expect(outputs().status).toBe('dry-run');
+    expect(core.info.mock.calls.map(c => c[0]).join('\n')).toMatch(/Version: +1\.3\.0-rc\.1 \(beta channel\)/);
+  });
+
+  test('monorepo packages only release on their own prefixed tags', async () => {
+    writePkg(path.join(tmpDir, 'packages/cli'), '2.0.0', 'ver-cli');
+    writePkg(path.join(tmpDir, 'packages/web'), '5.0.0', 'ver-web');
+    fs.writeFileSync(path.join(tmpDir, 'packages/cli/.near-marketplace.yml'), 'tag-prefix: cli-v\n');
+    fs.writeFileSync(path.join(tmpDir, 'packages/web/.near-marketplace.yml'), 'tag-prefix: web-v\n');
+    github.context.ref = 'refs/tags/cli-v2.0.0';
+    inputs = { ...inputs, packages: 'packages/*', 'dry-run': 'true' };
+    await run();
+    expect(core.setFailed).not.toHaveBeenCalled();
+    const results = JSON.parse(outputs().results);
+    expect(results['packages/cli'].status).toBe('dry-run');
+    expect(results['packages/web'].status).toBe('skipped');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// run() — drafts
+// ---------------------------------------------------------------------------
+
+describe('run (drafts)', () => {
+  let tmpDir;
+  let inputs;
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    fs.writeFileSync(path.join(tmpDir, 'package.json'), JSON.stringify({ name: 'draft-tool', version: '1.3.0-rc.1', description: 'Drafts' }));
+    inputs = { 'api-key': 'k', 'project-path': tmpDir, 'marketplace-url': 'https://api.test/v1', 'http-retries': '0' };
+    core.getInput.mockImplementation(name => inputs[name] || '');
+    core.setOutput.mockClear();
+    core.setFailed.mockClear();
+  });
+  afterEach(() => {
+    github.context.ref = 'refs/tags/v1.2.3';
+    core.getInput.mockReset();
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const outputs = () => Object.fromEntries(core.setOutput.mock.calls);
+
+  test('a prerelease draft of an existing listing only carries the version', async () => {
+    github.context.ref = 'refs/tags/v1.3.0-rc.1';
+    Object.assign(inputs, { draft: 'true', prerelease: 'publish', 'listing-id': 'L-1' });
+    const requests = fakeHttps([
+      { status: 200, body: { id: 'L-1', name: 'draft-tool', version: '1.2.0' } },
+      { status: 201, body: { data: { id: 'D-9', status: 'open' } } },
+    ]);
+    await run();
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(requests.map(r => `${r.options.method} ${r.options.path}`)).toEqual(['GET /v1/listings/L-1', 'POST /v1/drafts']);
+    expect(JSON.parse(requests[1].body)).toMatchObject({ listing_id: 'L-1', payload: null, version: { version: '1.3.0-rc.1', latest: false } });
+    expect(requests[1].headers['Idempotency-Key']).toMatch(/^[0-9a-f]{64}$/);
+    expect(outputs()).toMatchObject({ status: 'drafted', 'draft-id': 'D-9', 'draft-url': 'https://api.test/drafts/D-9' });
+  });
+
+  test('publish checks the draft before promoting it', async () => {
+    inputs = { 'api-key': 'k', 'marketplace-url': 'https://api.test/v1', 'http-retries': '0', operation: 'publish' };
+    await run();
+    expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('"operation: publish" needs "draft-id"'));
+
+    inputs['draft-id'] = 'D-1';
+    let requests = fakeHttps([{ status: 200, body: { data: { id: 'D-1', status: 'superseded', superseded_by: 'D-2', version: { version: '1.0.0' } } } }]);
+    await run();
+    expect(requests).toHaveLength(1);
+    expect(core.setFailed).toHaveBeenLastCalledWith(expect.stringContaining('Draft D-1 was replaced by a newer draft (D-2)'));
+
+    // A draft superseded between the check and the publish is refused by the server.
+    jest.restoreAllMocks();
+    requests = fakeHttps([
+      { status: 200, body: { data: { id: 'D-1', status: 'open', listing_id: 'L-1', payload: { name: 'draft-tool' }, version: { version: '1.0.0' } } } },
+      { status: 409, body: { error: 'draft D-1 was superseded by D-3', superseded_by: 'D-3' } },
+    ]);
+    await run();
+    expect(requests[1].options.path).toBe('/v1/drafts/D-1/publish');
+    expect(core.setFailed).toHaveBeenLastCalledWith(expect.stringContaining('Draft D-1 was replaced by a newer draft (D-3)'));
+  });
+
+  test('publish works on a single draft only', async () => {
+    Object.assign(inputs, { operation: 'publish', 'draft-id': 'D-1', monorepo: 'true' });
+    await run();
+    expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('cannot be combined with "targets" or "monorepo"'));
+  });
 });
@@ -0,0 +1,85 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normaliseTag, mergeTags, isNearContract, inferListing } = require('../src/infer');
+
+describe('normaliseTag / mergeTags', () => {
+  test.each([
+    ['NEAR Protocol', 'near-protocol'],
+    ['  smart_contract ', 'smart-contract'],
+    ['Rust!!', 'rust'],
+    ['---', ''],
+    ['x'.repeat(40), 'x'.repeat(32)],
+  ])('%j → %j', (tag, expected) => {
+    expect(normaliseTag(tag)).toBe(expected);
+  });
+
+  test('keeps manual tags first, drops duplicates and caps the count', () => {
+    expect(mergeTags(['NEAR', 'Wallet Tools'], ['near', 'wallet-tools', 'cli'])).toEqual(['near', 'wallet-tools', 'cli']);
+    expect(mergeTags(['a', 'b', 'c'], ['d', 'e'], 4)).toEqual(['a', 'b', 'c', 'd']);
+  });
+});
+
+describe('inferListing', () => {
+  let tmpDir;
+  const write = (file, text) => fs.writeFileSync(path.join(tmpDir, file), text);
+  beforeEach(() => { tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'near-action-infer-')); });
+  afterEach(() => { fs.rmSync(tmpDir, { recursive: true, force: true }); });
+
+  test('a Rust contract built as cdylib with near-sdk', () => {
+    write('Cargo.toml', '[package]\nname = "counter"\n\n[lib]\ncrate-type = ["cdylib", "rlib"]\n\n[dependencies]\nnear-sdk = "5.0"\n');
+    expect(inferListing(tmpDir)).toEqual({
+      tags: ['near', 'smart-contract', 'rust', 'wasm'],
+      category: 'blockchain',
+      reasons: ['near-sdk dependency', 'wasm build target in Cargo.toml'],
+    });
+  });
+
+  test('a JavaScript CLI using near-api-js', () => {
+    write('package.json', JSON.stringify({ name: 'near-tool', bin: { 'near-tool': 'cli.js' }, dependencies: { 'near-api-js': '^4.0.0' } }));
+    const inferred = inferListing(tmpDir);
+    expect(inferred.tags).toEqual(['near', 'near-api-js', 'cli']);
+    expect(inferred.category).toBe('development');
+  });
+
+  test('a Python contract from pyproject.toml and requirements.txt', () => {
+    write('pyproject.toml', '[project]\nname = "vault"\ndependencies = ["Near_SDK_Py>=0.3"]\n\n[project.scripts]\nvault = "vault:main"\n');
+    write('requirements.txt', '# pinned\nopenai==1.0\n-r dev.txt\n');
+    const inferred = inferListing(tmpDir);
+    expect(inferred.tags).toEqual(['near', 'smart-contract', 'python', 'ai', 'cli']);
+    expect(inferred.category).toBe('blockchain');
+  });
+
+  test('README headings outside code blocks, from the manifest readme first', () => {
+    write('docs.md', '# Wallet Kit\n\n## Staking rewards\n\n```\n# NFT minting\n```\n');
+    write('README.md', '# Games\n');
+    const inferred = inferListing(tmpDir, { readme: 'docs.md' });
+    expect(inferred.tags).toEqual(['wallet', 'defi']);
+    expect(inferred.category).toBe('wallets');
+    expect(inferred.reasons).toEqual(['README heading "Wallet Kit"', 'README heading "Staking rewards"']);
+  });
+
+  test('nothing to go on', () => {
+    expect(inferListing(tmpDir)).toEqual({ tags: [], category: null, reasons: [] });
+  });
+});
+
+describe('isNearContract', () => {
+  let tmpDir;
+  beforeEach(() => { tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'near-action-infer-')); });
+  afterEach(() => { fs.rmSync(tmpDir, { recursive: true, force: true }); });
+
+  test('near-sdk dependencies and cargo near build output make a contract project', () => {
+    fs.writeFileSync(path.join(tmpDir, 'package.json'), JSON.stringify({ dependencies: { ethers: '^6.0.0' } }));
+    expect(isNearContract(tmpDir)).toBe(false);
+
+    fs.writeFileSync(path.join(tmpDir, 'package.json'), JSON.stringify({ dependencies: { 'near-sdk-js': '^2.0.0' } }));
+    expect(isNearContract(tmpDir)).toBe(true);
+
+    fs.rmSync(path.join(tmpDir, 'package.json'));
+    fs.mkdirSync(path.join(tmpDir, 'target', 'near'), { recursive: true });
+    expect(isNearContract(tmpDir)).toBe(true);
+  });
+});
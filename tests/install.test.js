@@ -0,0 +1,67 @@
+'use strict';
+
+const { parseRegistries, releaseDownloads, collectInstall } = require('../src/install');
+
+const digest = 'a'.repeat(64);
+
+describe('parseRegistries', () => {
+  test('parses registry=package entries, a config map or "none"', () => {
+    expect(parseRegistries('jsr=@acme/tool,\ngo = github.com/acme/tool')).toEqual({
+      none: false, packages: { jsr: '@acme/tool', go: 'github.com/acme/tool' },
+    });
+    expect(parseRegistries({ nuget: 'Acme.Tool' })).toEqual({ none: false, packages: { nuget: 'Acme.Tool' } });
+    expect(parseRegistries('none')).toEqual({ none: true, packages: {} });
+  });
+
+  test('rejects malformed entries and unknown registries', () => {
+    expect(() => parseRegistries('@acme/tool')).toThrow('Invalid "registries" entry "@acme/tool"');
+    expect(() => parseRegistries('maven=acme:tool')).toThrow('Unknown registry "maven" in "registries"');
+  });
+});
+
+describe('releaseDownloads', () => {
+  test('links uploaded assets with their GitHub digest', () => {
+    expect(releaseDownloads({
+      assets: [
+        { name: 'tool-linux.tar.gz', browser_download_url: 'https://github.com/acme/tool/releases/download/v1.0.0/tool-linux.tar.gz',
+          size: 2048, content_type: 'application/gzip', state: 'uploaded', digest: `sha256:${digest.toUpperCase()}` },
+        { name: 'tool.zip', browser_download_url: 'https://github.com/acme/tool/releases/download/v1.0.0/tool.zip' },
+        { name: 'partial.bin', browser_download_url: 'https://github.com/x', state: 'open' },
+      ],
+    })).toEqual([
+      { name: 'tool-linux.tar.gz', url: 'https://github.com/acme/tool/releases/download/v1.0.0/tool-linux.tar.gz',
+        size: 2048, content_type: 'application/gzip', sha256: digest },
+      { name: 'tool.zip', url: 'https://github.com/acme/tool/releases/download/v1.0.0/tool.zip', size: null, content_type: null, sha256: null },
+    ]);
+    expect(releaseDownloads(undefined)).toEqual([]);
+  });
+});
+
+describe('collectInstall', () => {
+  test.each([
+    ['package.json', 'npm', 'https://www.npmjs.com/package/near-tool/v/1.2.0', 'npm i near-tool@1.2.0'],
+    ['pyproject.toml', 'pypi', 'https://pypi.org/project/near-tool/1.2.0/', 'pip install near-tool==1.2.0'],
+    ['Cargo.toml', 'crates', 'https://crates.io/crates/near-tool/1.2.0', 'cargo add near-tool@1.2.0'],
+  ])('%s → %s', (manifest, registry, url, command) => {
+    const { install, messages } = collectInstall({ name: 'near-tool', manifest }, '1.2.0', {});
+    expect(install).toEqual({ registries: [{ registry, package: 'near-tool', version: '1.2.0', url, command }], downloads: [] });
+    expect(messages).toEqual([{ level: 'info', text: `✓ Install from ${registry}: ${command}` }]);
+  });
+
+  test('extra registries are added or rename the package; private and "none" drop the detected one', () => {
+    const registries = (metadata, value) => collectInstall(metadata, '2.0.0', { registries: value }).install.registries
+      .map(r => [r.registry, r.package]);
+    expect(registries({ name: 'tool', manifest: 'package.json' }, 'npm=@acme/tool, jsr=@acme/tool'))
+      .toEqual([['npm', '@acme/tool'], ['jsr', '@acme/tool']]);
+    expect(registries({ name: 'tool', manifest: 'package.json', private: true }, 'go=github.com/acme/tool')).toEqual([['go', 'github.com/acme/tool']]);
+    expect(collectInstall({ name: 'tool', manifest: 'Cargo.toml' }, '2.0.0', { registries: 'none' }).install).toBeNull();
+    expect(collectInstall({ name: 'tool', manifest: 'go.mod' }, '2.0.0', {})).toEqual({ install: null, messages: [] });
+  });
+
+  test('counts downloads without a checksum', () => {
+    const release = { assets: [{ name: 'a.zip', browser_download_url: 'https://x/a.zip' }] };
+    const { install, messages } = collectInstall({ name: 'tool', manifest: 'go.mod' }, '1.0.0', { release });
+    expect(install.registries).toEqual([]);
+    expect(messages).toEqual([{ level: 'info', text: '✓ Linked 1 release download (1 without a checksum)' }]);
+  });
+});
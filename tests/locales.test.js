@@ -0,0 +1,105 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normaliseLocale, parseLocalesInput, collectLocales } = require('../src/locales');
+
+describe('normaliseLocale / parseLocalesInput', () => {
+  test('normalises locale codes to BCP 47 casing', () => {
+    expect(normaliseLocale('de')).toBe('de');
+    expect(normaliseLocale('pt_br')).toBe('pt-BR');
+    expect(normaliseLocale('ZH-HANT-TW')).toBe('zh-Hant-TW');
+    expect(normaliseLocale('es-419')).toBe('es-419');
+    expect(normaliseLocale('german')).toBeNull();
+    expect(['dev', 'old', 'api', 'npm', 'md', 'zz'].map(normaliseLocale)).toEqual([null, null, null, null, null, null]);
+  });
+
+  test('parses the locales input as a YAML map', () => {
+    expect(parseLocalesInput('de:\n  description: Werkzeug\npt_BR: { long-description-file: docs/README.pt.md }\n')).toEqual({
+      de: { description: 'Werkzeug' },
+      pt_BR: { 'long-description-file': 'docs/README.pt.md' },
+    });
+    expect(parseLocalesInput('')).toEqual({});
+  });
+
+  test('rejects anything but a map of locales to text', () => {
+    expect(() => parseLocalesInput('- de')).toThrow('Invalid "locales" input: expected a YAML map of locales');
+    expect(() => parseLocalesInput('de: Werkzeug')).toThrow('Invalid "locales" input at "de"');
+    expect(() => parseLocalesInput('de: { summary: Werkzeug }')).toThrow('Invalid "locales" input at "de.summary"');
+    expect(() => parseLocalesInput('de: [')).toThrow(/^Invalid "locales" input: /);
+  });
+});
+
+describe('collectLocales', () => {
+  let tmpDir;
+  const write = (file, text) => {
+    fs.mkdirSync(path.dirname(path.join(tmpDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, file), text);
+  };
+  const collect = (sources) => collectLocales(tmpDir, {
+    defaultLocale: 'en',
+    content: { workspaceRoot: tmpDir, owner: 'acme', repo: 'tool', ref: 'f00' },
+    ...sources,
+  });
+  beforeEach(() => { tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'near-action-locales-')); });
+  afterEach(() => { fs.rmSync(tmpDir, { recursive: true, force: true }); });
+
+  test('inputs override the config, which overrides translated files', () => {
+    write('README.de.md', '# Werkzeug\n\n![Bild](docs/bild.png)\n');
+    write('docs/i18n/fr.md', '# Outil\n');
+    write('docs/i18n/pt_BR/README.md', '# Ferramenta\n');
+    const { locales, messages } = collect({
+      input: 'de:\n  description: Ein Werkzeug aus den Inputs\n',
+      config: { de: { description: 'Ein Werkzeug aus der Config', changelog: 'Neu' }, fr: { 'long-description': '# Outil (config)' } },
+      longDescriptionFile: 'README.md',
+    });
+    expect(locales).toEqual({
+      de: {
+        description: 'Ein Werkzeug aus den Inputs',
+        changelog: 'Neu',
+        long_description: '# Werkzeug\n\n![Bild](https://raw.githubusercontent.com/acme/tool/f00/docs/bild.png)',
+      },
+      fr: { long_description: '# Outil (config)' },
+      'pt-BR': { long_description: '# Ferramenta' },
+    });
+    expect(messages).toEqual([{ level: 'info', text: '✓ Localized listing in de, fr, pt-BR (from docs/i18n/pt_BR/README.md, README.de.md)' }]);
+  });
+
+  test('reads translated changelog sections only when the changelog comes from files', () => {
+    write('CHANGELOG.de.md', '## [1.1.0]\n\n- Neu\n\n## [1.0.0]\n\n- Alt\n');
+    write('docs/i18n/ja/CHANGELOG.md', '## 1.1.0\n\n- 新機能\n');
+    expect(collect({ changelogFile: 'CHANGELOG.md', version: '1.1.0' }).locales)
+      .toEqual({ de: { changelog: '- Neu' }, ja: { changelog: '- 新機能' } });
+    expect(collect({ changelogFile: null, version: '1.1.0' }).locales).toBeNull();
+  });
+
+  test('loads a long-description-file per locale and ignores the default locale', () => {
+    write('docs/liesmich.md', '<!-- near:start -->Kurz<!-- near:end -->');
+    write('README.en.md', '# Tool\n');
+    const { locales, messages } = collect({
+      config: { de: { 'long-description-file': 'docs/liesmich.md' }, EN: { description: 'A tool' } },
+      longDescriptionFile: 'README.md',
+      content: { marker: 'near', workspaceRoot: tmpDir, owner: 'acme', repo: 'tool', ref: 'f00' },
+    });
+    expect(locales).toEqual({ de: { long_description: 'Kurz' } });
+    expect(messages[0]).toEqual({ level: 'warning', text: expect.stringContaining('Translations for "en" are ignored') });
+    expect(() => collect({ config: { de: { 'long-description-file': 'missing.md' } } })).toThrow('Long description file not found');
+    expect(() => collect({ config: { deutsch: {} } })).toThrow('Invalid locale "deutsch" under "locales" in the listing config');
+    expect(() => collect({ input: 'deutsch: {}' })).toThrow('Invalid locale "deutsch" under "locales" in the "locales" input');
+  });
+
+  test('file name suffixes that are not translations are left alone', () => {
+    for (const file of ['README.dev.md', 'README.old.md', 'README.bak.md', 'README.new.md', 'CHANGELOG.bak.md', 'docs/i18n/api.md', 'docs/i18n/src/README.md']) {
+      write(file, '# Not a translation\n');
+    }
+    write('README.ko.md', '# 도구\n');
+    expect(collect({ longDescriptionFile: 'README.md', changelogFile: 'CHANGELOG.md', version: '1.0.0' }).locales)
+      .toEqual({ ko: { long_description: '# 도구' } });
+    expect(() => collect({ config: { dev: { description: 'Development build' } } })).toThrow('Invalid locale "dev"');
+  });
+
+  test('projects without translations', () => {
+    expect(collect({ longDescriptionFile: 'README.md' })).toEqual({ locales: null, messages: [] });
+  });
+});
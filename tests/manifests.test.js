@@ -0,0 +1,259 @@
+'use strict';
+
+const { execFileSync } = require('child_process');
+const core = require('@actions/core');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('@actions/core', () => ({
+  info: jest.fn(),
+  warning: jest.fn(),
+}));
+
+const {
+  parseIni,
+  stripJsonComments,
+  normaliseRepoUrl,
+  repositoryWebUrl,
+  readFromDeno,
+  readFromSetupCfg,
+  readFromPkgInfo,
+  readFromGoMod,
+  readFromPom,
+  readFromDotnet,
+} = require('../src/manifests');
+
+function write(root, rel, content) {
+  fs.mkdirSync(path.dirname(path.join(root, rel)), { recursive: true });
+  fs.writeFileSync(path.join(root, rel), content);
+}
+
+let tmpDir;
+beforeEach(() => { tmpDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'near-manifest-'))); });
+afterEach(() => { fs.rmSync(tmpDir, { recursive: true, force: true }); });
+
+describe('repositoryWebUrl / normaliseRepoUrl', () => {
+  test('maps npm shorthands and git URLs to https and leaves other values alone', () => {
+    expect(repositoryWebUrl('bitbucket:acme/tool')).toBe('https://bitbucket.org/acme/tool');
+    expect(repositoryWebUrl('ssh://git@gitlab.com/acme/tool')).toBe('https://gitlab.com/acme/tool');
+    expect(repositoryWebUrl('http://git.acme.dev/tool')).toBe('http://git.acme.dev/tool');
+    expect(repositoryWebUrl('not a repository')).toBe('not a repository');
+    expect(repositoryWebUrl('')).toBe('');
+    expect(normaliseRepoUrl('github:Acme/Tool')).toBe('github.com/acme/tool');
+  });
+});
+
+describe('readFromDeno', () => {
+  test('reads deno.jsonc with comments and trailing commas', () => {
+    expect(stripJsonComments('{"a": "//x", /* c */ "b": [1,], // end\n}')).toBe('{"a": "//x",  "b": [1] \n}');
+    expect(stripJsonComments('{"a": ",]", "b": ",\\" }", "c": [1, /* two */ ]}')).toBe('{"a": ",]", "b": ",\\" }", "c": [1  ]}');
+    write(tmpDir, 'deno.jsonc', `{
+  // JSR metadata
+  "name": "@acme/near-kit",
+  "version": "0.4.0",
+  "license": "MIT",
+}`);
+    expect(readFromDeno(tmpDir)).toMatchObject({ name: '@acme/near-kit', version: '0.4.0', license: 'MIT', keywords: [] });
+  });
+
+  test('prefers deno.json over jsr.json and returns null without either', () => {
+    expect(readFromDeno(tmpDir)).toBeNull();
+    write(tmpDir, 'jsr.json', '{"name": "@acme/jsr", "version": "1.0.0"}');
+    expect(readFromDeno(tmpDir).name).toBe('@acme/jsr');
+    write(tmpDir, 'deno.json', '{"name": "@acme/deno", "version": "1.0.0"}');
+    expect(readFromDeno(tmpDir).name).toBe('@acme/deno');
+    expect(readFromDeno(tmpDir, 'jsr.json').name).toBe('@acme/jsr');
+  });
+
+  test('reports parse errors with the file name', () => {
+    write(tmpDir, 'deno.json', '{ nope');
+    expect(() => readFromDeno(tmpDir)).toThrow(/Failed to parse deno.json/);
+  });
+});
+
+describe('readFromSetupCfg / readFromPkgInfo', () => {
+  test('parseIni handles continuations and comments', () => {
+    expect(parseIni('[metadata]\nname = demo\n# comment\nkeywords =\n    near\n    tools\n[options]\nzip-safe: false\n')).toEqual({
+      metadata: { name: 'demo', keywords: 'near\ntools' },
+      options: { zip_safe: 'false' },
+    });
+  });
+
+  test('reads [metadata] including file: directives and project_urls', () => {
+    write(tmpDir, 'VERSION', '3.1.4\n');
+    write(tmpDir, 'setup.cfg', `[metadata]
+name = near-legacy
+version = file: VERSION
+description = Legacy Python agent
+author = Jane Dev
+license = Apache-2.0
+keywords = near, agents
+long_description = file: README.rst
+project_urls =
+    Source = https://github.com/acme/legacy
+    Documentation = https://docs.acme.dev
+`);
+    expect(readFromSetupCfg(tmpDir)).toEqual({
+      name: 'near-legacy',
+      version: '3.1.4',
+      description: 'Legacy Python agent',
+      homepage: 'https://docs.acme.dev',
+      repository: 'https://github.com/acme/legacy',
+      keywords: ['near', 'agents'],
+      author: 'Jane Dev',
+      authors: ['Jane Dev'],
+      license: 'Apache-2.0',
+      readme: 'README.rst',
+    });
+  });
+
+  test('leaves attr: versions to the release tag', () => {
+    write(tmpDir, 'setup.cfg', '[metadata]\nname = x\nversion = attr: x.__version__\n');
+    expect(readFromSetupCfg(tmpDir).version).toBeUndefined();
+  });
+
+  test('reads PKG-INFO headers', () => {
+    write(tmpDir, 'PKG-INFO', `Metadata-Version: 2.4
+Name: near-sdist
+Version: 0.9.0
+Summary: Built from an sdist
+Keywords: near,sdk
+Author: Sam Dev
+License-Expression: MIT
+Project-URL: Source, https://github.com/acme/sdist
+
+Long description body: not a header
+`);
+    expect(readFromPkgInfo(tmpDir)).toMatchObject({
+      name: 'near-sdist',
+      version: '0.9.0',
+      description: 'Built from an sdist',
+      repository: 'https://github.com/acme/sdist',
+      keywords: ['near', 'sdk'],
+      author: 'Sam Dev',
+      license: 'MIT',
+    });
+  });
+});
+
+describe('readFromGoMod', () => {
+  const git = (...args) => execFileSync('git', args, { cwd: tmpDir, stdio: 'ignore' });
+
+  test('derives name, homepage and repository from the module path', () => {
+    write(tmpDir, 'go.mod', 'module github.com/acme/near-go/v2\n\ngo 1.22\n');
+    expect(readFromGoMod(tmpDir)).toMatchObject({
+      name: 'near-go',
+      version: undefined,
+      homepage: 'https://pkg.go.dev/github.com/acme/near-go/v2',
+      repository: 'https://github.com/acme/near-go',
+    });
+  });
+
+  test('takes the version from the latest matching git tag', () => {
+    write(tmpDir, 'go.mod', 'module github.com/acme/tools\n');
+    write(tmpDir, 'cli/go.mod', 'module github.com/acme/tools/cli\n');
+    git('init', '-q');
+    git('config', 'user.name', 'Dev');
+    git('config', 'user.email', 'dev@example.com');
+    git('add', '.');
+    git('commit', '-qm', 'init');
+    git('tag', 'v1.4.0');
+    git('tag', 'cli/v0.2.0');
+
+    expect(readFromGoMod(tmpDir).version).toBe('1.4.0');
+    expect(readFromGoMod(path.join(tmpDir, 'cli'))).toMatchObject({ name: 'cli', version: '0.2.0' });
+  });
+
+  test('throws without a module directive', () => {
+    write(tmpDir, 'go.mod', 'go 1.22\n');
+    expect(() => readFromGoMod(tmpDir)).toThrow(/no "module" directive/);
+  });
+});
+
+describe('readFromPom', () => {
+  test('reads coordinates, resolves properties and maps licenses', () => {
+    write(tmpDir, 'pom.xml', `<?xml version="1.0"?>
+<project xmlns="http://maven.apache.org/POM/4.0.0">
+  <parent><groupId>dev.acme</groupId><version>5.0.0</version></parent>
+  <artifactId>near-maven-plugin</artifactId>
+  <name>NEAR Maven Plugin</name>
+  <description>Deploys contracts from Maven</description>
+  <url>https://acme.dev/\${project.artifactId}</url>
+  <properties><repo.name>near-maven</repo.name></properties>
+  <scm><url>scm:git:https://github.com/acme/\${repo.name}</url></scm>
+  <licenses><license><name>The Apache Software License, Version 2.0</name></license></licenses>
+  <developers><developer><id>jd</id><name>Jane Dev</name></developer></developers>
+</project>`);
+    expect(readFromPom(tmpDir)).toMatchObject({
+      name: 'NEAR Maven Plugin',
+      version: '5.0.0',
+      description: 'Deploys contracts from Maven',
+      homepage: 'https://acme.dev/near-maven-plugin',
+      repository: 'https://github.com/acme/near-maven',
+      license: 'Apache-2.0',
+      author: 'Jane Dev',
+    });
+  });
+
+  test('takes the first of several licenses and warns', () => {
+    write(tmpDir, 'pom.xml', `<project><artifactId>dual</artifactId><version>1.0.0</version>
+  <licenses><license><name>MIT License</name></license><license><name>Apache-2.0</name></license></licenses>
+</project>`);
+    expect(readFromPom(tmpDir).license).toBe('MIT');
+    expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('pom.xml lists 2 licenses (MIT, Apache-2.0); using "MIT"'));
+  });
+
+  test('reports malformed XML with a line number', () => {
+    write(tmpDir, 'pom.xml', '<project>\n<version>1</project>');
+    expect(() => readFromPom(tmpDir)).toThrow(/Failed to parse pom.xml: .*line 2/);
+  });
+});
+
+describe('readFromDotnet', () => {
+  test('reads an SDK-style csproj', () => {
+    write(tmpDir, 'Acme.Near.csproj', `<Project Sdk="Microsoft.NET.Sdk">
+  <PropertyGroup><TargetFramework>net8.0</TargetFramework></PropertyGroup>
+  <PropertyGroup>
+    <PackageId>Acme.Near</PackageId>
+    <VersionPrefix>1.2.0</VersionPrefix>
+    <VersionSuffix>beta.1</VersionSuffix>
+    <Description>NEAR client for .NET</Description>
+    <PackageTags>near;blockchain sdk</PackageTags>
+    <Authors>Jane Dev, Sam Dev</Authors>
+    <PackageLicenseExpression>MIT</PackageLicenseExpression>
+    <RepositoryUrl>https://github.com/acme/near-dotnet</RepositoryUrl>
+    <PackageReadmeFile>README.md</PackageReadmeFile>
+  </PropertyGroup>
+</Project>`);
+    expect(readFromDotnet(tmpDir)).toMatchObject({
+      name: 'Acme.Near',
+      version: '1.2.0-beta.1',
+      description: 'NEAR client for .NET',
+      keywords: ['near', 'blockchain', 'sdk'],
+      authors: ['Jane Dev', 'Sam Dev'],
+      license: 'MIT',
+      repository: 'https://github.com/acme/near-dotnet',
+      readme: 'README.md',
+    });
+  });
+
+  test('reads a nuspec', () => {
+    write(tmpDir, 'Acme.Tool.nuspec', `<package><metadata>
+  <id>Acme.Tool</id><version>0.3.0</version><description>Tool</description>
+  <projectUrl>https://acme.dev</projectUrl><repository type="git" url="https://github.com/acme/tool"/>
+  <license type="expression">Apache-2.0</license><tags>near cli</tags>
+</metadata></package>`);
+    expect(readFromDotnet(tmpDir)).toMatchObject({
+      name: 'Acme.Tool', version: '0.3.0', homepage: 'https://acme.dev',
+      repository: 'https://github.com/acme/tool', license: 'Apache-2.0', keywords: ['near', 'cli'],
+    });
+  });
+
+  test('asks for "manifest" when several project files exist', () => {
+    write(tmpDir, 'A.csproj', '<Project><PropertyGroup><Version>1.0.0</Version></PropertyGroup></Project>');
+    write(tmpDir, 'B.csproj', '<Project/>');
+    expect(() => readFromDotnet(tmpDir)).toThrow(/several \.csproj files .*"manifest: A.csproj"/);
+    expect(readFromDotnet(tmpDir, 'A.csproj')).toMatchObject({ name: 'A', version: '1.0.0' });
+  });
+});
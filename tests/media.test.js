@@ -0,0 +1,74 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { imageInfo, readImage, collectMedia } = require('../src/media');
+const { png, gif, jpeg, webp } = require('./helpers/images');
+
+describe('imageInfo', () => {
+  test.each([
+    ['png', png(512, 512), { format: 'png', width: 512, height: 512 }],
+    ['jpeg', jpeg(1280, 720), { format: 'jpeg', width: 1280, height: 720 }],
+    ['gif', gif(800, 600), { format: 'gif', width: 800, height: 600 }],
+    ['webp (VP8X)', webp(1920, 1080), { format: 'webp', width: 1920, height: 1080 }],
+    ['svg with width / height', Buffer.from('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg" width="256px" height="256"/>'),
+      { format: 'svg', width: 256, height: 256 }],
+    ['svg with a viewBox', Buffer.from('<svg viewBox="0 0 64 48"><rect/></svg>'), { format: 'svg', width: 64, height: 48 }],
+    ['text', Buffer.from('not an image'), { format: null, width: null, height: null }],
+  ])('%s', (_, buf, expected) => {
+    expect(imageInfo(buf)).toEqual(expected);
+  });
+
+  test('reads lossless WebP dimensions', () => {
+    const buf = Buffer.alloc(25);
+    buf.write('RIFF', 0, 'ascii');
+    buf.write('WEBPVP8L', 8, 'ascii');
+    buf.writeUInt32LE((640 - 1) | ((360 - 1) << 14), 21);
+    expect(imageInfo(buf)).toEqual({ format: 'webp', width: 640, height: 360 });
+  });
+
+  test('a truncated JPEG has no dimensions', () => {
+    expect(imageInfo(Buffer.from([0xFF, 0xD8, 0xFF, 0xE0]))).toEqual({ format: 'jpeg', width: null, height: null });
+  });
+});
+
+describe('collectMedia', () => {
+  let tmpDir;
+  const write = (rel, buf) => {
+    fs.mkdirSync(path.dirname(path.join(tmpDir, rel)), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, rel), buf);
+  };
+  beforeEach(() => { tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'near-media-')); });
+  afterEach(() => { fs.rmSync(tmpDir, { recursive: true, force: true }); });
+
+  test('returns null when nothing is configured', () => {
+    expect(collectMedia(tmpDir, { icon: '', screenshots: [] })).toEqual({ media: null, messages: [] });
+  });
+
+  test('reads the icon and keeps screenshot pattern order', () => {
+    write('assets/icon.png', png(512, 512));
+    write('shots/b.png', png(1280, 720));
+    write('shots/a.png', png(1280, 720, 1));
+    write('shots/draft.png', png(1280, 720, 2));
+    write('hero.jpg', jpeg(1920, 1080));
+
+    const { media, messages } = collectMedia(tmpDir, {
+      icon: 'assets/icon.png',
+      screenshots: ['./hero.jpg', 'shots/*.png', 'shots/a.png', '!shots/draft.png'],
+    });
+    expect(media.icon).toEqual(readImage(tmpDir, 'assets/icon.png'));
+    expect(media.icon).toMatchObject({ format: 'png', mime: 'image/png', width: 512, height: 512, bytes: 33 });
+    expect(media.icon.sha256).toMatch(/^[0-9a-f]{64}$/);
+    expect(media.screenshots.map(s => s.file)).toEqual(['hero.jpg', 'shots/a.png', 'shots/b.png']);
+    expect(messages).toEqual([{ level: 'info', text: '✓ Found an icon and 3 screenshots' }]);
+  });
+
+  test('a missing path is an error, an empty glob a warning', () => {
+    expect(() => collectMedia(tmpDir, { icon: 'icon.png' })).toThrow(/Icon not found: "icon.png"/);
+    expect(() => collectMedia(tmpDir, { screenshots: ['shot.png'] })).toThrow(/Screenshot not found: "shot.png"/);
+    const { media, messages } = collectMedia(tmpDir, { screenshots: ['shots/*.png'] });
+    expect(media).toEqual({ screenshots: [] });
+    expect(messages[0]).toEqual({ level: 'warning', text: 'Screenshot pattern "shots/*.png" matched no files' });
+  });
+});
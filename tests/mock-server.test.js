@@ -0,0 +1,156 @@
+'use strict';
+
+const http = require('http');
+const { createMockMarketplace } = require('../src/mock-server');
+
+/** Minimal JSON request against the mock, without retries. */
+function request(url, { method = 'GET', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method, headers: { 'Content-Type': 'application/json', ...headers } }, (res) => {
+      let text = '';
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: text ? JSON.parse(text) : null }));
+    });
+    req.on('error', reject);
+    req.end(body === undefined ? undefined : JSON.stringify(body));
+  });
+}
+
+describe('createMockMarketplace', () => {
+  const mock = createMockMarketplace({ apiKey: 'k', rateLimit: { limit: 3, windowMs: 60000 } });
+  const auth = { Authorization: 'Bearer k' };
+
+  beforeAll(() => mock.start());
+  afterAll(() => mock.stop());
+  beforeEach(() => mock.reset());
+
+  test('creates, fetches, patches and searches listings', async () => {
+    const created = await request(`${mock.url}/listings`, { method: 'POST', headers: auth, body: { name: 'Tool', version: '1.0.0' } });
+    expect(created.status).toBe(201);
+    const { id } = created.body.data;
+
+    const patched = await request(`${mock.url}/listings/${id}`, { method: 'PATCH', headers: auth, body: { version: '1.1.0' } });
+    expect(patched.body.data).toMatchObject({ id, name: 'Tool', version: '1.1.0', owner: 'mock.near' });
+
+    const found = await request(`${mock.url}/listings?name=too`, { headers: auth });
+    expect(found.body.data.map(l => l.id)).toEqual([id]);
+  });
+
+  test('answers 401 without the API key and 404 for unknown listings', async () => {
+    expect((await request(`${mock.url}/listings`)).status).toBe(401);
+    expect((await request(`${mock.url}/listings/nope`, { headers: auth })).status).toBe(404);
+  });
+
+  test('rate limits with a Retry-After header', async () => {
+    const statuses = [];
+    for (let i = 0; i < 4; i++) statuses.push(await request(`${mock.url}/listings`, { headers: auth }));
+    expect(statuses.map(r => r.status)).toEqual([200, 200, 200, 429]);
+    expect(Number(statuses[3].headers['retry-after'])).toBeGreaterThan(0);
+  });
+});
+
+describe('lifecycle operations', () => {
+  const mock = createMockMarketplace({ apiKey: 'k' });
+  const auth = { Authorization: 'Bearer k' };
+
+  beforeAll(() => mock.start());
+  afterAll(() => mock.stop());
+  beforeEach(() => mock.reset());
+
+  test('applies lifecycle transitions and keeps them across a PUT', async () => {
+    const { id } = mock.seed({ name: 'Tool', version: '1.0.0' });
+    const op = (name, body = {}) => request(`${mock.url}/listings/${id}/${name}`, { method: 'POST', headers: auth, body });
+
+    const deprecated = await op('deprecate', { message: 'Use Tool 2', replacement: 'lst_9', audit: { actor: 'dev' } });
+    expect(deprecated.body.data).toMatchObject({
+      status: 'deprecated',
+      deprecation: { message: 'Use Tool 2', replacement: 'lst_9' },
+      history: [expect.objectContaining({ operation: 'deprecate', actor: 'dev' })],
+    });
+    const put = await request(`${mock.url}/listings/${id}`, { method: 'PUT', headers: auth, body: { name: 'Tool', version: '1.0.1' } });
+    expect(put.body.data).toMatchObject({ status: 'deprecated', version: '1.0.1' });
+
+    expect((await op('archive')).body.data.status).toBe('archived');
+    expect((await op('unpublish')).status).toBe(409);
+    const restored = await op('restore');
+    expect(restored.body.data).toMatchObject({ status: 'active', deprecation: null });
+    expect(restored.body.data.history.map(h => h.operation)).toEqual(['deprecate', 'archive', 'restore']);
+    expect((await op('restore')).body).toEqual({ error: 'listing is active' });
+    expect((await op('explode')).status).toBe(404);
+  });
+});
+
+describe('version history', () => {
+  const mock = createMockMarketplace({ apiKey: 'k' });
+  const auth = { Authorization: 'Bearer k' };
+
+  beforeAll(() => mock.start());
+  afterAll(() => mock.stop());
+  beforeEach(() => mock.reset());
+
+  test('records versions, tracks latest and falls back when it is yanked', async () => {
+    const { id } = mock.seed({ name: 'Tool', version: '1.1.0' });
+    const put = (version, body = {}) => request(`${mock.url}/listings/${id}/versions/${version}`, { method: 'PUT', headers: auth, body: { version, ...body } });
+    const op = (version, name) => request(`${mock.url}/listings/${id}/versions/${version}/${name}`, { method: 'POST', headers: auth, body: {} });
+
+    expect((await put('1.0.0', { latest: true })).status).toBe(201);
+    expect((await put('1.1.0', { latest: true })).body.latest_version).toBe('1.1.0');
+    expect((await put('1.2.0-rc.1', { prerelease: true })).body).toMatchObject({ data: { latest: false }, latest_version: '1.1.0' });
+    expect((await put('1.1.0', { version: '9.9.9' })).status).toBe(400);
+
+    const list = await request(`${mock.url}/listings/${id}/versions`, { headers: auth });
+    expect(list.body.data.map(v => [v.version, v.latest])).toEqual([['1.2.0-rc.1', false], ['1.1.0', true], ['1.0.0', false]]);
+
+    expect((await op('1.1.0', 'yank')).body.latest_version).toBe('1.0.0');
+    expect((await op('1.1.0', 'yank')).status).toBe(409);
+    expect((await op('1.1.0', 'mark-latest')).body).toEqual({ error: 'version 1.1.0 is yanked' });
+    expect((await put('1.1.0', { latest: true })).status).toBe(409);
+    expect((await op('1.1.0', 'unyank')).body.data).toMatchObject({ yanked: false, latest: false });
+    expect((await op('1.1.0', 'mark-latest')).body.latest_version).toBe('1.1.0');
+    expect((await op('3.0.0', 'yank')).status).toBe(404);
+
+    // A full replace of the listing keeps the server-managed latest version.
+    await request(`${mock.url}/listings/${id}`, { method: 'PUT', headers: auth, body: { name: 'Tool' } });
+    expect(mock.listings.get(id).latest_version).toBe('1.1.0');
+  });
+});
+
+describe('drafts', () => {
+  const mock = createMockMarketplace({ apiKey: 'k' });
+  const auth = { Authorization: 'Bearer k' };
+
+  beforeAll(() => mock.start());
+  afterAll(() => mock.stop());
+  beforeEach(() => mock.reset());
+
+  const stage = (body) => request(`${mock.url}/drafts`, { method: 'POST', headers: auth, body });
+  const publish = (id) => request(`${mock.url}/drafts/${id}/publish`, { method: 'POST', headers: auth, body: { audit: { actor: 'reviewer' } } });
+
+  test('a newer draft supersedes the open one, which can no longer be published', async () => {
+    const { id } = mock.seed({ name: 'Tool', version: '1.0.0' });
+    const first = (await stage({ listing_id: id, payload: { name: 'Tool', version: '1.1.0' }, version: { version: '1.1.0', latest: true } })).body.data;
+    const second = (await stage({ listing_id: id, payload: { name: 'Tool', version: '1.2.0' }, version: { version: '1.2.0', latest: true } })).body.data;
+    expect(second).toMatchObject({ id: 'drf_2', status: 'open', supersedes: 'drf_1', preview_url: expect.stringMatching(/\/drafts\/drf_2$/) });
+    expect(mock.listings.get(id).version).toBe('1.0.0');
+
+    const rejected = await publish(first.id);
+    expect(rejected.status).toBe(409);
+    expect(rejected.body).toEqual({ error: 'draft drf_1 was superseded by drf_2', superseded_by: 'drf_2' });
+
+    const published = await publish(second.id);
+    expect(published.body).toMatchObject({
+      data: { draft: { status: 'published', published_by: { actor: 'reviewer' } }, listing: { id, version: '1.2.0' }, version: { version: '1.2.0' } },
+      latest_version: '1.2.0',
+    });
+    expect((await publish(second.id)).body).toEqual({ error: 'draft drf_2 is already published' });
+  });
+
+  test('a draft of a new listing creates it on publish', async () => {
+    const draft = (await stage({ payload: { name: 'New Tool', version: '0.1.0' }, version: { version: '0.1.0', latest: true } })).body.data;
+    expect(mock.listings.size).toBe(0);
+    const published = await publish(draft.id);
+    expect(published.body.data.listing).toMatchObject({ id: 'lst_1', name: 'New Tool' });
+    expect((await request(`${mock.url}/drafts/${draft.id}`, { headers: auth })).body.data).toMatchObject({ status: 'published', listing_id: 'lst_1' });
+    expect((await stage({ version: { version: '1.0.0' } })).status).toBe(400);
+  });
+});
@@ -0,0 +1,225 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildPayload } = require('../src/payload');
+const { wasm } = require('./helpers/wasm');
+
+const context = {
+  owner: 'acme', repo: 'tool', ref: 'refs/tags/v2.0.0', sha: 'f00', actor: 'dev', runId: 7, viaAction: true,
+};
+
+function build(overrides = {}) {
+  return buildPayload({
+    metadata: { name: 'tool', version: '1.0.0', description: 'From manifest', keywords: ['a'] },
+    conf: {},
+    inputs: {},
+    context,
+    projectPath: '/nowhere',
+    workspaceRoot: '/nowhere',
+    now: new Date('2024-01-01T00:00:00Z'),
+    ...overrides,
+  });
+}
+
+describe('buildPayload', () => {
+  test('fills defaults and the release context', () => {
+    const { payload, messages } = build();
+    expect(payload).toMatchObject({
+      name: 'tool',
+      version: '1.0.0',
+      category: 'development',
+      license: 'MIT',
+      pricing: 'free',
+      repository: 'https://github.com/acme/tool',
+      tags: ['a'],
+      metadata: { author: 'dev', release_tag: 'refs/tags/v2.0.0', submitted_at: '2024-01-01T00:00:00.000Z', github_action: true, github_run_id: 7 },
+    });
+    expect(messages).toEqual([]);
+  });
+
+  test('inputs override the config file, which overrides the manifest', () => {
+    const { payload } = build({
+      conf: { description: 'From config', category: 'ai', tags: ['b'] },
+      inputs: { category: 'defi', tags: 'x, y' },
+    });
+    expect(payload).toMatchObject({ description: 'From config', category: 'defi', tags: ['x', 'y'] });
+  });
+
+  test.each([
+    ['acme/tool', 'https://github.com/acme/tool'],
+    ['github:acme/tool', 'https://github.com/acme/tool'],
+    ['gitlab:acme/tool', 'https://gitlab.com/acme/tool'],
+    ['git+https://github.com/acme/tool.git', 'https://github.com/acme/tool'],
+    ['git+ssh://git@github.com/acme/tool.git', 'https://github.com/acme/tool'],
+    ['git://github.com/acme/tool.git', 'https://github.com/acme/tool'],
+    ['git@github.com:acme/tool.git', 'https://github.com/acme/tool'],
+    ['https://github.com/Acme/Tool', 'https://github.com/Acme/Tool'],
+  ])('sends the manifest repository %s as %s', (repository, url) => {
+    expect(build({ metadata: { name: 'tool', version: '1.0.0', repository } }).payload.repository).toBe(url);
+  });
+
+  test('tells where each field came from', () => {
+    const { sources } = build({
+      metadata: { name: 'tool', description: 'From manifest', keywords: ['a'] },
+      conf: { description: 'From config', 'long-description': '# Tool' },
+      inputs: { category: 'defi' },
+    });
+    expect(sources).toMatchObject({
+      name:        { source: 'manifest', key: 'name' },
+      version:     { source: 'tag', key: null },
+      description: { source: 'config', key: 'description' },
+      category:    { source: 'input', key: 'category' },
+      tags:        { source: 'manifest', key: 'keywords' },
+      license:     { source: 'default', key: null },
+      long_description: { source: 'config', key: 'long-description' },
+    });
+  });
+
+  test('adds inferred tags after the manual ones and infers the category on request', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'near-action-payload-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'Cargo.toml'), '[lib]\ncrate-type = ["cdylib"]\n\n[dependencies]\nnear-sdk = "5"\n');
+      const { payload, messages, sources } = build({ projectPath: dir, inputs: { infer: 'true', tags: 'NEAR, Counter App' } });
+      expect(payload.tags).toEqual(['near', 'counter-app', 'smart-contract', 'rust', 'wasm']);
+      expect(payload.category).toBe('blockchain');
+      expect(sources.category).toEqual({ source: 'inferred', key: null });
+      expect(messages[0].text).toMatch(/Inferred tags .* and category blockchain from near-sdk dependency/);
+
+      expect(build({ projectPath: dir, conf: { infer: true, category: 'ai' } }).payload.category).toBe('ai');
+      expect(build({ projectPath: dir }).payload.tags).toEqual(['a']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('describes the contract build and records its hash in the version entry', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'near-action-payload-'));
+    try {
+      fs.mkdirSync(path.join(dir, 'target', 'near'), { recursive: true });
+      fs.writeFileSync(path.join(dir, 'target', 'near', 'tool.wasm'), wasm(['get_num']));
+      const { payload, versionEntry, sources } = build({
+        projectPath: dir,
+        conf: { 'contract-accounts': { mainnet: 'tool.near' } },
+        inputs: { 'contract-accounts': 'testnet=tool.testnet' },
+      });
+      expect(payload.contract).toMatchObject({ methods: [{ name: 'get_num' }], accounts: { testnet: 'tool.testnet' } });
+      expect(versionEntry.contract).toEqual({ sha256: payload.contract.wasm.sha256, code_hash: payload.contract.wasm.code_hash });
+      expect(sources.contract_accounts).toEqual({ source: 'input', key: 'contract-accounts' });
+      expect(build({ projectPath: dir, inputs: { 'contract-wasm': 'none' } }).payload.contract).toBeUndefined();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('reads changelog-file from the config when the input is not set', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'near-action-payload-'));
+    try {
+      fs.mkdirSync(path.join(dir, 'docs'));
+      fs.writeFileSync(path.join(dir, 'docs', 'CHANGES.md'), '## [1.0.0]\n\n- First release\n');
+      fs.writeFileSync(path.join(dir, 'CHANGELOG.md'), '## [1.0.0]\n\n- Wrong file\n');
+      const { payload, sources } = build({ projectPath: dir, changelogSource: 'file', conf: { 'changelog-file': 'docs/CHANGES.md' } });
+      expect(payload.changelog).toBe('- First release');
+      expect(sources.changelog).toEqual({ source: 'config', key: 'changelog-file' });
+      expect(build({ projectPath: dir, changelogSource: 'file' }).payload.changelog).toBe('- Wrong file');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('adds install commands for the manifest registry and the release downloads', () => {
+    const release = { assets: [{ name: 'tool.tgz', browser_download_url: 'https://github.com/acme/tool/releases/download/v1.0.0/tool.tgz', size: 10 }] };
+    const { payload } = build({
+      metadata: { name: 'tool', version: '1.0.0', manifest: 'package.json' },
+      context: { ...context, release },
+      inputs: { name: 'Tool', registries: 'jsr=@acme/tool' },
+    });
+    expect(payload.install.registries.map(r => r.command)).toEqual(['npm i tool@1.0.0', 'deno add jsr:@acme/tool@1.0.0']);
+    expect(payload.install.downloads).toEqual([expect.objectContaining({ name: 'tool.tgz', size: 10, sha256: null })]);
+    expect(build().payload.install).toBeUndefined();
+  });
+
+  test('sends translations with the default locale and records translated changelogs with the version', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'near-action-payload-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'README.md'), '# Tool\n');
+      fs.writeFileSync(path.join(dir, 'README.de.md'), '# Werkzeug\n');
+      const { payload, versionEntry, sources, messages } = build({
+        projectPath: dir,
+        workspaceRoot: dir,
+        conf: { 'default-locale': 'en_GB', locales: { de: { changelog: 'Fehler behoben' } } },
+        inputs: { 'long-description-file': 'README.md', changelog: 'Fixed bugs', locales: 'de: { description: Ein Werkzeug }' },
+      });
+      expect(payload.default_locale).toBe('en-GB');
+      expect(payload.locales).toEqual({ de: { description: 'Ein Werkzeug', changelog: 'Fehler behoben', long_description: '# Werkzeug' } });
+      expect(versionEntry.locales).toEqual({ de: { changelog: 'Fehler behoben' } });
+      expect(sources.locales).toEqual({ source: 'input', key: 'locales' });
+      expect(messages).toContainEqual({ level: 'info', text: '✓ Localized listing in de (from README.de.md)' });
+
+      const plain = build();
+      expect(plain.payload).not.toHaveProperty('locales');
+      expect(plain.payload).not.toHaveProperty('default_locale');
+      expect(plain.versionEntry).not.toHaveProperty('locales');
+      expect(() => build({ inputs: { 'default-locale': 'english' } })).toThrow('Invalid "default-locale": "english"');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('falls back to the tag for the version', () => {
+    const { payload } = build({ metadata: { name: 'tool' } });
+    expect(payload.version).toBe('2.0.0');
+  });
+
+  test('strips a configured tag prefix and describes the release', () => {
+    const { payload, release } = build({
+      metadata: { name: 'tool' },
+      context: { ...context, ref: 'refs/tags/cli-v3.1.0' },
+      conf: { 'tag-prefix': 'cli-v' },
+    });
+    expect(payload.version).toBe('3.1.0');
+    expect(release).toEqual({ tag: 'cli-v3.1.0', tagVersion: '3.1.0', prefixes: ['cli-v'] });
+  });
+
+  test('detects prereleases and routes them to the beta channel on request', () => {
+    expect(build({ metadata: { name: 'tool', version: '2.0.0-rc.1' } })).toMatchObject({ prerelease: true, policy: 'skip' });
+    expect(build({ context: { ...context, release: { prerelease: true } } }).prerelease).toBe(true);
+
+    const beta = build({ metadata: { name: 'tool', version: '2.0.0-rc.1' }, inputs: { prerelease: 'beta' } });
+    expect(beta.payload.channel).toBe('beta');
+    expect(build({ inputs: { prerelease: 'beta' } }).payload.channel).toBe('stable');
+    expect(build().payload).not.toHaveProperty('channel');
+    expect(() => build({ inputs: { prerelease: 'sometimes' } })).toThrow(/Invalid "prerelease"/);
+  });
+
+  test('describes the release as a version history entry', () => {
+    expect(build({ inputs: { changelog: 'Fixes', 'min-near-version': '2.1.0' } }).versionEntry).toEqual({
+      version: '1.0.0',
+      changelog: 'Fixes',
+      released_at: '2024-01-01T00:00:00.000Z',
+      min_near_version: '2.1.0',
+      prerelease: false,
+      latest: true,
+      metadata: { release_tag: 'refs/tags/v2.0.0', github_sha: 'f00', github_run_id: 7 },
+    });
+    const rc = build({
+      metadata: { name: 'tool', version: '2.0.0-rc.1' },
+      inputs: { prerelease: 'beta' },
+      context: { ...context, release: { published_at: '2024-02-03T04:05:06Z' } },
+    }).versionEntry;
+    expect(rc).toMatchObject({ prerelease: true, latest: false, channel: 'beta', released_at: '2024-02-03T04:05:06Z' });
+  });
+
+  test('loads the long description and reports it as a message', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'near-payload-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'README.md'), '# Tool\n\nLong text.\n');
+      const { payload, messages } = build({ projectPath: dir, workspaceRoot: dir, inputs: { 'long-description-file': 'auto' } });
+      expect(payload.long_description).toBe('# Tool\n\nLong text.');
+      expect(messages).toEqual([{ level: 'info', text: '✓ Loaded long description from README.md' }]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,221 @@
+'use strict';
+
+const mockSummary = { addRaw: jest.fn(), write: jest.fn() };
+mockSummary.addRaw.mockReturnValue(mockSummary);
+mockSummary.write.mockResolvedValue(mockSummary);
+
+jest.mock('@actions/core', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warning: jest.fn(),
+  setOutput: jest.fn(),
+  summary: mockSummary,
+}));
+
+const mockOctokit = {
+  paginate: jest.fn(),
+  rest: {
+    issues: {
+      listComments: jest.fn(),
+      createComment: jest.fn(),
+      updateComment: jest.fn(),
+    },
+  },
+};
+
+jest.mock('@actions/github', () => ({
+  context: {
+    repo: { owner: 'testowner', repo: 'testrepo' },
+    ref: 'refs/tags/v1.0.0',
+    sha: 'abc123',
+    runId: 42,
+    payload: {},
+  },
+  getOctokit: jest.fn(() => mockOctokit),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const core = require('@actions/core');
+const github = require('@actions/github');
+const {
+  COMMENT_MARKER,
+  createReport,
+  renderReport,
+  publishReport,
+  buildReportFile,
+  writeReportFiles,
+} = require('../src/report');
+
+function sampleReport() {
+  return Object.assign(createReport('.'), {
+    payload: { name: 'tool', version: '1.0.0', description: 'Does | things\nwell', tags: ['a', 'b'] },
+    warnings: ['Optional field "homepage" is not set'],
+    diff: [{ path: 'version', kind: 'changed', before: '0.9.0', after: '1.0.0' }],
+    status: 'updated',
+    listingId: 'L1',
+    listingUrl: 'https://market.test/listing/L1',
+  });
+}
+
+describe('renderReport', () => {
+  test('renders status, warnings, diff and payload table', () => {
+    const md = renderReport([sampleReport()]);
+    expect(md).toContain('### ✅ tool 1.0.0');
+    expect(md).toContain('[View listing](https://market.test/listing/L1)');
+    expect(md).toContain('- Optional field "homepage" is not set');
+    expect(md).toContain('| `version` | 0.9.0 | 1.0.0 |');
+    expect(md).toContain('| Description | Does \\| things well |');
+    expect(md).toContain('| Tags | a, b |');
+  });
+
+  test('renders validation errors and failures', () => {
+    const failed = Object.assign(createReport('packages/x'), {
+      payload: { name: 'x' }, errors: ['Required field "version" is missing'], status: 'error', error: 'Payload validation failed',
+    });
+    const md = renderReport([sampleReport(), failed], { dryRun: true });
+    expect(md).toContain('_Dry run');
+    expect(md).toContain('| `packages/x` | ❌ `error` | — |');
+    expect(md).toContain('**❌ Validation errors**');
+    expect(md).toContain('- Required field "version" is missing');
+  });
+
+  test('links the preview of a staged draft', () => {
+    const drafted = Object.assign(sampleReport(), { status: 'drafted', draftId: 'D-1', draftUrl: 'https://market.test/drafts/D-1' });
+    const md = renderReport([drafted]);
+    expect(md).toContain('### 📝 tool 1.0.0');
+    expect(md).toContain('**Draft:** `D-1` · [Preview draft](https://market.test/drafts/D-1)');
+  });
+});
+
+describe('publishReport', () => {
+  const env = process.env.GITHUB_STEP_SUMMARY;
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockSummary.addRaw.mockReturnValue(mockSummary);
+    mockSummary.write.mockResolvedValue(mockSummary);
+    github.context.payload = {};
+  });
+  afterEach(() => {
+    if (env === undefined) delete process.env.GITHUB_STEP_SUMMARY;
+    else process.env.GITHUB_STEP_SUMMARY = env;
+  });
+
+  test('writes the job summary when running in Actions', async () => {
+    process.env.GITHUB_STEP_SUMMARY = '/tmp/summary.md';
+    await publishReport([sampleReport()], { jobSummary: true });
+    expect(mockSummary.addRaw).toHaveBeenCalledWith(expect.stringContaining('NEAR Marketplace'), true);
+    expect(mockSummary.write).toHaveBeenCalled();
+  });
+
+  test('skips the job summary outside Actions', async () => {
+    delete process.env.GITHUB_STEP_SUMMARY;
+    await publishReport([sampleReport()], { jobSummary: true });
+    expect(mockSummary.write).not.toHaveBeenCalled();
+  });
+
+  test('creates a sticky PR comment', async () => {
+    github.context.payload = { pull_request: { number: 7 } };
+    mockOctokit.paginate.mockResolvedValue([{ id: 1, body: 'unrelated' }]);
+    mockOctokit.rest.issues.createComment.mockResolvedValue({ data: { html_url: 'https://gh/c/2' } });
+    await publishReport([sampleReport()], { prComment: true, githubToken: 't' });
+    expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(expect.objectContaining({
+      issue_number: 7, body: expect.stringMatching(new RegExp(`^${COMMENT_MARKER}`)),
+    }));
+    expect(core.info).toHaveBeenCalledWith('💬 PR comment: https://gh/c/2');
+  });
+
+  test('updates the existing sticky comment', async () => {
+    github.context.payload = { pull_request: { number: 7 } };
+    mockOctokit.paginate.mockResolvedValue([{ id: 5, body: `${COMMENT_MARKER}\nold` }]);
+    mockOctokit.rest.issues.updateComment.mockResolvedValue({ data: { html_url: 'https://gh/c/5' } });
+    await publishReport([sampleReport()], { prComment: true, githubToken: 't' });
+    expect(mockOctokit.rest.issues.updateComment).toHaveBeenCalledWith(expect.objectContaining({ comment_id: 5 }));
+    expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+  });
+
+  test('keyed comments do not collide', async () => {
+    github.context.payload = { pull_request: { number: 7 } };
+    mockOctokit.paginate.mockResolvedValue([{ id: 5, body: `${COMMENT_MARKER}\nold` }]);
+    mockOctokit.rest.issues.createComment.mockResolvedValue({ data: { html_url: 'u' } });
+    await publishReport([sampleReport()], { prComment: true, githubToken: 't', commentKey: 'packages/cli' });
+    expect(mockOctokit.rest.issues.createComment).toHaveBeenCalled();
+  });
+
+  test('comment failures only warn', async () => {
+    github.context.payload = { pull_request: { number: 7 } };
+    mockOctokit.paginate.mockRejectedValue(new Error('Resource not accessible by integration'));
+    await expect(publishReport([sampleReport()], { prComment: true, githubToken: 't' })).resolves.toBeUndefined();
+    expect(core.warning).toHaveBeenCalledWith(expect.stringMatching(/Could not post PR comment/));
+  });
+
+  test('does nothing for the comment outside pull requests', async () => {
+    await publishReport([sampleReport()], { prComment: true, githubToken: 't' });
+    expect(mockOctokit.paginate).not.toHaveBeenCalled();
+  });
+});
+
+describe('report files', () => {
+  let tmpDir;
+  const runnerTemp = process.env.RUNNER_TEMP;
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'near-action-report-'));
+    process.env.RUNNER_TEMP = tmpDir;
+  });
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    if (runnerTemp === undefined) delete process.env.RUNNER_TEMP;
+    else process.env.RUNNER_TEMP = runnerTemp;
+  });
+
+  function located() {
+    return Object.assign(sampleReport(), {
+      findings: [{ rule: 'recommended-fields', severity: 'warn', message: 'Optional field "homepage" is not set', field: 'homepage', location: { file: 'package.json', line: 1 } }],
+      response: { data: { id: 'L1' } },
+      latestVersion: '1.0.0',
+      timings: { read: 5, validate: 1, submit: 30 },
+    });
+  }
+
+  test('describes the run and each package', () => {
+    const data = buildReportFile([located()], {
+      operation: 'submit', startedAt: new Date('2024-01-01T00:00:00Z'), now: new Date('2024-01-01T00:00:02Z'),
+    });
+    expect(data.run).toEqual({
+      repository: 'testowner/testrepo', ref: 'refs/tags/v1.0.0', sha: 'abc123', run_id: 42, operation: 'submit', dry_run: false,
+      started_at: '2024-01-01T00:00:00.000Z', finished_at: '2024-01-01T00:00:02.000Z',
+    });
+    expect(data.packages[0]).toMatchObject({
+      label: '.',
+      status: 'updated',
+      listing_id: 'L1',
+      latest_version: '1.0.0',
+      error: null,
+      payload: { name: 'tool' },
+      validation: { errors: [], findings: [expect.objectContaining({ rule: 'recommended-fields' })] },
+      diff: [expect.objectContaining({ path: 'version' })],
+      response: { data: { id: 'L1' } },
+      timings_ms: { read: 5, validate: 1, submit: 30, total: 36 },
+    });
+  });
+
+  test('writes JSON and SARIF under RUNNER_TEMP and sets the outputs', () => {
+    const { reportPath, sarifPath } = writeReportFiles([located()], {});
+    expect(reportPath).toBe(path.join(tmpDir, 'near-marketplace', 'report.json'));
+    expect(JSON.parse(fs.readFileSync(reportPath, 'utf8')).packages).toHaveLength(1);
+    expect(JSON.parse(fs.readFileSync(sarifPath, 'utf8')).runs[0].results[0].ruleId).toBe('recommended-fields');
+    expect(core.setOutput).toHaveBeenCalledWith('report-path', reportPath);
+    expect(core.setOutput).toHaveBeenCalledWith('sarif-path', sarifPath);
+  });
+
+  test('honours explicit paths and only warns when writing fails', () => {
+    const reportFile = path.join(tmpDir, 'out', 'near.json');
+    expect(writeReportFiles([located()], { reportFile, sarifFile: path.join(tmpDir, 'near.sarif') }).reportPath).toBe(reportFile);
+
+    fs.writeFileSync(path.join(tmpDir, 'file'), '');
+    expect(writeReportFiles([located()], { reportFile: path.join(tmpDir, 'file', 'report.json') })).toBeNull();
+    expect(core.warning).toHaveBeenCalledWith(expect.stringMatching(/^Could not write report file/));
+  });
+});
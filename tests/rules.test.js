@@ -0,0 +1,164 @@
+'use strict';
+
+const { RULES, runRules, checkMarkdown, LIMITS } = require('../src/rules');
+
+const valid = {
+  name: 'tool',
+  version: '1.0.0',
+  description: 'A tool that does things',
+  category: 'development',
+  repository: 'git+https://github.com/a/b.git',
+  homepage: 'https://example.com',
+  long_description: '# Tool\n\nSee [docs](https://example.com/docs).',
+  changelog: 'Fixed bugs',
+  license: 'MIT',
+  pricing: 'free',
+  tags: ['near', 'cli-tools'],
+};
+
+const rulesHit = (payload, overrides) => runRules(payload, overrides).map(f => f.rule);
+
+describe('runRules', () => {
+  test('a complete payload passes every rule', () => {
+    expect(runRules(valid)).toEqual([]);
+  });
+
+  test('rule IDs are unique', () => {
+    const ids = RULES.map(r => r.id);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  test.each([
+    ['version-semver', { version: '1.0' }, 'warn'],
+    ['license-spdx', { license: 'MIT/X11' }, 'warn'],
+    ['category-allowed', { category: 'ai-tools' }, 'error'],
+    ['pricing-allowed', { pricing: 'cheap' }, 'error'],
+    ['url-format', { homepage: 'example.com' }, 'error'],
+    ['tags-count', { tags: Array.from({ length: LIMITS.tags + 1 }, (_, i) => `t${i}`) }, 'error'],
+    ['tags-length', { tags: ['x'.repeat(LIMITS.tagLength + 1)] }, 'error'],
+    ['tags-charset', { tags: ['NEAR Protocol'] }, 'warn'],
+    ['description-length', { description: 'Tiny' }, 'warn'],
+    ['long-description-markdown', { long_description: '```js\ncode' }, 'warn'],
+    ['contract-accounts', { contract: { accounts: { mainnet: 'Counter.near' } } }, 'error'],
+    ['locale-fields', { locales: { de: { description: 'Ein Werkzeug, das Dinge tut', long_description: '# Werkzeug' } } }, 'warn'],
+    ['locale-length', { locales: { de: { description: 'Kurz', long_description: '# Werkzeug', changelog: 'Neu' } } }, 'warn'],
+  ])('%s', (rule, change, severity) => {
+    const findings = runRules({ ...valid, ...change });
+    expect(findings).toEqual([expect.objectContaining({ rule, severity })]);
+  });
+
+  test('checks every locale against the default text and the length limits', () => {
+    const findings = runRules({
+      ...valid,
+      default_locale: 'en',
+      locales: {
+        de: { description: 'Ein Werkzeug, das Dinge tut', long_description: '# Werkzeug', changelog: 'Fehler behoben' },
+        fr: { description: 'x'.repeat(LIMITS.descriptionMax + 1), long_description: 'x'.repeat(LIMITS.longDescriptionMax + 1) },
+      },
+    });
+    expect(findings.map(f => [f.rule, f.field, f.message])).toEqual([
+      ['locale-fields', 'locales', 'Locale "fr" has no changelog; readers see the en text instead.'],
+      ['locale-length', 'locales', `Description (fr) is ${LIMITS.descriptionMax + 1} characters; the limit is ${LIMITS.descriptionMax}.`],
+      ['locale-length', 'locales', `Long description (fr) is ${LIMITS.longDescriptionMax + 1} characters; the limit is ${LIMITS.longDescriptionMax}.`],
+    ]);
+  });
+
+  test('findings name the payload field they concern', () => {
+    const findings = runRules({ ...valid, license: 'MIT/X11', homepage: 'example.com', description: '' });
+    expect(findings.map(f => [f.rule, f.field])).toEqual(expect.arrayContaining([
+      ['license-spdx', 'license'],
+      ['url-format', 'homepage'],
+      ['required-fields', 'description'],
+    ]));
+  });
+
+  test('accepts SPDX expressions and npm license conventions', () => {
+    for (const license of ['Apache-2.0 OR MIT', '(MIT AND BSD-3-Clause)', 'LicenseRef-Proprietary', 'UNLICENSED', 'SEE LICENSE IN LICENSE.txt']) {
+      expect(rulesHit({ ...valid, license })).toEqual([]);
+    }
+  });
+
+  test('overrides change severity or disable a rule', () => {
+    const payload = { ...valid, license: 'Proprietary', category: 'tools' };
+    expect(runRules(payload, { 'license-spdx': 'error', 'category-allowed': 'off' }))
+      .toEqual([expect.objectContaining({ rule: 'license-spdx', severity: 'error' })]);
+  });
+
+  test('required fields stay errors whatever the overrides say', () => {
+    const findings = runRules({ ...valid, name: '', version: '' }, { 'required-fields': 'off' });
+    expect(findings.map(f => [f.rule, f.severity, f.field])).toEqual([
+      ['required-fields', 'error', 'name'],
+      ['required-fields', 'error', 'version'],
+    ]);
+    expect(runRules({ ...valid, name: '' }, { 'required-fields': 'warn' })[0].severity).toBe('error');
+  });
+});
+
+describe('version-tag-match', () => {
+  const release = (tag, tagVersion, prefixes = []) => ({ tag, tagVersion, prefixes });
+  const hit = (payload, r) => runRules({ ...valid, ...payload }, {}, r).filter(f => f.rule === 'version-tag-match');
+
+  test('passes when the version matches the tag or there is no tag', () => {
+    expect(hit({}, release('v1.0.0', '1.0.0'))).toEqual([]);
+    expect(hit({ version: '1.0.0+build.7' }, release('v1.0.0', '1.0.0'))).toEqual([]);
+    expect(hit({}, null)).toEqual([]);
+  });
+
+  test('fails on a mismatch or a tag without the configured prefix', () => {
+    expect(hit({}, release('v1.2.0', '1.2.0'))).toEqual([
+      expect.objectContaining({ severity: 'error', message: expect.stringMatching(/"1\.0\.0" does not match the release tag "v1\.2\.0"/) }),
+    ]);
+    expect(hit({}, release('web-v1.0.0', null, ['cli-v']))).toEqual([
+      expect.objectContaining({ message: expect.stringMatching(/does not start with a tag-prefix \(cli-v\)/) }),
+    ]);
+  });
+});
+
+describe('media rules', () => {
+  const image = (file, format, width, height, bytes = 1000) => ({ file, format, width, height, bytes, sha256: 'x' });
+  const hit = (media) => runRules({ ...valid, media }).map(f => `${f.rule}: ${f.message}`);
+
+  test('accept a square icon and large enough screenshots', () => {
+    expect(hit({ icon: image('icon.svg', 'svg', 48, 48), screenshots: [image('a.png', 'png', 1280, 720)] })).toEqual([]);
+  });
+
+  test('check format, dimensions and size of local images', () => {
+    expect(hit({
+      icon: image('icon.gif', 'gif', 512, 512),
+      screenshots: [image('a.txt', null, null, null), image('b.png', 'png', 320, 200), image('c.png', 'png', 1280, 720, LIMITS.screenshotMaxBytes + 1)],
+    })).toEqual([
+      'media-format: Icon "icon.gif" is a gif image; expected png, jpeg, webp, svg.',
+      'media-format: Screenshot "a.txt" is not a recognised image; expected png, jpeg, webp, gif.',
+      expect.stringMatching(/^media-dimensions: Screenshot "b.png" is 320×200; screenshots must be at least 640×360/),
+      expect.stringMatching(/^media-size: Screenshot "c.png" is 5\.0 MB; the limit is 5\.0 MB\.$/),
+    ]);
+    expect(hit({ icon: image('icon.png', 'png', 512, 256), screenshots: [] })).toEqual([
+      'media-dimensions: Icon "icon.png" is 512×256; it must be square.',
+    ]);
+    expect(hit({ icon: image('icon.png', 'png', 64, 64), screenshots: [] })).toEqual([
+      expect.stringMatching(/^media-dimensions: Icon "icon.png" is 64×64; use 128–1024 px/),
+    ]);
+  });
+
+  test('limit the number of screenshots and skip uploaded images', () => {
+    const uploaded = { url: 'https://cdn.test/a.png', sha256: 'x', width: 10, height: 10 };
+    expect(hit({ icon: uploaded, screenshots: Array(LIMITS.screenshots + 1).fill(uploaded) })).toEqual([
+      `media-size: ${LIMITS.screenshots + 1} screenshots given; the marketplace shows at most ${LIMITS.screenshots}.`,
+    ]);
+  });
+});
+
+describe('checkMarkdown', () => {
+  test('flags empty and relative links but ignores code', () => {
+    const problems = checkMarkdown('[a]() and ![img](docs/a.png)\n\n```\n[x](relative.md)\n```\n`[y]()`');
+    expect(problems).toEqual([
+      expect.stringMatching(/empty target/),
+      expect.stringMatching(/relative links .*docs\/a\.png\.$/),
+    ]);
+  });
+
+  test('flags script tags and oversized text', () => {
+    expect(checkMarkdown('<script>alert(1)</script>')).toEqual([expect.stringMatching(/<script>/)]);
+    expect(checkMarkdown('a'.repeat(LIMITS.longDescriptionMax + 1))).toEqual([expect.stringMatching(/limit/)]);
+  });
+});
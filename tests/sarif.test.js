@@ -0,0 +1,98 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { workflowPath, locateFindings, toSarif } = require('../src/sarif');
+
+describe('locateFindings', () => {
+  let workspace;
+  let ctx;
+  beforeEach(() => {
+    workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'near-action-sarif-'));
+    fs.mkdirSync(path.join(workspace, '.github/workflows'), { recursive: true });
+    fs.mkdirSync(path.join(workspace, 'pkg'));
+    fs.writeFileSync(path.join(workspace, 'pkg/package.json'),
+      '{\n  "name": "tool",\n  "version": "1.0.0",\n  "license": "MIT/X11",\n  "keywords": ["NEAR"]\n}\n');
+    fs.writeFileSync(path.join(workspace, 'pkg/.near-marketplace.yml'), 'pricing: free\ncategory: tools\n');
+    fs.writeFileSync(path.join(workspace, '.github/workflows/release.yml'),
+      'jobs:\n  publish:\n    steps:\n      - uses: near/marketplace@v2\n        with:\n          description: Tiny\n');
+    ctx = {
+      workspace,
+      manifestPath:    path.join(workspace, 'pkg/package.json'),
+      configPath:      path.join(workspace, 'pkg/.near-marketplace.yml'),
+      configPositions: { pricing: { line: 1, column: 10 }, category: { line: 2, column: 11 } },
+      sources: {
+        category:    { source: 'config', key: 'category' },
+        description: { source: 'input', key: 'description' },
+        license:     { source: 'manifest', key: 'license' },
+        tags:        { source: 'manifest', key: 'keywords' },
+        homepage:    { source: 'default', key: null },
+      },
+      workflowPath: '.github/workflows/release.yml',
+    };
+  });
+  afterEach(() => { fs.rmSync(workspace, { recursive: true, force: true }); });
+
+  const finding = (rule, field) => ({ rule, severity: 'error', message: 'm', field });
+
+  test('points at the config key, workflow input or manifest field that set the value', () => {
+    const located = locateFindings([
+      finding('category-allowed', 'category'),
+      finding('description-length', 'description'),
+      finding('license-spdx', 'license'),
+      finding('tags-charset', 'tags'),
+    ], ctx);
+    expect(located.map(f => f.location)).toEqual([
+      { file: 'pkg/.near-marketplace.yml', line: 2, column: 11 },
+      { file: '.github/workflows/release.yml', line: 6 },
+      { file: 'pkg/package.json', line: 4 },
+      { file: 'pkg/package.json', line: 5 },
+    ]);
+  });
+
+  test('falls back to the top of the manifest and keeps existing locations', () => {
+    const located = locateFindings([
+      finding('recommended-fields', 'homepage'),
+      finding('media-format', null),
+      { ...finding('config-schema', null), location: { file: path.join(workspace, 'pkg/.near-marketplace.yml'), line: 2, column: 11 } },
+    ], { ...ctx, workflowPath: null });
+    expect(located.map(f => f.location)).toEqual([
+      { file: 'pkg/package.json', line: 1 },
+      { file: 'pkg/package.json', line: 1 },
+      { file: 'pkg/.near-marketplace.yml', line: 2, column: 11 },
+    ]);
+  });
+
+  test('has no location without a manifest or config file', () => {
+    expect(locateFindings([finding('tags-count', 'tags')], { workspace })[0].location).toBeNull();
+  });
+});
+
+describe('workflowPath', () => {
+  test('reads the workflow file from GITHUB_WORKFLOW_REF', () => {
+    expect(workflowPath({ GITHUB_WORKFLOW_REF: 'acme/tool/.github/workflows/release.yml@refs/tags/v1.0.0' }))
+      .toBe('.github/workflows/release.yml');
+    expect(workflowPath({})).toBeNull();
+  });
+});
+
+describe('toSarif', () => {
+  test('reports located findings once with their rule and level', () => {
+    const located = { rule: 'license-spdx', severity: 'warn', message: 'not SPDX', location: { file: 'package.json', line: 4 } };
+    const sarif = toSarif([
+      { findings: [located, { rule: 'tags-count', severity: 'error', message: 'too many', location: null }] },
+      { findings: [{ ...located }] },
+    ]);
+    expect(sarif.version).toBe('2.1.0');
+    const [run] = sarif.runs;
+    expect(run.tool.driver.rules.map(r => r.id)).toEqual(expect.arrayContaining(['license-spdx', 'config-schema']));
+    expect(run.results).toEqual([{
+      ruleId: 'license-spdx',
+      ruleIndex: run.tool.driver.rules.findIndex(r => r.id === 'license-spdx'),
+      level: 'warning',
+      message: { text: 'not SPDX' },
+      locations: [{ physicalLocation: { artifactLocation: { uri: 'package.json', uriBaseId: '%SRCROOT%' }, region: { startLine: 4 } } }],
+    }]);
+  });
+});
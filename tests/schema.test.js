@@ -0,0 +1,60 @@
+'use strict';
+
+const { validate, formatPath } = require('../src/schema');
+
+describe('schema.validate', () => {
+  const schema = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['name'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      pricing: { type: 'string', enum: ['free', 'paid'] },
+      homepage: { type: 'string', format: 'uri' },
+      tags: { type: 'array', maxItems: 2, items: { type: 'string', pattern: '^[a-z-]+$' } },
+    },
+  };
+
+  test('accepts a valid document', () => {
+    expect(validate(schema, { name: 'x', pricing: 'free', homepage: 'https://a.b', tags: ['a'] })).toEqual([]);
+  });
+
+  test('reports paths for nested problems', () => {
+    const problems = validate(schema, { name: '', tags: ['ok', 'Bad!', 'c'], extra: 1 });
+    expect(problems.map(p => formatPath(p.path))).toEqual(['name', 'tags', 'tags[1]', 'extra']);
+    expect(problems[0].message).toMatch(/must not be empty/);
+    expect(problems[3].message).toMatch(/Unknown property "extra"/);
+  });
+
+  test('reports type mismatches, enums, URIs and required keys', () => {
+    const messages = validate(schema, { pricing: 'cheap', homepage: 'example.com' }).map(p => p.message);
+    expect(messages).toEqual([
+      'Missing required property "name"',
+      '"pricing" must be one of: free, paid (got "cheap")',
+      '"homepage" must be an absolute URL',
+    ]);
+    expect(validate(schema, [])[0].message).toMatch(/must be of type object, got array/);
+  });
+
+  test('reports a failed oneOf once and a wrong type without further checks', () => {
+    const shapes = {
+      type: 'object',
+      properties: {
+        icon: { oneOf: [{ type: 'string', minLength: 1 }, { type: 'object', required: ['url'] }] },
+        pricing: { type: 'string', enum: ['free', 'paid'] },
+      },
+    };
+    expect(validate(shapes, { icon: 3, pricing: 7 })).toEqual([
+      { path: ['icon'], message: '"icon" must match exactly one allowed shape' },
+      { path: ['pricing'], message: '"pricing" must be of type string, got integer' },
+    ]);
+  });
+
+  test('supports every draft-07 keyword', () => {
+    const strict = { type: 'array', uniqueItems: true, items: { type: 'integer', multipleOf: 5 } };
+    expect(validate(strict, [5, 5, 7]).map(p => p.message)).toEqual([
+      'Value must NOT have duplicate items (items ## 1 and 0 are identical)',
+      '"[2]" must be multiple of 5',
+    ]);
+  });
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+const { parseSemver, compareSemver, isPrerelease, versionFromTag } = require('../src/semver');
+
+describe('parseSemver', () => {
+  test('parses prerelease and build metadata', () => {
+    expect(parseSemver('1.2.3-beta.1+build.5')).toEqual({
+      major: 1, minor: 2, patch: 3, prerelease: ['beta', '1'], build: ['build', '5'],
+    });
+    expect(parseSemver('0.0.0')).toMatchObject({ prerelease: [], build: [] });
+  });
+
+  test.each(['1.2', 'v1.2.3', '01.2.3', '1.2.3-', '1.2.3-01', '1.2.3+', 'latest', ''])('rejects %p', (version) => {
+    expect(parseSemver(version)).toBeNull();
+  });
+});
+
+describe('compareSemver', () => {
+  test('follows semver precedence', () => {
+    const ordered = [
+      '1.0.0-alpha', '1.0.0-alpha.1', '1.0.0-alpha.beta', '1.0.0-beta', '1.0.0-beta.2',
+      '1.0.0-beta.11', '1.0.0-rc.1', '1.0.0', '1.0.1', '1.1.0', '2.0.0',
+    ];
+    for (let i = 1; i < ordered.length; i++) {
+      expect(compareSemver(ordered[i - 1], ordered[i])).toBe(-1);
+      expect(compareSemver(ordered[i], ordered[i - 1])).toBe(1);
+    }
+  });
+
+  test('ignores build metadata and rejects invalid versions', () => {
+    expect(compareSemver('1.0.0+a', '1.0.0+b')).toBe(0);
+    expect(compareSemver('1.0', '1.0.0')).toBeNull();
+  });
+});
+
+describe('isPrerelease', () => {
+  test('detects prerelease versions', () => {
+    expect(isPrerelease('2.0.0-rc.1')).toBe(true);
+    expect(isPrerelease('2.0.0+build')).toBe(false);
+    expect(isPrerelease('nightly')).toBe(false);
+  });
+});
+
+describe('versionFromTag', () => {
+  test('strips refs/tags/ and an optional v', () => {
+    expect(versionFromTag('refs/tags/v1.2.3')).toBe('1.2.3');
+    expect(versionFromTag('refs/tags/1.2.3')).toBe('1.2.3');
+    expect(versionFromTag('refs/tags/vnext')).toBe('vnext');
+    expect(versionFromTag('refs/heads/main')).toBeNull();
+  });
+
+  test('requires one of the configured prefixes, longest first', () => {
+    expect(versionFromTag('refs/tags/cli-v1.2.3', ['cli-', 'cli-v'])).toBe('1.2.3');
+    expect(versionFromTag('refs/tags/web-v1.2.3', ['cli-v'])).toBeNull();
+  });
+});
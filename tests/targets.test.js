@@ -0,0 +1,52 @@
+'use strict';
+
+const { parseTargets } = require('../src/targets');
+
+const env = { NEAR_STAGING_KEY: 'stg', NEAR_PROD_KEY: 'prd' };
+
+describe('parseTargets', () => {
+  test('reads targets in order with their keys and overrides', () => {
+    const targets = parseTargets(`
+- name: staging
+  url: https://staging.market.near.ai/v1/
+  api-key-env: NEAR_STAGING_KEY
+  listing-url: https://staging.market.near.ai/l/{id}
+  category: testing
+  gate: true
+- name: production
+  url: https://market.near.ai/v1
+  api-key-env: NEAR_PROD_KEY
+`, { env });
+    expect(targets).toEqual([
+      {
+        name: 'staging', url: 'https://staging.market.near.ai/v1', apiKey: 'stg', apiKeyEnv: 'NEAR_STAGING_KEY',
+        listingUrl: 'https://staging.market.near.ai/l/{id}', listingId: '', category: 'testing', gate: true,
+      },
+      {
+        name: 'production', url: 'https://market.near.ai/v1', apiKey: 'prd', apiKeyEnv: 'NEAR_PROD_KEY',
+        listingUrl: '', listingId: '', category: '', gate: true,
+      },
+    ]);
+  });
+
+  test('falls back to the api-key input and accepts JSON', () => {
+    const [target] = parseTargets('[{"name": "local", "url": "http://127.0.0.1:8787/v1", "gate": false}]', { env, apiKey: 'k' });
+    expect(target).toMatchObject({ apiKey: 'k', apiKeyEnv: null, gate: false });
+  });
+
+  test.each([
+    ['name: x', /expected a YAML list/],
+    ['- [', /Invalid "targets" input/],
+    ['- url: https://a.dev/v1\n  api-key-env: NEAR_PROD_KEY', /target #1 .*"name" is required/],
+    ['- name: a\n  url: https://a.dev/v1\n  api-key-env: NEAR_PROD_KEY\n- name: a\n  url: https://b.dev/v1\n  api-key-env: NEAR_PROD_KEY', /target "a" .*unique/],
+    ['- name: a\n  url: not a url\n  api-key-env: NEAR_PROD_KEY', /"url" must be the API base URL/],
+    ['- name: a\n  url: ftp://a.dev/v1\n  api-key-env: NEAR_PROD_KEY', /must use https:\/\//],
+    ['- name: a\n  url: https://a.dev/v1\n  api-key-env: NEAR_PROD_KEY\n  token: x', /unknown key "token"/],
+    ['- name: a\n  url: https://a.dev/v1\n  api-key-env: NEAR_PROD_KEY\n  gate: "no"', /"gate" must be true or false/],
+    ['- name: a\n  url: https://a.dev/v1\n  api-key-env: NEAR_PROD_KEY\n  listing-url: https://a.dev/listing', /\{id\} placeholder/],
+    ['- name: a\n  url: https://a.dev/v1\n  api-key-env: MISSING', /MISSING is empty\. Map the secret/],
+    ['- name: a\n  url: https://a.dev/v1', /no API key/],
+  ])('rejects %j', (text, message) => {
+    expect(() => parseTargets(text, { env })).toThrow(message);
+  });
+});
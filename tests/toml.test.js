@@ -0,0 +1,85 @@
+'use strict';
+
+const { parse, TomlError } = require('../src/toml');
+
+describe('toml.parse', () => {
+  test('parses tables, dotted keys and arrays of tables', () => {
+    const doc = parse(`
+title = "root"
+
+[package]
+name = "crate"
+version.workspace = true
+
+[[bin]]
+name = "a"
+
+[[bin]]
+name = "b"
+
+[dependencies]
+serde = { version = "1", features = ["derive"] }
+`);
+    expect(doc.title).toBe('root');
+    expect(doc.package).toEqual({ name: 'crate', version: { workspace: true } });
+    expect(doc.bin.map(b => b.name)).toEqual(['a', 'b']);
+    expect(doc.dependencies.serde.features).toEqual(['derive']);
+  });
+
+  test('handles every string flavour', () => {
+    const doc = parse([
+      'basic = "tab\\there \\u00e9"',
+      "literal = 'C:\\path'",
+      'multi = """',
+      'first \\',
+      '    second"""',
+      "raw = '''",
+      "keep \\n as-is'''",
+      '"quoted.key" = 1',
+    ].join('\n'));
+    expect(doc.basic).toBe('tab\there é');
+    expect(doc.literal).toBe('C:\\path');
+    expect(doc.multi).toBe('first second');
+    expect(doc.raw).toBe('keep \\n as-is');
+    expect(doc['quoted.key']).toBe(1);
+  });
+
+  test('parses numbers, booleans, dates and multi-line arrays', () => {
+    const doc = parse(`
+int = 1_000
+hex = 0xff
+float = 3.14
+flag = false
+when = 1979-05-27T07:32:00Z
+list = [
+  "a", # comment
+  "b",
+]
+`);
+    expect(doc).toEqual({
+      int: 1000, hex: 255, float: 3.14, flag: false,
+      when: '1979-05-27T07:32:00.000Z', list: ['a', 'b'],
+    });
+  });
+
+  test('rejects duplicate keys with a line number', () => {
+    expect(() => parse('a = 1\na = 2\n')).toThrow(TomlError);
+    expect(() => parse('a = 1\na = 2\n')).toThrow(/line 2/);
+  });
+
+  test('rejects tables defined twice', () => {
+    expect(() => parse('[a]\nx = 1\n[a]\ny = 2\n')).toThrow(/redefine an already defined table .*\(line 3\)$/);
+  });
+
+  test('rejects unterminated strings', () => {
+    expect(() => parse('a = "oops\n')).toThrow(TomlError);
+  });
+
+  test('keeps __proto__ and constructor keys as plain data', () => {
+    const doc = parse('[package]\n__proto__.polluted = "yes"\nconstructor.prototype.polluted = "yes"\n\n[__proto__]\npolluted = "yes"\n');
+    expect({}.polluted).toBeUndefined();
+    expect(Object.prototype.polluted).toBeUndefined();
+    expect(Object.keys(doc)).toEqual(['package', '__proto__']);
+    expect(doc.package.__proto__).toEqual({ polluted: 'yes' });
+  });
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  discoverPackages,
+  readPnpmWorkspaces,
+  readNpmWorkspaces,
+  readCargoWorkspace,
+} = require('../src/workspace');
+
+const MANIFESTS = ['package.json', 'pyproject.toml', 'Cargo.toml'];
+
+function write(root, rel, content) {
+  fs.mkdirSync(path.dirname(path.join(root, rel)), { recursive: true });
+  fs.writeFileSync(path.join(root, rel), content);
+}
+
+describe('workspace discovery', () => {
+  let tmpDir;
+  beforeEach(() => { tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'near-action-ws-')); });
+  afterEach(() => { fs.rmSync(tmpDir, { recursive: true, force: true }); });
+
+  test('reads npm workspaces (array and object form)', () => {
+    write(tmpDir, 'package.json', JSON.stringify({ workspaces: ['packages/*'] }));
+    expect(readNpmWorkspaces(tmpDir)).toEqual(['packages/*']);
+    write(tmpDir, 'package.json', JSON.stringify({ workspaces: { packages: ['apps/*'] } }));
+    expect(readNpmWorkspaces(tmpDir)).toEqual(['apps/*']);
+  });
+
+  test('reads pnpm-workspace.yaml', () => {
+    write(tmpDir, 'pnpm-workspace.yaml', "packages:\n  - 'packages/*'\n  - \"!**/test/**\" # no tests\ncatalog:\n  - ignored\n");
+    expect(readPnpmWorkspaces(tmpDir)).toEqual(['packages/*', '!**/test/**']);
+  });
+
+  test('reads a flow-style packages list from pnpm-workspace.yaml', () => {
+    write(tmpDir, 'pnpm-workspace.yaml', "packages: ['packages/*', apps/*]\n");
+    expect(readPnpmWorkspaces(tmpDir)).toEqual(['packages/*', 'apps/*']);
+    write(tmpDir, 'pnpm-workspace.yaml', 'packages: [packages/*\n');
+    expect(() => readPnpmWorkspaces(tmpDir)).toThrow(/^Failed to parse pnpm-workspace\.yaml: /);
+  });
+
+  test('reads Cargo workspace members and excludes', () => {
+    write(tmpDir, 'Cargo.toml', '[workspace]\nmembers = ["contracts/*"]\nexclude = ["contracts/legacy"]\n');
+    expect(readCargoWorkspace(tmpDir)).toEqual({
+      members: ['contracts/*'], exclude: ['contracts/legacy'], rootIsPackage: false,
+    });
+  });
+
+  test('discovers packages that contain a manifest', () => {
+    write(tmpDir, 'package.json', JSON.stringify({ private: true, workspaces: ['packages/*'] }));
+    write(tmpDir, 'packages/a/package.json', '{}');
+    write(tmpDir, 'packages/b/package.json', '{}');
+    fs.mkdirSync(path.join(tmpDir, 'packages/empty'));
+    write(tmpDir, 'Cargo.toml', '[workspace]\nmembers = ["contracts/*"]\nexclude = ["contracts/legacy"]\n');
+    write(tmpDir, 'contracts/token/Cargo.toml', '[package]\nname = "token"\n');
+    write(tmpDir, 'contracts/legacy/Cargo.toml', '[package]\nname = "legacy"\n');
+
+    const found = discoverPackages(tmpDir, [], MANIFESTS);
+    expect(found.map(p => p.relativePath)).toEqual(['packages/a', 'packages/b', 'contracts/token']);
+    expect(found[2].source).toBe('Cargo workspace');
+    expect(found[0].path).toBe(path.join(tmpDir, 'packages/a'));
+  });
+
+  test('explicit patterns replace workspace definitions', () => {
+    write(tmpDir, 'package.json', JSON.stringify({ workspaces: ['packages/*'] }));
+    write(tmpDir, 'packages/a/package.json', '{}');
+    write(tmpDir, 'tools/cli/pyproject.toml', '[project]\nname = "cli"\n');
+    const found = discoverPackages(tmpDir, ['tools/*'], MANIFESTS);
+    expect(found.map(p => p.relativePath)).toEqual(['tools/cli']);
+    expect(found[0].source).toBe('packages input');
+  });
+
+  test('matches *.ext manifest patterns', () => {
+    write(tmpDir, 'src/Lib/Lib.csproj', '<Project/>');
+    write(tmpDir, 'src/Docs/README.md', '');
+    const found = discoverPackages(tmpDir, ['src/*'], [...MANIFESTS, '*.csproj']);
+    expect(found.map(p => p.relativePath)).toEqual(['src/Lib']);
+  });
+
+  test('throws without a workspace definition', () => {
+    expect(() => discoverPackages(tmpDir, [], MANIFESTS)).toThrow(/No workspace definition found/);
+  });
+
+  test('throws when patterns match nothing', () => {
+    write(tmpDir, 'package.json', JSON.stringify({ workspaces: ['packages/*'] }));
+    expect(() => discoverPackages(tmpDir, [], MANIFESTS)).toThrow(/No packages matched/);
+  });
+});
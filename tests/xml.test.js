@@ -0,0 +1,55 @@
+'use strict';
+
+const { parse, children, textAt, XmlError } = require('../src/xml');
+
+describe('xml.parse', () => {
+  test('parses elements, attributes, text and self-closing tags', () => {
+    const root = parse(`<?xml version="1.0" encoding="UTF-8"?>
+<!-- build file -->
+<project xmlns="http://maven.apache.org/POM/4.0.0">
+  <name>demo &amp; tools</name>
+  <license type='expression'>MIT</license>
+  <empty/>
+</project>`);
+    expect(root.name).toBe('project');
+    expect(root.attributes.xmlns).toBe('http://maven.apache.org/POM/4.0.0');
+    expect(textAt(root, 'name')).toBe('demo & tools');
+    expect(children(root, 'license')[0].attributes.type).toBe('expression');
+    expect(children(root, 'empty')[0]).toMatchObject({ text: '', children: [] });
+  });
+
+  test('keeps CDATA verbatim and decodes numeric entities', () => {
+    const root = parse('<a><b><![CDATA[<raw> & text]]></b><c>&#65;&#x42;</c></a>');
+    expect(textAt(root, 'b')).toBe('<raw> & text');
+    expect(textAt(root, 'c')).toBe('AB');
+  });
+
+  test('leaves character references outside the Unicode range as text', () => {
+    expect(parse('<a>&#x110000;&#99999999;</a>').text).toBe('&#x110000;&#99999999;');
+  });
+
+  test('skips a DOCTYPE with an internal subset and a byte order mark', () => {
+    const root = parse('\uFEFF<!DOCTYPE note [<!ENTITY x "y">]><note>hi</note>');
+    expect(root.text).toBe('hi');
+  });
+
+  test('textAt follows nested names and returns undefined when missing', () => {
+    const root = parse('<p><scm><url>https://x</url></scm></p>');
+    expect(textAt(root, 'scm', 'url')).toBe('https://x');
+    expect(textAt(root, 'scm', 'tag')).toBeUndefined();
+    expect(children(undefined, 'x')).toEqual([]);
+  });
+
+  test.each([
+    ['<a><b></a>', /Expected closing tag 'b' .* instead of closing tag 'a' \(line 1\)/],
+    ['<a>\n<b>', /Unclosed element <b>/],
+    ['<a></a><b></b>', /Multiple possible root nodes/],
+    ['<a><!-- open', /Unclosed tag 'a'/],
+    ['', /Start tag expected/],
+    ['text<a/>', /char 't' is not expected/],
+    ['<a x="1" x="2"/>', /Attribute 'x' is repeated/],
+  ])('rejects %j', (source, message) => {
+    expect(() => parse(source)).toThrow(XmlError);
+    expect(() => parse(source)).toThrow(message);
+  });
+});